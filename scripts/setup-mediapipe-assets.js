@@ -0,0 +1,74 @@
+/**
+ * Copy the MediaPipe WASM fileset and download the pose models into public/
+ * so the app works fully offline with pinned asset versions.
+ *
+ * - WASM comes from the installed @mediapipe/tasks-vision package, so it
+ *   always matches the JS API bundled into the app.
+ * - Each model variant (lite/full/heavy) is downloaded once from its pinned
+ *   URL; existing files are kept.
+ *
+ * Usage: npm run setup:mediapipe (also runs before dev and build)
+ */
+import { copyFile, mkdir, readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MEDIAPIPE_CONFIG, MEDIAPIPE_VERSION, POSE_MODEL_VARIANTS } from '../src/shared/constants/mediapipe.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const publicDir = join(root, 'public');
+const packageDir = join(root, 'node_modules', '@mediapipe', 'tasks-vision');
+
+async function exists(path) {
+  try {
+    await stat(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function copyWasm() {
+  const { version } = JSON.parse(await readFile(join(packageDir, 'package.json'), 'utf8'));
+  if (version !== MEDIAPIPE_VERSION) {
+    console.warn(
+      `⚠️ Installed @mediapipe/tasks-vision is ${version} but MEDIAPIPE_VERSION is ${MEDIAPIPE_VERSION}; ` +
+      'update src/shared/constants/mediapipe.js to match package.json.'
+    );
+  }
+
+  const sourceDir = join(packageDir, 'wasm');
+  const targetDir = join(publicDir, MEDIAPIPE_CONFIG.LOCAL_WASM_PATH);
+  await mkdir(targetDir, { recursive: true });
+
+  for (const file of await readdir(sourceDir)) {
+    await copyFile(join(sourceDir, file), join(targetDir, file));
+  }
+  console.log(`✅ Copied MediaPipe ${version} WASM fileset to public/${MEDIAPIPE_CONFIG.LOCAL_WASM_PATH}`);
+}
+
+async function downloadModel(variant, { LOCAL_PATH, REMOTE_URL }) {
+  const target = join(publicDir, LOCAL_PATH);
+  if (await exists(target)) {
+    console.log(`✅ Pose model (${variant}) present at public/${LOCAL_PATH}`);
+    return;
+  }
+
+  try {
+    const response = await fetch(REMOTE_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(target, Buffer.from(await response.arrayBuffer()));
+    console.log(`✅ Downloaded pose model (${variant}) to public/${LOCAL_PATH}`);
+  } catch (error) {
+    // Not fatal: the app falls back to downloading (and caching) the model at runtime
+    console.warn(`⚠️ Could not download the ${variant} pose model (${error.message}).`);
+    console.warn(`   Place it manually at public/${LOCAL_PATH} for offline use.`);
+  }
+}
+
+await copyWasm();
+for (const [variant, model] of Object.entries(POSE_MODEL_VARIANTS)) {
+  await downloadModel(variant, model);
+}
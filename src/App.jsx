@@ -1,21 +1,68 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import { Header, MobileNav } from './components';
-import { Upload, processVideoAnalysis } from './features/upload';
+import { Upload, processVideoAnalysis, recomputeVideoMetrics } from './features/upload';
 import { Library } from './features/library';
+import { CompareView } from './features/compare';
 import { loadVideos, saveVideos, deleteVideo } from './shared/services/videoStorageService';
+import { loadSettings, resolveModelVariant } from './shared/services/settingsService';
+
+// Settings that shape the measurements taken from a pose track
+const getMeasurementSettings = () => {
+  const { smoothing, feedbackRules, skierHeightCm } = loadSettings();
+  return { smoothing, feedbackRules, skierHeightCm };
+};
 
 function App() {
   const [activeTab, setActiveTab] = useState('upload');
   const [videos, setVideos] = useState([]);
+  const [analysisProgress, setAnalysisProgress] = useState({});
+  const runningAnalysesRef = useRef(new Set());
+
+  // Run the pose analysis for a video and store the resulting metrics on it
+  const runAnalysis = useCallback((video) => {
+    // Guard against starting the same analysis twice (e.g. StrictMode double effects)
+    if (runningAnalysesRef.current.has(video.id)) return;
+    runningAnalysesRef.current.add(video.id);
+
+    const handleProgress = (progress) => {
+      setAnalysisProgress((prev) => ({ ...prev, [video.id]: progress }));
+    };
+
+    const modelVariant = resolveModelVariant(loadSettings());
+
+    processVideoAnalysis(video, { modelVariant, ...getMeasurementSettings(), onProgress: handleProgress })
+      .then(({ metrics, slopeReference }) => ({ metrics, slopeReference, analysisError: undefined }))
+      .catch((error) => {
+        console.error('❌ Video analysis failed:', error);
+        return { metrics: null, analysisError: error.message || 'Analysis failed' };
+      })
+      .then((update) => {
+        runningAnalysesRef.current.delete(video.id);
+        // Update the video with metrics when processing is complete
+        setVideos((prevVideos) =>
+          prevVideos.map((item) =>
+            item.id === video.id
+              ? { ...item, ...update, isProcessing: false }
+              : item
+          )
+        );
+        setAnalysisProgress((prev) => {
+          const { [video.id]: _done, ...rest } = prev;
+          return rest;
+        });
+      });
+  }, []);
 
   // Load videos from IndexedDB on mount
   useEffect(() => {
     const loadStoredVideos = async () => {
       const storedVideos = await loadVideos();
       setVideos(storedVideos);
+      // Resume analyses interrupted by a page reload
+      storedVideos.filter((video) => video.isProcessing).forEach(runAnalysis);
     };
     loadStoredVideos();
-  }, []);
+  }, [runAnalysis]);
 
   // Save videos to IndexedDB whenever they change
   useEffect(() => {
@@ -31,17 +78,8 @@ function App() {
     setActiveTab('library');
 
     // Start processing the video analysis
-    processVideoAnalysis(newVideo.id).then((metrics) => {
-      // Update the video with metrics when processing is complete
-      setVideos((prevVideos) =>
-        prevVideos.map((video) =>
-          video.id === newVideo.id
-            ? { ...video, metrics, isProcessing: false }
-            : video
-        )
-      );
-    });
-  }, []);
+    runAnalysis(newVideo);
+  }, [runAnalysis]);
 
   const handleDeleteVideo = useCallback(async (videoId) => {
     // Remove from IndexedDB
@@ -50,6 +88,47 @@ function App() {
     setVideos((prevVideos) => prevVideos.filter((video) => video.id !== videoId));
   }, []);
 
+  // Store a new slope reference on the video and re-measure it from its stored track
+  const handleSlopeReferenceChange = useCallback(async (video, slopeReference) => {
+    const updateVideo = (changes) => {
+      setVideos((prevVideos) =>
+        prevVideos.map((item) => (item.id === video.id ? { ...item, ...changes } : item))
+      );
+    };
+
+    updateVideo({ slopeReference });
+
+    try {
+      const metrics = await recomputeVideoMetrics(
+        { ...video, slopeReference },
+        getMeasurementSettings()
+      );
+      if (metrics) {
+        updateVideo({ metrics });
+      }
+    } catch (error) {
+      console.error('❌ Failed to recompute metrics:', error);
+    }
+  }, []);
+
+  // Re-measure every analyzed video from its stored track, e.g. after the feedback rules or height changed
+  const handleRecomputeAll = useCallback(async () => {
+    const analyzed = videos.filter((video) => video.metrics && !video.isProcessing);
+
+    for (const video of analyzed) {
+      try {
+        const metrics = await recomputeVideoMetrics(video, getMeasurementSettings());
+        if (metrics) {
+          setVideos((prevVideos) =>
+            prevVideos.map((item) => (item.id === video.id ? { ...item, metrics } : item))
+          );
+        }
+      } catch (error) {
+        console.error('❌ Failed to recompute metrics:', error);
+      }
+    }
+  }, [videos]);
+
   const handleTabChange = (tab) => {
     setActiveTab(tab);
   };
@@ -64,8 +143,16 @@ function App() {
       <main className="px-4 py-8 pb-20 md:pb-8">
         {activeTab === 'upload' ? (
           <Upload onVideoAdded={handleVideoAdded} />
+        ) : activeTab === 'compare' ? (
+          <CompareView videos={videos} />
         ) : (
-          <Library videos={videos} onDeleteVideo={handleDeleteVideo} />
+          <Library
+            videos={videos}
+            analysisProgress={analysisProgress}
+            onDeleteVideo={handleDeleteVideo}
+            onSlopeReferenceChange={handleSlopeReferenceChange}
+            onRecomputeAll={handleRecomputeAll}
+          />
         )}
       </main>
 
@@ -3,7 +3,8 @@ import { cn } from "../../shared/utils/cn";
 const Header = ({ activeTab, onTabChange }) => {
   const tabs = [
     { id: 'upload', label: 'Upload' },
-    { id: 'library', label: 'Library' }
+    { id: 'library', label: 'Library' },
+    { id: 'compare', label: 'Compare' }
   ];
 
   return (
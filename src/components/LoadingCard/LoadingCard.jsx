@@ -1,31 +1,21 @@
-import { useState, useEffect } from 'react';
+const steps = [
+  { label: "Loading pose model", icon: "⬆️" },
+  { label: "Detecting pose landmarks", icon: "🔍" },
+  { label: "Calculating metrics", icon: "📊" }
+];
 
-const LoadingCard = ({ videoName, startTime }) => {
-  const [progress, setProgress] = useState(0);
-  const [currentStep, setCurrentStep] = useState(0);
+/**
+ * @param {Object} props
+ * @param {string} props.videoName - Name of the video being analyzed
+ * @param {number} props.progress - Fraction of frames analyzed (0-1)
+ */
+const LoadingCard = ({ videoName, progress: fraction = 0 }) => {
+  const progress = Math.min(Math.max(fraction, 0), 1) * 100;
 
-  const steps = [
-    { label: "Uploading video", icon: "⬆️" },
-    { label: "Analyzing skiing technique", icon: "🎿" },
-    { label: "Detecting pose landmarks", icon: "🔍" },
-    { label: "Calculating metrics", icon: "📊" },
-    { label: "Generating feedback", icon: "✨" }
-  ];
-
-  useEffect(() => {
-    const interval = setInterval(() => {
-      const elapsed = Date.now() - startTime;
-      const totalDuration = 7500; // Average of 6-9 seconds
-      const newProgress = Math.min((elapsed / totalDuration) * 100, 100);
-      setProgress(newProgress);
-
-      // Update current step based on progress
-      const stepIndex = Math.floor((newProgress / 100) * steps.length);
-      setCurrentStep(Math.min(stepIndex, steps.length - 1));
-    }, 100);
-
-    return () => clearInterval(interval);
-  }, [startTime]);
+  // No frame analyzed yet means the model is still loading
+  let currentStep = 1;
+  if (progress === 0) currentStep = 0;
+  if (progress >= 100) currentStep = 2;
 
   return (
     <div className="bg-white rounded-lg shadow-md overflow-hidden">
@@ -36,6 +36,23 @@ const LibraryIcon = ({ className }) => (
   </svg>
 );
 
+const CompareIcon = ({ className }) => (
+  <svg
+    className={className}
+    width="24"
+    height="24"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <rect x="3" y="4" width="8" height="16" rx="1" />
+    <rect x="13" y="4" width="8" height="16" rx="1" />
+  </svg>
+);
+
 const MobileNav = ({ activeTab, onTabChange }) => {
   const tabs = [
     {
@@ -47,6 +64,11 @@ const MobileNav = ({ activeTab, onTabChange }) => {
       id: 'library',
       label: 'Library',
       icon: LibraryIcon
+    },
+    {
+      id: 'compare',
+      label: 'Compare',
+      icon: CompareIcon
     }
   ];
 
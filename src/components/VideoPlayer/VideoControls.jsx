@@ -1,5 +1,6 @@
 import { useState, useRef, useEffect } from 'react';
 import styles from './VideoControls.module.css';
+import { PLAYBACK_CONFIG } from '../../shared/constants/playback';
 
 /**
  * VideoControls Component
@@ -11,7 +12,8 @@ import styles from './VideoControls.module.css';
  * - Touch-optimized tap targets (minimum 44x44px)
  * - Gesture-based controls (swipe, double-tap)
  * - Custom progress bar with scrubbing
- * - Frame-accurate seeking
+ * - Frame-accurate seeking and frame-by-frame stepping
+ * - Slow-motion playback rates
  * - Auto-hide support with scrubbing detection
  * - Accessibility support (ARIA labels, keyboard navigation)
  *
@@ -23,8 +25,24 @@ import styles from './VideoControls.module.css';
  * @param {Function} props.onFullscreen - Fullscreen toggle callback
  * @param {Function} props.onScrubbingStart - Callback when scrubbing starts
  * @param {Function} props.onScrubbingEnd - Callback when scrubbing ends
+ * @param {Function} [props.onStepFrame] - Step callback (frames to step, ±1); shows the step buttons
+ * @param {number} [props.playbackRate] - Current playback rate
+ * @param {Function} [props.onPlaybackRateChange] - Rate callback (new rate); shows the rate picker
  */
-const VideoControls = ({ videoRef, isPlaying, onPlayPause, onSeek, onFullscreen, onScrubbingStart, onScrubbingEnd, showProgressBar = true, disabled = false }) => {
+const VideoControls = ({
+  videoRef,
+  isPlaying,
+  onPlayPause,
+  onSeek,
+  onFullscreen,
+  onScrubbingStart,
+  onScrubbingEnd,
+  onStepFrame,
+  playbackRate = 1,
+  onPlaybackRateChange,
+  showProgressBar = true,
+  disabled = false,
+}) => {
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
   const [volume, setVolume] = useState(1);
@@ -196,8 +214,9 @@ const VideoControls = ({ videoRef, isPlaying, onPlayPause, onSeek, onFullscreen,
         {/* Skip Buttons */}
         <button
           className={styles.controlButton}
-          onClick={() => onSeek(-10)}
+          onClick={() => onSeek(-PLAYBACK_CONFIG.SEEK_SECONDS)}
           aria-label="Rewind 10 seconds"
+          title="Rewind 10 seconds (Shift+←)"
         >
           <svg width="24" height="24" viewBox="0 0 24 24" fill="white">
             <path d="M11.99 5V1l-5 5 5 5V7c3.31 0 6 2.69 6 6s-2.69 6-6 6-6-2.69-6-6h-2c0 4.42 3.58 8 8 8s8-3.58 8-8-3.58-8-8-8z"/>
@@ -207,8 +226,9 @@ const VideoControls = ({ videoRef, isPlaying, onPlayPause, onSeek, onFullscreen,
 
         <button
           className={styles.controlButton}
-          onClick={() => onSeek(10)}
+          onClick={() => onSeek(PLAYBACK_CONFIG.SEEK_SECONDS)}
           aria-label="Forward 10 seconds"
+          title="Forward 10 seconds (Shift+→)"
         >
           <svg width="24" height="24" viewBox="0 0 24 24" fill="white">
             <path d="M12 5V1l5 5-5 5V7c-3.31 0-6 2.69-6 6s2.69 6 6 6 6-2.69 6-6h2c0 4.42-3.58 8-8 8s-8-3.58-8-8 3.58-8 8-8z"/>
@@ -216,6 +236,50 @@ const VideoControls = ({ videoRef, isPlaying, onPlayPause, onSeek, onFullscreen,
           </svg>
         </button>
 
+        {/* Frame Step Buttons */}
+        {onStepFrame && (
+          <>
+            <button
+              className={styles.controlButton}
+              onClick={() => onStepFrame(-1)}
+              aria-label="Previous frame"
+              title="Previous frame (←)"
+              disabled={disabled}
+            >
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="white">
+                <path d="M6 5h2v14H6V5zm12 0v14l-9-7z"/>
+              </svg>
+            </button>
+
+            <button
+              className={styles.controlButton}
+              onClick={() => onStepFrame(1)}
+              aria-label="Next frame"
+              title="Next frame (→)"
+              disabled={disabled}
+            >
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="white">
+                <path d="M16 5h2v14h-2V5zM6 5v14l9-7z"/>
+              </svg>
+            </button>
+          </>
+        )}
+
+        {/* Playback Rate */}
+        {onPlaybackRateChange && (
+          <select
+            className={styles.rateSelect}
+            value={playbackRate}
+            onChange={(e) => onPlaybackRateChange(Number(e.target.value))}
+            aria-label="Playback speed"
+            title="Playback speed ([ slower, ] faster)"
+          >
+            {PLAYBACK_CONFIG.RATES.map((rate) => (
+              <option key={rate} value={rate}>{rate}×</option>
+            ))}
+          </select>
+        )}
+
         {/* Time Display */}
         <span className={styles.timeDisplay}>
           {formatTime(currentTime)} / {formatTime(duration)}
@@ -236,6 +300,9 @@ const VideoControls = ({ videoRef, isPlaying, onPlayPause, onSeek, onFullscreen,
       {/* Gesture Hints (show on first use) */}
       <div className={styles.gestureHints}>
         <p>Swipe left/right to seek • Swipe up/down (right side) for volume • Double tap for fullscreen</p>
+        {onStepFrame && (
+          <p>Space to play/pause • ←/→ step one frame • Shift+←/→ skip 10 s • [/] change speed</p>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,39 @@
+import { JOINT_ANGLES } from '../../../shared/utils/jointAngles';
+
+const formatAngle = (value) => (value === null || value === undefined ? '—' : `${value}°`);
+
+/**
+ * Side-by-side angle readouts of the two runs at the synced moment, with the
+ * student's difference from the reference
+ */
+const CompareReadouts = ({ student, reference }) => (
+  <table className="w-full text-sm">
+    <thead>
+      <tr className="text-xs text-gray-500 text-left">
+        <th className="font-medium py-1">Angle</th>
+        <th className="font-medium py-1 text-right">Student</th>
+        <th className="font-medium py-1 text-right">Reference</th>
+        <th className="font-medium py-1 text-right">Difference</th>
+      </tr>
+    </thead>
+    <tbody>
+      {JOINT_ANGLES.map(({ key, label }) => {
+        const a = student?.[key] ?? null;
+        const b = reference?.[key] ?? null;
+        const difference = a !== null && b !== null ? Number((a - b).toFixed(1)) : null;
+        return (
+          <tr key={key} className="border-t border-gray-100">
+            <td className="py-1 text-night-blue">{label}</td>
+            <td className="py-1 text-right font-mono">{formatAngle(a)}</td>
+            <td className="py-1 text-right font-mono">{formatAngle(b)}</td>
+            <td className={`py-1 text-right font-mono ${difference === null ? 'text-gray-400' : 'text-gray-700'}`}>
+              {difference === null ? '—' : `${difference > 0 ? '+' : ''}${difference}°`}
+            </td>
+          </tr>
+        );
+      })}
+    </tbody>
+  </table>
+);
+
+export default CompareReadouts;
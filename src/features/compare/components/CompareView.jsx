@@ -0,0 +1,474 @@
+import { useState, useEffect, useRef } from 'react';
+import { useComparedRun } from '../hooks/useComparedRun';
+import CompareReadouts from './CompareReadouts';
+import { useSettings } from '../../../shared/hooks/useSettings';
+import { useVideoFrameRate } from '../../../shared/hooks/useVideoFrameRate';
+import { PLAYBACK_CONFIG } from '../../../shared/constants/playback';
+import { ANALYSIS_CONFIG } from '../../../shared/constants/analysis';
+import { getTrackFrameAt } from '../../../shared/utils/poseTrack';
+import { findSkierPose, getSkierColor } from '../../../shared/utils/poseTracking';
+import { seriesValuesAt } from '../../../shared/utils/angleSeries';
+import { drawOverlay, resolveOverlaySettings } from '../../../shared/utils/overlayRenderer';
+import { ALIGNMENT_EVENTS, normalizePoseOnto } from '../../../shared/utils/poseComparison';
+
+// The reference skeleton in ghost mode
+const GHOST_COLOR = 'rgba(255, 255, 255, 0.85)';
+const GHOST_LAYERS = {
+  skeleton: true, joints: true, face: false, angleArcs: false, torsoReference: false, centerOfMass: false,
+};
+// The reference video is re-seeked when it drifts further than this from the student's time
+const SYNC_TOLERANCE_S = 0.08;
+// Readouts only use an analyzed sample this close to the shown moment
+const MAX_SAMPLE_GAP_MS = 1000 / ANALYSIS_CONFIG.SAMPLE_FPS;
+
+// Format milliseconds as M:SS.s
+const formatTimestamp = (ms) => {
+  const seconds = Math.max(0, ms) / 1000;
+  const mins = Math.floor(seconds / 60);
+  return `${mins}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+};
+
+// Which video a side shows, the event it is aligned on and its marker (ms)
+const createAlignment = (videoId) => ({ videoId, event: 'firstTurn', markerMs: null });
+
+// Angles of a run at a time, from an analyzed sample close enough to it
+const anglesAt = (series, timeMs) => seriesValuesAt(series, timeMs, MAX_SAMPLE_GAP_MS);
+
+/**
+ * Size a canvas to a video and get its context
+ */
+function canvasContext(canvas, { width, height }) {
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  return canvas.getContext('2d');
+}
+
+/**
+ * One run's video with its pose overlay, and the picker for the video and the
+ * event it is aligned on
+ */
+const CompareSide = ({
+  title,
+  videos,
+  alignment,
+  onChange,
+  run,
+  timeMs,
+  videoRef,
+  canvasRef,
+  showVideo,
+  children,
+}) => {
+  const eventMissing = run.video && run.eventMs === null;
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-semibold text-night-blue w-20">{title}</span>
+        <select
+          value={alignment.videoId ?? ''}
+          onChange={(event) => onChange({ videoId: event.target.value, markerMs: null })}
+          className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded text-sm"
+        >
+          {videos.map((video) => (
+            <option key={video.id} value={video.id}>{video.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+        <span>Align on</span>
+        <select
+          value={alignment.event}
+          onChange={(event) => onChange({ event: event.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded"
+        >
+          {ALIGNMENT_EVENTS.map(({ key, label }) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => onChange({ event: 'marker', markerMs: Math.round(timeMs) })}
+          className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-gray-700 transition-colors"
+          title="Mark the moment shown as this run's alignment point"
+        >
+          Set marker here
+        </button>
+        {alignment.markerMs !== null && (
+          <span className="font-mono">marker {formatTimestamp(alignment.markerMs)}</span>
+        )}
+        {eventMissing && (
+          <span className="text-amber-600">Not found in this run; aligned on the clip start</span>
+        )}
+      </div>
+
+      {run.video && (
+        <div
+          className={`relative bg-black rounded-lg overflow-hidden ${showVideo ? '' : 'hidden'}`}
+          style={{ aspectRatio: `${run.size.width} / ${run.size.height}` }}
+        >
+          <video
+            ref={videoRef}
+            src={run.video.url}
+            playsInline
+            muted
+            preload="auto"
+            className="absolute inset-0 w-full h-full object-contain"
+          />
+          <canvas ref={canvasRef} className="absolute inset-0 w-full h-full pointer-events-none" />
+          <div className="absolute bottom-2 left-2 bg-black/60 px-2 py-1 rounded text-xs font-mono text-white/90">
+            {formatTimestamp(timeMs)}
+          </div>
+        </div>
+      )}
+
+      {children}
+    </div>
+  );
+};
+
+/**
+ * Compare two analyzed runs, typically a student against a reference skier.
+ *
+ * Both runs play in sync, aligned on an event chosen in each (the first turn,
+ * or a marker set by hand). Split mode shows the two clips side by side;
+ * ghost mode draws the reference skeleton over the student, moved onto the
+ * student's hips and scaled to their torso. Angle readouts of both runs at
+ * the synced moment are shown side by side. Unlinking the runs lets each be
+ * moved on its own, e.g. to line them up by eye and sync there.
+ */
+const CompareView = ({ videos }) => {
+  const analyzed = videos.filter((video) => video.metrics?.skiers && !video.isProcessing);
+  const [studentAlignment, setStudentAlignment] = useState(() => createAlignment(analyzed[0]?.id ?? null));
+  const [referenceAlignment, setReferenceAlignment] = useState(
+    () => createAlignment(analyzed[1]?.id ?? analyzed[0]?.id ?? null)
+  );
+  const [mode, setMode] = useState('split');
+  const [isLinked, setIsLinked] = useState(true);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  // Times shown in the controls and readouts; the draw loop only updates them
+  // when either run moves on to another video frame
+  const [{ studentMs, referenceMs }, setShownTimes] = useState({ studentMs: 0, referenceMs: 0 });
+  const shownFramesRef = useRef(null);
+  const studentVideoRef = useRef(null);
+  const referenceVideoRef = useRef(null);
+  const studentCanvasRef = useRef(null);
+  const referenceCanvasRef = useRef(null);
+  const [{ smoothing, overlay }] = useSettings();
+
+  const findVideo = (id) => analyzed.find((video) => video.id === id) ?? null;
+  const student = useComparedRun(findVideo(studentAlignment.videoId), studentAlignment, smoothing);
+  const reference = useComparedRun(findVideo(referenceAlignment.videoId), referenceAlignment, smoothing);
+  const fps = useVideoFrameRate(studentVideoRef, student.video?.url);
+  const fpsRef = useRef(fps);
+
+  // Reference time = student time - student event + reference event
+  const offsetMs = (reference.eventMs ?? 0) - (student.eventMs ?? 0);
+
+  // Pick videos once the library has loaded, and again if one is deleted
+  const analyzedIds = analyzed.map((video) => video.id).join(',');
+  useEffect(() => {
+    const ids = analyzedIds ? analyzedIds.split(',') : [];
+    setStudentAlignment((current) => (ids.includes(current.videoId) ? current : createAlignment(ids[0] ?? null)));
+    setReferenceAlignment((current) => (
+      ids.includes(current.videoId) ? current : createAlignment(ids[1] ?? ids[0] ?? null)
+    ));
+  }, [analyzedIds]);
+
+  useEffect(() => {
+    fpsRef.current = fps;
+  }, [fps]);
+
+  // Follow the student video's play state
+  useEffect(() => {
+    const video = studentVideoRef.current;
+    if (!video) return undefined;
+
+    const handlePlay = () => setIsPlaying(true);
+    const handlePause = () => setIsPlaying(false);
+    video.addEventListener('play', handlePlay);
+    video.addEventListener('pause', handlePause);
+    video.addEventListener('ended', handlePause);
+    return () => {
+      video.removeEventListener('play', handlePlay);
+      video.removeEventListener('pause', handlePause);
+      video.removeEventListener('ended', handlePause);
+    };
+  }, [student.video]);
+
+  // Keep the reference in step with the student and draw both overlays, every
+  // display frame
+  useEffect(() => {
+    const { layers, style } = resolveOverlaySettings(overlay);
+    let rafId = null;
+
+    const syncReference = (studentVideo, referenceVideo, targetMs) => {
+      const duration = referenceVideo.duration || 0;
+      const target = targetMs / 1000;
+      const inRange = target >= 0 && target < duration;
+      const shouldPlay = mode === 'split' && !studentVideo.paused && inRange;
+
+      if (!referenceVideo.seeking
+        && Math.abs(referenceVideo.currentTime - Math.min(Math.max(0, target), duration)) > SYNC_TOLERANCE_S) {
+        referenceVideo.currentTime = Math.min(Math.max(0, target), duration);
+      }
+      if (shouldPlay && referenceVideo.paused) {
+        referenceVideo.play().catch(() => {});
+      } else if (!shouldPlay && !referenceVideo.paused) {
+        referenceVideo.pause();
+      }
+    };
+
+    const tick = () => {
+      const studentVideo = studentVideoRef.current;
+      const referenceVideo = referenceVideoRef.current;
+
+      if (studentVideo) {
+        const aMs = studentVideo.currentTime * 1000;
+        const bMs = isLinked || !referenceVideo ? aMs + offsetMs : referenceVideo.currentTime * 1000;
+        if (isLinked && referenceVideo) syncReference(studentVideo, referenceVideo, bMs);
+
+        const frameMs = 1000 / fpsRef.current;
+        const shownFrames = `${Math.floor(aMs / frameMs)}:${Math.floor(bMs / frameMs)}`;
+        if (shownFrames !== shownFramesRef.current) {
+          shownFramesRef.current = shownFrames;
+          setShownTimes({ studentMs: aMs, referenceMs: bMs });
+        }
+
+        const studentFrame = getTrackFrameAt(student.track, aMs);
+        const referenceFrame = getTrackFrameAt(reference.track, bMs);
+
+        if (studentCanvasRef.current) {
+          const ctx = canvasContext(studentCanvasRef.current, student.size);
+          drawOverlay(ctx, studentFrame?.poses ?? [], {
+            followedId: student.skierId,
+            colorFor: getSkierColor,
+            layers,
+            style,
+            angles: anglesAt(student.series, aMs),
+            slope: student.slope,
+          });
+
+          if (mode === 'ghost') {
+            const ghost = normalizePoseOnto(
+              findSkierPose(referenceFrame, reference.skierId),
+              reference.size,
+              findSkierPose(studentFrame, student.skierId),
+              student.size,
+              style.minVisibility
+            );
+            if (ghost) {
+              drawOverlay(ctx, [{ ...ghost, id: 'ghost' }], {
+                followedId: 'ghost',
+                colorFor: () => GHOST_COLOR,
+                layers: GHOST_LAYERS,
+                style,
+                clear: false,
+              });
+            }
+          }
+        }
+
+        if (mode === 'split' && referenceCanvasRef.current) {
+          drawOverlay(canvasContext(referenceCanvasRef.current, reference.size), referenceFrame?.poses ?? [], {
+            followedId: reference.skierId,
+            colorFor: getSkierColor,
+            layers,
+            style,
+            angles: anglesAt(reference.series, bMs),
+            slope: reference.slope,
+          });
+        }
+      }
+
+      rafId = requestAnimationFrame(tick);
+    };
+
+    rafId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(rafId);
+  }, [student, reference, offsetMs, mode, isLinked, overlay]);
+
+  const handlePlayPause = () => {
+    const video = studentVideoRef.current;
+    if (!video) return;
+    if (video.paused) {
+      video.play();
+    } else {
+      video.pause();
+    }
+  };
+
+  const seekVideo = (video, seconds) => {
+    if (!video) return;
+    video.currentTime = Math.max(0, Math.min(video.duration || 0, seconds));
+  };
+
+  const handleStepFrame = (frames) => {
+    const video = studentVideoRef.current;
+    if (!video) return;
+    video.pause();
+    const frame = Math.floor(video.currentTime * fps + 1e-3) + frames;
+    seekVideo(video, (Math.max(0, frame) + 0.5) / fps);
+  };
+
+  const handlePlaybackRateChange = (rate) => {
+    for (const video of [studentVideoRef.current, referenceVideoRef.current]) {
+      if (video) {
+        video.defaultPlaybackRate = rate;
+        video.playbackRate = rate;
+      }
+    }
+    setPlaybackRate(rate);
+  };
+
+  const handleToggleLinked = () => {
+    if (isLinked) {
+      studentVideoRef.current?.pause();
+    }
+    setIsLinked(!isLinked);
+  };
+
+  // Keep the two runs aligned as they are shown now, by marking both moments
+  const handleSyncHere = () => {
+    setStudentAlignment((current) => ({ ...current, event: 'marker', markerMs: Math.round(studentMs) }));
+    setReferenceAlignment((current) => ({ ...current, event: 'marker', markerMs: Math.round(referenceMs) }));
+    setIsLinked(true);
+  };
+
+  if (analyzed.length === 0) {
+    return (
+      <div className="max-w-6xl mx-auto bg-white rounded-lg shadow-md p-8 text-center text-gray-600">
+        Analyze at least one video in the library to compare runs.
+      </div>
+    );
+  }
+
+  const studentDuration = student.video?.duration ?? 0;
+  const referenceDuration = reference.video?.duration ?? 0;
+  const buttonClass = (active) => `px-3 py-1 text-sm rounded transition-colors ${
+    active ? 'bg-night-blue text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+  }`;
+
+  return (
+    <div className="max-w-6xl mx-auto flex flex-col gap-4">
+      <div className="bg-white rounded-lg shadow-md p-4 flex flex-wrap items-center gap-3">
+        <h2 className="font-semibold text-night-blue mr-auto">Compare runs</h2>
+        <div className="flex gap-1">
+          <button onClick={() => setMode('split')} className={buttonClass(mode === 'split')}>
+            Side by side
+          </button>
+          <button onClick={() => setMode('ghost')} className={buttonClass(mode === 'ghost')}>
+            Ghost overlay
+          </button>
+        </div>
+        <button
+          onClick={handleToggleLinked}
+          className={buttonClass(!isLinked)}
+          title={isLinked ? 'Move each run on its own' : 'Play the runs in sync again'}
+        >
+          {isLinked ? 'Unlink' : 'Link'}
+        </button>
+        {!isLinked && (
+          <button
+            onClick={handleSyncHere}
+            className={buttonClass(false)}
+            title="Align the runs on the moments shown now"
+          >
+            Sync here
+          </button>
+        )}
+      </div>
+
+      <div className={`grid gap-4 ${mode === 'split' ? 'md:grid-cols-2' : ''}`}>
+        <CompareSide
+          title="Student"
+          videos={analyzed}
+          alignment={studentAlignment}
+          onChange={(changes) => setStudentAlignment((current) => ({ ...current, ...changes }))}
+          run={student}
+          timeMs={studentMs}
+          videoRef={studentVideoRef}
+          canvasRef={studentCanvasRef}
+          showVideo
+        />
+        <CompareSide
+          title="Reference"
+          videos={analyzed}
+          alignment={referenceAlignment}
+          onChange={(changes) => setReferenceAlignment((current) => ({ ...current, ...changes }))}
+          run={reference}
+          timeMs={referenceMs}
+          videoRef={referenceVideoRef}
+          canvasRef={referenceCanvasRef}
+          showVideo={mode === 'split'}
+        >
+          {!isLinked && (
+            <input
+              type="range"
+              min={0}
+              max={referenceDuration}
+              step={0.01}
+              value={Math.min(referenceDuration, referenceMs / 1000)}
+              onChange={(event) => seekVideo(referenceVideoRef.current, Number(event.target.value))}
+              aria-label="Reference position"
+            />
+          )}
+        </CompareSide>
+      </div>
+
+      {/* Transport for the student; the reference follows while linked */}
+      <div className="bg-white rounded-lg shadow-md p-4 flex flex-wrap items-center gap-3">
+        <button onClick={() => handleStepFrame(-1)} className={buttonClass(false)} aria-label="Previous frame">
+          ◀︎|
+        </button>
+        <button onClick={handlePlayPause} className={buttonClass(isPlaying)}>
+          {isPlaying ? 'Pause' : 'Play'}
+        </button>
+        <button onClick={() => handleStepFrame(1)} className={buttonClass(false)} aria-label="Next frame">
+          |▶︎
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={studentDuration}
+          step={0.01}
+          value={Math.min(studentDuration, studentMs / 1000)}
+          onChange={(event) => seekVideo(studentVideoRef.current, Number(event.target.value))}
+          className="flex-1 min-w-[8rem]"
+          aria-label="Student position"
+        />
+        <span className="font-mono text-xs text-gray-600">
+          {formatTimestamp(studentMs)} / {formatTimestamp(studentDuration * 1000)}
+        </span>
+        <select
+          value={playbackRate}
+          onChange={(event) => handlePlaybackRateChange(Number(event.target.value))}
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+          aria-label="Playback speed"
+        >
+          {PLAYBACK_CONFIG.RATES.map((rate) => (
+            <option key={rate} value={rate}>{rate}×</option>
+          ))}
+        </select>
+        <span className="w-full text-xs text-gray-500">
+          {isLinked
+            ? `Reference ${offsetMs >= 0 ? 'ahead' : 'behind'} by ${formatTimestamp(Math.abs(offsetMs))}`
+            : 'Unlinked: move each run on its own, then sync them here'}
+        </span>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-4">
+        <h3 className="text-sm font-semibold text-night-blue mb-2">Angles at this moment</h3>
+        <CompareReadouts
+          student={anglesAt(student.series, studentMs)}
+          reference={anglesAt(reference.series, referenceMs)}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default CompareView;
@@ -0,0 +1,62 @@
+import { useState, useEffect, useMemo } from 'react';
+import { loadPoseTrack } from '../../../shared/services/videoStorageService';
+import { smoothTrack } from '../../../shared/utils/smoothing';
+import { computeAngleSeries } from '../../../shared/utils/angleSeries';
+import { slopeVector, getSlopeAngle, getAspectRatio } from '../../../shared/utils/slopeReference';
+import { alignmentTime } from '../../../shared/utils/poseComparison';
+
+const NO_TURNS = [];
+
+/**
+ * Everything the compare view needs about one run: its stored track
+ * (smoothed, for drawing), the followed skier and their turns, the angle
+ * series for the readouts and the time of the event it is aligned on
+ *
+ * @param {Object|null} video - Library video being compared
+ * @param {{event: string, markerMs: number|null}} alignment - Chosen
+ *   ALIGNMENT_EVENTS key and the run's marker
+ * @param {Object} [smoothing] - Smoothing settings (see resolveSmoothingOptions)
+ */
+export function useComparedRun(video, { event, markerMs }, smoothing) {
+  const [track, setTrack] = useState(null);
+  const videoId = video?.id ?? null;
+
+  // Load the stored track for the chosen video
+  useEffect(() => {
+    setTrack(null);
+    if (!videoId) return undefined;
+
+    let cancelled = false;
+    loadPoseTrack(videoId).then((frames) => {
+      if (!cancelled) setTrack(frames);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [videoId]);
+
+  const skierId = video?.metrics?.primarySkierId ?? null;
+  const turns = video?.metrics?.skiers?.find((skier) => skier.id === skierId)?.turns ?? NO_TURNS;
+  const size = useMemo(
+    () => ({ width: video?.width || 1, height: video?.height || 1 }),
+    [video?.width, video?.height]
+  );
+  const aspectRatio = video ? getAspectRatio(video) : 1;
+  const slope = useMemo(
+    () => (video ? slopeVector(getSlopeAngle(video), aspectRatio) : undefined),
+    [video, aspectRatio]
+  );
+
+  const smoothedTrack = useMemo(() => (track ? smoothTrack(track, smoothing) : null), [track, smoothing]);
+  const series = useMemo(
+    () => (track ? computeAngleSeries(track, skierId, { slope, aspectRatio, smoothing }) : null),
+    [track, skierId, slope, aspectRatio, smoothing]
+  );
+
+  const eventMs = alignmentTime(event, { turns, markerMs });
+
+  return useMemo(
+    () => ({ video, track: smoothedTrack, skierId, turns, size, slope, series, eventMs }),
+    [video, smoothedTrack, skierId, turns, size, slope, series, eventMs]
+  );
+}
@@ -0,0 +1,2 @@
+export { default as CompareView } from './components/CompareView';
+export { useComparedRun } from './hooks/useComparedRun';
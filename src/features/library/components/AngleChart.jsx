@@ -0,0 +1,257 @@
+import { useRef, useState } from 'react';
+import { JOINT_ANGLES } from '../../../shared/utils/jointAngles';
+import { nearestSampleIndex } from '../../../shared/utils/angleSeries';
+
+// SVG drawing space; the chart stretches to the card's width
+const VIEW_WIDTH = 1000;
+const VIEW_HEIGHT = 160;
+// Shorter drags are treated as clicks (seek), longer ones select a zoom range
+const DRAG_THRESHOLD_PX = 5;
+const MIN_ZOOM_MS = 500;
+const Y_STEPS = [5, 10, 15, 20, 30, 45, 60, 90];
+
+// Lean and slope match their readouts on the player
+const SERIES_COLORS = {
+  lean: '#22c55e',
+  slope: '#f97316',
+};
+const PALETTE = ['#0ea5e9', '#a855f7', '#ec4899', '#14b8a6', '#eab308', '#6366f1', '#ef4444', '#84cc16', '#64748b'];
+
+const colorFor = (key) => SERIES_COLORS[key]
+  ?? PALETTE[JOINT_ANGLES.findIndex((angle) => angle.key === key) % PALETTE.length];
+
+// Format milliseconds as M:SS.s
+const formatTimestamp = (ms) => {
+  const seconds = ms / 1000;
+  const mins = Math.floor(seconds / 60);
+  return `${mins}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+};
+
+/**
+ * SVG path through one series, broken wherever the angle wasn't measured
+ */
+function seriesPath(timestamps, values, toX, toY) {
+  let path = '';
+  let drawing = false;
+  timestamps.forEach((timestamp, i) => {
+    const value = values[i];
+    if (value === null) {
+      drawing = false;
+      return;
+    }
+    path += `${drawing ? 'L' : 'M'}${toX(timestamp).toFixed(1)} ${toY(value).toFixed(1)}`;
+    drawing = true;
+  });
+  return path;
+}
+
+/**
+ * Joint angles over the whole clip for the followed skier, with a playhead
+ * at the current time. Click to seek there; drag across a stretch to zoom
+ * into it. The chips pick which angles are plotted and show their value at
+ * the playhead.
+ */
+const AngleChart = ({ series, duration, currentTime, onSeek }) => {
+  const svgRef = useRef(null);
+  const [selected, setSelected] = useState(['lean', 'slope']);
+  const [zoom, setZoom] = useState(null);
+  const [drag, setDrag] = useState(null);
+
+  const timestamps = series?.timestamps ?? [];
+  if (timestamps.length === 0) return null;
+
+  const endMs = duration > 0 ? duration * 1000 : timestamps[timestamps.length - 1];
+  const range = zoom ?? { startMs: 0, endMs };
+  const span = Math.max(1, range.endMs - range.startMs);
+  const currentMs = currentTime * 1000;
+
+  // Samples in view, plus one either side so lines run to the edges
+  const first = Math.max(0, nearestSampleIndex(timestamps, range.startMs) - 1);
+  const last = Math.min(timestamps.length - 1, nearestSampleIndex(timestamps, range.endMs) + 1);
+  const visibleTimes = timestamps.slice(first, last + 1);
+
+  // Vertical range over the plotted angles in view, on round steps
+  const plotted = selected.map((key) => ({ key, values: series.values[key].slice(first, last + 1) }));
+  const inView = plotted.flatMap(({ values }) => values).filter((value) => value !== null);
+  const low = inView.length ? Math.min(...inView) : 0;
+  const high = inView.length ? Math.max(...inView) : 90;
+  const step = Y_STEPS.find((s) => (high - low) / s <= 4) ?? 90;
+  const yMin = Math.floor(low / step) * step;
+  const yMax = Math.max(yMin + step, Math.ceil(high / step) * step);
+  const ticks = [];
+  for (let tick = yMin; tick <= yMax; tick += step) ticks.push(tick);
+
+  const toX = (ms) => ((ms - range.startMs) / span) * VIEW_WIDTH;
+  const toY = (value) => VIEW_HEIGHT - ((value - yMin) / (yMax - yMin)) * VIEW_HEIGHT;
+  const toPercent = (ms) => `${Math.min(100, Math.max(0, ((ms - range.startMs) / span) * 100))}%`;
+
+  // Time under the pointer
+  const timeAt = (clientX) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+    return range.startMs + fraction * span;
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDrag({ startX: event.clientX, endX: event.clientX });
+  };
+
+  const handlePointerMove = (event) => {
+    if (drag) setDrag({ ...drag, endX: event.clientX });
+  };
+
+  const handlePointerUp = (event) => {
+    if (!drag) return;
+    setDrag(null);
+
+    if (Math.abs(event.clientX - drag.startX) < DRAG_THRESHOLD_PX) {
+      onSeek?.(timeAt(event.clientX) / 1000);
+      return;
+    }
+    const [startMs, stopMs] = [timeAt(drag.startX), timeAt(event.clientX)].sort((a, b) => a - b);
+    if (stopMs - startMs >= MIN_ZOOM_MS) {
+      setZoom({ startMs, endMs: stopMs });
+    }
+  };
+
+  const toggleAngle = (key) => {
+    setSelected(selected.includes(key) ? selected.filter((k) => k !== key) : [...selected, key]);
+  };
+
+  const sampleIndex = nearestSampleIndex(timestamps, currentMs);
+  const dragRange = drag && [timeAt(drag.startX), timeAt(drag.endX)].sort((a, b) => a - b);
+
+  return (
+    <div className="px-6 pt-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h4 className="text-sm font-semibold text-night-blue">Angles over time</h4>
+        <div className="flex items-center gap-2 text-xs text-gray-500">
+          <span>Click to seek · drag to zoom</span>
+          {zoom && (
+            <button
+              onClick={() => setZoom(null)}
+              className="px-2 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-gray-700 transition-colors"
+            >
+              Reset zoom
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        {/* Angle axis */}
+        <div className="relative w-8 text-[10px] text-gray-500" style={{ height: VIEW_HEIGHT }}>
+          {ticks.map((tick) => (
+            <span
+              key={tick}
+              className="absolute right-0 -translate-y-1/2 font-mono"
+              style={{ top: `${(toY(tick) / VIEW_HEIGHT) * 100}%` }}
+            >
+              {tick}°
+            </span>
+          ))}
+        </div>
+
+        <div className="relative flex-1">
+          <svg
+            ref={svgRef}
+            viewBox={`0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}`}
+            preserveAspectRatio="none"
+            className="w-full bg-gray-50 rounded cursor-crosshair touch-none select-none"
+            style={{ height: VIEW_HEIGHT }}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={() => setDrag(null)}
+          >
+            {ticks.map((tick) => (
+              <line
+                key={tick}
+                x1={0}
+                x2={VIEW_WIDTH}
+                y1={toY(tick)}
+                y2={toY(tick)}
+                stroke="#e5e7eb"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+
+            {plotted.map(({ key, values }) => (
+              <path
+                key={key}
+                d={seriesPath(visibleTimes, values, toX, toY)}
+                fill="none"
+                stroke={colorFor(key)}
+                strokeWidth={2}
+                strokeLinejoin="round"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+
+            {dragRange && (
+              <rect
+                x={toX(dragRange[0])}
+                y={0}
+                width={toX(dragRange[1]) - toX(dragRange[0])}
+                height={VIEW_HEIGHT}
+                fill="rgba(14, 165, 233, 0.15)"
+              />
+            )}
+
+            {currentMs >= range.startMs && currentMs <= range.endMs && (
+              <line
+                x1={toX(currentMs)}
+                x2={toX(currentMs)}
+                y1={0}
+                y2={VIEW_HEIGHT}
+                stroke="#111827"
+                strokeWidth={1.5}
+                vectorEffect="non-scaling-stroke"
+              />
+            )}
+          </svg>
+
+          {/* Time axis */}
+          <div className="relative h-4 text-[10px] text-gray-500 font-mono">
+            <span className="absolute left-0">{formatTimestamp(range.startMs)}</span>
+            {currentMs >= range.startMs && currentMs <= range.endMs && (
+              <span className="absolute -translate-x-1/2 text-gray-800" style={{ left: toPercent(currentMs) }}>
+                {formatTimestamp(currentMs)}
+              </span>
+            )}
+            <span className="absolute right-0">{formatTimestamp(range.endMs)}</span>
+          </div>
+        </div>
+      </div>
+
+      {/* Angle picker with the values at the playhead */}
+      <div className="flex flex-wrap gap-1.5 mt-2">
+        {JOINT_ANGLES.map(({ key, label }) => {
+          const isSelected = selected.includes(key);
+          const value = sampleIndex >= 0 ? series.values[key][sampleIndex] : null;
+          return (
+            <button
+              key={key}
+              onClick={() => toggleAngle(key)}
+              className={`flex items-center gap-1.5 px-2 py-0.5 rounded-full text-xs border transition-colors ${
+                isSelected ? 'border-gray-300 bg-white text-gray-800' : 'border-transparent bg-gray-100 text-gray-400'
+              }`}
+            >
+              <span
+                className="w-2 h-2 rounded-full"
+                style={{ backgroundColor: isSelected ? colorFor(key) : '#d1d5db' }}
+              />
+              {label}
+              {isSelected && (
+                <span className="font-mono">{value === null ? '—' : `${value}°`}</span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default AngleChart;
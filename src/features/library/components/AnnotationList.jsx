@@ -0,0 +1,72 @@
+import { ANNOTATION_TOOLS } from '../../../shared/utils/annotations';
+
+// Format milliseconds as M:SS.s
+const formatTimestamp = (ms) => {
+  const seconds = ms / 1000;
+  const mins = Math.floor(seconds / 60);
+  return `${mins}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+};
+
+// "2 arrows, 1 angle"
+const describeShapes = (shapes) => ANNOTATION_TOOLS
+  .map(({ key, label }) => {
+    const count = shapes.filter((shape) => shape.type === key).length;
+    return count ? `${count} ${label.toLowerCase()}${count > 1 ? 's' : ''}` : null;
+  })
+  .filter(Boolean)
+  .join(', ');
+
+/**
+ * The video's annotations in timeline order: jump to one, edit or delete it.
+ * `error` reports a delete that couldn't be stored.
+ */
+const AnnotationList = ({ annotations, activeId, onJump, onEdit, onDelete, error }) => {
+  if (!annotations.length) return null;
+
+  return (
+    <div className="px-6 pt-4">
+      <h4 className="text-sm font-semibold text-night-blue mb-2">Coaching notes</h4>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      <ul className="divide-y divide-gray-100">
+        {annotations.map((annotation) => (
+          <li
+            key={annotation.id}
+            className={`flex items-start gap-3 py-2 text-sm ${annotation.id === activeId ? 'bg-yellow-50' : ''}`}
+          >
+            <button
+              onClick={() => onJump(annotation)}
+              className="px-1.5 text-xs font-mono text-bright-blue bg-blue-50 hover:bg-blue-100 rounded flex-shrink-0"
+              title="Jump to this moment"
+            >
+              {formatTimestamp(annotation.timestampMs)}
+            </button>
+            <div className="flex-1 min-w-0">
+              <p className="text-gray-700 whitespace-pre-wrap break-words">
+                {annotation.note || <span className="text-gray-400 italic">No note</span>}
+              </p>
+              {annotation.shapes.length > 0 && (
+                <p className="text-xs text-gray-500">{describeShapes(annotation.shapes)}</p>
+              )}
+            </div>
+            <div className="flex gap-1 flex-shrink-0">
+              <button
+                onClick={() => onEdit(annotation)}
+                className="px-2 py-0.5 text-xs rounded bg-gray-100 hover:bg-gray-200 text-gray-700 transition-colors"
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => onDelete(annotation.id)}
+                className="px-2 py-0.5 text-xs rounded bg-gray-100 hover:bg-red-100 text-gray-700 hover:text-red-700 transition-colors"
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default AnnotationList;
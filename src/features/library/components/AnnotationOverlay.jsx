@@ -0,0 +1,193 @@
+import { useRef, useState } from 'react';
+import { clamp } from '../../../shared/utils/poseCalculations';
+import { shapePixels, protractorAngle, arrowHead } from '../../../shared/utils/annotations';
+import { ANNOTATION_CONFIG } from '../../../shared/constants/annotations';
+
+/**
+ * One annotation shape in video pixels. Sizes that aren't strokes (arrowheads,
+ * the protractor arc and label) scale with the frame.
+ */
+const AnnotationShape = ({ type, pixels, scale, color }) => {
+  const stroke = {
+    stroke: color,
+    strokeWidth: 3,
+    strokeLinecap: 'round',
+    vectorEffect: 'non-scaling-stroke',
+    fill: 'none',
+  };
+
+  if (type === 'line' || type === 'arrow') {
+    const [from, to] = pixels;
+    return (
+      <g>
+        <line x1={from.x} y1={from.y} x2={to.x} y2={to.y} {...stroke} />
+        {type === 'arrow' && (
+          <polygon
+            points={[to, ...arrowHead(from, to, scale * 2)].map((p) => `${p.x},${p.y}`).join(' ')}
+            fill={color}
+          />
+        )}
+      </g>
+    );
+  }
+
+  // Protractor: two arms from the vertex, the arc between them and the angle
+  const [a, vertex, c] = pixels;
+  const angle = c ? protractorAngle(pixels) : null;
+  const unit = (p) => {
+    const length = Math.hypot(p.x - vertex.x, p.y - vertex.y);
+    return length > 0 ? { x: (p.x - vertex.x) / length, y: (p.y - vertex.y) / length, length } : null;
+  };
+  const u1 = unit(a);
+  const u2 = c ? unit(c) : null;
+
+  let arc = null;
+  let label = null;
+  if (u1 && u2 && angle !== null) {
+    const radius = Math.min(scale * 3, u1.length * 0.5, u2.length * 0.5);
+    const start = { x: vertex.x + u1.x * radius, y: vertex.y + u1.y * radius };
+    const end = { x: vertex.x + u2.x * radius, y: vertex.y + u2.y * radius };
+    const sweep = u1.x * u2.y - u1.y * u2.x > 0 ? 1 : 0;
+    arc = `M${start.x} ${start.y} A${radius} ${radius} 0 0 ${sweep} ${end.x} ${end.y}`;
+
+    // Label outside the arc, along the bisector
+    const bisector = { x: u1.x + u2.x, y: u1.y + u2.y };
+    const length = Math.hypot(bisector.x, bisector.y) || 1;
+    const offset = radius + scale * 1.5;
+    label = {
+      x: vertex.x + (length > 1e-3 ? bisector.x / length : -u1.y) * offset,
+      y: vertex.y + (length > 1e-3 ? bisector.y / length : u1.x) * offset,
+      text: `${angle.toFixed(0)}°`,
+    };
+  }
+
+  return (
+    <g>
+      <polyline points={pixels.map((p) => `${p.x},${p.y}`).join(' ')} {...stroke} />
+      {arc && <path d={arc} {...stroke} strokeWidth={2} />}
+      {label && (
+        <text
+          x={label.x}
+          y={label.y}
+          fill={color}
+          fontSize={scale * 1.6}
+          fontWeight="600"
+          textAnchor="middle"
+          dominantBaseline="middle"
+          stroke="rgba(0, 0, 0, 0.6)"
+          strokeWidth={scale * 0.25}
+          paintOrder="stroke"
+        >
+          {label.text}
+        </text>
+      )}
+    </g>
+  );
+};
+
+/**
+ * Draws annotation shapes over the video and, with a tool picked, lets the
+ * user draw new ones on the paused frame.
+ *
+ * Lines and arrows are dragged from tail to tip. A protractor is dragged
+ * along its first arm, from the arm's end to the vertex, then a click places
+ * the end of the second arm.
+ *
+ * Like SlopeLineOverlay, the SVG uses the video's pixel size as its viewBox
+ * with "meet" scaling so it lines up with the letterboxed video frame.
+ */
+const AnnotationOverlay = ({ width, height, shapes, tool, onShapeDrawn }) => {
+  const svgRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+
+  if (!width || !height) return null;
+
+  const size = { width, height };
+  const scale = Math.hypot(width, height) / 100;
+
+  // Pointer position in video pixels
+  const toVideoPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return { x: clamp(x, 0, width), y: clamp(y, 0, height) };
+  };
+
+  const toNormalized = (points) => points.map(({ x, y }) => ({ x: x / width, y: y / height }));
+  const isShort = (a, b) => Math.hypot(b.x - a.x, b.y - a.y) < ANNOTATION_CONFIG.MIN_SHAPE_LENGTH;
+
+  const handlePointerDown = (event) => {
+    if (!tool) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = toVideoPoint(event);
+
+    // Second arm of a protractor
+    if (draft?.placing) {
+      onShapeDrawn({ type: 'angle', points: toNormalized([...draft.points.slice(0, 2), point]) });
+      setDraft(null);
+      return;
+    }
+    setDraft({ type: tool, points: [point, point], dragging: true });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!draft) return;
+    const point = toVideoPoint(event);
+    if (draft.dragging) {
+      setDraft({ ...draft, points: [draft.points[0], point] });
+    } else if (draft.placing) {
+      setDraft({ ...draft, points: [draft.points[0], draft.points[1], point] });
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (!draft?.dragging) return;
+    const [start, end] = draft.points;
+    if (isShort(start, end)) {
+      setDraft(null);
+      return;
+    }
+    if (draft.type === 'angle') {
+      setDraft({ type: 'angle', points: [start, end, end], placing: true });
+      return;
+    }
+    onShapeDrawn({ type: draft.type, points: toNormalized([start, end]) });
+    setDraft(null);
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      className="absolute inset-0 w-full h-full"
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="xMidYMid meet"
+      style={{
+        zIndex: 24,
+        pointerEvents: tool ? 'auto' : 'none',
+        cursor: tool ? 'crosshair' : 'default',
+        touchAction: 'none',
+      }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => setDraft(null)}
+    >
+      {shapes.map((shape, index) => (
+        <AnnotationShape
+          key={index}
+          type={shape.type}
+          pixels={shapePixels(shape, size)}
+          scale={scale}
+          color={ANNOTATION_CONFIG.COLOR}
+        />
+      ))}
+      {draft && (
+        <AnnotationShape type={draft.type} pixels={draft.points} scale={scale} color="rgb(255, 255, 255)" />
+      )}
+    </svg>
+  );
+};
+
+export default AnnotationOverlay;
@@ -0,0 +1,97 @@
+import { ANNOTATION_TOOLS } from '../../../shared/utils/annotations';
+
+// Format milliseconds as M:SS.s
+const formatTimestamp = (ms) => {
+  const seconds = ms / 1000;
+  const mins = Math.floor(seconds / 60);
+  return `${mins}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+};
+
+/**
+ * Edit the annotation on the paused frame: pick a drawing tool, undo the last
+ * shape, write the coaching note, then save or discard. `error` reports a
+ * save or delete that couldn't be stored.
+ */
+const AnnotationPanel = ({
+  annotation,
+  isNew,
+  tool,
+  onToolChange,
+  onChange,
+  onSave,
+  onDelete,
+  onClose,
+  error,
+}) => {
+  const isEmpty = annotation.shapes.length === 0 && annotation.note.trim() === '';
+
+  return (
+    <div className="w-60 bg-black/80 backdrop-blur-sm rounded-lg p-3 text-xs text-white/90 flex flex-col gap-2">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold text-white/95">
+          {isNew ? 'New note' : 'Edit note'} at{' '}
+          <span className="font-mono">{formatTimestamp(annotation.timestampMs)}</span>
+        </span>
+        <button onClick={onClose} className="text-white/60 hover:text-white" title="Discard changes">
+          ✕
+        </button>
+      </div>
+
+      <div className="flex gap-1">
+        {ANNOTATION_TOOLS.map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => onToolChange(tool === key ? null : key)}
+            className={`flex-1 px-2 py-1 rounded transition-colors ${
+              tool === key ? 'bg-yellow-400 text-black' : 'bg-white/20 hover:bg-white/30'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {tool === 'angle' && (
+        <div className="text-yellow-300">Drag the first arm to the vertex, then click the second arm's end</div>
+      )}
+      {(tool === 'line' || tool === 'arrow') && <div className="text-yellow-300">Drag on the frame</div>}
+
+      <button
+        onClick={() => onChange({ shapes: annotation.shapes.slice(0, -1) })}
+        disabled={annotation.shapes.length === 0}
+        className="px-2 py-1 rounded bg-white/20 hover:bg-white/30 transition-colors disabled:opacity-40"
+      >
+        Undo drawing ({annotation.shapes.length})
+      </button>
+
+      <textarea
+        value={annotation.note}
+        onChange={(event) => onChange({ note: event.target.value })}
+        rows={3}
+        placeholder="Coaching note"
+        className="px-2 py-1 rounded bg-white/15 text-white resize-none focus:outline-none focus:ring-1 focus:ring-white/60"
+      />
+
+      {error && <div className="text-red-400">{error}</div>}
+
+      <div className="flex gap-2">
+        <button
+          onClick={onSave}
+          disabled={isEmpty}
+          className="flex-1 px-2 py-1 rounded bg-green-500 hover:bg-green-400 text-black font-medium transition-colors disabled:opacity-40"
+        >
+          Save
+        </button>
+        {!isNew && (
+          <button
+            onClick={onDelete}
+            className="flex-1 px-2 py-1 rounded bg-red-500/80 hover:bg-red-500 transition-colors"
+          >
+            Delete
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnnotationPanel;
@@ -0,0 +1,31 @@
+import { ANNOTATION_CONFIG } from '../../../shared/constants/annotations';
+
+/**
+ * Annotation markers along the player's progress bar. Clicking one jumps to
+ * the annotated frame.
+ */
+const AnnotationTimeline = ({ annotations, duration, onJump }) => {
+  if (!annotations?.length || !duration) return null;
+
+  const toPercent = (ms) => `${Math.min(100, Math.max(0, (ms / 1000 / duration) * 100))}%`;
+
+  return (
+    <div className="absolute left-0 right-0 bottom-0 h-2.5 pointer-events-none" style={{ zIndex: 1 }}>
+      {annotations.map((annotation) => (
+        <button
+          key={annotation.id}
+          onClick={(event) => {
+            event.stopPropagation();
+            onJump(annotation);
+          }}
+          className="absolute bottom-0 w-2.5 h-2.5 -translate-x-1/2 rotate-45 rounded-sm pointer-events-auto border border-black/40"
+          style={{ left: toPercent(annotation.timestampMs), backgroundColor: ANNOTATION_CONFIG.COLOR }}
+          title={annotation.note || 'Drawing'}
+          aria-label="Jump to annotation"
+        />
+      ))}
+    </div>
+  );
+};
+
+export default AnnotationTimeline;
@@ -0,0 +1,56 @@
+import { useState } from 'react';
+import { exportAnalysisData } from '../services/dataExportService';
+import { downloadBlob, exportFilename } from '../../../shared/utils/download';
+
+const FORMATS = [
+  { key: 'csv', label: 'CSV', title: 'Per-frame landmarks and angles' },
+  { key: 'json', label: 'JSON', title: 'Video details, metrics, turns and feedback' },
+];
+
+/**
+ * Download the video's analysis as CSV or JSON
+ */
+const ExportDataButtons = ({ video }) => {
+  const [busyFormat, setBusyFormat] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (!video.metrics) return null;
+
+  const handleExport = async (format) => {
+    setBusyFormat(format);
+    setError(null);
+    try {
+      const blob = await exportAnalysisData(video, format);
+      downloadBlob(blob, exportFilename(video.name, `analysis.${format}`));
+    } catch (err) {
+      console.error('Data export failed:', err);
+      setError(err.message);
+    } finally {
+      setBusyFormat(null);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-1 py-2 px-2 text-sm text-gray-600">
+      <span className="mr-1">Data:</span>
+      {FORMATS.map(({ key, label, title }) => (
+        <button
+          key={key}
+          onClick={() => handleExport(key)}
+          disabled={busyFormat !== null}
+          className="px-2 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-gray-700 text-xs transition-colors disabled:opacity-40"
+          title={title}
+        >
+          {busyFormat === key ? '…' : label}
+        </button>
+      ))}
+      {error && (
+        <span className="ml-1 text-xs text-red-600" title={`Export failed: ${error}`}>
+          Export failed
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default ExportDataButtons;
@@ -0,0 +1,84 @@
+import { useState, useRef, useEffect } from 'react';
+import { exportAnnotatedVideo, pickRecordingType } from '../services/videoExportService';
+import { downloadBlob, exportFilename } from '../../../shared/utils/download';
+
+/**
+ * Export the video with its overlay, readouts and annotations burned in,
+ * showing progress while it records and downloading the file when done
+ */
+const ExportVideoButton = ({ video, skierId }) => {
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  // Stop a running export when the card closes
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  if (!video.metrics?.skiers) return null;
+
+  const isSupported = pickRecordingType() !== null;
+  const isExporting = progress !== null;
+
+  const handleExport = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setProgress(0);
+
+    try {
+      const { blob, extension } = await exportAnnotatedVideo(video, {
+        skierId,
+        onProgress: setProgress,
+        signal: controller.signal,
+      });
+      downloadBlob(blob, exportFilename(video.name, `annotated.${extension}`));
+    } catch (err) {
+      if (err?.name !== 'AbortError') {
+        console.error('Video export failed:', err);
+        setError(err?.message ?? 'Unknown error');
+      }
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  if (isExporting) {
+    return (
+      <div className="flex items-center gap-2 py-2 px-4 text-sm text-gray-600">
+        <div className="w-24 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+          <div className="h-full bg-bright-blue" style={{ width: `${Math.round(progress * 100)}%` }} />
+        </div>
+        <span className="font-mono text-xs">{Math.round(progress * 100)}%</span>
+        <button
+          onClick={() => abortRef.current?.abort()}
+          className="text-xs text-gray-500 hover:text-gray-800"
+        >
+          Cancel
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <button
+      onClick={handleExport}
+      disabled={!isSupported}
+      className="flex items-center justify-center py-2 px-4 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-50 rounded transition-colors disabled:opacity-40"
+      title={
+        error
+          ? `Export failed: ${error}`
+          : isSupported
+            ? 'Download the clip with the overlay and annotations (records in real time)'
+            : 'This browser cannot record video'
+      }
+    >
+      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M12 4v12m0 0l-4-4m4 4l4-4" />
+      </svg>
+      <span className={`ml-1 ${error ? 'text-red-600' : ''}`}>{error ? 'Export failed' : 'Export video'}</span>
+    </button>
+  );
+};
+
+export default ExportVideoButton;
@@ -0,0 +1,68 @@
+const SEVERITY_STYLES = {
+  high: 'bg-red-100 text-red-700',
+  medium: 'bg-amber-100 text-amber-700',
+  low: 'bg-gray-100 text-gray-600',
+};
+
+// Format milliseconds as M:SS.s
+const formatTimestamp = (ms) => {
+  const seconds = ms / 1000;
+  const mins = Math.floor(seconds / 60);
+  return `${mins}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+};
+
+/**
+ * One list of feedback items, each with its severity and the moments that
+ * triggered it (click a moment to jump there)
+ */
+const FeedbackSection = ({ title, items, accent, onSeek }) => (
+  <div>
+    <h4 className={`text-sm font-semibold mb-2 ${accent}`}>{title}</h4>
+    {items.length === 0 ? (
+      <p className="text-xs text-gray-500">Nothing stands out yet.</p>
+    ) : (
+      <ul className="space-y-2">
+        {items.map((item) => (
+          <li key={item.ruleId} className="text-sm text-gray-700">
+            <div className="flex items-start gap-2">
+              <span className={`mt-0.5 px-1.5 rounded text-[10px] uppercase flex-shrink-0 ${SEVERITY_STYLES[item.severity]}`}>
+                {item.severity}
+              </span>
+              <span>{item.message}</span>
+            </div>
+            {item.timestamps.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-1 ml-10">
+                {item.timestamps.map((timestamp) => (
+                  <button
+                    key={timestamp}
+                    onClick={() => onSeek?.(timestamp)}
+                    className="px-1.5 text-xs font-mono text-bright-blue bg-blue-50 hover:bg-blue-100 rounded"
+                    title="Jump to this moment"
+                  >
+                    {formatTimestamp(timestamp)}
+                  </button>
+                ))}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+/**
+ * Coaching feedback for the followed skier
+ */
+const FeedbackList = ({ feedback, onSeek }) => {
+  if (!feedback) return null;
+
+  return (
+    <div className="mb-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+      <FeedbackSection title="Strengths" items={feedback.positives} accent="text-green-700" onSeek={onSeek} />
+      <FeedbackSection title="To work on" items={feedback.improvements} accent="text-amber-700" onSeek={onSeek} />
+    </div>
+  );
+};
+
+export default FeedbackList;
@@ -0,0 +1,120 @@
+import { useSettings } from '../../../shared/hooks';
+import { resolveFeedbackRules } from '../../../shared/utils/feedbackEngine';
+
+const KIND_STYLES = {
+  positive: 'bg-green-100 text-green-700',
+  improvement: 'bg-amber-100 text-amber-700',
+};
+
+/**
+ * Number input for one rule threshold; empty or invalid input is ignored
+ */
+const ThresholdInput = ({ label, value, step, onChange }) => (
+  <label className="flex items-center gap-1 text-xs text-gray-600">
+    {label}
+    <input
+      type="number"
+      value={value}
+      step={step}
+      onChange={(event) => {
+        const number = parseFloat(event.target.value);
+        if (!Number.isNaN(number)) onChange(number);
+      }}
+      className="w-16 border border-gray-300 rounded px-1 py-0.5 text-night-blue focus:outline-none focus:ring-2 focus:ring-bright-blue"
+    />
+  </label>
+);
+
+/**
+ * Editor for the coaching feedback rules: turn rules on or off and tune their
+ * thresholds. Changes are saved in the settings and used by the next analysis;
+ * "Apply to library" re-evaluates the videos already analyzed.
+ */
+const FeedbackRulesEditor = ({ onApply, onClose }) => {
+  const [settings, updateSettings] = useSettings();
+  const overrides = settings.feedbackRules ?? {};
+  const rules = resolveFeedbackRules(overrides);
+
+  const updateRule = (id, changes) => {
+    updateSettings({ feedbackRules: { ...overrides, [id]: { ...overrides[id], ...changes } } });
+  };
+
+  return (
+    <div className="mb-8 bg-white rounded-lg shadow-md p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div>
+          <h2 className="font-semibold text-night-blue">Coaching rules</h2>
+          <p className="text-xs text-gray-500">
+            A rule fires when at least its share of frames (or turns) falls inside the thresholds.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => updateSettings({ feedbackRules: {} })}
+            className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800 rounded transition-colors"
+          >
+            Reset
+          </button>
+          <button
+            onClick={onApply}
+            className="px-3 py-1 text-sm text-white bg-bright-blue hover:opacity-90 rounded transition-opacity"
+          >
+            Apply to library
+          </button>
+          <button
+            onClick={onClose}
+            className="px-2 py-1 text-sm text-gray-500 hover:text-gray-800"
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div className="divide-y divide-gray-100">
+        {rules.map((rule) => (
+          <div key={rule.id} className="flex flex-wrap items-center gap-x-4 gap-y-1 py-2">
+            <label className="flex items-center gap-2 min-w-[14rem] flex-1 text-sm text-night-blue">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(event) => updateRule(rule.id, { enabled: event.target.checked })}
+              />
+              <span className={rule.enabled ? '' : 'text-gray-400'}>{rule.label}</span>
+              <span className={`px-1.5 rounded text-[10px] uppercase ${KIND_STYLES[rule.kind]}`}>
+                {rule.kind}
+              </span>
+            </label>
+            <span className="text-xs text-gray-500 w-40">
+              {rule.abs ? `|${rule.metric}|` : rule.metric} per {rule.scope === 'turns' ? 'turn' : 'frame'}
+            </span>
+            {rule.min !== undefined && (
+              <ThresholdInput
+                label="min"
+                value={rule.min}
+                step="any"
+                onChange={(min) => updateRule(rule.id, { min })}
+              />
+            )}
+            {rule.max !== undefined && (
+              <ThresholdInput
+                label="max"
+                value={rule.max}
+                step="any"
+                onChange={(max) => updateRule(rule.id, { max })}
+              />
+            )}
+            <ThresholdInput
+              label="share %"
+              value={Math.round(rule.minShare * 100)}
+              step={5}
+              onChange={(percent) => updateRule(rule.id, { minShare: percent / 100 })}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default FeedbackRulesEditor;
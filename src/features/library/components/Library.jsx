@@ -1,8 +1,19 @@
 import { useState, useEffect } from 'react';
 import VideoCard from './VideoCard';
+import ModelSelector from './ModelSelector';
+import SmoothingSelector from './SmoothingSelector';
+import FeedbackRulesEditor from './FeedbackRulesEditor';
+import ScoreWeightsEditor from './ScoreWeightsEditor';
+import SkierHeightInput from './SkierHeightInput';
 import { LoadingCard } from '../../../components';
 
-const Library = ({ videos, onDeleteVideo }) => {
+const Library = ({
+  videos,
+  analysisProgress = {},
+  onDeleteVideo,
+  onSlopeReferenceChange,
+  onRecomputeAll,
+}) => {
   // Find processing video (if any)
   const processingVideo = videos.find((video) => video.isProcessing);
 
@@ -16,6 +27,9 @@ const Library = ({ videos, onDeleteVideo }) => {
 
   // Track which video is expanded (first one by default)
   const [expandedVideoId, setExpandedVideoId] = useState(null);
+  // Settings panel open below the header: 'rules', 'weights' or null
+  const [openPanel, setOpenPanel] = useState(null);
+  const togglePanel = (panel) => setOpenPanel(openPanel === panel ? null : panel);
 
   // Expand the first video when the list changes (new video added or videos loaded)
   useEffect(() => {
@@ -49,15 +63,44 @@ const Library = ({ videos, onDeleteVideo }) => {
   return (
     <>
       <div className="max-w-6xl mx-auto">
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold text-night-blue mb-2">
-            Video Library
-          </h1>
-          <p className="text-night-blue">
-            {completedVideos.length} video{completedVideos.length !== 1 ? 's' : ''} with pose analysis
-          </p>
+        <div className="mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-night-blue mb-2">
+              Video Library
+            </h1>
+            <p className="text-night-blue">
+              {completedVideos.length} video{completedVideos.length !== 1 ? 's' : ''} with pose analysis
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-4">
+            <ModelSelector />
+            <SmoothingSelector />
+            <SkierHeightInput onChange={onRecomputeAll} />
+            <button
+              onClick={() => togglePanel('rules')}
+              className="self-start text-sm font-medium text-night-blue border border-gray-300 rounded-lg px-3 py-1 bg-white hover:bg-gray-50"
+            >
+              Coaching rules
+            </button>
+            <button
+              onClick={() => togglePanel('weights')}
+              className="self-start text-sm font-medium text-night-blue border border-gray-300 rounded-lg px-3 py-1 bg-white hover:bg-gray-50"
+            >
+              Score weights
+            </button>
+          </div>
         </div>
 
+        {openPanel === 'rules' && (
+          <FeedbackRulesEditor
+            onApply={onRecomputeAll}
+            onClose={() => setOpenPanel(null)}
+          />
+        )}
+        {openPanel === 'weights' && (
+          <ScoreWeightsEditor onClose={() => setOpenPanel(null)} />
+        )}
+
         <div className="grid gap-4">
           {completedVideos.map((video) => (
             <VideoCard
@@ -66,6 +109,7 @@ const Library = ({ videos, onDeleteVideo }) => {
               isExpanded={expandedVideoId === video.id}
               onToggle={() => setExpandedVideoId(video.id)}
               onDelete={onDeleteVideo}
+              onSlopeReferenceChange={onSlopeReferenceChange}
             />
           ))}
         </div>
@@ -77,7 +121,7 @@ const Library = ({ videos, onDeleteVideo }) => {
           <div className="max-w-lg w-full">
             <LoadingCard
               videoName={processingVideo.name}
-              startTime={processingVideo.processingStartTime}
+              progress={analysisProgress[processingVideo.id] ?? 0}
             />
           </div>
         </div>
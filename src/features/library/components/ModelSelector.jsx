@@ -0,0 +1,43 @@
+import { useSettings } from '../../../shared/hooks';
+import { resolveModelVariant } from '../../../shared/services/settingsService';
+import { POSE_MODEL_VARIANTS } from '../../../shared/constants/mediapipe';
+import { getDefaultModelVariant } from '../../../shared/utils/videoUtils';
+
+/**
+ * Pose model picker. "Auto" keeps the per-device default; the choice applies
+ * to the live player right away and to the next video analysis.
+ */
+const ModelSelector = () => {
+  const [settings, updateSettings] = useSettings();
+  const defaultVariant = getDefaultModelVariant();
+  // A stored variant this version doesn't know falls back to the default, like "Auto"
+  const variant = resolveModelVariant(settings);
+  const selected = variant === settings.modelVariant ? variant : 'auto';
+  const description = POSE_MODEL_VARIANTS[variant].description;
+
+  const handleChange = (event) => {
+    const { value } = event.target;
+    updateSettings({ modelVariant: value === 'auto' ? null : value });
+  };
+
+  return (
+    <div className="flex flex-col items-start sm:items-end">
+      <label className="text-sm text-night-blue">
+        <span className="mr-2 font-medium">Pose model</span>
+        <select
+          value={selected}
+          onChange={handleChange}
+          className="border border-gray-300 rounded-lg px-2 py-1 bg-white text-night-blue focus:outline-none focus:ring-2 focus:ring-bright-blue"
+        >
+          <option value="auto">Auto ({POSE_MODEL_VARIANTS[defaultVariant].label})</option>
+          {Object.entries(POSE_MODEL_VARIANTS).map(([variant, { label }]) => (
+            <option key={variant} value={variant}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <span className="text-xs text-gray-500 mt-1">{description}</span>
+    </div>
+  );
+};
+
+export default ModelSelector;
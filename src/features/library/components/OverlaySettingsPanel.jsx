@@ -0,0 +1,87 @@
+import { useSettings } from '../../../shared/hooks';
+import { OVERLAY_PRESETS } from '../../../shared/constants/overlay';
+import { OVERLAY_LAYER_OPTIONS, resolveOverlaySettings } from '../../../shared/utils/overlayRenderer';
+
+// Style values the user can adjust on top of a preset
+const STYLE_SLIDERS = [
+  { key: 'lineWidth', label: 'Line width', min: 1, max: 12, step: 1 },
+  { key: 'jointRadius', label: 'Joint size', min: 2, max: 14, step: 1 },
+  { key: 'minVisibility', label: 'Min. confidence', min: 0, max: 0.9, step: 0.05 },
+];
+
+/**
+ * Choose which overlay layers are drawn and how. Choices are saved in the
+ * settings and apply to every player from the next drawn frame.
+ */
+const OverlaySettingsPanel = ({ onClose }) => {
+  const [settings, updateSettings] = useSettings();
+  const overlay = settings.overlay ?? {};
+  const { preset, layers, style } = resolveOverlaySettings(overlay);
+
+  const update = (changes) => {
+    updateSettings({ overlay: { ...overlay, ...changes } });
+  };
+
+  return (
+    <div className="w-60 bg-black/80 backdrop-blur-sm rounded-lg p-3 text-xs text-white/90 flex flex-col gap-2">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold text-white/95">Overlay</span>
+        <button onClick={onClose} className="text-white/60 hover:text-white" title="Close">
+          ✕
+        </button>
+      </div>
+
+      <label className="flex items-center gap-2">
+        <span className="w-12">Style</span>
+        {/* Picking a preset drops the size tweaks made on the previous one */}
+        <select
+          value={preset}
+          onChange={(event) => update({ preset: event.target.value, style: {} })}
+          className="flex-1 px-1.5 py-1 rounded bg-white/15 text-white focus:outline-none focus:ring-1 focus:ring-white/60"
+        >
+          {Object.entries(OVERLAY_PRESETS).map(([key, { label }]) => (
+            <option key={key} value={key} className="text-black">{label}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="grid grid-cols-2 gap-x-2 gap-y-1">
+        {OVERLAY_LAYER_OPTIONS.map(({ key, label }) => (
+          <label key={key} className="flex items-center gap-1.5 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={layers[key]}
+              onChange={(event) => update({ layers: { ...overlay.layers, [key]: event.target.checked } })}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {STYLE_SLIDERS.map(({ key, label, min, max, step }) => (
+        <label key={key} className="flex items-center gap-2">
+          <span className="w-24">{label}</span>
+          <input
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={style[key]}
+            onChange={(event) => update({ style: { ...overlay.style, [key]: Number(event.target.value) } })}
+            className="flex-1"
+          />
+          <span className="w-8 text-right font-mono">{style[key]}</span>
+        </label>
+      ))}
+
+      <button
+        onClick={() => updateSettings({ overlay: {} })}
+        className="self-end px-2 py-1 rounded bg-white/20 hover:bg-white/30 transition-colors"
+      >
+        Reset
+      </button>
+    </div>
+  );
+};
+
+export default OverlaySettingsPanel;
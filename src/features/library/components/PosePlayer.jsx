@@ -1,30 +1,105 @@
-import { useRef, useEffect, useState, useCallback } from 'react';
+import { useRef, useEffect, useState, useCallback, useMemo } from 'react';
 import { usePoseDetection } from '../hooks/usePoseDetection';
+import { useAnnotations } from '../hooks/useAnnotations';
 import { ResponsiveVideoContainer } from '../../../components/VideoPlayer';
 import VideoControls from '../../../components/VideoPlayer/VideoControls';
 import { toggleFullscreen } from '../../../shared/utils/videoUtils';
+import { loadPoseTrack } from '../../../shared/services/videoStorageService';
+import { getSkierColor, listSkiers } from '../../../shared/utils/poseTracking';
+import { computeAngleSeries } from '../../../shared/utils/angleSeries';
+import { JOINT_ANGLES } from '../../../shared/utils/jointAngles';
+import { createAnnotation, annotationsAt } from '../../../shared/utils/annotations';
+import {
+  slopeVector,
+  estimateSlopeFromSkis,
+} from '../../../shared/utils/slopeReference';
+import { PLAYBACK_CONFIG } from '../../../shared/constants/playback';
+import { DEFAULT_SLOPE_ANGLE } from '../../../shared/constants/analysis';
+import { useVideoFrameRate } from '../../../shared/hooks/useVideoFrameRate';
+import { useSettings } from '../../../shared/hooks/useSettings';
+import SlopeLineOverlay from './SlopeLineOverlay';
+import SlopeReferencePanel from './SlopeReferencePanel';
+import OverlaySettingsPanel from './OverlaySettingsPanel';
+import AngleChart from './AngleChart';
+import AnnotationOverlay from './AnnotationOverlay';
+import AnnotationPanel from './AnnotationPanel';
+import AnnotationTimeline from './AnnotationTimeline';
+import AnnotationList from './AnnotationList';
+import TurnTimeline from './TurnTimeline';
+import QualityTimeline from './QualityTimeline';
+
+const READOUT_COLORS = {
+  lean: 'text-green-400',
+  slope: 'text-orange-400',
+};
 
-const PosePlayer = ({ url, name }) => {
+const PosePlayer = ({
+  videoId,
+  url,
+  name,
+  skierId = null,
+  slopeReference,
+  onSlopeReferenceChange,
+  turns,
+  qualityTimeline,
+  seekRequest,
+}) => {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const containerRef = useRef(null);
+  const [poseTrack, setPoseTrack] = useState(null);
+  const [videoSize, setVideoSize] = useState({ width: 0, height: 0 });
+  const [showSlopePanel, setShowSlopePanel] = useState(false);
+  const [isDrawingSlope, setIsDrawingSlope] = useState(false);
+  const [showOverlayPanel, setShowOverlayPanel] = useState(false);
+  const [{ overlay, smoothing }] = useSettings();
+  const slopeAngle = slopeReference?.angle ?? DEFAULT_SLOPE_ANGLE;
+  const aspectRatio = videoSize.height ? videoSize.width / videoSize.height : 1;
+  const slope = useMemo(() => slopeVector(slopeAngle, aspectRatio), [slopeAngle, aspectRatio]);
   const {
     initializeMediaPipe,
     startDetection,
     stopDetection,
-    leanAngle,
-    slopeAngle,
+    renderFrame,
+    angles,
     isReady,
-    isInitializing
-  } = usePoseDetection();
+    isInitializing,
+    error: detectionError
+  } = usePoseDetection(poseTrack, { skierId, slope, aspectRatio });
   const containerDimensionsRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [showControls, setShowControls] = useState(true);
   const [isScrubbing, setIsScrubbing] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const fps = useVideoFrameRate(videoRef, url);
   const hideControlsTimeoutRef = useRef(null);
   const progressBarRef = useRef(null);
+  const { annotations, saveAnnotation, deleteAnnotation } = useAnnotations(videoId);
+  // Annotation being drawn or edited ({annotation, isNew}), and the drawing tool picked
+  const [annotationDraft, setAnnotationDraft] = useState(null);
+  const [annotationError, setAnnotationError] = useState(null);
+  const [annotationTool, setAnnotationTool] = useState(null);
+
+  // Annotations on screen now; the one being edited is drawn from the draft
+  const shownAnnotations = annotationsAt(
+    annotations.filter((annotation) => annotation.id !== annotationDraft?.annotation.id),
+    currentTime * 1000,
+    { frameDurationMs: 1000 / fps, isPlaying }
+  );
+  const annotationShapes = [
+    ...shownAnnotations.flatMap((annotation) => annotation.shapes),
+    ...(annotationDraft?.annotation.shapes ?? []),
+  ];
+
+  // Angles across the clip for the chart, for the followed skier (or the
+  // most-seen one when none is chosen)
+  const angleSeries = useMemo(() => {
+    if (!poseTrack) return null;
+    const chartSkierId = skierId ?? listSkiers(poseTrack)[0]?.id ?? null;
+    return computeAngleSeries(poseTrack, chartSkierId, { slope, aspectRatio, smoothing });
+  }, [poseTrack, skierId, slope, aspectRatio, smoothing]);
 
   const handleContainerResize = useCallback((dimensions) => {
     const canvas = canvasRef.current;
@@ -39,10 +114,24 @@ const PosePlayer = ({ url, name }) => {
     }
   }, []);
 
-  // Initialize MediaPipe when component mounts
+  // Load the stored landmark track so playback can replay it
   useEffect(() => {
-    initializeMediaPipe();
-  }, [initializeMediaPipe]);
+    let cancelled = false;
+    loadPoseTrack(videoId).then((track) => {
+      if (!cancelled) setPoseTrack(track.length > 0 ? track : null);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [videoId]);
+
+  // Initialize MediaPipe when component mounts (after a failure, only the Retry button tries again)
+  useEffect(() => {
+    if (detectionError) return;
+    initializeMediaPipe().catch(() => {
+      // Surfaced through detectionError
+    });
+  }, [initializeMediaPipe, detectionError]);
 
   useEffect(() => {
     const video = videoRef.current;
@@ -51,6 +140,9 @@ const PosePlayer = ({ url, name }) => {
     if (!video || !canvas) return;
 
     const handlePlay = async () => {
+      // Drawing needs a still frame
+      setIsDrawingSlope(false);
+
       // Prevent playback if MediaPipe not ready
       if (!isReady) {
         console.warn('⚠️ MediaPipe not ready, pausing video...');
@@ -76,6 +168,7 @@ const PosePlayer = ({ url, name }) => {
     };
 
     const handleLoadedMetadata = () => {
+      setVideoSize({ width: video.videoWidth, height: video.videoHeight });
       setDuration(video.duration);
       setCurrentTime(video.currentTime);
     };
@@ -115,7 +208,8 @@ const PosePlayer = ({ url, name }) => {
   // Control handlers
   const handlePlayPause = () => {
     const video = videoRef.current;
-    if (!video || !isReady) return;
+    // Annotations are drawn on a still frame
+    if (!video || !isReady || annotationDraft) return;
 
     if (video.paused) {
       video.play();
@@ -133,6 +227,40 @@ const PosePlayer = ({ url, name }) => {
     resetHideControlsTimeout();
   };
 
+  // Step whole frames, landing mid-frame so the browser shows exactly that one.
+  // The seek redraws the overlay (see below).
+  const handleStepFrame = (frames) => {
+    const video = videoRef.current;
+    // Stay on the frame being annotated
+    if (!video || !Number.isFinite(video.duration) || annotationDraft) return;
+
+    video.pause();
+    const frame = Math.floor(video.currentTime * fps + 1e-3) + frames;
+    const lastFrame = Math.max(0, Math.ceil(video.duration * fps) - 1);
+    const target = Math.min(Math.max(0, frame), lastFrame);
+    video.currentTime = Math.min(video.duration, (target + 0.5) / fps);
+    resetHideControlsTimeout();
+  };
+
+  // Jump to a time picked on the angle chart
+  const handleChartSeek = (seconds) => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    video.currentTime = Math.max(0, Math.min(video.duration, seconds));
+    setCurrentTime(video.currentTime);
+  };
+
+  const handlePlaybackRateChange = (rate) => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    video.defaultPlaybackRate = rate;
+    video.playbackRate = rate;
+    setPlaybackRate(rate);
+    resetHideControlsTimeout();
+  };
+
   const handleFullscreen = async () => {
     if (!containerRef.current) return;
 
@@ -144,6 +272,33 @@ const PosePlayer = ({ url, name }) => {
     }
   };
 
+  // Keyboard shortcuts while the player has focus
+  const handleKeyDown = (e) => {
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    // Focused buttons already handle their own Space presses
+    if (e.key === ' ' && e.target.tagName === 'BUTTON') return;
+
+    const rateIndex = PLAYBACK_CONFIG.RATES.indexOf(playbackRate);
+    const actions = {
+      ' ': handlePlayPause,
+      k: handlePlayPause,
+      ArrowLeft: () => (e.shiftKey ? handleSeek(-PLAYBACK_CONFIG.SEEK_SECONDS) : handleStepFrame(-1)),
+      ArrowRight: () => (e.shiftKey ? handleSeek(PLAYBACK_CONFIG.SEEK_SECONDS) : handleStepFrame(1)),
+      ',': () => handleStepFrame(-1),
+      '.': () => handleStepFrame(1),
+      '[': () => handlePlaybackRateChange(PLAYBACK_CONFIG.RATES[Math.max(0, rateIndex - 1)]),
+      ']': () => handlePlaybackRateChange(
+        PLAYBACK_CONFIG.RATES[Math.min(PLAYBACK_CONFIG.RATES.length - 1, rateIndex + 1)]
+      ),
+      f: handleFullscreen,
+    };
+    const action = actions[e.key];
+    if (!action) return;
+
+    e.preventDefault();
+    action();
+  };
+
   const handleScrubbingStart = () => {
     setIsScrubbing(true);
     setShowControls(true);
@@ -187,6 +342,122 @@ const PosePlayer = ({ url, name }) => {
     handleScrubbingEnd();
   };
 
+  const handleSlopeDrawn = (angle) => {
+    setIsDrawingSlope(false);
+    onSlopeReferenceChange?.({ angle: Number(angle.toFixed(1)), source: 'drawn' });
+  };
+
+  const handleSlopeEstimate = () => {
+    const angle = estimateSlopeFromSkis(poseTrack, aspectRatio);
+    if (angle === null) return false;
+    onSlopeReferenceChange?.({ angle: Number(angle.toFixed(1)), source: 'auto' });
+    return true;
+  };
+
+  // Jump to an annotated frame and hold there
+  const handleJumpToAnnotation = (annotation) => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    video.pause();
+    video.currentTime = annotation.timestampMs / 1000;
+    setCurrentTime(video.currentTime);
+  };
+
+  // Annotate the frame on screen, editing its annotation if it already has one
+  const handleStartAnnotation = () => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    video.pause();
+    setIsDrawingSlope(false);
+    const timeMs = video.currentTime * 1000;
+    const [existing] = annotationsAt(annotations, timeMs, { frameDurationMs: 1000 / fps });
+    setAnnotationDraft(existing
+      ? { annotation: existing, isNew: false }
+      : { annotation: createAnnotation(videoId, timeMs), isNew: true });
+    setAnnotationTool(existing ? null : 'arrow');
+  };
+
+  const handleEditAnnotation = (annotation) => {
+    handleJumpToAnnotation(annotation);
+    setIsDrawingSlope(false);
+    setAnnotationDraft({ annotation, isNew: false });
+    setAnnotationTool(null);
+  };
+
+  const handleAnnotationChange = (changes) => {
+    setAnnotationDraft((draft) => ({ ...draft, annotation: { ...draft.annotation, ...changes } }));
+  };
+
+  const handleShapeDrawn = (shape) => {
+    setAnnotationDraft((draft) => ({
+      ...draft,
+      annotation: { ...draft.annotation, shapes: [...draft.annotation.shapes, shape] },
+    }));
+  };
+
+  const closeAnnotation = () => {
+    setAnnotationDraft(null);
+    setAnnotationTool(null);
+    setAnnotationError(null);
+  };
+
+  // The draft stays open when saving fails, so nothing drawn is lost
+  const handleSaveAnnotation = async () => {
+    setAnnotationError(null);
+    try {
+      await saveAnnotation(annotationDraft.annotation);
+      closeAnnotation();
+    } catch (error) {
+      console.error('Failed to save annotation:', error);
+      setAnnotationError('Could not save the note');
+    }
+  };
+
+  const handleDeleteAnnotation = async (annotationId) => {
+    setAnnotationError(null);
+    try {
+      await deleteAnnotation(annotationId);
+      if (annotationDraft?.annotation.id === annotationId) closeAnnotation();
+    } catch (error) {
+      console.error('Failed to delete annotation:', error);
+      setAnnotationError('Could not delete the note');
+    }
+  };
+
+  // Jump to a moment requested from outside the player (e.g. a feedback timestamp)
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!seekRequest || !video) return;
+
+    video.currentTime = seekRequest.timeMs / 1000;
+    setCurrentTime(video.currentTime);
+  }, [seekRequest]);
+
+  // Detection only runs during playback, so redraw the overlay for whatever
+  // frame a seek, scrub or step leaves on screen while paused. This also
+  // redraws when scrubbing ends or the track, followed skier, slope or overlay
+  // settings change.
+  useEffect(() => {
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    if (!video || !canvas) return undefined;
+
+    const redraw = () => {
+      if (!video.paused) return;
+      renderFrame(video, canvas, { frameDurationMs: 1000 / fps, interpolate: isScrubbing });
+    };
+
+    redraw();
+    video.addEventListener('seeked', redraw);
+    video.addEventListener('loadeddata', redraw);
+    return () => {
+      video.removeEventListener('seeked', redraw);
+      video.removeEventListener('loadeddata', redraw);
+    };
+  }, [renderFrame, fps, isScrubbing, poseTrack, skierId, slope, overlay]);
+
   // Reset timeout when playback state changes
   useEffect(() => {
     resetHideControlsTimeout();
@@ -202,128 +473,279 @@ const PosePlayer = ({ url, name }) => {
   }, []);
 
   return (
-    <div
-      ref={containerRef}
-      onMouseMove={resetHideControlsTimeout}
-      onTouchStart={resetHideControlsTimeout}
-      onTouchMove={resetHideControlsTimeout}
-    >
-      <ResponsiveVideoContainer
-        className="bg-black"
-        onResize={handleContainerResize}
+    <>
+      <div
+        ref={containerRef}
+        tabIndex={0}
+        className="focus:outline-none"
+        onKeyDown={handleKeyDown}
+        onMouseMove={resetHideControlsTimeout}
+        onTouchStart={resetHideControlsTimeout}
+        onTouchMove={resetHideControlsTimeout}
       >
-        {/* Video Element - removed native controls */}
-        <video
-          ref={videoRef}
-          src={url}
-          playsInline
-          className="w-full h-full block object-contain"
-          preload="metadata"
-          onClick={handlePlayPause}
-        />
-
-        {/* Pose Overlay Canvas - positioned absolutely over the video */}
-        <canvas
-          ref={canvasRef}
-          className="absolute top-0 left-0 w-full h-full pointer-events-none"
-          style={{ zIndex: 10 }}
-        />
-
-        {/* Loading Indicator - Center overlay */}
-        {isInitializing && (
-          <div
-            className="absolute inset-0 flex items-center justify-center bg-black/70 backdrop-blur-sm"
-            style={{ zIndex: 30 }}
-          >
-            <div className="flex flex-col items-center gap-3">
-              <div className="w-12 h-12 border-4 border-green-500/30 border-t-green-500 rounded-full animate-spin" />
-              <div className="text-white/90 text-sm font-medium">Loading pose detection...</div>
+        <ResponsiveVideoContainer
+          className="bg-black"
+          onResize={handleContainerResize}
+        >
+          {/* Video Element - removed native controls */}
+          <video
+            ref={videoRef}
+            src={url}
+            playsInline
+            className="w-full h-full block object-contain"
+            preload="metadata"
+            onClick={handlePlayPause}
+          />
+
+          {/* Pose Overlay Canvas - positioned absolutely over the video */}
+          <canvas
+            ref={canvasRef}
+            className="absolute top-0 left-0 w-full h-full pointer-events-none"
+            style={{ zIndex: 10 }}
+          />
+
+          {/* Slope reference line, shown while it is being edited */}
+          {showSlopePanel && (
+            <SlopeLineOverlay
+              width={videoSize.width}
+              height={videoSize.height}
+              angle={slopeAngle}
+              isDrawing={isDrawingSlope}
+              onDrawn={handleSlopeDrawn}
+            />
+          )}
+
+          {/* Annotation drawings, and drawing new ones while a tool is picked */}
+          <AnnotationOverlay
+            key={annotationTool}
+            width={videoSize.width}
+            height={videoSize.height}
+            shapes={annotationShapes}
+            tool={annotationDraft ? annotationTool : null}
+            onShapeDrawn={handleShapeDrawn}
+          />
+
+          {/* Notes of the annotations on screen */}
+          {shownAnnotations.some((annotation) => annotation.note) && !annotationDraft && (
+            <div
+              className="absolute left-1/2 -translate-x-1/2 bottom-28 max-w-[70%] bg-black/70 backdrop-blur-sm px-3 py-2 rounded-lg text-sm text-white whitespace-pre-wrap pointer-events-none"
+              style={{ zIndex: 20 }}
+            >
+              {shownAnnotations.map((annotation) => annotation.note).filter(Boolean).join('\n')}
             </div>
+          )}
+
+          {/* Annotations, overlay settings and slope reference - Top-right corner */}
+          <div className="absolute top-2 right-2 flex items-start gap-2" style={{ zIndex: 30 }}>
+            {annotationDraft ? (
+              <AnnotationPanel
+                annotation={annotationDraft.annotation}
+                isNew={annotationDraft.isNew}
+                tool={annotationTool}
+                onToolChange={setAnnotationTool}
+                onChange={handleAnnotationChange}
+                onSave={handleSaveAnnotation}
+                onDelete={() => handleDeleteAnnotation(annotationDraft.annotation.id)}
+                onClose={closeAnnotation}
+                error={annotationError}
+              />
+            ) : (
+              <button
+                onClick={handleStartAnnotation}
+                className="bg-black/60 hover:bg-black/75 backdrop-blur-sm px-3 py-1.5 text-xs text-white/90 rounded-lg transition-colors"
+                title="Draw on this frame and add a coaching note"
+              >
+                Annotate
+              </button>
+            )}
+            {showOverlayPanel ? (
+              <OverlaySettingsPanel onClose={() => setShowOverlayPanel(false)} />
+            ) : (
+              <button
+                onClick={() => setShowOverlayPanel(true)}
+                className="bg-black/60 hover:bg-black/75 backdrop-blur-sm px-3 py-1.5 text-xs text-white/90 rounded-lg transition-colors"
+                title="Choose what the overlay shows"
+              >
+                Overlay
+              </button>
+            )}
+            {showSlopePanel ? (
+              <SlopeReferencePanel
+                angle={slopeAngle}
+                source={slopeReference?.source}
+                isPaused={!isPlaying}
+                isDrawing={isDrawingSlope}
+                onSetAngle={(angle) => onSlopeReferenceChange?.({ angle, source: 'manual' })}
+                onToggleDrawing={() => setIsDrawingSlope(!isDrawingSlope)}
+                onEstimate={handleSlopeEstimate}
+                onClose={() => {
+                  setShowSlopePanel(false);
+                  setIsDrawingSlope(false);
+                }}
+              />
+            ) : (
+              <button
+                onClick={() => setShowSlopePanel(true)}
+                className="bg-black/60 hover:bg-black/75 backdrop-blur-sm px-3 py-1.5 text-xs text-white/90 rounded-lg transition-colors"
+                title="Set the slope reference"
+              >
+                Slope ref <span className="font-mono font-semibold text-orange-400">{slopeAngle}°</span>
+              </button>
+            )}
           </div>
-        )}
-
-        {/* Real-time Analysis - Top-left corner */}
-        <div
-          className="absolute top-2 left-2 bg-black/60 px-3 py-2 text-xs rounded-lg backdrop-blur-sm"
-          style={{
-            zIndex: 20
-          }}
-        >
-          <div className="flex flex-col gap-1.5 text-white/90">
-            {/* Title only visible on desktop (hidden on mobile) */}
-            <div className="font-semibold text-white/95 mb-0.5 hidden md:block">
-              {isInitializing ? 'Initializing...' : 'Real time angles'}
+
+          {/* Loading Indicator - Center overlay */}
+          {isInitializing && (
+            <div
+              className="absolute inset-0 flex items-center justify-center bg-black/70 backdrop-blur-sm"
+              style={{ zIndex: 30 }}
+            >
+              <div className="flex flex-col items-center gap-3">
+                <div className="w-12 h-12 border-4 border-green-500/30 border-t-green-500 rounded-full animate-spin" />
+                <div className="text-white/90 text-sm font-medium">Loading pose detection...</div>
+              </div>
             </div>
-            <div className="flex items-center gap-2">
-              <span className="text-white/70">Lean:</span>
-              <span className="font-mono font-semibold text-green-400">
-                {leanAngle !== null ? `${leanAngle}°` : '—'}
-              </span>
+          )}
+
+          {/* Error State - pose detection couldn't be loaded */}
+          {detectionError && !isInitializing && (
+            <div
+              className="absolute inset-0 flex items-center justify-center bg-black/80 p-6"
+              style={{ zIndex: 30 }}
+            >
+              <div className="flex flex-col items-center gap-3 max-w-md text-center">
+                <div className="text-3xl">⚠️</div>
+                <div className="text-white/95 text-sm font-semibold">Pose detection unavailable</div>
+                <div className="text-white/70 text-xs">{detectionError}</div>
+                <button
+                  onClick={() => initializeMediaPipe().catch(() => {})}
+                  className="mt-1 px-4 py-1.5 text-xs font-medium text-white bg-white/20 hover:bg-white/30 rounded-lg transition-colors"
+                >
+                  Retry
+                </button>
+              </div>
             </div>
-            <div className="flex items-center gap-2">
-              <span className="text-white/70">Slope:</span>
-              <span className="font-mono font-semibold text-orange-400">
-                {slopeAngle !== null ? `${slopeAngle}°` : '—'}
-              </span>
+          )}
+
+          {/* Real-time Analysis - Top-left corner */}
+          <div
+            className="absolute top-2 left-2 bg-black/60 px-3 py-2 text-xs rounded-lg backdrop-blur-sm"
+            style={{
+              zIndex: 20
+            }}
+          >
+            <div className="flex flex-col gap-1.5 text-white/90">
+              {/* Title only visible on desktop (hidden on mobile) */}
+              <div className="font-semibold text-white/95 mb-0.5 hidden md:flex items-center gap-2">
+                {skierId !== null && (
+                  <span
+                    className="w-2.5 h-2.5 rounded-full"
+                    style={{ backgroundColor: getSkierColor(skierId) }}
+                  />
+                )}
+                {isInitializing ? 'Initializing...' : 'Real time angles'}
+              </div>
+              {/* Lean and slope always; the full joint-angle set on larger screens */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-1">
+                {JOINT_ANGLES.map(({ key, label }, index) => (
+                  <div
+                    key={key}
+                    className={`items-center gap-2 ${index < 2 ? 'flex' : 'hidden md:flex'}`}
+                  >
+                    <span className="text-white/70">{label}:</span>
+                    <span className={`font-mono font-semibold ${READOUT_COLORS[key] ?? 'text-sky-300'}`}>
+                      {angles[key] !== null && angles[key] !== undefined ? `${angles[key]}°` : '—'}
+                    </span>
+                  </div>
+                ))}
+              </div>
             </div>
           </div>
-        </div>
-
-        {/* Custom Video Controls with integrated progress bar */}
-        <div
-          className="absolute bottom-0 left-0 right-0 transition-opacity duration-300"
-          style={{
-            zIndex: 30,
-            opacity: showControls ? 1 : 0,
-            pointerEvents: showControls ? 'auto' : 'none'
-          }}
-        >
-          {/* Dark gradient background overlay */}
-          <div className="relative bg-gradient-to-t from-black/90 via-black/70 to-transparent pt-1 md:pt-3 pb-1 md:pb-2 px-4 rounded-t-xl">
-            {/* Video filename at the top of control pane */}
-
-            <VideoControls
-              videoRef={videoRef}
-              isPlaying={isPlaying}
-              onPlayPause={handlePlayPause}
-              onSeek={handleSeek}
-              onFullscreen={handleFullscreen}
-              onScrubbingStart={handleScrubbingStart}
-              onScrubbingEnd={handleScrubbingEnd}
-              showProgressBar={false}
-              disabled={!isReady}
-            />
 
-            <div className="text-white/80 text-xs mb-0.5 md:mb-2 truncate">
-              {name}
-            </div>
-            {/* Progress Bar - At the very bottom of the dark overlay */}
-            <div className="mt-0 md:mt-1">
-              <div
-                ref={progressBarRef}
-                className="relative w-full h-8 flex items-center cursor-pointer"
-                onClick={handleProgressClick}
-                onTouchMove={handleProgressTouch}
-                onTouchEnd={handleProgressTouchEnd}
-              >
-                <div className="absolute inset-0 flex items-center">
-                  <div className="w-full h-1.5 bg-white/25 rounded-full overflow-hidden shadow-inner">
+          {/* Custom Video Controls with integrated progress bar */}
+          <div
+            className="absolute bottom-0 left-0 right-0 transition-opacity duration-300"
+            style={{
+              zIndex: 30,
+              opacity: showControls ? 1 : 0,
+              pointerEvents: showControls ? 'auto' : 'none'
+            }}
+          >
+            {/* Dark gradient background overlay */}
+            <div className="relative bg-gradient-to-t from-black/90 via-black/70 to-transparent pt-1 md:pt-3 pb-1 md:pb-2 px-4 rounded-t-xl">
+              {/* Video filename at the top of control pane */}
+
+              <VideoControls
+                videoRef={videoRef}
+                isPlaying={isPlaying}
+                onPlayPause={handlePlayPause}
+                onSeek={handleSeek}
+                onFullscreen={handleFullscreen}
+                onScrubbingStart={handleScrubbingStart}
+                onScrubbingEnd={handleScrubbingEnd}
+                onStepFrame={handleStepFrame}
+                playbackRate={playbackRate}
+                onPlaybackRateChange={handlePlaybackRateChange}
+                showProgressBar={false}
+                disabled={!isReady}
+              />
+
+              <div className="text-white/80 text-xs mb-0.5 md:mb-2 truncate">
+                {name}
+              </div>
+              {/* Progress Bar - At the very bottom of the dark overlay */}
+              <div className="mt-0 md:mt-1">
+                <div
+                  ref={progressBarRef}
+                  className="relative w-full h-8 flex items-center cursor-pointer"
+                  onClick={handleProgressClick}
+                  onTouchMove={handleProgressTouch}
+                  onTouchEnd={handleProgressTouchEnd}
+                >
+                  <TurnTimeline turns={turns} duration={duration} />
+                  <QualityTimeline timeline={qualityTimeline} duration={duration} />
+                  <AnnotationTimeline
+                    annotations={annotations}
+                    duration={duration}
+                    onJump={handleJumpToAnnotation}
+                  />
+                  <div className="absolute inset-0 flex items-center">
+                    <div className="w-full h-1.5 bg-white/25 rounded-full overflow-hidden shadow-inner">
+                      <div
+                        className="h-full bg-gradient-to-r from-green-500 to-green-400 rounded-full transition-all duration-100 shadow-lg shadow-green-500/40"
+                        style={{ width: `${duration > 0 ? (currentTime / duration) * 100 : 0}%` }}
+                      />
+                    </div>
                     <div
-                      className="h-full bg-gradient-to-r from-green-500 to-green-400 rounded-full transition-all duration-100 shadow-lg shadow-green-500/40"
-                      style={{ width: `${duration > 0 ? (currentTime / duration) * 100 : 0}%` }}
+                      className="absolute w-4 h-4 bg-white rounded-full shadow-lg transform -translate-x-1/2 transition-all duration-100"
+                      style={{ left: `${duration > 0 ? (currentTime / duration) * 100 : 0}%` }}
                     />
                   </div>
-                  <div
-                    className="absolute w-4 h-4 bg-white rounded-full shadow-lg transform -translate-x-1/2 transition-all duration-100"
-                    style={{ left: `${duration > 0 ? (currentTime / duration) * 100 : 0}%` }}
-                  />
                 </div>
               </div>
             </div>
           </div>
-        </div>
-      </ResponsiveVideoContainer>
-    </div>
+        </ResponsiveVideoContainer>
+      </div>
+
+      {/* Angle chart under the video */}
+      <AngleChart
+        series={angleSeries}
+        duration={duration}
+        currentTime={currentTime}
+        onSeek={handleChartSeek}
+      />
+
+      {/* Coaching notes under the chart */}
+      <AnnotationList
+        annotations={annotations}
+        activeId={annotationDraft?.annotation.id}
+        onJump={handleJumpToAnnotation}
+        onEdit={handleEditAnnotation}
+        onDelete={handleDeleteAnnotation}
+        error={annotationDraft ? null : annotationError}
+      />
+    </>
   );
 };
 
@@ -0,0 +1,36 @@
+// Colours of the stretches where tracking can't be trusted
+export const QUALITY_COLORS = {
+  low: 'bg-yellow-300',
+  missing: 'bg-red-500',
+};
+
+/**
+ * Low-confidence and missing-detection stretches drawn under the player's
+ * progress bar, so it's clear which parts of the clip the metrics rest on.
+ * Each stretch takes the pointer (over a band a little taller than the bar)
+ * so hovering it explains the colour; clicks still seek through to the bar.
+ */
+const QualityTimeline = ({ timeline, duration }) => {
+  if (!timeline?.length || !duration) return null;
+
+  const toPercent = (ms) => `${Math.min(100, Math.max(0, (ms / 1000 / duration) * 100))}%`;
+
+  return (
+    <div className="absolute left-0 right-0 bottom-0 h-3 pointer-events-none" style={{ zIndex: 1 }}>
+      {timeline
+        .filter((stretch) => stretch.quality !== 'good')
+        .map((stretch) => (
+          <div
+            key={stretch.startMs}
+            className="absolute top-0 h-full flex items-end pb-1 pointer-events-auto"
+            style={{ left: toPercent(stretch.startMs), width: toPercent(stretch.endMs - stretch.startMs) }}
+            title={stretch.quality === 'missing' ? 'Skier not detected' : 'Low-confidence tracking'}
+          >
+            <div className={`w-full h-1 opacity-80 ${QUALITY_COLORS[stretch.quality]}`} />
+          </div>
+        ))}
+    </div>
+  );
+};
+
+export default QualityTimeline;
@@ -0,0 +1,75 @@
+import { useSettings } from '../../../shared/hooks';
+import { SCORE_COMPONENTS, combineScores } from '../../../shared/utils/scoring';
+import { SCORING_CONFIG } from '../../../shared/constants/analysis';
+
+// Format a score, or a dash if it couldn't be computed
+const formatScore = (value) => (value === null || value === undefined ? '—' : value);
+
+// Bar colour for a 0-100 score
+const scoreColor = (score) => {
+  if (score >= 80) return 'bg-green-500';
+  if (score >= 60) return 'bg-amber-400';
+  return 'bg-red-400';
+};
+
+/**
+ * Overall and technical scores for the followed skier, with each sub-score,
+ * its weight and what it measures
+ */
+const ScoreBreakdown = ({ scores }) => {
+  const [settings] = useSettings();
+  if (!scores) return null;
+
+  const { overall, technical, weights } = combineScores(scores, settings.scoreWeights);
+  const totalWeight = SCORE_COMPONENTS.reduce(
+    (sum, { key }) => sum + ((scores[key]?.score ?? null) !== null ? Math.max(0, weights[key] ?? 0) : 0),
+    0
+  );
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-baseline gap-6 mb-3">
+        <div>
+          <span className="text-3xl font-bold text-night-blue">{formatScore(overall)}</span>
+          <span className="ml-1 text-xs text-gray-500">Overall</span>
+        </div>
+        <div>
+          <span className="text-xl font-semibold text-night-blue">{formatScore(technical)}</span>
+          <span className="ml-1 text-xs text-gray-500" title={SCORING_CONFIG.TECHNICAL.join(', ')}>
+            Technical
+          </span>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {SCORE_COMPONENTS.map(({ key, label, description }) => {
+          const { score = null, samples = 0 } = scores[key] ?? {};
+          const share = score !== null && totalWeight > 0
+            ? Math.round((Math.max(0, weights[key] ?? 0) / totalWeight) * 100)
+            : 0;
+
+          return (
+            <div key={key} className="text-sm">
+              <div className="flex items-center gap-3">
+                <span className="w-24 text-gray-700">{label}</span>
+                <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                  {score !== null && (
+                    <div className={`h-full rounded-full ${scoreColor(score)}`} style={{ width: `${score}%` }} />
+                  )}
+                </div>
+                <span className="w-8 text-right font-semibold text-night-blue">{formatScore(score)}</span>
+                <span className="w-20 text-right text-xs text-gray-500">{share}% of total</span>
+              </div>
+              <div className="ml-24 pl-3 text-xs text-gray-500">
+                {description}
+                {score === null ? ' · not enough data' : ` · from ${samples} samples`}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ScoreBreakdown;
@@ -0,0 +1,63 @@
+import { useSettings } from '../../../shared/hooks';
+import { SCORE_COMPONENTS, resolveScoreWeights } from '../../../shared/utils/scoring';
+
+/**
+ * Sliders for the weight of each sub-score in the overall score. Scores on
+ * the cards update right away; no re-analysis is needed.
+ */
+const ScoreWeightsEditor = ({ onClose }) => {
+  const [settings, updateSettings] = useSettings();
+  const weights = resolveScoreWeights(settings.scoreWeights);
+
+  const updateWeight = (key, value) => {
+    updateSettings({ scoreWeights: { ...settings.scoreWeights, [key]: value } });
+  };
+
+  return (
+    <div className="mb-8 bg-white rounded-lg shadow-md p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div>
+          <h2 className="font-semibold text-night-blue">Score weights</h2>
+          <p className="text-xs text-gray-500">
+            Relative weight of each sub-score in the overall score.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => updateSettings({ scoreWeights: {} })}
+            className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800 rounded transition-colors"
+          >
+            Reset
+          </button>
+          <button
+            onClick={onClose}
+            className="px-2 py-1 text-sm text-gray-500 hover:text-gray-800"
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2">
+        {SCORE_COMPONENTS.map(({ key, label }) => (
+          <label key={key} className="flex items-center gap-3 text-sm text-night-blue">
+            <span className="w-24">{label}</span>
+            <input
+              type="range"
+              min={0}
+              max={50}
+              step={1}
+              value={weights[key]}
+              onChange={(event) => updateWeight(key, Number(event.target.value))}
+              className="flex-1"
+            />
+            <span className="w-8 text-right font-mono">{weights[key]}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ScoreWeightsEditor;
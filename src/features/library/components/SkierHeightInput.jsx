@@ -0,0 +1,54 @@
+import { useState, useEffect } from 'react';
+import { useSettings } from '../../../shared/hooks';
+import { SPEED_CONFIG } from '../../../shared/constants/analysis';
+
+/**
+ * Skier height used to scale speed estimates. Saved when the field is left
+ * or Enter is pressed, then the library's speeds are re-measured.
+ */
+const SkierHeightInput = ({ onChange }) => {
+  const [settings, updateSettings] = useSettings();
+  const [value, setValue] = useState(settings.skierHeightCm ?? '');
+
+  useEffect(() => {
+    setValue(settings.skierHeightCm ?? '');
+  }, [settings.skierHeightCm]);
+
+  const commit = () => {
+    const height = value === '' ? null : Math.round(Number(value));
+    const valid = height === null || (height >= 100 && height <= 230);
+    if (!valid) {
+      setValue(settings.skierHeightCm ?? '');
+      return;
+    }
+    if (height !== settings.skierHeightCm) {
+      updateSettings({ skierHeightCm: height });
+      onChange?.();
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-start sm:items-end">
+      <label className="text-sm text-night-blue">
+        <span className="mr-2 font-medium">Skier height</span>
+        <input
+          type="number"
+          min={100}
+          max={230}
+          value={value}
+          placeholder={String(SPEED_CONFIG.DEFAULT_HEIGHT_CM)}
+          onChange={(event) => setValue(event.target.value)}
+          onBlur={commit}
+          onKeyDown={(event) => event.key === 'Enter' && commit()}
+          className="w-20 border border-gray-300 rounded-lg px-2 py-1 bg-white text-night-blue focus:outline-none focus:ring-2 focus:ring-bright-blue"
+        />
+        <span className="ml-1">cm</span>
+      </label>
+      <span className="text-xs text-gray-500 mt-1">
+        {settings.skierHeightCm ? 'Scales speed estimates' : `Empty = ${SPEED_CONFIG.DEFAULT_HEIGHT_CM} cm, wider speed range`}
+      </span>
+    </div>
+  );
+};
+
+export default SkierHeightInput;
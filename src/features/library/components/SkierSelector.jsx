@@ -0,0 +1,37 @@
+import { getSkierColor } from '../../../shared/utils/poseTracking';
+
+/**
+ * Pick which tracked skier the readouts and metrics follow.
+ * Only shown when more than one skier was detected.
+ */
+const SkierSelector = ({ skiers, selectedId, onSelect }) => {
+  if (!skiers || skiers.length < 2) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4">
+      <span className="text-sm text-gray-600 mr-1">Follow:</span>
+      {skiers.map(({ id }, index) => {
+        const isSelected = id === selectedId;
+        return (
+          <button
+            key={id}
+            onClick={() => onSelect(id)}
+            className={`flex items-center gap-2 px-3 py-1 text-sm rounded-full border transition-colors ${
+              isSelected
+                ? 'border-night-blue bg-night-blue text-white'
+                : 'border-gray-300 text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            <span
+              className="w-3 h-3 rounded-full border border-white"
+              style={{ backgroundColor: getSkierColor(id) }}
+            />
+            Skier {index + 1}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SkierSelector;
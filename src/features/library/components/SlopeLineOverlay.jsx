@@ -0,0 +1,109 @@
+import { useRef, useState } from 'react';
+import { clamp } from '../../../shared/utils/poseCalculations';
+import { slopeAngleFromLine } from '../../../shared/utils/slopeReference';
+
+// Shorter drags are treated as accidental clicks
+const MIN_LINE_LENGTH = 10;
+
+/**
+ * Shows the slope reference line over the video and, in drawing mode, lets
+ * the user drag a new one on the frame.
+ *
+ * The SVG uses the video's pixel size as its viewBox with "meet" scaling, so
+ * it lines up with the letterboxed (object-contain) video frame.
+ */
+const SlopeLineOverlay = ({ width, height, angle, isDrawing, onDrawn }) => {
+  const svgRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+
+  if (!width || !height) return null;
+
+  // Pointer position in video pixels
+  const toVideoPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return { x: clamp(x, 0, width), y: clamp(y, 0, height) };
+  };
+
+  const handlePointerDown = (event) => {
+    if (!isDrawing) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = toVideoPoint(event);
+    setDraft({ start: point, end: point });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!draft) return;
+    setDraft({ ...draft, end: toVideoPoint(event) });
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    const { start, end } = draft;
+    setDraft(null);
+
+    if (Math.hypot(end.x - start.x, end.y - start.y) < MIN_LINE_LENGTH) return;
+    const drawnAngle = slopeAngleFromLine(
+      { x: start.x / width, y: start.y / height },
+      { x: end.x / width, y: end.y / height },
+      width / height
+    );
+    if (drawnAngle !== null) {
+      onDrawn(drawnAngle);
+    }
+  };
+
+  // Current reference, drawn through the centre of the frame
+  const rad = (angle * Math.PI) / 180;
+  const halfLength = Math.hypot(width, height) / 2;
+  const dx = Math.cos(rad) * halfLength;
+  const dy = Math.sin(rad) * halfLength;
+
+  return (
+    <svg
+      ref={svgRef}
+      className="absolute inset-0 w-full h-full"
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="xMidYMid meet"
+      style={{
+        zIndex: 25,
+        pointerEvents: isDrawing ? 'auto' : 'none',
+        cursor: isDrawing ? 'crosshair' : 'default',
+        touchAction: 'none',
+      }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => setDraft(null)}
+    >
+      {draft ? (
+        <line
+          x1={draft.start.x}
+          y1={draft.start.y}
+          x2={draft.end.x}
+          y2={draft.end.y}
+          stroke="rgb(250, 204, 21)"
+          strokeWidth={3}
+          strokeLinecap="round"
+          vectorEffect="non-scaling-stroke"
+        />
+      ) : (
+        <line
+          x1={width / 2 - dx}
+          y1={height / 2 - dy}
+          x2={width / 2 + dx}
+          y2={height / 2 + dy}
+          stroke="rgba(255, 255, 255, 0.8)"
+          strokeWidth={2}
+          strokeDasharray="8 6"
+          vectorEffect="non-scaling-stroke"
+        />
+      )}
+    </svg>
+  );
+};
+
+export default SlopeLineOverlay;
@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+
+const SOURCE_LABELS = {
+  manual: 'entered',
+  drawn: 'drawn on frame',
+  auto: 'estimated from skis',
+};
+
+/**
+ * Set the video's slope reference: type an angle, draw the slope line on the
+ * paused frame, or estimate it from the skis.
+ */
+const SlopeReferencePanel = ({
+  angle,
+  source,
+  isPaused,
+  isDrawing,
+  onSetAngle,
+  onToggleDrawing,
+  onEstimate,
+  onClose,
+}) => {
+  const [input, setInput] = useState(String(angle));
+  const [notice, setNotice] = useState(null);
+
+  // Follow changes made by drawing or estimating
+  useEffect(() => {
+    setInput(String(angle));
+  }, [angle]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const value = Number(input);
+    if (input.trim() === '' || !Number.isFinite(value) || value <= -90 || value >= 90) {
+      setNotice('Enter an angle between -90° and 90°');
+      return;
+    }
+    setNotice(null);
+    if (value !== angle) {
+      onSetAngle(value);
+    }
+  };
+
+  const handleEstimate = () => {
+    setNotice(onEstimate() ? null : 'Feet not visible enough to estimate the slope');
+  };
+
+  return (
+    <div className="w-56 bg-black/80 backdrop-blur-sm rounded-lg p-3 text-xs text-white/90 flex flex-col gap-2">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold text-white/95">Slope reference</span>
+        <button onClick={onClose} className="text-white/60 hover:text-white" title="Close">
+          ✕
+        </button>
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex items-center gap-2">
+        <input
+          type="number"
+          step="0.5"
+          value={input}
+          onChange={(event) => setInput(event.target.value)}
+          onBlur={handleSubmit}
+          className="w-20 px-2 py-1 rounded bg-white/15 text-white font-mono focus:outline-none focus:ring-1 focus:ring-white/60"
+        />
+        <span>° below horizontal</span>
+      </form>
+
+      <div className="text-white/60">
+        {source ? `Currently ${SOURCE_LABELS[source]}` : 'Using the default slope'}
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          onClick={onToggleDrawing}
+          disabled={!isPaused}
+          className={`flex-1 px-2 py-1 rounded transition-colors disabled:opacity-40 ${
+            isDrawing ? 'bg-yellow-400 text-black' : 'bg-white/20 hover:bg-white/30'
+          }`}
+          title={isPaused ? 'Drag along the slope on the frame' : 'Pause the video to draw'}
+        >
+          {isDrawing ? 'Cancel' : 'Draw'}
+        </button>
+        <button
+          onClick={handleEstimate}
+          className="flex-1 px-2 py-1 rounded bg-white/20 hover:bg-white/30 transition-colors"
+        >
+          Auto (skis)
+        </button>
+      </div>
+
+      {isDrawing && <div className="text-yellow-300">Drag along the slope on the frame</div>}
+      {notice && <div className="text-red-300">{notice}</div>}
+    </div>
+  );
+};
+
+export default SlopeReferencePanel;
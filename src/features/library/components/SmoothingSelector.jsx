@@ -0,0 +1,42 @@
+import { useSettings } from '../../../shared/hooks';
+import { SMOOTHING_CONFIG } from '../../../shared/constants/tracking';
+
+const FILTER_OPTIONS = [
+  { value: 'oneEuro', label: 'One-Euro', description: 'Steady when still, responsive in turns' },
+  { value: 'ema', label: 'Moving average', description: 'Even smoothing, slight lag' },
+  { value: 'none', label: 'Off', description: 'Raw detections' },
+];
+
+/**
+ * Smoothing filter picker for landmarks and angles. Applies to the live
+ * player right away and to the next video analysis.
+ */
+const SmoothingSelector = () => {
+  const [settings, updateSettings] = useSettings();
+  const selected = settings.smoothing?.filter ?? SMOOTHING_CONFIG.FILTER;
+  const { description } = FILTER_OPTIONS.find((option) => option.value === selected) ?? FILTER_OPTIONS[0];
+
+  const handleChange = (event) => {
+    updateSettings({ smoothing: { ...settings.smoothing, filter: event.target.value } });
+  };
+
+  return (
+    <div className="flex flex-col items-start sm:items-end">
+      <label className="text-sm text-night-blue">
+        <span className="mr-2 font-medium">Smoothing</span>
+        <select
+          value={selected}
+          onChange={handleChange}
+          className="border border-gray-300 rounded-lg px-2 py-1 bg-white text-night-blue focus:outline-none focus:ring-2 focus:ring-bright-blue"
+        >
+          {FILTER_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <span className="text-xs text-gray-500 mt-1">{description}</span>
+    </div>
+  );
+};
+
+export default SmoothingSelector;
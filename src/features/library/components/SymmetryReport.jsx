@@ -0,0 +1,67 @@
+import { TURN_COLORS } from './TurnTimeline';
+import { SYMMETRY_METRICS } from '../../../shared/utils/symmetry';
+
+// Format a side's average, or a dash if it wasn't measured
+const formatValue = (value) => (value === null || value === undefined ? '—' : value);
+
+/**
+ * Left vs right turn comparison for the followed skier: the symmetry index
+ * and a mirrored bar chart, left turns growing left and right turns right,
+ * each row scaled to its larger side.
+ */
+const SymmetryReport = ({ symmetry }) => {
+  if (!symmetry) return null;
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-baseline gap-x-3 text-sm text-gray-700 mb-2">
+        <span className="font-semibold text-night-blue">
+          Symmetry index {symmetry.index ?? '—'}
+        </span>
+        <span className="text-xs text-gray-500">
+          100 = left and right turns alike · {symmetry.leftTurns} left vs {symmetry.rightTurns} right
+        </span>
+      </div>
+
+      <div className="space-y-1.5">
+        {SYMMETRY_METRICS.map(({ key, label, unit }) => {
+          const { left = null, right = null, score = null } = symmetry.metrics.find((m) => m.key === key) ?? {};
+          const largest = Math.max(Math.abs(left ?? 0), Math.abs(right ?? 0)) || 1;
+          const width = (value) => `${(Math.abs(value ?? 0) / largest) * 100}%`;
+
+          return (
+            <div key={key} className="grid grid-cols-[1fr_7rem_1fr] items-center gap-2 text-xs">
+              {/* Left turns */}
+              <div className="flex items-center justify-end gap-2">
+                <span className="font-mono text-gray-700">{formatValue(left)}</span>
+                <div className="w-2/3 h-2.5 flex justify-end bg-gray-100 rounded-l-full overflow-hidden">
+                  <div className={`h-full ${TURN_COLORS.left}`} style={{ width: width(left) }} />
+                </div>
+              </div>
+
+              <div className="text-center text-gray-600" title={`${unit} · score ${score ?? '—'}`}>
+                {label}
+              </div>
+
+              {/* Right turns */}
+              <div className="flex items-center gap-2">
+                <div className="w-2/3 h-2.5 bg-gray-100 rounded-r-full overflow-hidden">
+                  <div className={`h-full ${TURN_COLORS.right}`} style={{ width: width(right) }} />
+                </div>
+                <span className="font-mono text-gray-700">{formatValue(right)}</span>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="grid grid-cols-[1fr_7rem_1fr] gap-2 mt-1 text-xs text-gray-500">
+        <span className="text-right">Left turns</span>
+        <span />
+        <span>Right turns</span>
+      </div>
+    </div>
+  );
+};
+
+export default SymmetryReport;
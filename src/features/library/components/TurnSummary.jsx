@@ -0,0 +1,48 @@
+import { TURN_COLORS } from './TurnTimeline';
+
+// Format milliseconds as seconds with one decimal
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// Format a per-turn angle, or a dash if it couldn't be measured
+const formatAngle = (value) => (value === null || value === undefined ? '—' : `${value}°`);
+
+/**
+ * Turn count and per-turn stats for the followed skier
+ */
+const TurnSummary = ({ metrics }) => {
+  if (!metrics?.turns) return null;
+
+  if (metrics.turns.length === 0) {
+    return <p className="mb-4 text-sm text-gray-500">No turns detected.</p>;
+  }
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-baseline gap-x-3 text-sm text-gray-700 mb-2">
+        <span className="font-semibold text-night-blue">{metrics.turnCount} turns</span>
+        <span>{metrics.leftTurns} left / {metrics.rightTurns} right</span>
+        <span>avg {formatSeconds(metrics.avgTurnDurationMs)}</span>
+      </div>
+      <div className="flex gap-2 overflow-x-auto pb-1">
+        {metrics.turns.map((turn) => (
+          <div
+            key={turn.index}
+            className="flex-shrink-0 border border-gray-200 rounded-lg px-2 py-1 text-xs text-gray-700"
+            title={`Starts at ${formatSeconds(turn.startMs)}, apex at ${formatSeconds(turn.apexMs)}`}
+          >
+            <div className="flex items-center gap-1 font-semibold">
+              <span className={`w-2 h-2 rounded-full ${TURN_COLORS[turn.direction]}`} />
+              {turn.direction === 'left' ? 'L' : 'R'} {turn.index + 1}
+              <span className="font-normal text-gray-500">{formatSeconds(turn.stats.durationMs)}</span>
+            </div>
+            <div className="text-gray-500">
+              Hip ang. {formatAngle(turn.stats.maxHipAngulation)} · Knee flex. {formatAngle(turn.stats.avgKneeFlexion)}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TurnSummary;
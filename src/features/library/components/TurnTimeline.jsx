@@ -0,0 +1,37 @@
+// Turn colours, shared with the turn list on the video card
+export const TURN_COLORS = {
+  left: 'bg-sky-400',
+  right: 'bg-amber-400',
+};
+
+/**
+ * Turn segments drawn along the player's progress bar: one coloured band
+ * per turn (by direction) with a tick at its apex.
+ */
+const TurnTimeline = ({ turns, duration }) => {
+  if (!turns?.length || !duration) return null;
+
+  const toPercent = (ms) => `${Math.min(100, Math.max(0, (ms / 1000 / duration) * 100))}%`;
+
+  return (
+    <div className="absolute left-0 right-0 top-1 h-1.5 pointer-events-none">
+      {turns.map((turn) => (
+        <div key={turn.index}>
+          <div
+            className={`absolute h-1 top-0 rounded-full opacity-80 ${TURN_COLORS[turn.direction]}`}
+            style={{
+              left: toPercent(turn.startMs),
+              width: `calc(${toPercent(turn.endMs - turn.startMs)} - 2px)`,
+            }}
+          />
+          <div
+            className="absolute w-0.5 h-1.5 -top-0.5 bg-white"
+            style={{ left: toPercent(turn.apexMs) }}
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TurnTimeline;
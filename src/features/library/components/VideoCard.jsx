@@ -1,9 +1,38 @@
 import { useState, useEffect } from 'react';
 import PosePlayer from './PosePlayer';
+import SkierSelector from './SkierSelector';
+import TurnSummary from './TurnSummary';
+import FeedbackList from './FeedbackList';
+import ScoreBreakdown from './ScoreBreakdown';
+import SymmetryReport from './SymmetryReport';
+import ExportVideoButton from './ExportVideoButton';
+import ExportDataButtons from './ExportDataButtons';
+import { POSE_MODEL_VARIANTS } from '../../../shared/constants/mediapipe';
 
-const VideoCard = ({ video, isExpanded, onToggle, onDelete }) => {
+const VideoCard = ({ video, isExpanded, onToggle, onDelete, onSlopeReferenceChange }) => {
   const { metrics } = video;
   const [isDetailsExpanded, setIsDetailsExpanded] = useState(false);
+  const [selectedSkierId, setSelectedSkierId] = useState(metrics?.primarySkierId ?? null);
+  // Time (ms) the player should jump to; a new object each request so repeats still seek
+  const [seekRequest, setSeekRequest] = useState(null);
+
+  // Metrics of the followed skier (videos analyzed before tracking stored a single set)
+  const skierMetrics = metrics?.skiers
+    ? metrics.skiers.find((skier) => skier.id === selectedSkierId) ?? null
+    : metrics;
+
+  // Speed with its 95% range, or the reason it couldn't be estimated
+  const speed = skierMetrics?.speed;
+  const hasSpeed = speed?.kmh !== null && speed?.kmh !== undefined;
+  const speedNote = hasSpeed
+    ? `95% range from ${speed.samples} frame pairs${speed.panCompensated ? ', camera pan removed' : ''}`
+    : speed?.reason;
+
+  // Averages measured on too few frames are dimmed and explained on hover
+  const quality = skierMetrics?.quality;
+  const lowDataProps = (key, className = '') => (quality?.lowDataMetrics?.includes(key)
+    ? { className: `${className} opacity-50`, title: 'Measured on too few frames to be reliable' }
+    : { className });
 
   // Reset details expansion when card collapses
   useEffect(() => {
@@ -12,8 +41,8 @@ const VideoCard = ({ video, isExpanded, onToggle, onDelete }) => {
     }
   }, [isExpanded]);
 
-  // If metrics are not available yet, don't render the card
-  if (!metrics) {
+  // Don't render the card until processing has finished (successfully or not)
+  if (!metrics && !video.analysisError) {
     return null;
   }
 
@@ -30,6 +59,12 @@ const VideoCard = ({ video, isExpanded, onToggle, onDelete }) => {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // Format a POSE_LANDMARKS name for display ('L_ANKLE' -> 'left ankle')
+  const formatJoint = (joint) => joint.replace(/^L_/, 'left ').replace(/^R_/, 'right ').toLowerCase();
+
+  // Format an angle/ratio metric, or a dash if it couldn't be measured
+  const formatMetric = (value) => (value === null || value === undefined ? '—' : value);
+
   // Format date
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -81,28 +116,85 @@ const VideoCard = ({ video, isExpanded, onToggle, onDelete }) => {
   return (
     <div className="bg-white rounded-lg shadow-md overflow-hidden">
       {/* Video Player */}
-      <PosePlayer url={video.url} name={video.name} />
+      <PosePlayer
+        videoId={video.id}
+        url={video.url}
+        name={video.name}
+        skierId={selectedSkierId}
+        slopeReference={video.slopeReference}
+        onSlopeReferenceChange={(slopeReference) => onSlopeReferenceChange?.(video, slopeReference)}
+        turns={skierMetrics?.turns}
+        qualityTimeline={skierMetrics?.quality?.timeline}
+        seekRequest={seekRequest}
+      />
 
       {/* Metrics Section */}
       <div className="p-6">
+        <SkierSelector
+          skiers={metrics?.skiers}
+          selectedId={selectedSkierId}
+          onSelect={setSelectedSkierId}
+        />
+
         {/* Performance Metrics */}
-        <div className="grid grid-cols-3 gap-4 mb-4">
-          <div className="text-center">
-            <div className="text-2xl font-bold text-blue-600">{metrics.speedKmh}</div>
-            <div className="text-sm text-gray-600">km/h</div>
-            <div className="text-xs text-gray-500">Speed</div>
+        {metrics ? (
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+            <div {...lowDataProps('avgLeanAngle', 'text-center')}>
+              <div className="text-2xl font-bold text-green-600">{formatMetric(skierMetrics?.avgLeanAngle)}</div>
+              <div className="text-sm text-gray-600">°</div>
+              <div className="text-xs text-gray-500">Avg Lean</div>
+            </div>
+            <div {...lowDataProps('avgSlopeAngle', 'text-center')}>
+              <div className="text-2xl font-bold text-orange-600">{formatMetric(skierMetrics?.avgSlopeAngle)}</div>
+              <div className="text-sm text-gray-600">°</div>
+              <div className="text-xs text-gray-500">Slope Alignment</div>
+            </div>
+            <div {...lowDataProps('avgStanceWidth', 'text-center')}>
+              <div className="text-2xl font-bold text-blue-600">{formatMetric(skierMetrics?.avgStanceWidth)}</div>
+              <div className="text-sm text-gray-600">× hip width</div>
+              <div className="text-xs text-gray-500">Stance Width</div>
+            </div>
+            <div {...lowDataProps('avgKneeFlexion', 'text-center')}>
+              <div className="text-2xl font-bold text-purple-600">{formatMetric(skierMetrics?.avgKneeFlexion)}</div>
+              <div className="text-sm text-gray-600">°</div>
+              <div className="text-xs text-gray-500">Knee Flexion</div>
+            </div>
+            <div className="text-center" title={speedNote}>
+              <div className="text-2xl font-bold text-sky-600">{formatMetric(speed?.kmh)}</div>
+              <div className="text-sm text-gray-600">
+                {hasSpeed ? `${speed.low}–${speed.high} km/h` : 'unknown'}
+              </div>
+              <div className="text-xs text-gray-500">Speed</div>
+            </div>
           </div>
-          <div className="text-center">
-            <div className="text-2xl font-bold text-green-600">{metrics.overall}</div>
-            <div className="text-sm text-gray-600">/100</div>
-            <div className="text-xs text-gray-500">Overall Score</div>
+        ) : (
+          <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            Pose analysis failed: {video.analysisError}
           </div>
-          <div className="text-center">
-            <div className="text-2xl font-bold text-purple-600">{metrics.technical}</div>
-            <div className="text-sm text-gray-600">/100</div>
-            <div className="text-xs text-gray-500">Technical Score</div>
+        )}
+
+        {/* Warn when the skier was tracked in too little of the clip */}
+        {quality?.isLowData && (
+          <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+            This skier was tracked reliably in only {quality.usableFrames} analyzed frames
+            ({Math.round(quality.usableShare * 100)}%), so these metrics rest on little data.
           </div>
-        </div>
+        )}
+
+        {/* Overall/technical scores and what they are made of */}
+        <ScoreBreakdown scores={skierMetrics?.scores} />
+
+        {/* Turns of the followed skier */}
+        <TurnSummary metrics={skierMetrics} />
+
+        {/* Left vs right turns */}
+        <SymmetryReport symmetry={skierMetrics?.symmetry} />
+
+        {/* Coaching feedback, with links to the moments behind it */}
+        <FeedbackList
+          feedback={skierMetrics?.feedback}
+          onSeek={(timeMs) => setSeekRequest({ timeMs })}
+        />
 
         {/* Action Buttons */}
         <div className="flex items-center justify-between gap-2">
@@ -122,6 +214,10 @@ const VideoCard = ({ video, isExpanded, onToggle, onDelete }) => {
             </svg>
           </button>
 
+          {/* Export with the overlay burned in, or the numbers behind it */}
+          <ExportVideoButton video={video} skierId={selectedSkierId} />
+          <ExportDataButtons video={video} />
+
           {/* Delete Button */}
           <button
             onClick={handleDelete}
@@ -145,40 +241,53 @@ const VideoCard = ({ video, isExpanded, onToggle, onDelete }) => {
           </button>
         </div>
 
-        {/* Collapsible Feedback Section */}
+        {/* Collapsible Analysis Details */}
         {isDetailsExpanded && (
-          <div className="grid md:grid-cols-2 gap-6 mt-4 pt-4 border-t border-gray-200">
-            {/* Positive Points */}
-            <div>
-              <h3 className="font-semibold text-green-700 mb-3 flex items-center">
-                <span className="text-green-500 mr-2">✓</span>
-                Strengths
-              </h3>
-              <ul className="space-y-2">
-                {metrics.positives.map((positive, index) => (
-                  <li key={index} className="text-sm text-gray-700 flex items-start">
-                    <span className="text-green-400 mr-2 mt-0.5">•</span>
-                    {positive}
-                  </li>
-                ))}
-              </ul>
-            </div>
-
-            {/* Areas for Improvement */}
-            <div>
-              <h3 className="font-semibold text-orange-700 mb-3 flex items-center">
-                <span className="text-orange-500 mr-2">⚡</span>
-                Areas to Improve
-              </h3>
-              <ul className="space-y-2">
-                {metrics.improvements.map((improvement, index) => (
-                  <li key={index} className="text-sm text-gray-700 flex items-start">
-                    <span className="text-orange-400 mr-2 mt-0.5">•</span>
-                    {improvement}
-                  </li>
-                ))}
-              </ul>
-            </div>
+          <div className="mt-4 pt-4 border-t border-gray-200 text-sm text-gray-700">
+            {metrics ? (
+              <>
+                <p>
+                  Pose detected in {skierMetrics?.framesWithPose ?? 0} of {metrics.framesAnalyzed} analyzed frames
+                  {metrics.modelVariant && POSE_MODEL_VARIANTS[metrics.modelVariant]
+                    ? ` (${POSE_MODEL_VARIANTS[metrics.modelVariant].label} model).`
+                    : '.'}
+                </p>
+                {quality && (
+                  <p className="mt-1">
+                    Tracking quality: {Math.round(quality.usableShare * 100)}% usable frames
+                    ({quality.lowConfidenceFrames} low-confidence, {quality.missingFrames} without this skier).
+                    {quality.hiddenJoints.length > 0 && ` Often hidden: ${quality.hiddenJoints
+                      .map(({ joint, share }) => `${formatJoint(joint)} ${Math.round(share * 100)}%`)
+                      .join(', ')}.`}
+                  </p>
+                )}
+                {/* 3D angles come from world landmarks, independent of the camera angle */}
+                <dl className="mt-3 grid grid-cols-1 sm:grid-cols-3 gap-2">
+                  <div {...lowDataProps('avgTorsoInclination')}>
+                    <dt className="text-xs text-gray-500">Torso Inclination (3D)</dt>
+                    <dd className="font-semibold">{formatMetric(skierMetrics?.avgTorsoInclination)}°</dd>
+                  </div>
+                  <div {...lowDataProps('avgHipFlexion')}>
+                    <dt className="text-xs text-gray-500">Hip Flexion (3D)</dt>
+                    <dd className="font-semibold">{formatMetric(skierMetrics?.avgHipFlexion)}°</dd>
+                  </div>
+                  <div {...lowDataProps('avgUpperBodyRotation')}>
+                    <dt className="text-xs text-gray-500">Upper-Body Rotation (3D)</dt>
+                    <dd className="font-semibold">{formatMetric(skierMetrics?.avgUpperBodyRotation)}°</dd>
+                  </div>
+                  <div {...lowDataProps('avgHipAngulation')}>
+                    <dt className="text-xs text-gray-500">Hip Angulation</dt>
+                    <dd className="font-semibold">{formatMetric(skierMetrics?.avgHipAngulation)}°</dd>
+                  </div>
+                  <div {...lowDataProps('avgKneeAngulation')}>
+                    <dt className="text-xs text-gray-500">Knee Angulation</dt>
+                    <dd className="font-semibold">{formatMetric(skierMetrics?.avgKneeAngulation)}°</dd>
+                  </div>
+                </dl>
+              </>
+            ) : (
+              <p>No analysis data available for this video.</p>
+            )}
           </div>
         )}
       </div>
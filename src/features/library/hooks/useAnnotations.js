@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  loadAnnotations,
+  saveAnnotation as storeAnnotation,
+  deleteAnnotation as removeStoredAnnotation,
+} from '../../../shared/services/videoStorageService';
+
+const byTimestamp = (a, b) => a.timestampMs - b.timestampMs;
+
+/**
+ * Put an annotation in place of the one with the same ID (or just remove
+ * that one when there is nothing to put back), keeping timeline order
+ */
+const replaceAnnotation = (annotations, id, annotation) => [
+  ...annotations.filter((item) => item.id !== id),
+  ...(annotation ? [annotation] : []),
+].sort(byTimestamp);
+
+/**
+ * Coaching annotations of a video, kept in step with IndexedDB
+ *
+ * Changes show right away and are rolled back if IndexedDB rejects them.
+ *
+ * @param {string} videoId - Video being annotated
+ * @returns {{annotations: Array<import('../../../shared/types').Annotation>, saveAnnotation: Function, deleteAnnotation: Function}}
+ *   Annotations in timeline order, and functions to save (add or replace) and
+ *   delete one; both reject when the change couldn't be stored
+ */
+export function useAnnotations(videoId) {
+  const [annotations, setAnnotations] = useState([]);
+  const annotationsRef = useRef(annotations);
+
+  useEffect(() => {
+    annotationsRef.current = annotations;
+  }, [annotations]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setAnnotations([]);
+    loadAnnotations(videoId)
+      .then((stored) => {
+        if (!cancelled) setAnnotations(stored);
+      })
+      .catch((error) => console.error('Failed to load annotations:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [videoId]);
+
+  const saveAnnotation = useCallback(async (annotation) => {
+    const saved = { ...annotation, updatedAt: Date.now() };
+    const previous = annotationsRef.current.find((item) => item.id === saved.id);
+    setAnnotations((prev) => replaceAnnotation(prev, saved.id, saved));
+    try {
+      await storeAnnotation(saved);
+    } catch (error) {
+      setAnnotations((prev) => replaceAnnotation(prev, saved.id, previous));
+      throw error;
+    }
+  }, []);
+
+  const deleteAnnotation = useCallback(async (annotationId) => {
+    const previous = annotationsRef.current.find((item) => item.id === annotationId);
+    setAnnotations((prev) => replaceAnnotation(prev, annotationId, null));
+    try {
+      await removeStoredAnnotation(annotationId);
+    } catch (error) {
+      setAnnotations((prev) => replaceAnnotation(prev, annotationId, previous));
+      throw error;
+    }
+  }, []);
+
+  return { annotations, saveAnnotation, deleteAnnotation };
+}
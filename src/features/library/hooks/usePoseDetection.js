@@ -1,213 +1,236 @@
 import { useRef, useCallback, useEffect, useState } from 'react';
-import { getLandmarker } from '../../upload/services/mediapipeService';
-import {
-  torsoVector,
-  angleBetween,
-  getPoseConnections
-} from '../../../shared/utils/poseCalculations';
-import { REFERENCE_VECTORS } from '../../../shared/constants/mediapipe';
-
-export function usePoseDetection() {
+import { createPoseWorker, captureFrame } from '../../upload/services/poseWorkerClient';
+import { computeJointAngles } from '../../../shared/utils/jointAngles';
+import { getTrackFrameAt, getTrackSampleAt } from '../../../shared/utils/poseTrack';
+import { createPoseTracker, toPoses, getSkierColor } from '../../../shared/utils/poseTracking';
+import { createPoseSmoother, createAngleSmoother } from '../../../shared/utils/smoothing';
+import { createRoiTracker } from '../../../shared/utils/roiTracking';
+import { drawOverlay, resolveOverlaySettings } from '../../../shared/utils/overlayRenderer';
+import { useSettings } from '../../../shared/hooks/useSettings';
+import { resolveModelVariant } from '../../../shared/services/settingsService';
+
+/**
+ * Round angles to one decimal for display, keeping null as null
+ */
+function roundAngles(angles) {
+  const rounded = {};
+  for (const [key, value] of Object.entries(angles)) {
+    rounded[key] = value === null ? null : Number(value.toFixed(1));
+  }
+  return rounded;
+}
+
+/**
+ * Check whether two sets of rounded angles are identical
+ */
+function sameAngles(a, b) {
+  const keys = Object.keys(b);
+  return keys.length === Object.keys(a).length && keys.every((key) => a[key] === b[key]);
+}
+
+/**
+ * Match the canvas resolution to the video's
+ */
+function fitCanvas(canvas, video) {
+  if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+  }
+}
+
+/**
+ * @param {Array} [poseTrack] - Stored landmark track for the video; when it
+ *   covers the current time, cached poses are replayed instead of running the model
+ * @param {Object} [options]
+ * @param {number|null} [options.skierId] - Skier the angle readouts follow (null = first in frame)
+ * @param {{x: number, y: number}} [options.slope] - Slope reference direction in
+ *   normalized landmark coordinates (see slopeVector)
+ * @param {number} [options.aspectRatio] - Video width / height, for measuring angles
+ */
+export function usePoseDetection(poseTrack, { skierId = null, slope, aspectRatio = 1 } = {}) {
   const rafRef = useRef(null);
-  const [leanAngle, setLeanAngle] = useState(null);
-  const [slopeAngle, setSlopeAngle] = useState(null);
+  const trackRef = useRef(poseTrack);
+  const skierIdRef = useRef(skierId);
+  const slopeRef = useRef(slope);
+  const aspectRatioRef = useRef(aspectRatio);
+  const liveTrackerRef = useRef(null);
+  const roiTrackerRef = useRef(null);
+  const poseSmootherRef = useRef(null);
+  const angleSmootherRef = useRef(null);
+  const workerRef = useRef(null);
+  const detectPendingRef = useRef(false);
+  const queuedFrameRef = useRef(null);
+  const [angles, setAngles] = useState({});
   const [isReady, setIsReady] = useState(false);
   const [isInitializing, setIsInitializing] = useState(false);
-
-  // Draw pose landmarks and connections on canvas
-  const drawPose = useCallback((ctx, width, height, landmarks) => {
-    ctx.clearRect(0, 0, width, height);
-
-    if (!landmarks?.length) return;
-
-    const connections = getPoseConnections();
-
-    // Draw connections (skeleton lines)
-    ctx.lineWidth = 4;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-
-    for (const [a, b] of connections) {
-      const pointA = landmarks[a];
-      const pointB = landmarks[b];
-
-      if (!pointA || !pointB) continue;
-      if (pointA.visibility < 0.3 || pointB.visibility < 0.3) continue; // Skip low confidence points
-
-      ctx.beginPath();
-
-      // Different colors for different body parts
-      if (a <= 10 && b <= 10) {
-        // Face connections - light blue
-        ctx.strokeStyle = 'rgba(100, 200, 255, 0.8)';
-      } else if ((a >= 11 && a <= 16) || (b >= 11 && b <= 16)) {
-        // Arms - green
-        ctx.strokeStyle = 'rgba(0, 255, 100, 0.8)';
-      } else if ((a >= 23 && a <= 32) || (b >= 23 && b <= 32)) {
-        // Legs - orange
-        ctx.strokeStyle = 'rgba(255, 150, 0, 0.8)';
-      } else {
-        // Torso and others - red
-        ctx.strokeStyle = 'rgba(255, 50, 50, 0.8)';
-      }
-
-      ctx.moveTo(pointA.x * width, pointA.y * height);
-      ctx.lineTo(pointB.x * width, pointB.y * height);
-      ctx.stroke();
+  const [error, setError] = useState(null);
+  const [loadedVariant, setLoadedVariant] = useState(null);
+  const [settings] = useSettings();
+  const modelVariant = resolveModelVariant(settings);
+  const { smoothing, overlay } = settings;
+  const overlayRef = useRef(resolveOverlaySettings(overlay));
+
+  // Update the followed skier's angles and redraw the overlay for every skier
+  const renderPoses = useCallback((canvas, rawPoses, timestamp) => {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const poses = poseSmootherRef.current.smooth(rawPoses, timestamp);
+
+    // Follow the chosen skier, or the first one in frame when none is chosen
+    const followedId = skierIdRef.current ?? poses[0]?.id ?? null;
+    const followedPose = poses.find((pose) => pose.id === followedId);
+
+    let rounded = null;
+    if (followedPose?.landmarks?.length > 0) {
+      const measured = computeJointAngles(followedPose, {
+        slope: slopeRef.current,
+        aspectRatio: aspectRatioRef.current,
+      });
+      const smoothed = angleSmootherRef.current.smooth(measured, timestamp);
+      rounded = roundAngles(smoothed);
+      // Skip the re-render when nothing changed at display precision
+      setAngles((previous) => (sameAngles(previous, rounded) ? previous : rounded));
     }
 
-    // Draw landmarks (joints)
-    for (let i = 0; i < landmarks.length; i++) {
-      const point = landmarks[i];
-      if (point.visibility < 0.3) continue; // Skip low confidence points
-
-      ctx.beginPath();
-
-      // Different colors for different landmarks
-      if (i <= 10) {
-        // Face landmarks - light blue
-        ctx.fillStyle = 'rgba(100, 200, 255, 1)';
-      } else if (i >= 11 && i <= 16) {
-        // Upper body - green
-        ctx.fillStyle = 'rgba(0, 255, 100, 1)';
-      } else if (i >= 23 && i <= 32) {
-        // Lower body - orange
-        ctx.fillStyle = 'rgba(255, 150, 0, 1)';
-      } else {
-        // Others - red
-        ctx.fillStyle = 'rgba(255, 50, 50, 1)';
-      }
+    const { layers, style } = overlayRef.current;
+    drawOverlay(ctx, poses, {
+      followedId,
+      colorFor: getSkierColor,
+      layers,
+      style,
+      angles: rounded,
+      slope: slopeRef.current,
+    });
+  }, []);
 
-      // Draw white outline for better visibility
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
-      ctx.lineWidth = 2;
-      ctx.arc(point.x * width, point.y * height, 6, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.stroke();
-    }
+  // Free the detection slot, then run the paused frame that waited for it
+  const finishDetection = useCallback(() => {
+    detectPendingRef.current = false;
+    const queued = queuedFrameRef.current;
+    queuedFrameRef.current = null;
+    queued?.();
   }, []);
 
   // Main detection loop
-  const runDetection = useCallback((landmarker, video, canvas) => {
-    const ctx = canvas.getContext('2d');
-    if (!ctx || !video) return;
+  const runDetection = useCallback((poseWorker, video, canvas) => {
+    if (!video) return;
+
+    fitCanvas(canvas, video);
+
+    // Smoothing runs on video time, so seeks restart the filters
+    const timestamp = video.currentTime * 1000;
+
+    // Replay the stored pose if the track covers this time, otherwise detect live
+    const cachedFrame = getTrackFrameAt(trackRef.current, timestamp);
+    if (cachedFrame) {
+      renderPoses(canvas, cachedFrame.poses, timestamp);
+    } else if (!detectPendingRef.current && video.readyState >= 2) {
+      // One frame in flight at a time: the overlay drops frames rather than lagging behind
+      detectPendingRef.current = true;
+      // Small, distant skiers are detected in a crop around where they were last seen
+      const roi = roiTrackerRef.current.next(video.videoWidth, video.videoHeight);
+      captureFrame(video)
+        .then((frame) => poseWorker.detect(frame, performance.now(), roi))
+        .then((result) => {
+          // Ignore results that arrive after detection was stopped
+          if (rafRef.current) {
+            const poses = liveTrackerRef.current.update(toPoses(result));
+            roiTrackerRef.current.update(poses, roi);
+            renderPoses(canvas, poses, timestamp);
+          }
+        })
+        .catch((error) => {
+          console.error('❌ Error during pose detection:', error);
+        })
+        .finally(finishDetection);
+    }
 
-    // Ensure canvas size matches video
-    if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
+    // Schedule next frame
+    rafRef.current = requestAnimationFrame(() =>
+      runDetection(poseWorker, video, canvas)
+    );
+  }, [renderPoses, finishDetection]);
+
+  // Draw the overlay once for the frame on screen while paused: after a seek,
+  // a scrub or a frame step. A stored sample of that exact frame (within half
+  // a frame) is replayed. Otherwise, while scrubbing, the stored track is
+  // interpolated to keep up; at rest the frame is detected, since
+  // interpolating between samples would blur the movement being studied.
+  // The filters restart so the frame is shown as measured.
+  const renderFrame = useCallback(async (video, canvas, options) => {
+    if (!video || !canvas || video.readyState < 2) return;
+    const { frameDurationMs, interpolate = false } = options;
+
+    fitCanvas(canvas, video);
+    const timestamp = video.currentTime * 1000;
+    poseSmootherRef.current.reset();
+    angleSmootherRef.current.reset();
+
+    const sample = getTrackSampleAt(trackRef.current, timestamp, frameDurationMs / 2)
+      ?? (interpolate ? getTrackFrameAt(trackRef.current, timestamp) : null);
+    if (sample) {
+      renderPoses(canvas, sample.poses, timestamp);
+      return;
     }
 
-    try {
-      // Detect poses
-      const result = landmarker.detectForVideo(video, performance.now());
-      const landmarks = result?.landmarks?.[0];
-      const worldLandmarks = result?.worldLandmarks?.[0]; // 3D coordinates!
-
-      if (landmarks && landmarks.length > 0) {
-        // Calculate torso vector and angles
-        const torso = torsoVector(landmarks);
-        if (torso) {
-          const leanAngleValue = angleBetween(torso, REFERENCE_VECTORS.VERTICAL);
-          const slopeAngleValue = angleBetween(torso, REFERENCE_VECTORS.SLOPE);
-
-          if (leanAngleValue !== null) {
-            setLeanAngle(Number(leanAngleValue.toFixed(1)));
-          }
-          if (slopeAngleValue !== null) {
-            setSlopeAngle(Number(slopeAngleValue.toFixed(1)));
-          }
-        }
-
-        // Draw pose on canvas - inline to avoid dependency issues
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        const connections = getPoseConnections();
-
-        // Draw connections (skeleton lines)
-        ctx.lineWidth = 4;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-
-        for (const [a, b] of connections) {
-          const pointA = landmarks[a];
-          const pointB = landmarks[b];
-
-          if (!pointA || !pointB) continue;
-          if (pointA.visibility < 0.3 || pointB.visibility < 0.3) continue;
-
-          ctx.beginPath();
-
-          // Different colors for different body parts
-          if (a <= 10 && b <= 10) {
-            ctx.strokeStyle = 'rgba(100, 200, 255, 0.8)';
-          } else if ((a >= 11 && a <= 16) || (b >= 11 && b <= 16)) {
-            ctx.strokeStyle = 'rgba(0, 255, 100, 0.8)';
-          } else if ((a >= 23 && a <= 32) || (b >= 23 && b <= 32)) {
-            ctx.strokeStyle = 'rgba(255, 150, 0, 0.8)';
-          } else {
-            ctx.strokeStyle = 'rgba(255, 50, 50, 0.8)';
-          }
+    const poseWorker = workerRef.current;
+    if (!poseWorker) return;
 
-          ctx.moveTo(pointA.x * canvas.width, pointA.y * canvas.height);
-          ctx.lineTo(pointB.x * canvas.width, pointB.y * canvas.height);
-          ctx.stroke();
-        }
-
-        // Draw landmarks (joints)
-        for (let i = 0; i < landmarks.length; i++) {
-          const point = landmarks[i];
-          if (point.visibility < 0.3) continue;
-
-          ctx.beginPath();
-
-          if (i <= 10) {
-            ctx.fillStyle = 'rgba(100, 200, 255, 1)';
-          } else if (i >= 11 && i <= 16) {
-            ctx.fillStyle = 'rgba(0, 255, 100, 1)';
-          } else if (i >= 23 && i <= 32) {
-            ctx.fillStyle = 'rgba(255, 150, 0, 1)';
-          } else {
-            ctx.fillStyle = 'rgba(255, 50, 50, 1)';
-          }
+    // One detection at a time; the latest frame asked for runs when it finishes
+    if (detectPendingRef.current) {
+      queuedFrameRef.current = () => {
+        if (video.paused) renderFrame(video, canvas, options);
+      };
+      return;
+    }
 
-          ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
-          ctx.lineWidth = 2;
-          ctx.arc(point.x * canvas.width, point.y * canvas.height, 6, 0, Math.PI * 2);
-          ctx.fill();
-          ctx.stroke();
-        }
-      } else {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    detectPendingRef.current = true;
+    try {
+      const roi = roiTrackerRef.current.next(video.videoWidth, video.videoHeight);
+      const result = await poseWorker.detect(await captureFrame(video), performance.now(), roi);
+      const poses = liveTrackerRef.current.update(toPoses(result));
+      roiTrackerRef.current.update(poses, roi);
+      // Skip results for a frame that is no longer on screen
+      if (video.currentTime * 1000 === timestamp) {
+        renderPoses(canvas, poses, timestamp);
       }
     } catch (error) {
       console.error('❌ Error during pose detection:', error);
+    } finally {
+      finishDetection();
     }
+  }, [renderPoses, finishDetection]);
 
-    // Schedule next frame
-    rafRef.current = requestAnimationFrame(() =>
-      runDetection(landmarker, video, canvas)
-    );
-  }, []);
-
-  // Initialize MediaPipe (call this early, before video plays)
+  // Initialize MediaPipe (call this early, before video plays). Calling it again
+  // after the model setting changed loads the new variant; detection keeps
+  // running on the previous one meanwhile.
   const initializeMediaPipe = useCallback(async () => {
-    if (isReady || isInitializing) return;
+    if (isInitializing || (isReady && loadedVariant === modelVariant)) return;
 
     try {
       setIsInitializing(true);
-      console.log('🚀 Initializing MediaPipe landmarker...');
+      setError(null);
+      console.log(`🚀 Initializing MediaPipe landmarker (${modelVariant})...`);
 
-      await getLandmarker();
+      if (!workerRef.current) {
+        workerRef.current = createPoseWorker();
+        liveTrackerRef.current = createPoseTracker();
+        roiTrackerRef.current = createRoiTracker();
+      }
+      await workerRef.current.init(modelVariant);
 
+      setLoadedVariant(modelVariant);
       setIsReady(true);
       setIsInitializing(false);
       console.log('✅ MediaPipe ready for pose detection');
     } catch (error) {
       console.error('❌ Failed to initialize MediaPipe:', error);
+      setError(error.message || 'Failed to load pose detection');
       setIsInitializing(false);
       throw error;
     }
-  }, [isReady, isInitializing]);
+  }, [isReady, isInitializing, loadedVariant, modelVariant]);
 
   // Start detection (requires MediaPipe to be initialized first)
   const startDetection = useCallback(async (video, canvas) => {
@@ -220,11 +243,8 @@ export function usePoseDetection() {
       console.log('🚀 Starting pose detection for video...');
       console.log('Video dimensions:', video.videoWidth, 'x', video.videoHeight);
 
-      const landmarker = await getLandmarker();
-      console.log('✅ Landmarker obtained, starting detection loop...');
-
       rafRef.current = requestAnimationFrame(() =>
-        runDetection(landmarker, video, canvas)
+        runDetection(workerRef.current, video, canvas)
       );
     } catch (error) {
       console.error('❌ Failed to start pose detection:', error);
@@ -243,10 +263,42 @@ export function usePoseDetection() {
 
   // Clear angles (for cleanup/reset)
   const clearAngles = useCallback(() => {
-    setLeanAngle(null);
-    setSlopeAngle(null);
+    setAngles({});
   }, []);
 
+  // A different model may load fine, so let the player try again after a failure
+  useEffect(() => {
+    setError(null);
+  }, [modelVariant]);
+
+  // Fresh filters whenever the smoothing settings change
+  useEffect(() => {
+    poseSmootherRef.current = createPoseSmoother(smoothing);
+    angleSmootherRef.current = createAngleSmoother(smoothing);
+  }, [smoothing]);
+
+  // Overlay changes apply from the next drawn frame
+  useEffect(() => {
+    overlayRef.current = resolveOverlaySettings(overlay);
+  }, [overlay]);
+
+  // Keep the latest track and followed skier available to the detection loop
+  useEffect(() => {
+    trackRef.current = poseTrack;
+  }, [poseTrack]);
+
+  useEffect(() => {
+    slopeRef.current = slope;
+    aspectRatioRef.current = aspectRatio;
+  }, [slope, aspectRatio]);
+
+  // Switching skier drops the previous skier's readouts until the new one is seen
+  useEffect(() => {
+    skierIdRef.current = skierId;
+    angleSmootherRef.current?.reset();
+    setAngles({});
+  }, [skierId]);
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -255,14 +307,24 @@ export function usePoseDetection() {
     };
   }, [stopDetection, clearAngles]);
 
+  // Shut the pose worker down with the component
+  useEffect(() => {
+    return () => {
+      workerRef.current?.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
   return {
     initializeMediaPipe,
     startDetection,
     stopDetection,
+    renderFrame,
     clearAngles,
-    leanAngle,
-    slopeAngle,
+    angles,
     isReady,
     isInitializing,
+    error,
+    modelVariant,
   };
 }
\ No newline at end of file
@@ -1,4 +1,4 @@
 export { default as Library } from './components/Library';
 export { default as VideoCard } from './components/VideoCard';
 export { default as PosePlayer } from './components/PosePlayer';
-export { usePoseDetection } from './hooks/usePoseDetection';
\ No newline at end of file
+export { usePoseDetection } from './hooks/usePoseDetection';export { useAnnotations } from './hooks/useAnnotations';
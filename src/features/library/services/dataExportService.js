@@ -0,0 +1,143 @@
+import { loadPoseTrack, loadAnnotations } from '../../../shared/services/videoStorageService';
+import { loadSettings } from '../../../shared/services/settingsService';
+import { DATA_EXPORT_SCHEMA } from '../../../shared/constants/export';
+import { ANALYSIS_CONFIG } from '../../../shared/constants/analysis';
+import { computeAngleSeries } from '../../../shared/utils/angleSeries';
+import { JOINT_ANGLES } from '../../../shared/utils/jointAngles';
+import { combineScores } from '../../../shared/utils/scoring';
+import { slopeVector, getSlopeAngle, getAspectRatio } from '../../../shared/utils/slopeReference';
+
+// MediaPipe's 33 pose landmarks, in index order
+const LANDMARK_NAMES = [
+  'nose', 'left_eye_inner', 'left_eye', 'left_eye_outer', 'right_eye_inner', 'right_eye',
+  'right_eye_outer', 'left_ear', 'right_ear', 'mouth_left', 'mouth_right', 'left_shoulder',
+  'right_shoulder', 'left_elbow', 'right_elbow', 'left_wrist', 'right_wrist', 'left_pinky',
+  'right_pinky', 'left_index', 'right_index', 'left_thumb', 'right_thumb', 'left_hip', 'right_hip',
+  'left_knee', 'right_knee', 'left_ankle', 'right_ankle', 'left_heel', 'right_heel',
+  'left_foot_index', 'right_foot_index',
+];
+
+/**
+ * Format one CSV cell: empty for missing values, quoted when needed
+ */
+function csvCell(value) {
+  if (value === null || value === undefined || Number.isNaN(value)) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the per-frame CSV (see AnalysisExportCsv in types/analysisExport.js)
+ *
+ * @param {import('../../../shared/types').VideoItem} video - Analyzed library video
+ * @param {Array<{timestamp: number, poses: Array}>} track - Its stored pose track
+ * @param {Object} [smoothing] - Smoothing settings the angles are measured with
+ * @returns {string} CSV text
+ */
+export function buildFramesCsv(video, track, smoothing) {
+  const aspectRatio = getAspectRatio(video);
+  const slope = slopeVector(getSlopeAngle(video), aspectRatio);
+  const primaryId = video.metrics?.primarySkierId ?? null;
+
+  // Angle series per skier, indexed like the track's frames
+  const skierIds = [...new Set(track.flatMap((frame) => frame.poses.map((pose) => pose.id)))];
+  const seriesBySkier = new Map(
+    skierIds.map((id) => [id, computeAngleSeries(track, id, { slope, aspectRatio, smoothing })])
+  );
+
+  const header = [
+    'timestamp_ms',
+    'skier_id',
+    'primary',
+    ...JOINT_ANGLES.map(({ key }) => key),
+    ...LANDMARK_NAMES.flatMap((name) => [
+      `${name}_x`, `${name}_y`, `${name}_z`, `${name}_visibility`, `${name}_wx`, `${name}_wy`, `${name}_wz`,
+    ]),
+  ];
+  const rows = [header.join(',')];
+
+  track.forEach((frame, frameIndex) => {
+    for (const pose of frame.poses) {
+      const series = seriesBySkier.get(pose.id);
+      const cells = [
+        frame.timestamp,
+        pose.id,
+        pose.id === primaryId ? 1 : 0,
+        ...JOINT_ANGLES.map(({ key }) => series.values[key][frameIndex]),
+        ...LANDMARK_NAMES.flatMap((_, i) => {
+          const point = pose.landmarks?.[i];
+          const world = pose.worldLandmarks?.[i];
+          return [point?.x, point?.y, point?.z, point?.visibility, world?.x, world?.y, world?.z];
+        }),
+      ];
+      rows.push(cells.map(csvCell).join(','));
+    }
+  });
+
+  return `${rows.join('\n')}\n`;
+}
+
+/**
+ * Build the JSON document (see AnalysisExport in types/analysisExport.js)
+ *
+ * @param {import('../../../shared/types').VideoItem} video - Library video
+ * @param {Array<import('../../../shared/types').Annotation>} annotations - Its annotations
+ * @param {Object<string, number>} [scoreWeights] - The user's sub-score weights
+ * @returns {import('../../../shared/types/analysisExport').AnalysisExport}
+ */
+export function buildAnalysisDocument(video, annotations, scoreWeights) {
+  const { metrics } = video;
+  const primaryId = metrics?.primarySkierId ?? null;
+
+  return {
+    schema: DATA_EXPORT_SCHEMA.NAME,
+    version: DATA_EXPORT_SCHEMA.VERSION,
+    exportedAt: new Date().toISOString(),
+    video: {
+      id: video.id,
+      name: video.name,
+      durationSec: video.duration ?? null,
+      width: video.width ?? null,
+      height: video.height ?? null,
+      uploadedAt: video.uploadedAt ?? null,
+      slopeReference: { angle: getSlopeAngle(video), source: video.slopeReference?.source ?? null },
+    },
+    analysis: metrics
+      ? {
+        modelVariant: metrics.modelVariant ?? null,
+        framesAnalyzed: metrics.framesAnalyzed,
+        sampleFps: ANALYSIS_CONFIG.SAMPLE_FPS,
+        primarySkierId: primaryId,
+      }
+      : null,
+    skiers: (metrics?.skiers ?? []).map(({ turns, feedback, ...skierMetrics }) => ({
+      id: skierMetrics.id,
+      isPrimary: skierMetrics.id === primaryId,
+      totals: skierMetrics.scores ? combineScores(skierMetrics.scores, scoreWeights) : null,
+      metrics: skierMetrics,
+      turns: turns ?? [],
+      feedback: feedback ?? null,
+    })),
+    annotations: annotations.map(({ timestampMs, note, shapes }) => ({ timestampMs, note, shapes })),
+  };
+}
+
+/**
+ * Export a library video's analysis as CSV or JSON
+ *
+ * @param {import('../../../shared/types').VideoItem} video - Analyzed library video
+ * @param {'csv' | 'json'} format
+ * @returns {Promise<Blob>} File contents
+ */
+export async function exportAnalysisData(video, format) {
+  const { smoothing, scoreWeights } = loadSettings();
+
+  if (format === 'csv') {
+    const track = await loadPoseTrack(video.id);
+    return new Blob([buildFramesCsv(video, track, smoothing)], { type: 'text/csv' });
+  }
+
+  const annotations = await loadAnnotations(video.id);
+  const analysis = buildAnalysisDocument(video, annotations, scoreWeights);
+  return new Blob([JSON.stringify(analysis, null, 2)], { type: 'application/json' });
+}
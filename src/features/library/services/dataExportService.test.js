@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest';
+import { DATA_EXPORT_SCHEMA } from '../../../shared/constants/export';
+import { JOINT_ANGLES } from '../../../shared/utils/jointAngles';
+import { buildFramesCsv, buildAnalysisDocument } from './dataExportService';
+
+// Columns before the joint angles, and per landmark after them
+const LEADING_COLUMNS = ['timestamp_ms', 'skier_id', 'primary'];
+const LANDMARK_FIELDS = ['x', 'y', 'z', 'visibility', 'wx', 'wy', 'wz'];
+const LANDMARK_START = LEADING_COLUMNS.length + JOINT_ANGLES.length;
+
+/**
+ * 33 landmarks, all at the same point
+ */
+function makeLandmarks(point) {
+  return Array.from({ length: 33 }, () => ({ ...point }));
+}
+
+function pose(id, { world = true } = {}) {
+  return {
+    id,
+    landmarks: makeLandmarks({ x: 0.5, y: 0.25, z: -0.1, visibility: 0.9 }),
+    worldLandmarks: world ? makeLandmarks({ x: 0.1, y: -0.2, z: 0.3, visibility: 0.9 }) : null,
+  };
+}
+
+const VIDEO = {
+  id: 'video-1',
+  name: 'Run 1',
+  duration: 12.5,
+  width: 1920,
+  height: 1080,
+  uploadedAt: '2026-01-01T10:00:00.000Z',
+  slopeReference: { angle: 18, source: 'drawn' },
+  metrics: { primarySkierId: 2, framesAnalyzed: 2, modelVariant: 'full', skiers: [] },
+};
+
+/**
+ * Split CSV text into rows of cells (cells here never need quoting)
+ */
+function parseCsv(text) {
+  return text.trimEnd().split('\n').map((row) => row.split(','));
+}
+
+describe('buildFramesCsv', () => {
+  const track = [
+    { timestamp: 0, poses: [pose(1), pose(2)] },
+    { timestamp: 100, poses: [pose(2, { world: false })] },
+  ];
+
+  it('lays out the timestamp, skier, angle and landmark columns', () => {
+    const [header] = parseCsv(buildFramesCsv(VIDEO, track));
+    expect(header.slice(0, LEADING_COLUMNS.length)).toEqual(LEADING_COLUMNS);
+    expect(header.slice(LEADING_COLUMNS.length, LANDMARK_START)).toEqual(JOINT_ANGLES.map(({ key }) => key));
+    expect(header.slice(LANDMARK_START, LANDMARK_START + LANDMARK_FIELDS.length))
+      .toEqual(LANDMARK_FIELDS.map((field) => `nose_${field}`));
+    expect(header.slice(-LANDMARK_FIELDS.length))
+      .toEqual(LANDMARK_FIELDS.map((field) => `right_foot_index_${field}`));
+    expect(header).toHaveLength(LANDMARK_START + 33 * LANDMARK_FIELDS.length);
+  });
+
+  it('writes one row per pose per frame, as wide as the header', () => {
+    const [header, ...rows] = parseCsv(buildFramesCsv(VIDEO, track));
+    expect(rows.map((row) => row.slice(0, 2))).toEqual([['0', '1'], ['0', '2'], ['100', '2']]);
+    for (const row of rows) {
+      expect(row).toHaveLength(header.length);
+    }
+  });
+
+  it('flags the primary skier', () => {
+    const [, ...rows] = parseCsv(buildFramesCsv(VIDEO, track));
+    expect(rows.map((row) => row[2])).toEqual(['0', '1', '1']);
+  });
+
+  it('flags no one without a primary skier', () => {
+    const video = { ...VIDEO, metrics: null };
+    const [, ...rows] = parseCsv(buildFramesCsv(video, track));
+    expect(rows.every((row) => row[2] === '0')).toBe(true);
+  });
+
+  it('writes the landmarks and leaves missing world landmarks empty', () => {
+    const [, withWorld, , withoutWorld] = parseCsv(buildFramesCsv(VIDEO, track));
+    const nose = (row) => row.slice(LANDMARK_START, LANDMARK_START + LANDMARK_FIELDS.length);
+    expect(nose(withWorld)).toEqual(['0.5', '0.25', '-0.1', '0.9', '0.1', '-0.2', '0.3']);
+    expect(nose(withoutWorld)).toEqual(['0.5', '0.25', '-0.1', '0.9', '', '', '']);
+  });
+
+  it('leaves every landmark cell empty for a pose without landmarks', () => {
+    const [, row] = parseCsv(buildFramesCsv(VIDEO, [
+      { timestamp: 0, poses: [{ id: 1, landmarks: null, worldLandmarks: null }] },
+    ]));
+    expect(row.slice(LANDMARK_START).every((cell) => cell === '')).toBe(true);
+  });
+
+  it('leaves angles of barely visible landmarks empty', () => {
+    const hidden = {
+      id: 1,
+      landmarks: makeLandmarks({ x: 0.5, y: 0.5, z: 0, visibility: 0.1 }),
+      worldLandmarks: null,
+    };
+    const [, row] = parseCsv(buildFramesCsv(VIDEO, [{ timestamp: 0, poses: [hidden] }]));
+    expect(row.slice(LEADING_COLUMNS.length, LANDMARK_START).every((cell) => cell === '')).toBe(true);
+  });
+});
+
+describe('buildAnalysisDocument', () => {
+  it('carries the schema name and version', () => {
+    const document = buildAnalysisDocument(VIDEO, []);
+    expect(document.schema).toBe(DATA_EXPORT_SCHEMA.NAME);
+    expect(document.version).toBe(DATA_EXPORT_SCHEMA.VERSION);
+    expect(Number.isNaN(Date.parse(document.exportedAt))).toBe(false);
+  });
+
+  it('describes the video and its slope reference', () => {
+    const { video } = buildAnalysisDocument(VIDEO, []);
+    expect(video).toEqual({
+      id: 'video-1',
+      name: 'Run 1',
+      durationSec: 12.5,
+      width: 1920,
+      height: 1080,
+      uploadedAt: '2026-01-01T10:00:00.000Z',
+      slopeReference: { angle: 18, source: 'drawn' },
+    });
+  });
+
+  it('marks the primary skier and combines their scores', () => {
+    const scores = { balance: { score: 80, samples: 20 }, stance: { score: 60, samples: 20 } };
+    const video = {
+      ...VIDEO,
+      metrics: {
+        ...VIDEO.metrics,
+        skiers: [
+          { id: 1, scores: null, turns: undefined, feedback: undefined },
+          { id: 2, scores, turns: [{ direction: 'left' }], feedback: { items: [] } },
+        ],
+      },
+    };
+    const { analysis, skiers } = buildAnalysisDocument(video, [], { balance: 1, stance: 1 });
+
+    expect(analysis.primarySkierId).toBe(2);
+    expect(skiers.map((skier) => skier.isPrimary)).toEqual([false, true]);
+    expect(skiers[0]).toMatchObject({ totals: null, turns: [], feedback: null });
+    expect(skiers[1].totals.overall).toBe(70);
+    expect(skiers[1].turns).toEqual([{ direction: 'left' }]);
+    expect(skiers[1].metrics).not.toHaveProperty('turns');
+  });
+
+  it('exports only the annotation content', () => {
+    const annotations = [{ id: 'a1', videoId: 'video-1', timestampMs: 500, note: 'Hands', shapes: [] }];
+    expect(buildAnalysisDocument(VIDEO, annotations).annotations)
+      .toEqual([{ timestampMs: 500, note: 'Hands', shapes: [] }]);
+  });
+
+  it('has no analysis section for an unanalyzed video', () => {
+    const document = buildAnalysisDocument({ ...VIDEO, metrics: null }, []);
+    expect(document.analysis).toBeNull();
+    expect(document.skiers).toEqual([]);
+  });
+});
@@ -0,0 +1,260 @@
+import { loadPoseTrack, loadAnnotations } from '../../../shared/services/videoStorageService';
+import { loadSettings } from '../../../shared/services/settingsService';
+import { EXPORT_CONFIG } from '../../../shared/constants/export';
+import { ANALYSIS_CONFIG } from '../../../shared/constants/analysis';
+import { smoothTrack } from '../../../shared/utils/smoothing';
+import { getTrackFrameAt } from '../../../shared/utils/poseTrack';
+import { getSkierColor, listSkiers } from '../../../shared/utils/poseTracking';
+import { computeAngleSeries, seriesValuesAt } from '../../../shared/utils/angleSeries';
+import { JOINT_ANGLES } from '../../../shared/utils/jointAngles';
+import { slopeVector, getSlopeAngle } from '../../../shared/utils/slopeReference';
+import { drawOverlay, resolveOverlaySettings } from '../../../shared/utils/overlayRenderer';
+import { annotationsAt, drawAnnotations } from '../../../shared/utils/annotations';
+
+// Style values given in pixels, scaled from the player's size to the video's
+const SIZED_STYLE_KEYS = ['lineWidth', 'otherLineWidth', 'jointRadius', 'otherJointRadius', 'fontSize'];
+
+/**
+ * First recording format from EXPORT_CONFIG.MIME_TYPES the browser supports
+ *
+ * @returns {string|null} MIME type, or null if the browser can't record video
+ */
+export function pickRecordingType() {
+  if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+  return EXPORT_CONFIG.MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ?? null;
+}
+
+/**
+ * Load a video element off-screen and wait until its first frame is decodable
+ */
+function loadVideo(url) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.preload = 'auto';
+    video.muted = true;
+    video.playsInline = true;
+
+    video.onloadeddata = () => resolve(video);
+    video.onerror = () => reject(new Error('Failed to load video for export'));
+
+    video.src = url;
+  });
+}
+
+/**
+ * Joint-angle readouts in a box in the top-left corner, like the player's
+ */
+function drawReadouts(ctx, angles, fontSize) {
+  const rows = JOINT_ANGLES.filter(({ key }) => angles?.[key] !== null && angles?.[key] !== undefined);
+  if (rows.length === 0) return;
+
+  const padding = fontSize * 0.6;
+  const lineHeight = fontSize * 1.4;
+  ctx.save();
+  ctx.font = `${fontSize}px sans-serif`;
+  ctx.textBaseline = 'top';
+  const labelWidth = Math.max(...rows.map(({ label }) => ctx.measureText(`${label}:`).width));
+  const valueWidth = ctx.measureText('-180°').width;
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(padding, padding, labelWidth + valueWidth + padding * 3, rows.length * lineHeight + padding * 2);
+  rows.forEach(({ key, label }, i) => {
+    const y = padding * 2 + i * lineHeight;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.fillText(`${label}:`, padding * 2, y);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(`${angles[key]}°`, padding * 2 + labelWidth + padding, y);
+  });
+  ctx.restore();
+}
+
+/**
+ * Annotation notes in a caption box near the bottom of the frame
+ */
+function drawNotes(ctx, notes, fontSize) {
+  if (notes.length === 0) return;
+
+  const { width, height } = ctx.canvas;
+  const lines = notes.join('\n').split('\n');
+  const padding = fontSize * 0.6;
+  const lineHeight = fontSize * 1.3;
+  ctx.save();
+  ctx.font = `${fontSize}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  const boxWidth = Math.min(width * 0.9, Math.max(...lines.map((line) => ctx.measureText(line).width)) + padding * 2);
+  const boxHeight = lines.length * lineHeight + padding * 2;
+  const top = height - boxHeight - height * 0.06;
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect((width - boxWidth) / 2, top, boxWidth, boxHeight);
+  ctx.fillStyle = '#ffffff';
+  lines.forEach((line, i) => {
+    ctx.fillText(line, width / 2, top + padding + i * lineHeight, boxWidth - padding * 2);
+  });
+  ctx.restore();
+}
+
+/**
+ * Re-render a library video with its pose overlay, angle readouts and
+ * annotations burned in, and record it to a file
+ *
+ * The clip plays through once off-screen at normal speed while every frame
+ * is drawn to a canvas recorded with MediaRecorder, so the export takes as
+ * long as the clip. The overlay uses the user's overlay and smoothing
+ * settings, scaled from the player's size to the video's. The exported clip
+ * has no sound.
+ *
+ * @param {import('../../../shared/types').VideoItem} video - Analyzed library video
+ * @param {Object} [options]
+ * @param {number|null} [options.skierId] - Skier to follow (default: the primary skier)
+ * @param {Function} [options.onProgress] - Called with a 0-1 fraction as the clip plays
+ * @param {AbortSignal} [options.signal] - Cancels the export (rejects with an AbortError)
+ * @returns {Promise<{blob: Blob, mimeType: string, extension: string}>}
+ */
+export async function exportAnnotatedVideo(video, { skierId = null, onProgress, signal } = {}) {
+  const mimeType = pickRecordingType();
+  if (!mimeType) {
+    throw new Error('This browser cannot record video');
+  }
+
+  const [element, track, annotations] = await Promise.all([
+    loadVideo(video.url),
+    loadPoseTrack(video.id),
+    loadAnnotations(video.id),
+  ]);
+  const width = element.videoWidth;
+  const height = element.videoHeight;
+  const durationMs = element.duration * 1000;
+
+  // Overlay as the player draws it, at the video's size
+  const { overlay, smoothing } = loadSettings();
+  const { layers, style: playerStyle } = resolveOverlaySettings(overlay);
+  const sizeScale = Math.max(1, width / EXPORT_CONFIG.PLAYER_WIDTH);
+  const style = { ...playerStyle };
+  SIZED_STYLE_KEYS.forEach((key) => {
+    style[key] = playerStyle[key] * sizeScale;
+  });
+  const aspectRatio = width / height;
+  const slope = slopeVector(getSlopeAngle(video), aspectRatio);
+  const followedId = skierId ?? video.metrics?.primarySkierId ?? listSkiers(track)[0]?.id ?? null;
+  const smoothedTrack = smoothTrack(track, smoothing);
+  const series = computeAngleSeries(track, followedId, { slope, aspectRatio, smoothing });
+  const frameDurationMs = 1000 / EXPORT_CONFIG.FRAME_RATE;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const drawFrame = () => {
+    const timeMs = element.currentTime * 1000;
+    const angles = seriesValuesAt(series, timeMs, 1000 / ANALYSIS_CONFIG.SAMPLE_FPS);
+    const shown = annotationsAt(annotations, timeMs, { frameDurationMs, isPlaying: true });
+
+    ctx.drawImage(element, 0, 0, width, height);
+    drawOverlay(ctx, getTrackFrameAt(smoothedTrack, timeMs)?.poses ?? [], {
+      followedId,
+      colorFor: getSkierColor,
+      layers,
+      style,
+      angles,
+      slope,
+      clear: false,
+    });
+    drawAnnotations(ctx, shown.flatMap((annotation) => annotation.shapes));
+    drawNotes(ctx, shown.map((annotation) => annotation.note).filter(Boolean), style.fontSize * 1.2);
+    drawReadouts(ctx, angles, style.fontSize);
+
+    if (onProgress && durationMs > 0) {
+      onProgress(Math.min(1, timeMs / durationMs));
+    }
+  };
+
+  const stream = canvas.captureStream(EXPORT_CONFIG.FRAME_RATE);
+  const recorder = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: Math.round(width * height * EXPORT_CONFIG.FRAME_RATE * EXPORT_CONFIG.BITS_PER_PIXEL),
+  });
+  const chunks = [];
+
+  return new Promise((resolve, reject) => {
+    let finished = false;
+    let failure = null;
+
+    const release = () => {
+      finished = true;
+      signal?.removeEventListener('abort', handleAbort);
+      stream.getTracks().forEach((t) => t.stop());
+      element.pause();
+      element.removeAttribute('src');
+      element.load();
+    };
+
+    // Stop recording; the promise settles once the recorder has flushed
+    const stop = (error = null) => {
+      if (finished) return;
+      failure = error;
+      finished = true;
+      element.pause();
+      if (recorder.state !== 'inactive') {
+        recorder.stop();
+      } else {
+        // Nothing was recorded, so there is no file to hand back
+        release();
+        reject(error ?? new Error('Recording stopped before it started'));
+      }
+    };
+
+    const handleAbort = () => stop(new DOMException('Export cancelled', 'AbortError'));
+
+    // Draw every decoded frame, or every display frame where the browser
+    // can't report video frames
+    const scheduleFrame = () => {
+      if (element.requestVideoFrameCallback) {
+        element.requestVideoFrameCallback(handleFrame);
+      } else {
+        requestAnimationFrame(handleFrame);
+      }
+    };
+    const handleFrame = () => {
+      if (finished) return;
+      drawFrame();
+      scheduleFrame();
+    };
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onerror = (event) => stop(event.error ?? new Error('Recording failed'));
+    recorder.onstop = () => {
+      release();
+      if (failure) {
+        reject(failure);
+        return;
+      }
+      resolve({
+        blob: new Blob(chunks, { type: mimeType }),
+        mimeType,
+        extension: mimeType.startsWith('video/mp4') ? 'mp4' : 'webm',
+      });
+    };
+
+    element.onended = () => {
+      drawFrame();
+      stop();
+    };
+    element.onerror = () => stop(new Error('Video playback failed during export'));
+
+    if (signal?.aborted) {
+      handleAbort();
+      return;
+    }
+    signal?.addEventListener('abort', handleAbort);
+
+    drawFrame();
+    recorder.start(1000);
+    scheduleFrame();
+    element.play().catch((error) => stop(error));
+  });
+}
@@ -1,9 +1,11 @@
 export { default as Upload } from './components/Upload';
 export { useVideoUpload } from './hooks/useVideoUpload';
-export { getLandmarker, resetLandmarker } from './services/mediapipeService';
+export { getLandmarker } from './services/mediapipeService';
+export { createPoseWorker } from './services/poseWorkerClient';
 export {
   processVideoFile,
   validateVideoFile,
   cleanupVideoUrl,
-  processVideoAnalysis
+  processVideoAnalysis,
+  recomputeVideoMetrics
 } from './services/videoUploadService';
\ No newline at end of file
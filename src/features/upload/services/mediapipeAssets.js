@@ -0,0 +1,134 @@
+import { MEDIAPIPE_CONFIG, POSE_MODEL_VARIANTS } from "../../../shared/constants/mediapipe";
+
+/**
+ * Resolve a path under public/ against the app's base URL
+ */
+function localUrl(path) {
+  return `${import.meta.env.BASE_URL}${path}`;
+}
+
+/**
+ * Check a response really is the asset (the dev server answers missing
+ * files with index.html and a 200 status)
+ */
+function isAssetResponse(response) {
+  return response.ok && !(response.headers.get('content-type') || '').includes('text/html');
+}
+
+/**
+ * Fetch a URL, returning null instead of throwing when offline or missing
+ */
+async function tryFetch(url) {
+  try {
+    const response = await fetch(url);
+    return isAssetResponse(response) ? response : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load a MediaPipe asset, preferring local copies over the network
+ *
+ * Order: the app's own copy (public/), then the Cache Storage copy of a
+ * previous remote download, then the pinned remote URL (cached for next time).
+ *
+ * @param {string} localPath - Path under public/
+ * @param {string} remoteUrl - Pinned remote fallback
+ * @returns {Promise<Blob|null>} The asset, or null if no source has it
+ */
+async function loadAsset(localPath, remoteUrl) {
+  const local = await tryFetch(localUrl(localPath));
+  if (local) return local.blob();
+
+  const cache = typeof caches !== 'undefined'
+    ? await caches.open(MEDIAPIPE_CONFIG.ASSET_CACHE_NAME).catch(() => null)
+    : null;
+
+  const cached = await cache?.match(remoteUrl);
+  if (cached) return cached.blob();
+
+  const remote = await tryFetch(remoteUrl);
+  if (!remote) return null;
+
+  console.log('⬇️ Downloaded MediaPipe asset from', remoteUrl);
+  await cache?.put(remoteUrl, remote.clone()).catch((error) => {
+    console.warn('⚠️ Could not cache MediaPipe asset:', error);
+  });
+  return remote.blob();
+}
+
+/**
+ * Import the WASM loader script as an ES module
+ *
+ * The loader is a classic script declaring a global ModuleFactory, which
+ * tasks-vision would run with importScripts(); module workers (used by Vite in
+ * dev) don't have it. Exporting the factory lets us import() the script instead.
+ *
+ * @param {Blob} loader - Loader script
+ * @returns {Promise<Function>} The loader's ModuleFactory
+ */
+async function importWasmLoader(loader) {
+  const source = new Blob([await loader.text(), '\nexport default ModuleFactory;\n'], { type: 'text/javascript' });
+  const url = URL.createObjectURL(source);
+  try {
+    return (await import(/* @vite-ignore */ url)).default;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Load the vision WASM runtime
+ *
+ * tasks-vision skips loading the loader script itself when no wasmLoaderPath
+ * is given and self.ModuleFactory is set, and clears that global once it has
+ * used it; so set it to `moduleFactory` right before creating each task.
+ *
+ * @param {boolean} simd - Whether to load the SIMD build
+ * @returns {Promise<{moduleFactory: Function, fileset: {wasmBinaryPath: string}}>}
+ */
+export async function loadWasmFileset(simd) {
+  const baseName = simd ? 'vision_wasm_internal' : 'vision_wasm_nosimd_internal';
+
+  const [loader, binary] = await Promise.all([
+    loadAsset(`${MEDIAPIPE_CONFIG.LOCAL_WASM_PATH}/${baseName}.js`, `${MEDIAPIPE_CONFIG.REMOTE_WASM_URL}/${baseName}.js`),
+    loadAsset(`${MEDIAPIPE_CONFIG.LOCAL_WASM_PATH}/${baseName}.wasm`, `${MEDIAPIPE_CONFIG.REMOTE_WASM_URL}/${baseName}.wasm`),
+  ]);
+
+  if (!loader || !binary) {
+    throw new Error(
+      'Pose detection runtime unavailable: the MediaPipe WASM files are not bundled with the app ' +
+      'and could not be downloaded. Run "npm run setup:mediapipe" or connect to the internet once.'
+    );
+  }
+
+  return {
+    moduleFactory: await importWasmLoader(loader),
+    fileset: { wasmBinaryPath: URL.createObjectURL(binary) },
+  };
+}
+
+/**
+ * Load a pose landmarker model variant
+ *
+ * @param {'lite'|'full'|'heavy'} variant - Key of POSE_MODEL_VARIANTS
+ * @returns {Promise<Uint8Array>} Model bytes for baseOptions.modelAssetBuffer
+ */
+export async function loadPoseModel(variant) {
+  const config = POSE_MODEL_VARIANTS[variant];
+  if (!config) {
+    throw new Error(`Unknown pose model variant: ${variant}`);
+  }
+
+  const model = await loadAsset(config.LOCAL_PATH, config.REMOTE_URL);
+
+  if (!model) {
+    throw new Error(
+      `No pose model available: the ${config.label} model is not bundled with the app and could not be downloaded. ` +
+      'Run "npm run setup:mediapipe", connect to the internet once, or pick another model.'
+    );
+  }
+
+  return new Uint8Array(await model.arrayBuffer());
+}
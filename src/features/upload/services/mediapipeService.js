@@ -1,48 +1,66 @@
 import { FilesetResolver, PoseLandmarker } from "@mediapipe/tasks-vision";
-import { MEDIAPIPE_CONFIG } from "../../../shared/constants/mediapipe";
+import { MEDIAPIPE_CONFIG, DEFAULT_MODEL_VARIANT } from "../../../shared/constants/mediapipe";
+import { loadWasmFileset, loadPoseModel } from "./mediapipeAssets";
 
-// Singleton instance to avoid recreating the landmarker
-let landmarkerPromise = null;
+// One landmarker per model variant (and per input, see getLandmarker), so
+// switching back and forth doesn't reload models
+const landmarkerPromises = new Map();
 
 /**
- * Get or create the MediaPipe PoseLandmarker instance
+ * Create a new MediaPipe PoseLandmarker instance for a model variant
  */
-export async function getLandmarker() {
-  if (!landmarkerPromise) {
-    landmarkerPromise = (async () => {
-      try {
-        console.log('🎿 Initializing MediaPipe PoseLandmarker...');
-        console.log('Loading from:', MEDIAPIPE_CONFIG.WASM_URL);
+async function createLandmarker(variant) {
+  try {
+    console.log(`🎿 Initializing MediaPipe PoseLandmarker (${variant})...`);
 
-        const filesets = await FilesetResolver.forVisionTasks(
-          MEDIAPIPE_CONFIG.WASM_URL
-        );
-        console.log('✅ FilesetResolver loaded successfully');
+    const simd = await FilesetResolver.isSimdSupported();
+    const [{ moduleFactory, fileset }, model] = await Promise.all([
+      loadWasmFileset(simd),
+      loadPoseModel(variant),
+    ]);
+    console.log('✅ MediaPipe assets loaded successfully');
 
-        const landmarker = await PoseLandmarker.createFromOptions(filesets, {
-          baseOptions: {
-            modelAssetPath: MEDIAPIPE_CONFIG.MODEL_URL,
-          },
-          runningMode: MEDIAPIPE_CONFIG.RUNNING_MODE,
-          numPoses: MEDIAPIPE_CONFIG.NUM_POSES,
-        });
+    // Consumed (and cleared) synchronously by createFromOptions, so concurrent
+    // creations can't pick up each other's factory
+    self.ModuleFactory = moduleFactory;
+    const landmarker = await PoseLandmarker.createFromOptions(fileset, {
+      baseOptions: {
+        modelAssetBuffer: model,
+      },
+      runningMode: MEDIAPIPE_CONFIG.RUNNING_MODE,
+      numPoses: MEDIAPIPE_CONFIG.NUM_POSES,
+    });
 
-        console.log('✅ PoseLandmarker created successfully');
-        return landmarker;
-      } catch (error) {
-        console.error('❌ Failed to initialize MediaPipe PoseLandmarker:', error);
-        console.error('Error details:', error.message, error.stack);
-        throw error;
-      }
-    })();
+    console.log('✅ PoseLandmarker created successfully');
+    return landmarker;
+  } catch (error) {
+    console.error('❌ Failed to initialize MediaPipe PoseLandmarker:', error);
+    console.error('Error details:', error.message, error.stack);
+    throw error;
   }
-
-  return landmarkerPromise;
 }
 
 /**
- * Reset the landmarker instance (useful for cleanup or reinitialization)
+ * Get or create the MediaPipe PoseLandmarker instance for a model variant
+ *
+ * Runs inside the pose worker (see poseWorker.js); each worker caches its own
+ * instance per variant. In VIDEO mode the landmarker tracks poses from one
+ * frame to the next, so region-of-interest crops get their own instance:
+ * mixing them with full frames would make it track across two coordinate frames.
+ *
+ * @param {'lite'|'full'|'heavy'} [variant] - Key of POSE_MODEL_VARIANTS
+ * @param {Object} [options]
+ * @param {boolean} [options.roi] - Get the instance that runs on cropped regions
  */
-export function resetLandmarker() {
-  landmarkerPromise = null;
-}
\ No newline at end of file
+export async function getLandmarker(variant = DEFAULT_MODEL_VARIANT, { roi = false } = {}) {
+  const key = roi ? `${variant}:roi` : variant;
+  if (!landmarkerPromises.has(key)) {
+    landmarkerPromises.set(key, createLandmarker(variant).catch((error) => {
+      // Don't cache the failure, so a later call can retry (e.g. once back online)
+      landmarkerPromises.delete(key);
+      throw error;
+    }));
+  }
+
+  return landmarkerPromises.get(key);
+}
@@ -0,0 +1,149 @@
+import { createPoseWorker, captureFrame } from './poseWorkerClient';
+import { DEFAULT_MODEL_VARIANT } from '../../../shared/constants/mediapipe';
+import { ANALYSIS_CONFIG, CAMERA_MOTION_CONFIG } from '../../../shared/constants/analysis';
+import { createPoseTracker, toPoses } from '../../../shared/utils/poseTracking';
+import { toGrayscale, skierMask, estimateCameraShift } from '../../../shared/utils/cameraMotion';
+import { createRoiTracker } from '../../../shared/utils/roiTracking';
+
+/**
+ * Load a video element off-screen and wait until its first frame is decodable
+ */
+function loadVideo(url) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.preload = 'auto';
+    video.muted = true;
+    video.playsInline = true;
+
+    video.onloadeddata = () => resolve(video);
+    video.onerror = () => reject(new Error('Failed to load video for analysis'));
+
+    video.src = url;
+  });
+}
+
+/**
+ * Seek a video element and resolve once the frame at that time is ready
+ */
+function seekTo(video, time) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      video.removeEventListener('seeked', handleSeeked);
+      video.removeEventListener('error', handleError);
+    };
+    const handleSeeked = () => {
+      cleanup();
+      resolve();
+    };
+    const handleError = () => {
+      cleanup();
+      reject(new Error(`Failed to seek video to ${time.toFixed(2)}s`));
+    };
+
+    video.addEventListener('seeked', handleSeeked);
+    video.addEventListener('error', handleError);
+    video.currentTime = time;
+  });
+}
+
+/**
+ * Create a reader that grabs the current video frame as a small greyscale
+ * image, for measuring the camera pan
+ */
+function createFrameReader(video) {
+  const width = CAMERA_MOTION_CONFIG.GRID_WIDTH;
+  const height = Math.max(1, Math.round((width * video.videoHeight) / (video.videoWidth || width)));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  return {
+    width,
+    height,
+    read: () => {
+      ctx.drawImage(video, 0, 0, width, height);
+      return toGrayscale(ctx.getImageData(0, 0, width, height));
+    },
+  };
+}
+
+/**
+ * Run the PoseLandmarker frame by frame over a whole video
+ *
+ * Frames are sampled at ANALYSIS_CONFIG.SAMPLE_FPS by seeking, so the pass is
+ * deterministic and independent of playback speed. Detection runs in a
+ * dedicated worker; the main thread only seeks and captures frames. Every
+ * detected person gets a stable skier ID from the pose tracker, and every
+ * frame records how far the background moved since the previous one (the
+ * camera pan, null when it can't be measured). Small, distant skiers are
+ * detected in an upsampled crop around where they were last seen (see
+ * roiTracking.js).
+ *
+ * @param {string} url - Blob URL of the video
+ * @param {Object} [options]
+ * @param {number} [options.sampleFps] - Frames to analyze per second of video
+ * @param {string} [options.modelVariant] - Pose model variant to run ('lite', 'full' or 'heavy')
+ * @param {Function} [options.onProgress] - Called with a 0-1 fraction after each frame
+ * @returns {Promise<Array<{timestamp: number, poses: Array<{id: number, landmarks: Array, worldLandmarks: Array|null}>, camera: {dx: number, dy: number}|null}>>}
+ */
+export async function analyzeVideoPoses(url, {
+  sampleFps = ANALYSIS_CONFIG.SAMPLE_FPS,
+  modelVariant = DEFAULT_MODEL_VARIANT,
+  onProgress,
+} = {}) {
+  const poseWorker = createPoseWorker();
+  const tracker = createPoseTracker();
+  const roiTracker = createRoiTracker();
+  let video = null;
+
+  try {
+    [video] = await Promise.all([loadVideo(url), poseWorker.init(modelVariant)]);
+    const { duration } = video;
+    const step = 1 / sampleFps;
+    const frameCount = Math.max(1, Math.floor(duration * sampleFps));
+    const frames = [];
+    const frameReader = createFrameReader(video);
+    let previous = null;
+
+    for (let i = 0; i < frameCount; i++) {
+      const time = Math.min(i * step, duration);
+      await seekTo(video, time);
+
+      // VIDEO mode needs increasing timestamps; the video time (ms) provides them
+      const timestamp = Math.round(time * 1000);
+      const gray = frameReader.read();
+      const roi = roiTracker.next(video.videoWidth, video.videoHeight);
+      const result = await poseWorker.detect(await captureFrame(video), timestamp, roi);
+      const poses = tracker.update(toPoses(result));
+      roiTracker.update(poses, roi);
+
+      // Background shift since the last sample, ignoring the skiers in either frame
+      const camera = previous
+        ? estimateCameraShift(
+          previous.gray,
+          gray,
+          frameReader.width,
+          frameReader.height,
+          skierMask([...previous.poses, ...poses], frameReader.width, frameReader.height)
+        )
+        : null;
+      previous = { gray, poses };
+
+      frames.push({ timestamp, poses, camera });
+
+      if (onProgress) {
+        onProgress((i + 1) / frameCount);
+      }
+    }
+
+    return frames;
+  } finally {
+    poseWorker.terminate();
+    // Release the decoder and the blob reference
+    if (video) {
+      video.removeAttribute('src');
+      video.load();
+    }
+  }
+}
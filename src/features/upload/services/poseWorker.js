@@ -0,0 +1,86 @@
+/**
+ * Pose detection worker
+ *
+ * Hosts the MediaPipe PoseLandmarker off the main thread so detection never
+ * blocks playback or the UI. Timestamps sent to a worker must keep increasing
+ * (VIDEO mode), even across model variant switches.
+ *
+ * Message protocol (every request carries an `id` echoed in its reply):
+ *   → { type: 'init', id, variant }                 ← { type: 'ready', id }
+ *   → { type: 'detect', id, frame, timestamp, roi } ← { type: 'result', id, result }
+ *   Any failure replies with                        ← { type: 'error', id, message }
+ *
+ * `frame` is an ImageBitmap or VideoFrame (transferred, closed by the worker);
+ * `result` is { landmarks, worldLandmarks } as returned by detectForVideo.
+ * `roi` (optional, normalized { x, y, width, height }) crops and upsamples
+ * that region before detection; the landmarks in `result` are mapped back to
+ * full-frame coordinates either way. Crops run on their own landmarker so
+ * its frame-to-frame tracking never mixes crops and full frames.
+ * `variant` selects the model; detection keeps using the previous variant
+ * until the new one has loaded.
+ */
+import { getLandmarker } from './mediapipeService';
+import { ROI_CONFIG } from '../../../shared/constants/tracking';
+import { mapLandmarksFromRoi } from '../../../shared/utils/roiTracking';
+
+// Variant used for detection, set once its landmarker is ready
+let currentVariant;
+
+/**
+ * Crop a region of a frame, upsampled to ROI_CONFIG.OUTPUT_SIZE square
+ */
+function cropFrame(frame, roi) {
+  const width = frame.displayWidth ?? frame.width;
+  const height = frame.displayHeight ?? frame.height;
+  return createImageBitmap(
+    frame,
+    Math.round(roi.x * width),
+    Math.round(roi.y * height),
+    Math.max(1, Math.round(roi.width * width)),
+    Math.max(1, Math.round(roi.height * height)),
+    { resizeWidth: ROI_CONFIG.OUTPUT_SIZE, resizeHeight: ROI_CONFIG.OUTPUT_SIZE, resizeQuality: 'high' }
+  );
+}
+
+async function handleMessage({ type, id, frame, timestamp, variant, roi }) {
+  switch (type) {
+    case 'init':
+      await getLandmarker(variant);
+      currentVariant = variant;
+      return { type: 'ready', id };
+
+    case 'detect': {
+      let crop = null;
+      try {
+        const landmarker = await getLandmarker(currentVariant, { roi: Boolean(roi) });
+        crop = roi ? await cropFrame(frame, roi) : null;
+        const result = landmarker.detectForVideo(crop ?? frame, timestamp);
+        const landmarks = result?.landmarks ?? [];
+        return {
+          type: 'result',
+          id,
+          result: {
+            landmarks: roi ? landmarks.map((pose) => mapLandmarksFromRoi(pose, roi)) : landmarks,
+            // World landmarks are metric, around the hips: cropping doesn't change them
+            worldLandmarks: result?.worldLandmarks ?? [],
+          },
+        };
+      } finally {
+        crop?.close();
+        frame.close();
+      }
+    }
+
+    default:
+      throw new Error(`Unknown message type: ${type}`);
+  }
+}
+
+self.onmessage = async (event) => {
+  try {
+    self.postMessage(await handleMessage(event.data));
+  } catch (error) {
+    console.error('❌ Pose worker error:', error);
+    self.postMessage({ type: 'error', id: event.data.id, message: error.message });
+  }
+};
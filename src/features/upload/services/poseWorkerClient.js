@@ -0,0 +1,78 @@
+/**
+ * Main-thread client for the pose detection worker (see poseWorker.js)
+ */
+
+/**
+ * Capture the current frame of a video element for transfer to the worker
+ *
+ * Uses a VideoFrame where WebCodecs is available, an ImageBitmap otherwise.
+ */
+export async function captureFrame(video) {
+  if (typeof VideoFrame !== 'undefined') {
+    return new VideoFrame(video);
+  }
+  return createImageBitmap(video);
+}
+
+/**
+ * Start a dedicated pose detection worker
+ *
+ * Each worker has its own landmarker, so the live overlay and the offline
+ * analysis can run at the same time without sharing a VIDEO-mode timeline.
+ *
+ * @returns {{
+ *   init: (variant: 'lite'|'full'|'heavy') => Promise<void>,
+ *   detect: (frame: ImageBitmap|VideoFrame, timestamp: number, roi?: Object|null) => Promise<{landmarks: Array, worldLandmarks: Array}>,
+ *   terminate: () => void
+ * }}
+ */
+export function createPoseWorker() {
+  const worker = new Worker(new URL('./poseWorker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextId = 0;
+
+  const rejectAll = (error) => {
+    for (const { reject } of pending.values()) {
+      reject(error);
+    }
+    pending.clear();
+  };
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+
+    pending.delete(data.id);
+    if (data.type === 'error') {
+      request.reject(new Error(data.message));
+    } else {
+      request.resolve(data);
+    }
+  };
+
+  worker.onerror = (event) => {
+    rejectAll(new Error(event.message || 'Pose worker failed'));
+  };
+
+  const request = (message, transfer = []) => {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ ...message, id }, transfer);
+    });
+  };
+
+  return {
+    init: async (variant) => {
+      await request({ type: 'init', variant });
+    },
+    detect: async (frame, timestamp, roi = null) => {
+      const { result } = await request({ type: 'detect', frame, timestamp, roi }, [frame]);
+      return result;
+    },
+    terminate: () => {
+      worker.terminate();
+      rejectAll(new Error('Pose worker terminated'));
+    },
+  };
+}
@@ -1,4 +1,20 @@
-import { generateMockMetrics } from "../../../shared/utils";
+import { computeFrameMetrics, summarizeMetrics } from "../../../shared/utils/poseMetrics";
+import { findSkierPose, listSkiers } from "../../../shared/utils/poseTracking";
+import { smoothTrack, createAngleSmoother } from "../../../shared/utils/smoothing";
+import { segmentTurns, summarizeTurns } from "../../../shared/utils/turnSegmentation";
+import { evaluateFeedback } from "../../../shared/utils/feedbackEngine";
+import { computeSubScores } from "../../../shared/utils/scoring";
+import { estimateSpeed } from "../../../shared/utils/speedEstimation";
+import { computeSymmetry } from "../../../shared/utils/symmetry";
+import { computeTrackingQuality } from "../../../shared/utils/trackingQuality";
+import {
+  getSlopeAngle,
+  getAspectRatio,
+  slopeVector,
+  estimateSlopeFromSkis,
+} from "../../../shared/utils/slopeReference";
+import { savePoseTrack, loadPoseTrack } from "../../../shared/services/videoStorageService";
+import { analyzeVideoPoses } from "./poseAnalysisService";
 
 /**
  * Extract video metadata (duration and thumbnail)
@@ -36,7 +52,7 @@ async function extractVideoMetadata(file) {
         // Clean up
         URL.revokeObjectURL(url);
 
-        resolve({ thumbnail, duration });
+        resolve({ thumbnail, duration, width: video.videoWidth, height: video.videoHeight });
       }, 'image/jpeg', 0.8);
     };
 
@@ -68,7 +84,7 @@ export async function processVideoFile(file) {
   const id = `video_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
   // Extract metadata
-  const { thumbnail, duration } = await extractVideoMetadata(file);
+  const { thumbnail, duration, width, height } = await extractVideoMetadata(file);
 
   // Create video item WITHOUT metrics initially (they'll be added after processing)
   const videoItem = {
@@ -77,6 +93,8 @@ export async function processVideoFile(file) {
     url,
     thumbnail,
     duration,
+    width,
+    height,
     metrics: null, // Will be populated after processing
     uploadedAt: new Date().toISOString(),
     isProcessing: true, // Flag to indicate processing state
@@ -87,18 +105,140 @@ export async function processVideoFile(file) {
 }
 
 /**
- * Simulate video processing and analysis
- * Returns a promise that resolves with metrics after a delay
+ * Measure one skier over the smoothed track, and rate the raw track's
+ * detection quality
  */
-export async function processVideoAnalysis(videoId, delay = null) {
-  // Random delay between 6-9 seconds if not specified
-  const processingTime = delay || (6000 + Math.random() * 3000);
-
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      const metrics = generateMockMetrics();
-      resolve(metrics);
-    }, processingTime);
+function analyzeSkier(frames, smoothedFrames, id, {
+  smoothing,
+  feedbackRules,
+  skierHeightCm,
+  slope,
+  aspectRatio,
+  frameSize,
+}) {
+  const angleSmoother = createAngleSmoother(smoothing);
+  const samples = smoothedFrames.map((frame) => {
+    const pose = findSkierPose(frame, id);
+    return {
+      timestamp: frame.timestamp,
+      landmarks: pose?.landmarks ?? null,
+      metrics: angleSmoother.smooth(
+        computeFrameMetrics(pose?.landmarks, pose?.worldLandmarks, { slope, aspectRatio }),
+        frame.timestamp
+      ),
+    };
+  });
+  const turns = segmentTurns(samples, { aspectRatio });
+
+  return {
+    id,
+    ...summarizeMetrics(samples.map((sample) => sample.metrics)),
+    ...summarizeTurns(turns),
+    turns,
+    feedback: evaluateFeedback(samples, turns, feedbackRules),
+    scores: computeSubScores(samples, turns),
+    symmetry: computeSymmetry(turns),
+    quality: computeTrackingQuality(frames, id, samples),
+    speed: estimateSpeed(smoothedFrames, id, { ...frameSize, heightCm: skierHeightCm }),
+  };
+}
+
+/**
+ * Compute a video's metrics from its landmark track
+ *
+ * Metrics are measured on the smoothed track, with the derived angles
+ * smoothed as well, against the video's slope reference. Each skier's
+ * timeline is also split into turns, run through the feedback rules and
+ * scored, and the skier's speed is estimated.
+ */
+function computeVideoMetrics(frames, video, { smoothing, feedbackRules, skierHeightCm, modelVariant }) {
+  const smoothedFrames = smoothTrack(frames, smoothing);
+  const aspectRatio = getAspectRatio(video);
+  const slope = slopeVector(getSlopeAngle(video), aspectRatio);
+
+  // Metrics for every skier worth following; the most visible one is the default
+  const skiers = listSkiers(frames).map(({ id }) =>
+    analyzeSkier(frames, smoothedFrames, id, {
+      smoothing,
+      feedbackRules,
+      skierHeightCm,
+      slope,
+      aspectRatio,
+      frameSize: { width: video.width, height: video.height },
+    })
+  );
+
+  return {
+    framesAnalyzed: frames.length,
+    primarySkierId: skiers[0]?.id ?? null,
+    skiers,
+    modelVariant,
+  };
+}
+
+/**
+ * Analyze the video's poses frame by frame and compute its metrics
+ *
+ * The raw per-frame landmark track is persisted so playback and later analytics
+ * can reuse it instead of re-running the model. Videos without a slope
+ * reference get one estimated from the skis.
+ *
+ * @param {import('../../../shared/types').VideoItem} video - Video item to analyze
+ * @param {Object} [options]
+ * @param {string} [options.modelVariant] - Pose model variant to run ('lite', 'full' or 'heavy')
+ * @param {Object} [options.smoothing] - Smoothing settings (see resolveSmoothingOptions)
+ * @param {Object} [options.feedbackRules] - Feedback rule overrides (see resolveFeedbackRules)
+ * @param {number|null} [options.skierHeightCm] - Skier's height for the speed scale (null = default)
+ * @param {Function} [options.onProgress] - Called with a 0-1 fraction as frames are analyzed
+ * @returns {Promise<{metrics: import('../../../shared/types').Metrics, slopeReference: import('../../../shared/types').SlopeReference|undefined}>}
+ */
+export async function processVideoAnalysis(video, {
+  modelVariant,
+  smoothing,
+  feedbackRules,
+  skierHeightCm,
+  onProgress,
+} = {}) {
+  const frames = await analyzeVideoPoses(video.url, { modelVariant, onProgress });
+  await savePoseTrack(video.id, frames);
+
+  let { slopeReference } = video;
+  if (!slopeReference) {
+    const angle = estimateSlopeFromSkis(frames, getAspectRatio(video));
+    if (angle !== null) {
+      slopeReference = { angle: Number(angle.toFixed(1)), source: 'auto' };
+    }
+  }
+
+  const metrics = computeVideoMetrics(
+    frames,
+    { ...video, slopeReference },
+    { smoothing, feedbackRules, skierHeightCm, modelVariant }
+  );
+  return { metrics, slopeReference };
+}
+
+/**
+ * Recompute a video's metrics from its stored track, e.g. after its slope
+ * reference, the feedback rules or the skier's height changed, without
+ * running the model again
+ *
+ * @param {import('../../../shared/types').VideoItem} video - Analyzed video item
+ * @param {Object} [options]
+ * @param {Object} [options.smoothing] - Smoothing settings (see resolveSmoothingOptions)
+ * @param {Object} [options.feedbackRules] - Feedback rule overrides (see resolveFeedbackRules)
+ * @param {number|null} [options.skierHeightCm] - Skier's height for the speed scale (null = default)
+ * @returns {Promise<import('../../../shared/types').Metrics|null>} New metrics, or null if the video has no stored track
+ */
+export async function recomputeVideoMetrics(video, { smoothing, feedbackRules, skierHeightCm } = {}) {
+  const frames = await loadPoseTrack(video.id);
+  if (frames.length === 0) return null;
+
+  return computeVideoMetrics(frames, video, {
+    smoothing,
+    feedbackRules,
+    skierHeightCm,
+    modelVariant: video.metrics?.modelVariant,
   });
 }
 
@@ -0,0 +1,62 @@
+export const ANALYSIS_CONFIG = {
+  SAMPLE_FPS: 10, // Frames analyzed per second of video
+  MIN_VISIBILITY: 0.5, // Landmarks below this are ignored by the metrics
+};
+
+// Turn segmentation thresholds (offsets are in torso lengths)
+export const TURN_CONFIG = {
+  MIN_OFFSET: 0.12, // Lateral hip/knee offset that commits to a turn
+  MIN_TURN_MS: 400, // Shorter swings are treated as noise
+  MAX_GAP_MS: 1000, // Longer detection gaps end the current turn
+  SMOOTHING_WINDOW: 3, // Samples averaged when reading the offset
+  MIN_HIP_WIDTH_RATIO: 0.15, // Narrower hips (side-on skier) give no usable left-right axis
+};
+
+export const SCORING_CONFIG = {
+  // Relative weight of each sub-score in the overall score; user settings can override them
+  WEIGHTS: { balance: 25, angulation: 25, symmetry: 15, rhythm: 15, stance: 20 },
+  TECHNICAL: ['balance', 'angulation', 'stance'], // Sub-scores that make up the technical score
+  MIN_FRAMES: 10, // Fewer measured frames leave a frame-based sub-score unscored
+  MIN_TURNS: 3, // Fewer turns leave rhythm unscored
+};
+
+export const QUALITY_CONFIG = {
+  MIN_JOINT_SHARE: 0.75, // Share of key joints that must be visible for a frame to be usable
+  MIN_USABLE_SHARE: 0.5, // Fewer usable frames flags the whole analysis as low-data
+  MIN_METRIC_FRAMES: 10, // Averages over fewer frames are flagged as low-data
+  LOW_JOINT_SHARE: 0.25, // Joints hidden in more of the detected frames are reported
+};
+
+export const CAMERA_MOTION_CONFIG = {
+  GRID_WIDTH: 96, // Frames are downscaled to this width to measure the pan
+  MAX_SHIFT: 16, // Largest background shift searched between samples, in grid pixels
+  SAMPLE_STEP: 2, // Compare every Nth grid pixel
+  SKIER_MARGIN: 0.2, // Skier boxes grow by this fraction before being masked out
+  MIN_COVERAGE: 0.2, // Less unmasked background than this gives no estimate
+  MIN_CONTRAST: 4, // Flatter backgrounds (grey levels std dev) give no estimate
+  MAX_MATCH_RATIO: 0.85, // The best shift must beat the typical shift by this much
+};
+
+export const SPEED_CONFIG = {
+  DEFAULT_HEIGHT_CM: 175, // Skier height used when the user hasn't entered one
+  // Shin + thigh + torso length as a fraction of standing height (anthropometric tables)
+  BODY_SEGMENT_RATIO: 0.78,
+  HEIGHT_UNCERTAINTY: { user: 0.03, default: 0.1 }, // Relative error of the scale
+  MAX_GAP_MS: 300, // Frame pairs further apart aren't measured
+  MAX_KMH: 150, // Faster frame-to-frame speeds are tracking glitches
+  STATIC_CAMERA_SHIFT: 0.005, // Median pan below this (fraction of frame) = fixed camera
+  MIN_PAIRS: 8, // Fewer measured frame pairs = unknown speed
+  MAX_RELATIVE_SPREAD: 0.6, // A wider interval than this fraction of the estimate = unknown
+};
+
+// Slope used until a video has its own reference: degrees below the image
+// horizontal, positive when the slope descends to the right
+export const DEFAULT_SLOPE_ANGLE = 25;
+
+export const REFERENCE_VECTORS = {
+  VERTICAL: { x: 0, y: -1 }, // Image y axis points down, so "up" is -y
+  SLOPE: {
+    x: Math.cos(DEFAULT_SLOPE_ANGLE * Math.PI / 180),
+    y: Math.sin(DEFAULT_SLOPE_ANGLE * Math.PI / 180),
+  },
+};
@@ -0,0 +1,6 @@
+// Coaching annotations drawn on paused frames (see annotations.js)
+export const ANNOTATION_CONFIG = {
+  HOLD_MS: 1500, // During playback an annotation stays on screen this long after its timestamp
+  MIN_SHAPE_LENGTH: 10, // Shorter drags, in video pixels, are treated as stray clicks
+  COLOR: "#facc15", // Shapes and protractor readouts
+};
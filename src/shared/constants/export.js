@@ -0,0 +1,14 @@
+// Annotated video export (see videoExportService.js)
+export const EXPORT_CONFIG = {
+  // Recording formats in order of preference; the first the browser supports is used
+  MIME_TYPES: ["video/mp4;codecs=avc1", "video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"],
+  FRAME_RATE: 30, // Frame rate of the recorded stream
+  BITS_PER_PIXEL: 0.15, // Video bitrate per pixel per frame
+  PLAYER_WIDTH: 960, // Overlay sizes are tuned for a player about this wide and scaled to the video
+};
+
+// CSV/JSON analysis export (see types/analysisExport.js)
+export const DATA_EXPORT_SCHEMA = {
+  NAME: "rideLvl.analysis",
+  VERSION: 1,
+};
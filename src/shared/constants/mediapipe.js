@@ -1,10 +1,40 @@
+// Must match the exact @mediapipe/tasks-vision version in package.json
+export const MEDIAPIPE_VERSION = "0.10.21";
+
+// Local paths are relative to the app's base URL (served from public/);
+// remote URLs are pinned fallbacks used only when the local copy is missing.
 export const MEDIAPIPE_CONFIG = {
-  WASM_URL: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm",
-  MODEL_URL: "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_full/float16/latest/pose_landmarker_full.task",
+  LOCAL_WASM_PATH: "mediapipe/wasm",
+  REMOTE_WASM_URL: `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/wasm`,
+  ASSET_CACHE_NAME: `ridelvl-mediapipe-${MEDIAPIPE_VERSION}`,
   RUNNING_MODE: "VIDEO",
-  NUM_POSES: 1,
+  NUM_POSES: 4, // Instructor, student and a couple of passers-by
+};
+
+// Pose landmarker model variants, from fastest to most accurate
+export const POSE_MODEL_VARIANTS = {
+  lite: {
+    label: "Lite",
+    description: "Fastest, for phones and older laptops",
+    LOCAL_PATH: "models/pose_landmarker_lite.task",
+    REMOTE_URL: "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task",
+  },
+  full: {
+    label: "Full",
+    description: "Balanced speed and accuracy",
+    LOCAL_PATH: "models/pose_landmarker_full.task",
+    REMOTE_URL: "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_full/float16/1/pose_landmarker_full.task",
+  },
+  heavy: {
+    label: "Heavy",
+    description: "Most accurate, needs a fast computer",
+    LOCAL_PATH: "models/pose_landmarker_heavy.task",
+    REMOTE_URL: "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_heavy/float16/1/pose_landmarker_heavy.task",
+  },
 };
 
+export const DEFAULT_MODEL_VARIANT = "full";
+
 export const POSE_LANDMARKS = {
   L_SHOULDER: 11,
   R_SHOULDER: 12,
@@ -18,9 +48,8 @@ export const POSE_LANDMARKS = {
   R_KNEE: 26,
   L_ANKLE: 27,
   R_ANKLE: 28,
+  L_HEEL: 29,
+  R_HEEL: 30,
+  L_FOOT_INDEX: 31,
+  R_FOOT_INDEX: 32,
 };
-
-export const REFERENCE_VECTORS = {
-  VERTICAL: { x: 0, y: 1 },
-  SLOPE: { x: Math.cos(25 * Math.PI / 180), y: Math.sin(25 * Math.PI / 180) },
-};
\ No newline at end of file
@@ -0,0 +1,64 @@
+// Pose overlay layers drawn by default; users toggle them in the player
+export const OVERLAY_LAYERS = {
+  skeleton: true, // Body connections
+  joints: true, // Body landmarks
+  face: true, // Face landmarks and connections
+  angleArcs: false, // Knee and hip flexion arcs at the joints, followed skier only
+  torsoReference: false, // Torso line against the vertical and the slope, followed skier only
+  centerOfMass: false, // Estimated centre of mass over the feet, followed skier only
+};
+
+// Overlay style presets. "other" values apply to skiers not being followed;
+// vertical/slope colours match the lean and slope readouts.
+export const OVERLAY_PRESETS = {
+  standard: {
+    label: "Standard",
+    lineWidth: 4,
+    otherLineWidth: 2,
+    jointRadius: 6,
+    otherJointRadius: 4,
+    opacity: 0.9,
+    otherOpacity: 0.5,
+    minVisibility: 0.3, // Landmarks below this aren't drawn
+    outlineColor: "rgba(255, 255, 255, 0.9)",
+    torsoColor: "#ffffff",
+    verticalColor: "#4ade80",
+    slopeColor: "#fb923c",
+    accentColor: "#facc15", // Angle arcs and the centre of mass
+    fontSize: 14,
+  },
+  bold: {
+    label: "Bold (small screens, projectors)",
+    lineWidth: 7,
+    otherLineWidth: 4,
+    jointRadius: 9,
+    otherJointRadius: 6,
+    opacity: 1,
+    otherOpacity: 0.6,
+    minVisibility: 0.3,
+    outlineColor: "rgba(0, 0, 0, 0.9)",
+    torsoColor: "#ffffff",
+    verticalColor: "#4ade80",
+    slopeColor: "#fb923c",
+    accentColor: "#facc15",
+    fontSize: 22,
+  },
+  subtle: {
+    label: "Subtle",
+    lineWidth: 2,
+    otherLineWidth: 1,
+    jointRadius: 3,
+    otherJointRadius: 2,
+    opacity: 0.7,
+    otherOpacity: 0.35,
+    minVisibility: 0.5,
+    outlineColor: "rgba(255, 255, 255, 0.6)",
+    torsoColor: "#ffffff",
+    verticalColor: "#4ade80",
+    slopeColor: "#fb923c",
+    accentColor: "#facc15",
+    fontSize: 12,
+  },
+};
+
+export const DEFAULT_OVERLAY_PRESET = "standard";
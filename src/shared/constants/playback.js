@@ -0,0 +1,8 @@
+// Player stepping and slow motion
+export const PLAYBACK_CONFIG = {
+  RATES: [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2], // Selectable playback rates
+  DEFAULT_FPS: 30, // Assumed frame rate until the browser reports frames
+  MIN_FPS: 10, // Measured rates are clamped to this range
+  MAX_FPS: 240,
+  SEEK_SECONDS: 10, // Skip buttons and Shift+arrow keys
+};
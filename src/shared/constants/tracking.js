@@ -0,0 +1,27 @@
+export const TRACKING_CONFIG = {
+  MAX_DISTANCE: 1.5, // Max centre jump per frame, in body sizes, for the same skier
+  MAX_MISSED_FRAMES: 10, // Frames a skier may be lost before their ID is retired
+  MIN_SKIER_FRAMES: 3, // Shorter tracks are treated as false detections
+  MIN_SKIER_SHARE: 0.1, // ...as are tracks seen far less than the main skier
+};
+
+// Region-of-interest cropping for small, distant skiers (see roiTracking.js)
+export const ROI_CONFIG = {
+  MAX_SUBJECT_SIZE: 0.3, // Skiers larger than this fraction of the frame are detected full-frame
+  PADDING: 1, // Crop margin on each side, in multiples of the skiers' box size
+  MIN_CROP: 0.2, // Smallest crop, as a fraction of the frame's shorter side
+  OUTPUT_SIZE: 512, // Crops are upsampled to this many pixels square
+  FULL_FRAME_INTERVAL: 10, // Every Nth frame runs full-frame to pick up new skiers
+  MIN_VISIBILITY: 0.3, // Landmarks counted in the skiers' box
+};
+
+// Temporal smoothing defaults; users can override them in settings.
+// Landmark coordinates are normalized (0-1) while angles are in degrees,
+// hence the different speed coefficients.
+export const SMOOTHING_CONFIG = {
+  FILTER: "oneEuro", // 'oneEuro', 'ema' or 'none'
+  HOLD_MS: 300, // How long a lost landmark/angle is held before it is dropped
+  MIN_VISIBILITY: 0.5, // Landmarks below this are held instead of followed
+  LANDMARKS: { minCutoff: 1.5, beta: 0.5, dCutoff: 1.0, alpha: 0.5 },
+  ANGLES: { minCutoff: 1.0, beta: 0.02, dCutoff: 1.0, alpha: 0.4 },
+};
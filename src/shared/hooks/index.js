@@ -0,0 +1,2 @@
+export { useSettings } from './useSettings';
+export { useVideoFrameRate } from './useVideoFrameRate';
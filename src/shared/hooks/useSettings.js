@@ -0,0 +1,19 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadSettings, saveSettings, subscribeSettings } from '../services/settingsService';
+
+/**
+ * Read user settings and stay in sync when any component changes them
+ *
+ * @returns {[Object, Function]} Current settings and an update function taking partial settings
+ */
+export function useSettings() {
+  const [settings, setSettings] = useState(loadSettings);
+
+  useEffect(() => subscribeSettings(setSettings), []);
+
+  const updateSettings = useCallback((changes) => {
+    saveSettings(changes);
+  }, []);
+
+  return [settings, updateSettings];
+}
@@ -0,0 +1,46 @@
+import { useState, useEffect } from 'react';
+import { PLAYBACK_CONFIG } from '../constants/playback';
+
+/**
+ * Measure a video's frame rate from the frames the browser presents
+ *
+ * Browsers don't expose a file's frame rate, but requestVideoFrameCallback
+ * reports the media time of every frame shown. The smallest gap between two
+ * frames is one frame, whatever the playback rate and even when frames are
+ * dropped or the user seeks. Until frames have been seen, and in browsers
+ * without requestVideoFrameCallback, PLAYBACK_CONFIG.DEFAULT_FPS is assumed.
+ *
+ * @param {React.RefObject<HTMLVideoElement>} videoRef - The video to measure
+ * @param {string} [src] - Video source; a new source starts a new measurement
+ * @returns {number} Frames per second
+ */
+export function useVideoFrameRate(videoRef, src) {
+  const [fps, setFps] = useState(PLAYBACK_CONFIG.DEFAULT_FPS);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    setFps(PLAYBACK_CONFIG.DEFAULT_FPS);
+    if (!video?.requestVideoFrameCallback) return undefined;
+
+    let lastMediaTime = null;
+    let shortestGap = Infinity;
+    let handle = null;
+
+    const onFrame = (now, { mediaTime }) => {
+      if (lastMediaTime !== null) {
+        const gap = Math.abs(mediaTime - lastMediaTime);
+        if (gap >= 1 / PLAYBACK_CONFIG.MAX_FPS && gap < shortestGap) {
+          shortestGap = gap;
+          setFps(Math.max(PLAYBACK_CONFIG.MIN_FPS, Number((1 / gap).toFixed(2))));
+        }
+      }
+      lastMediaTime = mediaTime;
+      handle = video.requestVideoFrameCallback(onFrame);
+    };
+
+    handle = video.requestVideoFrameCallback(onFrame);
+    return () => video.cancelVideoFrameCallback(handle);
+  }, [videoRef, src]);
+
+  return fps;
+}
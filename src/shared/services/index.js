@@ -1 +1,2 @@
 export * from './videoStorageService';
+export * from './settingsService';
@@ -0,0 +1,71 @@
+import { POSE_MODEL_VARIANTS } from '../constants/mediapipe';
+import { getDefaultModelVariant } from '../utils/videoUtils';
+
+const SETTINGS_KEY = 'rideLvl_settings';
+
+const DEFAULT_SETTINGS = {
+  modelVariant: null, // null = pick automatically for this device
+  smoothing: {}, // Overrides for SMOOTHING_CONFIG: filter, holdMs, landmarks, angles
+  feedbackRules: {}, // Per-rule overrides of constants/feedbackRules.json: enabled, min, max, minShare
+  scoreWeights: {}, // Overrides for SCORING_CONFIG.WEIGHTS, by sub-score
+  skierHeightCm: null, // Skier's height for speed estimates (null = SPEED_CONFIG.DEFAULT_HEIGHT_CM)
+  overlay: {}, // Pose overlay: preset (OVERLAY_PRESETS key), layers and style overrides
+};
+
+const listeners = new Set();
+
+/**
+ * Load user settings from localStorage, filling in defaults
+ */
+export const loadSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_SETTINGS, ...stored };
+  } catch (error) {
+    console.error('Error loading settings from localStorage:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Merge changes into the stored settings and notify subscribers
+ *
+ * @param {Object} changes - Settings to update
+ * @returns {Object} The updated settings
+ */
+export const saveSettings = (changes) => {
+  const settings = { ...loadSettings(), ...changes };
+
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving settings to localStorage:', error);
+  }
+
+  listeners.forEach((listener) => listener(settings));
+  return settings;
+};
+
+/**
+ * Subscribe to settings changes
+ *
+ * @param {Function} listener - Called with the new settings after each save
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeSettings = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Resolve the pose model variant to use from the settings
+ *
+ * @param {Object} settings - User settings
+ * @returns {string} Model variant: the user's choice, or the device default
+ */
+export const resolveModelVariant = (settings) => {
+  if (settings.modelVariant && POSE_MODEL_VARIANTS[settings.modelVariant]) {
+    return settings.modelVariant;
+  }
+  return getDefaultModelVariant();
+};
@@ -1,6 +1,8 @@
 const DB_NAME = 'rideLvl_db';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const VIDEOS_STORE = 'videos';
+const POSE_FRAMES_STORE = 'poseFrames';
+const ANNOTATIONS_STORE = 'annotations';
 
 /**
  * Initialize IndexedDB
@@ -19,10 +21,37 @@ const initDB = () => {
       if (!db.objectStoreNames.contains(VIDEOS_STORE)) {
         db.createObjectStore(VIDEOS_STORE, { keyPath: 'id' });
       }
+
+      // Per-frame landmark track, one record per (video, timestamp)
+      if (!db.objectStoreNames.contains(POSE_FRAMES_STORE)) {
+        db.createObjectStore(POSE_FRAMES_STORE, {
+          keyPath: ['videoId', 'timestamp'],
+        });
+      }
+
+      // Coaching annotations, looked up by video
+      if (!db.objectStoreNames.contains(ANNOTATIONS_STORE)) {
+        const annotations = db.createObjectStore(ANNOTATIONS_STORE, { keyPath: 'id' });
+        annotations.createIndex('videoId', 'videoId');
+      }
     };
   });
 };
 
+/**
+ * Upgrade frames stored before multi-skier tracking (a single
+ * landmarks/worldLandmarks pair) to the { poses } shape
+ */
+const toTrackFrame = (record) => {
+  if (record.poses) return record;
+
+  const { landmarks, worldLandmarks, ...rest } = record;
+  return {
+    ...rest,
+    poses: landmarks ? [{ id: 1, landmarks, worldLandmarks }] : [],
+  };
+};
+
 /**
  * Convert blob URL to actual Blob object
  */
@@ -36,6 +65,21 @@ const blobUrlToBlob = async (blobUrl) => {
   }
 };
 
+/**
+ * Key range covering every pose frame of one video
+ */
+const videoFramesRange = (videoId) => {
+  return IDBKeyRange.bound([videoId, -Infinity], [videoId, Infinity]);
+};
+
+/**
+ * Copy landmarks into plain objects so only the fields we need are stored
+ */
+const toStoredLandmarks = (landmarks) => {
+  if (!landmarks) return null;
+  return landmarks.map(({ x, y, z, visibility }) => ({ x, y, z, visibility }));
+};
+
 /**
  * Save videos to IndexedDB
  */
@@ -119,10 +163,15 @@ export const loadVideos = async () => {
 export const deleteVideo = async (videoId) => {
   try {
     const db = await initDB();
-    const transaction = db.transaction([VIDEOS_STORE], 'readwrite');
+    const transaction = db.transaction([VIDEOS_STORE, POSE_FRAMES_STORE, ANNOTATIONS_STORE], 'readwrite');
     const store = transaction.objectStore(VIDEOS_STORE);
 
     store.delete(videoId);
+    transaction.objectStore(POSE_FRAMES_STORE).delete(videoFramesRange(videoId));
+    const annotations = transaction.objectStore(ANNOTATIONS_STORE);
+    annotations.index('videoId').getAllKeys(videoId).onsuccess = (event) => {
+      event.target.result.forEach((id) => annotations.delete(id));
+    };
 
     return new Promise((resolve, reject) => {
       transaction.oncomplete = () => {
@@ -145,10 +194,12 @@ export const deleteVideo = async (videoId) => {
 export const clearAllVideos = async () => {
   try {
     const db = await initDB();
-    const transaction = db.transaction([VIDEOS_STORE], 'readwrite');
+    const transaction = db.transaction([VIDEOS_STORE, POSE_FRAMES_STORE, ANNOTATIONS_STORE], 'readwrite');
     const store = transaction.objectStore(VIDEOS_STORE);
 
     store.clear();
+    transaction.objectStore(POSE_FRAMES_STORE).clear();
+    transaction.objectStore(ANNOTATIONS_STORE).clear();
 
     return new Promise((resolve, reject) => {
       transaction.oncomplete = () => {
@@ -164,3 +215,160 @@ export const clearAllVideos = async () => {
     console.error('Error clearing videos from IndexedDB:', error);
   }
 };
+
+/**
+ * Save the per-frame landmark track of a video, replacing any previous track
+ *
+ * @param {string} videoId - Video the frames belong to
+ * @param {Array<{timestamp: number, poses: Array<{id: number, landmarks: Array, worldLandmarks: Array|null}>, camera: Object|null}>} frames
+ */
+export const savePoseTrack = async (videoId, frames) => {
+  try {
+    const db = await initDB();
+    const transaction = db.transaction([POSE_FRAMES_STORE], 'readwrite');
+    const store = transaction.objectStore(POSE_FRAMES_STORE);
+
+    store.delete(videoFramesRange(videoId));
+    for (const frame of frames) {
+      store.put({
+        videoId,
+        timestamp: frame.timestamp,
+        poses: frame.poses.map((pose) => ({
+          id: pose.id,
+          landmarks: toStoredLandmarks(pose.landmarks),
+          worldLandmarks: toStoredLandmarks(pose.worldLandmarks),
+        })),
+        camera: frame.camera ?? null,
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+      transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    });
+  } catch (error) {
+    console.error('Error saving pose track to IndexedDB:', error);
+  }
+};
+
+/**
+ * Load the per-frame landmark track of a video, sorted by timestamp
+ *
+ * @param {string} videoId - Video to load the frames for
+ * @returns {Promise<Array>} Stored frames (empty if the video has no track)
+ */
+export const loadPoseTrack = async (videoId) => {
+  try {
+    const db = await initDB();
+    const transaction = db.transaction([POSE_FRAMES_STORE], 'readonly');
+    const store = transaction.objectStore(POSE_FRAMES_STORE);
+    // Compound keys sort by timestamp within a video
+    const request = store.getAll(videoFramesRange(videoId));
+
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result.map(toTrackFrame));
+      };
+      request.onerror = () => {
+        db.close();
+        reject(request.error);
+      };
+    });
+  } catch (error) {
+    console.error('Error loading pose track from IndexedDB:', error);
+    return [];
+  }
+};
+
+/**
+ * Load the annotations of a video, in timeline order
+ *
+ * @param {string} videoId - Video to load the annotations for
+ * @returns {Promise<Array<import('../types').Annotation>>} Stored annotations (empty if none)
+ */
+export const loadAnnotations = async (videoId) => {
+  try {
+    const db = await initDB();
+    const transaction = db.transaction([ANNOTATIONS_STORE], 'readonly');
+    const request = transaction.objectStore(ANNOTATIONS_STORE).index('videoId').getAll(videoId);
+
+    return await new Promise((resolve, reject) => {
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result.sort((a, b) => a.timestampMs - b.timestampMs));
+      };
+      request.onerror = () => {
+        db.close();
+        reject(request.error);
+      };
+    });
+  } catch (error) {
+    console.error('Error loading annotations from IndexedDB:', error);
+    return [];
+  }
+};
+
+/**
+ * Save an annotation, replacing any stored one with the same ID
+ *
+ * @param {import('../types').Annotation} annotation
+ * @returns {Promise<void>} Rejects if the annotation couldn't be stored
+ */
+export const saveAnnotation = async (annotation) => {
+  try {
+    const db = await initDB();
+    const transaction = db.transaction([ANNOTATIONS_STORE], 'readwrite');
+    transaction.objectStore(ANNOTATIONS_STORE).put(annotation);
+
+    return await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+      // Aborts (e.g. a full disk) don't always fire error first
+      transaction.onerror = transaction.onabort = () => {
+        db.close();
+        reject(transaction.error ?? new Error('Transaction aborted'));
+      };
+    });
+  } catch (error) {
+    console.error('Error saving annotation to IndexedDB:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an annotation
+ *
+ * @param {string} annotationId - Annotation to delete
+ * @returns {Promise<void>} Rejects if the annotation couldn't be deleted
+ */
+export const deleteAnnotation = async (annotationId) => {
+  try {
+    const db = await initDB();
+    const transaction = db.transaction([ANNOTATIONS_STORE], 'readwrite');
+    transaction.objectStore(ANNOTATIONS_STORE).delete(annotationId);
+
+    return await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+      // Aborts (e.g. a full disk) don't always fire error first
+      transaction.onerror = transaction.onabort = () => {
+        db.close();
+        reject(transaction.error ?? new Error('Transaction aborted'));
+      };
+    });
+  } catch (error) {
+    console.error('Error deleting annotation from IndexedDB:', error);
+    throw error;
+  }
+};
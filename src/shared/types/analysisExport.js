@@ -0,0 +1,75 @@
+/**
+ * Analysis export formats
+ *
+ * Every library video can be exported as a JSON document (metadata, metrics,
+ * turns and feedback) and a CSV of per-frame landmarks and angles. Both
+ * follow the schema version in DATA_EXPORT_SCHEMA (constants/export.js);
+ * bump it whenever a field or column is renamed, removed or changes meaning.
+ * Adding a field or column is backwards compatible and keeps the version.
+ *
+ * Version history
+ * - 1: first version
+ */
+
+/**
+ * @typedef {Object} AnalysisExportVideo
+ * @property {string} id - Library video ID
+ * @property {string} name - Display name (usually the uploaded file's name)
+ * @property {number|null} durationSec - Clip length in seconds
+ * @property {number|null} width - Frame width in pixels
+ * @property {number|null} height - Frame height in pixels
+ * @property {string|null} uploadedAt - ISO 8601 time the video was added
+ * @property {import('./index').SlopeReference} slopeReference - Slope the slope angles are
+ *   measured against (source null when the 25° default is used)
+ */
+
+/**
+ * @typedef {Object} AnalysisExportAnalysis
+ * @property {string|null} modelVariant - Pose model variant ('lite', 'full' or 'heavy')
+ * @property {number} framesAnalyzed - Frames sampled from the video
+ * @property {number} sampleFps - Frames sampled per second
+ * @property {number|null} primarySkierId - Skier followed by default
+ */
+
+/**
+ * @typedef {Object} AnalysisExportSkier
+ * @property {number} id - Skier ID assigned by the pose tracker (matches skier_id in the CSV)
+ * @property {boolean} isPrimary - Whether this is the primary skier
+ * @property {{overall: number|null, technical: number|null, weights: Object<string, number>}|null} totals -
+ *   Overall and technical scores with the user's weights at export time (null without sub-scores)
+ * @property {Object} metrics - The skier's SkierMetrics without turns and feedback
+ *   (averages, scores, speed, symmetry, quality)
+ * @property {import('./index').Turn[]} turns - Turns in timeline order
+ * @property {import('./index').Feedback|null} feedback - Coaching feedback
+ */
+
+/**
+ * JSON export document
+ *
+ * @typedef {Object} AnalysisExport
+ * @property {string} schema - Always DATA_EXPORT_SCHEMA.NAME ("rideLvl.analysis")
+ * @property {number} version - DATA_EXPORT_SCHEMA.VERSION the document follows
+ * @property {string} exportedAt - ISO 8601 export time
+ * @property {AnalysisExportVideo} video
+ * @property {AnalysisExportAnalysis|null} analysis - Null if the video was never analyzed
+ * @property {AnalysisExportSkier[]} skiers - Most detected first
+ * @property {Array<{timestampMs: number, note: string, shapes: import('./index').AnnotationShape[]}>} annotations -
+ *   Coaching annotations in timeline order
+ */
+
+/**
+ * CSV export: one row per skier per analyzed frame, comma-separated with a
+ * header row. Empty cells are values that weren't measured.
+ *
+ * - timestamp_ms: frame time in milliseconds
+ * - skier_id: skier ID (see AnalysisExportSkier.id)
+ * - primary: 1 for the primary skier, 0 otherwise
+ * - one column per joint angle (JOINT_ANGLES keys, e.g. lean, kneeFlexionLeft), in degrees,
+ *   measured the way the analysis does (smoothed track, smoothed angles, the video's slope)
+ * - for each of the 33 MediaPipe landmarks (nose, left_eye_inner, ..., right_foot_index):
+ *   <name>_x, <name>_y, <name>_z, <name>_visibility - stored image landmarks
+ *   (x and y normalized 0-1 to the frame), then <name>_wx, <name>_wy, <name>_wz -
+ *   world landmarks in meters, origin between the hips
+ *
+ * @typedef {Object} AnalysisExportCsv
+ */
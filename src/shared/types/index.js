@@ -1,10 +1,142 @@
+/**
+ * @typedef {Object} TurnStats
+ * @property {number} durationMs - Time from the turn's start transition to its end transition
+ * @property {number} peakOffset - Largest lateral hip/knee offset over the feet, in torso lengths
+ * @property {number|null} maxHipAngulation - Largest hip angulation during the turn, in degrees
+ * @property {number|null} maxKneeAngulation - Largest knee angulation during the turn, in degrees
+ * @property {number|null} avgKneeFlexion - Average knee flexion during the turn, in degrees
+ * @property {number|null} avgLean - Average torso lean during the turn, in degrees
+ * @property {number|null} [avgHandSpread] - Average distance between the wrists, in shoulder widths
+ * @property {number|null} [avgHandHeight] - Average wrist height above the hips, in torso lengths
+ */
+
+/**
+ * @typedef {Object} Turn
+ * @property {number} index - Position of the turn in the run (0-based)
+ * @property {'left' | 'right'} direction - Side the skier turns to
+ * @property {number} startMs - Transition (edge change) that starts the turn
+ * @property {number} apexMs - Point of largest lateral offset
+ * @property {number} endMs - Transition that ends the turn
+ * @property {TurnStats} stats - Per-turn measurements
+ */
+
+/**
+ * @typedef {Object} FeedbackItem
+ * @property {string} ruleId - Rule that produced the item (see constants/feedbackRules.json)
+ * @property {string} label - Short name of the rule
+ * @property {string} message - Coaching message with the measured values filled in
+ * @property {'low' | 'medium' | 'high'} severity - How consistently the rule was triggered
+ * @property {number} share - Fraction (0-1) of measured frames or turns that triggered it
+ * @property {number} value - Average measurement over the triggering frames or turns
+ * @property {number[]} timestamps - Where it was seen, in milliseconds (stretch starts or turn apexes)
+ */
+
+/**
+ * @typedef {Object} Feedback
+ * @property {FeedbackItem[]} positives - What the skier does well, most consistent first
+ * @property {FeedbackItem[]} improvements - What to work on, most severe first
+ */
+
+/**
+ * @typedef {Object} SubScore
+ * @property {number|null} score - 0-100, or null when there was too little data
+ * @property {number} samples - Frames and/or turns the score is based on
+ */
+
+/**
+ * @typedef {Object} SubScores
+ * @property {SubScore} balance - Centred over the skis (ankle and hip flexion)
+ * @property {SubScore} angulation - Peak hip and knee angulation per turn
+ * @property {SubScore} symmetry - Left vs right turns and knees
+ * @property {SubScore} rhythm - Consistency of turn durations
+ * @property {SubScore} stance - Stance width and knee flexion
+ */
+
+/**
+ * @typedef {Object} SpeedEstimate
+ * @property {number|null} kmh - Typical (median) speed in km/h, or null when unknown
+ * @property {number|null} low - Lower bound of the 95% interval, in km/h
+ * @property {number|null} high - Upper bound of the 95% interval, in km/h
+ * @property {number} samples - Frame pairs measured
+ * @property {boolean} panCompensated - Whether measured camera pan was subtracted
+ * @property {string|null} reason - Why the speed is unknown (null when known)
+ */
+
+/**
+ * @typedef {Object} SymmetryComparison
+ * @property {string} key - Turn stat compared (see SYMMETRY_METRICS)
+ * @property {number|null} left - Average over left turns
+ * @property {number|null} right - Average over right turns
+ * @property {number|null} score - 0-100, 100 = both sides alike (null if a side wasn't measured)
+ */
+
+/**
+ * @typedef {Object} SymmetryReport
+ * @property {number|null} index - Symmetry index, 0-100 (average of the comparison scores)
+ * @property {number} leftTurns - Left turns compared
+ * @property {number} rightTurns - Right turns compared
+ * @property {SymmetryComparison[]} metrics - One comparison per SYMMETRY_METRICS entry
+ */
+
+/**
+ * @typedef {Object} QualityStretch
+ * @property {'good' | 'low' | 'missing'} quality - Usable, too few joints visible, or not detected
+ * @property {number} startMs - First frame of the stretch
+ * @property {number} endMs - Where the next stretch starts
+ */
+
+/**
+ * @typedef {Object} TrackingQuality
+ * @property {number} usableShare - Fraction (0-1) of analyzed frames usable for measurements
+ * @property {number} usableFrames - Frames with enough key joints visible
+ * @property {number} lowConfidenceFrames - Frames where the skier was detected but mostly hidden
+ * @property {number} missingFrames - Frames where the skier wasn't detected
+ * @property {Array<{joint: string, share: number}>} hiddenJoints - Key joints (POSE_LANDMARKS names)
+ *   often below the visibility threshold, with the fraction of detected frames they were hidden in
+ * @property {string[]} lowDataMetrics - Averages (SkierMetrics keys) measured on too few frames
+ * @property {boolean} isLowData - Too few usable frames to trust the metrics
+ * @property {QualityStretch[]} timeline - Consecutive frames of the same quality
+ */
+
+/**
+ * @typedef {Object} SkierMetrics
+ * @property {number} id - Skier ID assigned by the pose tracker
+ * @property {number|null} avgLeanAngle - Average torso angle from vertical, in degrees
+ * @property {number|null} avgSlopeAngle - Average torso angle from the slope reference, in degrees
+ * @property {number|null} avgStanceWidth - Average ankle distance as a multiple of hip width
+ * @property {number|null} avgKneeFlexion - Average knee flexion in degrees (0 = straight leg)
+ * @property {number|null} [avgTorsoInclination] - Average 3D torso angle from vertical, in degrees
+ * @property {number|null} [avgHipFlexion] - Average hip flexion in degrees (0 = torso in line with thigh)
+ * @property {number|null} [avgHipAngulation] - Average lateral bend at the hips, in degrees
+ * @property {number|null} [avgKneeAngulation] - Average lateral bend at the knees, in degrees
+ * @property {number|null} [avgUpperBodyRotation] - Average magnitude of shoulder-to-hip twist, in degrees
+ * @property {number} framesAnalyzed - Number of frames sampled from the video
+ * @property {number} framesWithPose - Number of sampled frames where this skier was detected
+ * @property {Turn[]} [turns] - Turns found in this skier's timeline
+ * @property {number} [turnCount] - Number of turns
+ * @property {number} [leftTurns] - Number of left turns
+ * @property {number} [rightTurns] - Number of right turns
+ * @property {number|null} [avgTurnDurationMs] - Average turn duration in milliseconds
+ * @property {Feedback} [feedback] - Coaching feedback from the feedback rules
+ * @property {SubScores} [scores] - Sub-scores of the scoring model (see utils/scoring.js);
+ *   the overall and technical scores are combined from them with combineScores
+ * @property {SpeedEstimate} [speed] - Speed estimated from body size and displacement
+ * @property {SymmetryReport|null} [symmetry] - Left vs right turns (null without turns both ways)
+ * @property {TrackingQuality} [quality] - How much of the clip this skier was reliably tracked in
+ */
+
 /**
  * @typedef {Object} Metrics
- * @property {number} speedKmh - Speed in kilometers per hour
- * @property {number} overall - Overall score (0-100)
- * @property {number} technical - Technical score (0-100)
- * @property {string[]} positives - Array of positive feedback strings
- * @property {string[]} improvements - Array of improvement suggestions
+ * @property {number} framesAnalyzed - Number of frames sampled from the video
+ * @property {number|null} primarySkierId - Most consistently detected skier, followed by default
+ * @property {SkierMetrics[]} skiers - Metrics for each tracked skier, most detected first
+ * @property {string} [modelVariant] - Pose model variant used by the analysis ('lite', 'full' or 'heavy')
+ */
+
+/**
+ * @typedef {Object} SlopeReference
+ * @property {number} angle - Slope line angle in degrees below the image horizontal (positive = descends to the right)
+ * @property {'manual' | 'drawn' | 'auto'} source - Typed in, drawn on a frame, or estimated from the skis
  */
 
 /**
@@ -12,9 +144,31 @@
  * @property {string} id - Unique identifier for the video
  * @property {string} name - Display name of the video
  * @property {string} url - URL or blob URL for the video
- * @property {Metrics} metrics - Performance metrics for the video
+ * @property {number} [width] - Frame width in pixels
+ * @property {number} [height] - Frame height in pixels
+ * @property {SlopeReference} [slopeReference] - Slope the slope angle is measured against (default 25°)
+ * @property {Metrics|null} metrics - Performance metrics for the video (null until analyzed)
+ * @property {string} [analysisError] - Error message if the pose analysis failed
  */
 
 /**
- * @typedef {'upload' | 'library'} Tab
- */
\ No newline at end of file
+ * @typedef {Object} AnnotationShape
+ * @property {'line' | 'arrow' | 'angle'} type - Line, arrow (head at the last point) or angle protractor
+ * @property {Array<{x: number, y: number}>} points - Normalized (0-1) frame coordinates: two
+ *   for lines and arrows, three for protractors (arm end, vertex, arm end)
+ */
+
+/**
+ * @typedef {Object} Annotation
+ * @property {string} id - Unique identifier for the annotation
+ * @property {string} videoId - Video it was drawn on
+ * @property {number} timestampMs - Frame it was drawn on, in milliseconds
+ * @property {string} note - Coaching note (may be empty)
+ * @property {AnnotationShape[]} shapes - Drawings on the frame
+ * @property {number} createdAt - Creation time (epoch milliseconds)
+ * @property {number} updatedAt - Last edit (epoch milliseconds)
+ */
+
+/**
+ * @typedef {'upload' | 'library' | 'compare'} Tab
+ */
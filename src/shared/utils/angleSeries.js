@@ -0,0 +1,76 @@
+import { computeJointAngles, JOINT_ANGLES } from './jointAngles';
+import { findSkierPose } from './poseTracking';
+import { smoothTrack, createAngleSmoother } from './smoothing';
+
+/**
+ * Every joint angle of one skier over a stored track, for charting
+ *
+ * Measured the way the analysis measures: on the smoothed track, with the
+ * angles smoothed too, against the video's slope reference.
+ *
+ * @param {Array<{timestamp: number, poses: Array}>} track - Stored frames
+ * @param {number|null} skierId - Skier to measure
+ * @param {Object} [options]
+ * @param {{x: number, y: number}} [options.slope] - Slope direction in the image
+ * @param {number} [options.aspectRatio] - Frame width / height
+ * @param {Object} [options.smoothing] - Smoothing settings (see resolveSmoothingOptions)
+ * @returns {{timestamps: Array<number>, values: Object<string, Array<number|null>>}}
+ *   Frame times (ms) and, per JOINT_ANGLES key, the angle in each frame
+ *   (null where it couldn't be measured)
+ */
+export function computeAngleSeries(track, skierId, { slope, aspectRatio, smoothing } = {}) {
+  const frames = smoothTrack(track ?? [], smoothing);
+  const angleSmoother = createAngleSmoother(smoothing);
+  const values = Object.fromEntries(JOINT_ANGLES.map(({ key }) => [key, []]));
+
+  for (const frame of frames) {
+    const pose = findSkierPose(frame, skierId);
+    const angles = angleSmoother.smooth(computeJointAngles(pose, { slope, aspectRatio }), frame.timestamp);
+    for (const { key } of JOINT_ANGLES) {
+      const value = angles[key];
+      values[key].push(value === null || value === undefined ? null : Number(value.toFixed(1)));
+    }
+  }
+
+  return { timestamps: frames.map((frame) => frame.timestamp), values };
+}
+
+/**
+ * Index of the sample nearest to a time, or -1 for an empty series
+ *
+ * @param {Array<number>} timestamps - Sorted sample times (ms)
+ * @param {number} timeMs - Time to look up
+ */
+export function nearestSampleIndex(timestamps, timeMs) {
+  if (!timestamps.length) return -1;
+
+  let low = 0;
+  let high = timestamps.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (timestamps[mid] < timeMs) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low > 0 && timeMs - timestamps[low - 1] < timestamps[low] - timeMs ? low - 1 : low;
+}
+
+/**
+ * Every angle of a series at a time, from the nearest sample
+ *
+ * @param {{timestamps: Array<number>, values: Object<string, Array<number|null>>}|null} series
+ * @param {number} timeMs - Time to look up
+ * @param {number} maxGapMs - Farthest a sample may be from timeMs
+ * @returns {Object<string, number|null>|null} Angles by JOINT_ANGLES key, or
+ *   null when no sample is close enough
+ */
+export function seriesValuesAt(series, timeMs, maxGapMs) {
+  if (!series) return null;
+  const index = nearestSampleIndex(series.timestamps, timeMs);
+  if (index === -1 || Math.abs(series.timestamps[index] - timeMs) > maxGapMs) return null;
+
+  return Object.fromEntries(Object.entries(series.values).map(([key, values]) => [key, values[index]]));
+}
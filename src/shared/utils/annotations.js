@@ -0,0 +1,165 @@
+import { ANNOTATION_CONFIG } from '../constants/annotations';
+import { jointAngle } from './poseCalculations';
+
+/**
+ * Coaching annotations
+ *
+ * An annotation belongs to one frame of a video: a text note plus lines,
+ * arrows and angle protractors drawn on the paused frame. Shape points are
+ * stored normalized (0-1) like landmarks, so they stay on the frame whatever
+ * size the player is; measurements are taken in video pixels.
+ */
+
+/**
+ * Drawing tools, in display order, with the points each shape takes
+ */
+export const ANNOTATION_TOOLS = [
+  { key: 'line', label: 'Line', points: 2 },
+  { key: 'arrow', label: 'Arrow', points: 2 },
+  { key: 'angle', label: 'Angle', points: 3 },
+];
+
+/**
+ * New, empty annotation on a frame
+ *
+ * @param {string} videoId - Video being annotated
+ * @param {number} timestampMs - Frame on screen, in milliseconds
+ * @returns {import('../types').Annotation}
+ */
+export function createAnnotation(videoId, timestampMs) {
+  const now = Date.now();
+  return {
+    id: `annotation_${now}_${Math.random().toString(36).slice(2, 11)}`,
+    videoId,
+    timestampMs: Math.round(timestampMs),
+    note: '',
+    shapes: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Annotations to show at a time
+ *
+ * Paused, only annotations on the frame on screen are shown. While playing,
+ * each one stays up for ANNOTATION_CONFIG.HOLD_MS after its timestamp so it
+ * can be read.
+ *
+ * @param {Array<import('../types').Annotation>} annotations
+ * @param {number} timeMs - Time on screen
+ * @param {Object} options
+ * @param {number} options.frameDurationMs - Length of one video frame
+ * @param {boolean} [options.isPlaying]
+ */
+export function annotationsAt(annotations, timeMs, { frameDurationMs, isPlaying = false }) {
+  const holdMs = isPlaying ? ANNOTATION_CONFIG.HOLD_MS : frameDurationMs / 2;
+  return annotations.filter(
+    ({ timestampMs }) => timeMs >= timestampMs - frameDurationMs / 2 && timeMs <= timestampMs + holdMs
+  );
+}
+
+/**
+ * Convert a shape's normalized points to video pixels
+ */
+export function shapePixels(shape, { width, height }) {
+  return shape.points.map(({ x, y }) => ({ x: x * width, y: y * height }));
+}
+
+/**
+ * Angle a protractor measures at its vertex (its middle point), in degrees
+ *
+ * @param {Array<{x: number, y: number}>} pixels - Arm end, vertex, arm end in video pixels
+ * @returns {number|null} 0-180°, or null if an arm has no length
+ */
+export function protractorAngle([a, vertex, c]) {
+  return jointAngle(a, vertex, c);
+}
+
+/**
+ * The two back corners of an arrowhead at `to`, pointing away from `from`
+ *
+ * @param {{x: number, y: number}} from - Tail, in pixels
+ * @param {{x: number, y: number}} to - Tip, in pixels
+ * @param {number} size - Head length in pixels
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function arrowHead(from, to, size) {
+  const heading = Math.atan2(to.y - from.y, to.x - from.x);
+  return [heading - Math.PI / 7, heading + Math.PI / 7].map((angle) => ({
+    x: to.x - Math.cos(angle) * size,
+    y: to.y - Math.sin(angle) * size,
+  }));
+}
+
+/**
+ * Draw annotation shapes on a canvas sized to the video, matching how the
+ * player draws them (used when exporting a video)
+ *
+ * @param {CanvasRenderingContext2D} ctx - Context of a canvas sized to the video
+ * @param {Array<import('../types').AnnotationShape>} shapes
+ * @param {string} [color]
+ */
+export function drawAnnotations(ctx, shapes, color = ANNOTATION_CONFIG.COLOR) {
+  const { width, height } = ctx.canvas;
+  const scale = Math.hypot(width, height) / 100;
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = scale * 0.35;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  for (const shape of shapes) {
+    const pixels = shapePixels(shape, { width, height });
+    ctx.beginPath();
+    pixels.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    ctx.stroke();
+
+    if (shape.type === 'arrow') {
+      const [from, to] = pixels;
+      const [left, right] = arrowHead(from, to, scale * 2);
+      ctx.beginPath();
+      ctx.moveTo(to.x, to.y);
+      ctx.lineTo(left.x, left.y);
+      ctx.lineTo(right.x, right.y);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    if (shape.type === 'angle') {
+      const angle = protractorAngle(pixels);
+      const [a, vertex, c] = pixels;
+      const arm1 = Math.hypot(a.x - vertex.x, a.y - vertex.y);
+      const arm2 = Math.hypot(c.x - vertex.x, c.y - vertex.y);
+      if (angle === null) continue;
+
+      // Arc the short way round between the arms, labelled outside it
+      const radius = Math.min(scale * 3, arm1 * 0.5, arm2 * 0.5);
+      const start = Math.atan2(a.y - vertex.y, a.x - vertex.x);
+      const end = Math.atan2(c.y - vertex.y, c.x - vertex.x);
+      const sweep = Math.atan2(Math.sin(end - start), Math.cos(end - start));
+      ctx.beginPath();
+      ctx.arc(vertex.x, vertex.y, radius, start, start + sweep, sweep < 0);
+      ctx.stroke();
+
+      const middle = start + sweep / 2;
+      const offset = radius + scale * 1.5;
+      ctx.font = `600 ${scale * 1.6}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.lineWidth = scale * 0.25;
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+      const label = `${angle.toFixed(0)}°`;
+      const x = vertex.x + Math.cos(middle) * offset;
+      const y = vertex.y + Math.sin(middle) * offset;
+      ctx.strokeText(label, x, y);
+      ctx.fillText(label, x, y);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = scale * 0.35;
+    }
+  }
+
+  ctx.restore();
+}
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { ANNOTATION_CONFIG } from '../constants/annotations';
+import { annotationsAt, protractorAngle, arrowHead } from './annotations';
+
+// 25 fps
+const FRAME_MS = 40;
+
+/**
+ * IDs of the annotations shown at a time
+ */
+function shownAt(annotations, timeMs, isPlaying) {
+  return annotationsAt(annotations, timeMs, { frameDurationMs: FRAME_MS, isPlaying }).map(({ id }) => id);
+}
+
+const ANNOTATIONS = [
+  { id: 'a', timestampMs: 1000 },
+  { id: 'b', timestampMs: 1040 },
+];
+
+describe('annotationsAt', () => {
+  it('shows only the frame on screen when paused', () => {
+    expect(shownAt(ANNOTATIONS, 1000, false)).toEqual(['a']);
+    expect(shownAt(ANNOTATIONS, 1040, false)).toEqual(['b']);
+    expect(shownAt(ANNOTATIONS, 1100, false)).toEqual([]);
+  });
+
+  it('covers half a frame either side when paused', () => {
+    // A seek rarely lands exactly on the saved timestamp
+    expect(shownAt(ANNOTATIONS, 985, false)).toEqual(['a']);
+    expect(shownAt(ANNOTATIONS, 979, false)).toEqual([]);
+    // On the boundary between two frames both match
+    expect(shownAt(ANNOTATIONS, 1020, false)).toEqual(['a', 'b']);
+    expect(shownAt(ANNOTATIONS, 1021, false)).toEqual(['b']);
+  });
+
+  it('holds each annotation for HOLD_MS while playing', () => {
+    expect(shownAt(ANNOTATIONS, 1100, true)).toEqual(['a', 'b']);
+    expect(shownAt(ANNOTATIONS, 1000 + ANNOTATION_CONFIG.HOLD_MS, true)).toEqual(['a', 'b']);
+    expect(shownAt(ANNOTATIONS, 1001 + ANNOTATION_CONFIG.HOLD_MS, true)).toEqual(['b']);
+    expect(shownAt(ANNOTATIONS, 1041 + ANNOTATION_CONFIG.HOLD_MS, true)).toEqual([]);
+  });
+
+  it('does not show an annotation before its frame while playing', () => {
+    expect(shownAt(ANNOTATIONS, 979, true)).toEqual([]);
+    expect(shownAt(ANNOTATIONS, 980, true)).toEqual(['a']);
+  });
+
+  it('is paused unless told otherwise', () => {
+    expect(annotationsAt(ANNOTATIONS, 1100, { frameDurationMs: FRAME_MS })).toEqual([]);
+  });
+});
+
+describe('protractorAngle', () => {
+  it('measures the angle at the middle point', () => {
+    expect(protractorAngle([{ x: 100, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 100 }])).toBeCloseTo(90);
+    expect(protractorAngle([{ x: 10, y: 10 }, { x: 0, y: 0 }, { x: 50, y: 0 }])).toBeCloseTo(45);
+    expect(protractorAngle([{ x: -10, y: 5 }, { x: 0, y: 5 }, { x: 30, y: 5 }])).toBeCloseTo(180);
+  });
+
+  it('is the same whichever arm is drawn first', () => {
+    const a = { x: 120, y: 40 };
+    const vertex = { x: 60, y: 80 };
+    const c = { x: 20, y: 10 };
+    expect(protractorAngle([a, vertex, c])).toBeCloseTo(protractorAngle([c, vertex, a]));
+  });
+
+  it('is null when an arm has no length', () => {
+    expect(protractorAngle([{ x: 5, y: 5 }, { x: 5, y: 5 }, { x: 50, y: 0 }])).toBeNull();
+  });
+});
+
+describe('arrowHead', () => {
+  it('puts the back corners behind the tip, either side of the shaft', () => {
+    const [left, right] = arrowHead({ x: 0, y: 0 }, { x: 100, y: 0 }, 10);
+    const spread = Math.PI / 7;
+    expect(left.x).toBeCloseTo(100 - 10 * Math.cos(spread));
+    expect(left.y).toBeCloseTo(10 * Math.sin(spread));
+    expect(right.x).toBeCloseTo(left.x);
+    expect(right.y).toBeCloseTo(-left.y);
+  });
+
+  it('keeps the corners `size` from the tip whichever way the arrow points', () => {
+    const to = { x: 40, y: 60 };
+    for (const from of [{ x: 0, y: 0 }, { x: 80, y: 20 }, { x: 40, y: 200 }]) {
+      for (const corner of arrowHead(from, to, 12)) {
+        expect(Math.hypot(corner.x - to.x, corner.y - to.y)).toBeCloseTo(12);
+        // Behind the tip, towards the tail
+        const along = (corner.x - to.x) * (from.x - to.x) + (corner.y - to.y) * (from.y - to.y);
+        expect(along).toBeGreaterThan(0);
+      }
+    }
+  });
+
+  it('points down the page for a downward arrow', () => {
+    const [left, right] = arrowHead({ x: 50, y: 0 }, { x: 50, y: 100 }, 10);
+    expect(left.y).toBeLessThan(100);
+    expect(right.y).toBeLessThan(100);
+    expect(left.x + right.x).toBeCloseTo(100);
+  });
+});
@@ -0,0 +1,151 @@
+import { CAMERA_MOTION_CONFIG } from '../constants/analysis';
+
+/**
+ * Camera pan estimation
+ *
+ * A camera following a skier pans with them, so the skier's movement in the
+ * image understates their real speed. The pan shows up as the background
+ * shifting as a whole between two frames. It is measured by block matching
+ * two small greyscale frames, with the tracked skiers masked out, and
+ * reported as the background's shift in normalized image units.
+ */
+
+/**
+ * Convert RGBA pixels to greyscale
+ *
+ * @param {ImageData} imageData - Canvas pixels
+ * @returns {Uint8ClampedArray} One grey level per pixel
+ */
+export function toGrayscale({ data, width, height }) {
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+  }
+  return gray;
+}
+
+/**
+ * Mask covering every pose's bounding box, grown by a margin
+ *
+ * @param {Array<{landmarks: Array}>} poses - Poses to mask (normalized landmarks)
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @returns {Uint8Array} 1 where a skier is, 0 on the background
+ */
+export function skierMask(poses, width, height) {
+  const mask = new Uint8Array(width * height);
+
+  for (const { landmarks } of poses ?? []) {
+    if (!landmarks?.length) continue;
+    const xs = landmarks.map((p) => p.x);
+    const ys = landmarks.map((p) => p.y);
+    const marginX = (Math.max(...xs) - Math.min(...xs)) * CAMERA_MOTION_CONFIG.SKIER_MARGIN;
+    const marginY = (Math.max(...ys) - Math.min(...ys)) * CAMERA_MOTION_CONFIG.SKIER_MARGIN;
+
+    const x0 = Math.max(0, Math.floor((Math.min(...xs) - marginX) * width));
+    const x1 = Math.min(width - 1, Math.ceil((Math.max(...xs) + marginX) * width));
+    const y0 = Math.max(0, Math.floor((Math.min(...ys) - marginY) * height));
+    const y1 = Math.min(height - 1, Math.ceil((Math.max(...ys) + marginY) * height));
+    for (let y = y0; y <= y1; y++) {
+      mask.fill(1, y * width + x0, y * width + x1 + 1);
+    }
+  }
+  return mask;
+}
+
+/**
+ * Mean absolute difference between the previous frame and the current one
+ * shifted by (sx, sy), over the unmasked pixels, or null if too few overlap
+ */
+function matchCost(prev, curr, mask, width, height, sx, sy, minCount) {
+  const step = CAMERA_MOTION_CONFIG.SAMPLE_STEP;
+  let sum = 0;
+  let count = 0;
+
+  for (let y = Math.max(0, -sy); y < Math.min(height, height - sy); y += step) {
+    for (let x = Math.max(0, -sx); x < Math.min(width, width - sx); x += step) {
+      const i = y * width + x;
+      const j = (y + sy) * width + x + sx;
+      if (mask[i] || mask[j]) continue;
+      sum += Math.abs(prev[i] - curr[j]);
+      count += 1;
+    }
+  }
+  return count >= minCount ? sum / count : null;
+}
+
+/**
+ * Sub-pixel offset of a minimum from the costs on either side (parabola fit)
+ */
+function subPixel(left, center, right) {
+  if (left === null || right === null) return 0;
+  const curvature = left - 2 * center + right;
+  return curvature > 0 ? (left - right) / (2 * curvature) : 0;
+}
+
+/**
+ * Measure how far the background moved between two frames
+ *
+ * @param {Uint8ClampedArray} prev - Greyscale previous frame
+ * @param {Uint8ClampedArray} curr - Greyscale current frame, same size
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {Uint8Array} [mask] - Pixels to ignore (the skiers, see skierMask)
+ * @returns {{dx: number, dy: number}|null} Background shift as a fraction of
+ *   the frame size, or null when the background is too hidden, too flat
+ *   (fresh snow, sky) or too ambiguous to measure
+ */
+export function estimateCameraShift(prev, curr, width, height, mask = new Uint8Array(width * height)) {
+  const { MAX_SHIFT, SAMPLE_STEP, MIN_COVERAGE, MIN_CONTRAST, MAX_MATCH_RATIO } = CAMERA_MOTION_CONFIG;
+
+  // Enough visible, textured background to lock onto
+  let sum = 0;
+  let sumSq = 0;
+  let visible = 0;
+  for (let i = 0; i < prev.length; i++) {
+    if (mask[i]) continue;
+    sum += prev[i];
+    sumSq += prev[i] * prev[i];
+    visible += 1;
+  }
+  if (visible < prev.length * MIN_COVERAGE) return null;
+  const contrast = Math.sqrt(Math.max(0, sumSq / visible - (sum / visible) ** 2));
+  if (contrast < MIN_CONTRAST) return null;
+
+  const maxShift = Math.min(MAX_SHIFT, Math.floor(width / 3), Math.floor(height / 3));
+  const minCount = (visible * MIN_COVERAGE) / (SAMPLE_STEP * SAMPLE_STEP);
+  const size = 2 * maxShift + 1;
+  const costs = new Array(size * size).fill(null);
+  const costAt = (sx, sy) => costs[(sy + maxShift) * size + sx + maxShift];
+
+  let best = null;
+  for (let sy = -maxShift; sy <= maxShift; sy++) {
+    for (let sx = -maxShift; sx <= maxShift; sx++) {
+      const cost = matchCost(prev, curr, mask, width, height, sx, sy, minCount);
+      costs[(sy + maxShift) * size + sx + maxShift] = cost;
+      if (cost !== null && (!best || cost < best.cost)) {
+        best = { sx, sy, cost };
+      }
+    }
+  }
+  if (!best) return null;
+
+  // A repetitive or blurred background matches many shifts about equally well
+  const valid = costs.filter((cost) => cost !== null).sort((a, b) => a - b);
+  const typical = valid[Math.floor(valid.length / 2)];
+  if (best.cost > typical * MAX_MATCH_RATIO) return null;
+
+  const inRange = (v) => Math.abs(v) <= maxShift;
+  const sx = best.sx + subPixel(
+    inRange(best.sx - 1) ? costAt(best.sx - 1, best.sy) : null,
+    best.cost,
+    inRange(best.sx + 1) ? costAt(best.sx + 1, best.sy) : null
+  );
+  const sy = best.sy + subPixel(
+    inRange(best.sy - 1) ? costAt(best.sx, best.sy - 1) : null,
+    best.cost,
+    inRange(best.sy + 1) ? costAt(best.sx, best.sy + 1) : null
+  );
+
+  return { dx: sx / width, dy: sy / height };
+}
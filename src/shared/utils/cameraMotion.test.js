@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { toGrayscale, skierMask, estimateCameraShift } from './cameraMotion';
+
+const WIDTH = 96;
+const HEIGHT = 54;
+
+/**
+ * Textured background: smooth blobs of grey, so shifts have a clear best match
+ */
+function texture(x, y) {
+  return 128
+    + 50 * Math.sin(x * 0.37 + Math.cos(y * 0.23) * 2)
+    + 40 * Math.cos(y * 0.41 - Math.sin(x * 0.19) * 1.5);
+}
+
+/**
+ * Greyscale frame of the background moved by (dx, dy) pixels, with
+ * `paint(x, y)` overriding pixels (e.g. a skier) when it returns a value
+ */
+function frame(dx = 0, dy = 0, paint = () => null) {
+  const gray = new Uint8ClampedArray(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      gray[y * WIDTH + x] = paint(x, y) ?? texture(x - dx, y - dy);
+    }
+  }
+  return gray;
+}
+
+/**
+ * Dark rectangle standing in for a skier, with its top-left corner at (left, top)
+ */
+const block = (left, top) => (x, y) => (x >= left && x < left + 16 && y >= top && y < top + 24 ? 10 : null);
+
+/**
+ * Pose whose landmarks span a rectangle in grid pixels
+ */
+function poseOver(left, top, width, height) {
+  return {
+    landmarks: [
+      { x: left / WIDTH, y: top / HEIGHT },
+      { x: (left + width) / WIDTH, y: (top + height) / HEIGHT },
+    ],
+  };
+}
+
+describe('estimateCameraShift', () => {
+  it('finds no shift between identical frames', () => {
+    const shift = estimateCameraShift(frame(), frame(), WIDTH, HEIGHT);
+    expect(shift.dx).toBeCloseTo(0);
+    expect(shift.dy).toBeCloseTo(0);
+  });
+
+  it('measures the background shift as a fraction of the frame', () => {
+    const shift = estimateCameraShift(frame(), frame(5, -3), WIDTH, HEIGHT);
+    expect(shift.dx * WIDTH).toBeCloseTo(5, 0);
+    expect(shift.dy * HEIGHT).toBeCloseTo(-3, 0);
+  });
+
+  it('ignores a skier moving against the background once masked', () => {
+    // The background pans 4 px left while the skier moves 10 px right
+    const prev = frame(0, 0, block(40, 15));
+    const curr = frame(-4, 0, block(50, 15));
+    const mask = skierMask([poseOver(40, 15, 26, 24)], WIDTH, HEIGHT);
+    const shift = estimateCameraShift(prev, curr, WIDTH, HEIGHT, mask);
+    expect(shift.dx * WIDTH).toBeCloseTo(-4, 0);
+    expect(shift.dy * HEIGHT).toBeCloseTo(0, 0);
+  });
+
+  it('gives up on a flat background', () => {
+    const flat = new Uint8ClampedArray(WIDTH * HEIGHT).fill(200);
+    expect(estimateCameraShift(flat, flat, WIDTH, HEIGHT)).toBeNull();
+  });
+
+  it('gives up when skiers hide most of the background', () => {
+    const mask = skierMask([poseOver(0, 0, WIDTH * 0.8, HEIGHT)], WIDTH, HEIGHT);
+    expect(estimateCameraShift(frame(), frame(2, 0), WIDTH, HEIGHT, mask)).toBeNull();
+  });
+});
+
+describe('skierMask', () => {
+  it('covers each pose box grown by the margin', () => {
+    const mask = skierMask([poseOver(40, 20, 10, 10)], WIDTH, HEIGHT);
+    const at = (x, y) => mask[y * WIDTH + x];
+    // 20% of 10 px on each side
+    expect(at(38, 18)).toBe(1);
+    expect(at(52, 32)).toBe(1);
+    expect(at(36, 25)).toBe(0);
+    expect(at(45, 34)).toBe(0);
+  });
+
+  it('clips boxes to the grid and skips poses without landmarks', () => {
+    const mask = skierMask([poseOver(-10, -10, 20, 20), { landmarks: null }], WIDTH, HEIGHT);
+    expect(mask[0]).toBe(1);
+    expect(mask.reduce((sum, v) => sum + v, 0)).toBeLessThan(20 * 20);
+  });
+});
+
+describe('toGrayscale', () => {
+  it('weights the channels by luminance', () => {
+    const data = new Uint8ClampedArray([255, 255, 255, 255, 0, 0, 0, 255, 255, 0, 0, 255, 0, 255, 0, 255]);
+    expect([...toGrayscale({ data, width: 4, height: 1 })]).toEqual([255, 0, 76, 149]);
+  });
+});
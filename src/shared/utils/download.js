@@ -0,0 +1,30 @@
+/**
+ * Save a Blob as a file through a temporary link
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * File name for an export of a library video: its name without the
+ * extension, made safe for file systems, plus a suffix
+ *
+ * @param {string} name - Video name (usually the uploaded file's name)
+ * @param {string} suffix - e.g. 'annotated.webm'
+ */
+export function exportFilename(name, suffix) {
+  const base = (name || 'video').replace(/\.[^.]+$/, '').replace(/[^\w\-. ]+/g, '_').trim() || 'video';
+  return `${base}-${suffix}`;
+}
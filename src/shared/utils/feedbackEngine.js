@@ -0,0 +1,158 @@
+import FEEDBACK_RULES from '../constants/feedbackRules.json';
+
+/**
+ * Coaching feedback from the measured angles and turns
+ *
+ * Rules are declared in constants/feedbackRules.json. Each one checks a
+ * measurement against a min and/or max threshold, either on every analyzed
+ * frame ("frames" scope, per-frame metrics from computeFrameMetrics) or on
+ * every turn ("turns" scope, Turn.stats). A rule fires when the share of
+ * frames or turns inside the thresholds reaches its minShare; its severity
+ * grows with that share. Thresholds can be overridden per rule from the
+ * settings, so they can be tuned without editing the rule file.
+ */
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Timestamps kept per feedback item (the longest stretches)
+const MAX_TIMESTAMPS = 10;
+
+/**
+ * Apply per-rule overrides to the rule set
+ *
+ * @param {Object<string, Object>} [overrides] - Changes keyed by rule id
+ *   (enabled, min, max, minShare), typically from user settings
+ * @returns {Array<Object>} Rules with an `enabled` flag, in declaration order
+ */
+export function resolveFeedbackRules(overrides = {}) {
+  return FEEDBACK_RULES.rules.map((rule) => ({
+    enabled: true,
+    ...rule,
+    ...overrides?.[rule.id],
+  }));
+}
+
+/**
+ * Check a value against a rule's thresholds
+ */
+function matches(rule, value) {
+  const v = rule.abs ? Math.abs(value) : value;
+  return (rule.min === undefined || rule.min === null || v >= rule.min)
+    && (rule.max === undefined || rule.max === null || v <= rule.max);
+}
+
+/**
+ * Severity for the share of frames or turns that triggered a rule
+ */
+function severityFor(rule, share) {
+  if (rule.severity) return rule.severity;
+  const levels = FEEDBACK_RULES.severity;
+  if (share >= levels.high) return 'high';
+  if (share >= levels.medium) return 'medium';
+  return 'low';
+}
+
+/**
+ * Measured values of a rule's metric, one per frame or turn, with the
+ * timestamp each refers to
+ */
+function measurements(rule, samples, turns) {
+  const entries = rule.scope === 'turns'
+    ? turns.map((turn) => ({ timestamp: turn.apexMs, value: turn.stats?.[rule.metric] }))
+    : samples.map((sample) => ({ timestamp: sample.timestamp, value: sample.metrics?.[rule.metric] }));
+  return entries.filter((entry) => entry.value !== null && entry.value !== undefined);
+}
+
+/**
+ * Timestamps of the evidence: every matching turn's apex, or the start of each
+ * stretch of consecutive matching frames (longest stretches first when capped)
+ */
+function evidenceTimestamps(rule, measured, hits) {
+  if (rule.scope === 'turns') {
+    return measured.filter((_, i) => hits[i]).map((entry) => entry.timestamp).slice(0, MAX_TIMESTAMPS);
+  }
+
+  const stretches = [];
+  hits.forEach((hit, i) => {
+    if (!hit) return;
+    if (i > 0 && hits[i - 1]) {
+      stretches[stretches.length - 1].length += 1;
+    } else {
+      stretches.push({ timestamp: measured[i].timestamp, length: 1 });
+    }
+  });
+
+  return stretches
+    .sort((a, b) => b.length - a.length)
+    .slice(0, MAX_TIMESTAMPS)
+    .map((stretch) => stretch.timestamp)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Fill in a rule's message template
+ */
+function formatMessage(rule, { share, value }) {
+  const fields = {
+    share: `${Math.round(share * 100)}%`,
+    value: value === null ? '—' : value,
+    min: rule.min ?? '—',
+    max: rule.max ?? '—',
+  };
+  return rule.message.replace(/\{(\w+)\}/g, (match, key) => (key in fields ? fields[key] : match));
+}
+
+/**
+ * Evaluate one rule, returning its feedback item or null if it doesn't fire
+ */
+function evaluateRule(rule, samples, turns) {
+  const measured = measurements(rule, samples, turns);
+  if (measured.length < (FEEDBACK_RULES.minSamples[rule.scope] ?? 1)) return null;
+
+  const hits = measured.map((entry) => matches(rule, entry.value));
+  const matched = measured.filter((_, i) => hits[i]);
+  const share = matched.length / measured.length;
+  if (matched.length === 0 || share < rule.minShare) return null;
+
+  const total = matched.reduce((sum, entry) => sum + (rule.abs ? Math.abs(entry.value) : entry.value), 0);
+  const value = Number((total / matched.length).toFixed(1));
+
+  return {
+    ruleId: rule.id,
+    label: rule.label,
+    message: formatMessage(rule, { share, value }),
+    severity: severityFor(rule, share),
+    share: Number(share.toFixed(2)),
+    value,
+    timestamps: evidenceTimestamps(rule, measured, hits),
+  };
+}
+
+/**
+ * Run the feedback rules over one skier's timeline
+ *
+ * @param {Array<{timestamp: number, metrics: Object|null}>} samples - One entry
+ *   per analyzed frame with computeFrameMetrics output (null when not detected)
+ * @param {Array<import('../types').Turn>} turns - Output of segmentTurns
+ * @param {Object<string, Object>} [overrides] - Per-rule threshold overrides
+ * @returns {import('../types').Feedback} Positives and improvements, most
+ *   severe first
+ */
+export function evaluateFeedback(samples, turns, overrides) {
+  const positives = [];
+  const improvements = [];
+
+  for (const rule of resolveFeedbackRules(overrides)) {
+    if (!rule.enabled) continue;
+    const item = evaluateRule(rule, samples ?? [], turns ?? []);
+    if (item) {
+      (rule.kind === 'positive' ? positives : improvements).push(item);
+    }
+  }
+
+  const bySeverity = (a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.share - a.share;
+  return {
+    positives: positives.sort(bySeverity),
+    improvements: improvements.sort(bySeverity),
+  };
+}
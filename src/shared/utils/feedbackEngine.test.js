@@ -0,0 +1,208 @@
+import { describe, it, expect } from 'vitest';
+import FEEDBACK_RULES from '../constants/feedbackRules.json';
+import { resolveFeedbackRules, evaluateFeedback } from './feedbackEngine';
+
+const RULE_IDS = FEEDBACK_RULES.rules.map((rule) => rule.id);
+
+/**
+ * Overrides that leave only one rule enabled, with the given changes
+ */
+function only(id, changes = {}) {
+  return Object.fromEntries(RULE_IDS.map((ruleId) => [ruleId, ruleId === id ? changes : { enabled: false }]));
+}
+
+/**
+ * One sample per value, 100 ms apart, measuring one metric (null = not detected)
+ */
+function samples(metric, values) {
+  return values.map((value, i) => ({
+    timestamp: i * 100,
+    metrics: value === undefined ? null : { [metric]: value },
+  }));
+}
+
+const repeat = (value, count) => Array(count).fill(value);
+
+/**
+ * Every item the rules produced, positives first
+ */
+function items(feedback) {
+  return [...feedback.positives, ...feedback.improvements];
+}
+
+describe('feedbackRules.json', () => {
+  it('declares complete rules with unique ids', () => {
+    expect(new Set(RULE_IDS).size).toBe(RULE_IDS.length);
+    for (const rule of FEEDBACK_RULES.rules) {
+      expect(['positive', 'improvement']).toContain(rule.kind);
+      expect(['frames', 'turns']).toContain(rule.scope);
+      expect(typeof rule.metric).toBe('string');
+      expect(rule.min ?? rule.max).toBeTypeOf('number');
+      expect(rule.minShare).toBeGreaterThan(0);
+      expect(rule.minShare).toBeLessThanOrEqual(1);
+      expect(rule.label && rule.message).toBeTruthy();
+    }
+  });
+
+  it('has severity levels and minimum samples for every scope', () => {
+    expect(FEEDBACK_RULES.severity.medium).toBeLessThan(FEEDBACK_RULES.severity.high);
+    expect(FEEDBACK_RULES.minSamples).toEqual({ frames: expect.any(Number), turns: expect.any(Number) });
+  });
+});
+
+describe('resolveFeedbackRules', () => {
+  it('enables every rule by default, in declaration order', () => {
+    const rules = resolveFeedbackRules();
+    expect(rules.map((rule) => rule.id)).toEqual(RULE_IDS);
+    expect(rules.every((rule) => rule.enabled)).toBe(true);
+    expect(rules[0]).toEqual({ enabled: true, ...FEEDBACK_RULES.rules[0] });
+  });
+
+  it('merges overrides over the defaults of their rule only', () => {
+    const rules = resolveFeedbackRules({
+      'athletic-flexion': { min: 25, enabled: false },
+      'no-such-rule': { min: 1 },
+    });
+    const flexion = rules.find((rule) => rule.id === 'athletic-flexion');
+    expect(flexion).toMatchObject({ enabled: false, min: 25, max: 60, minShare: 0.6, metric: 'kneeFlexion' });
+    expect(rules.filter((rule) => rule.id !== 'athletic-flexion'))
+      .toEqual(resolveFeedbackRules().filter((rule) => rule.id !== 'athletic-flexion'));
+    expect(rules).toHaveLength(RULE_IDS.length);
+  });
+});
+
+describe('evaluateFeedback', () => {
+  it('fires a rule when enough frames fall inside its thresholds', () => {
+    const feedback = evaluateFeedback(samples('kneeFlexion', repeat(40, 10)), [], only('athletic-flexion'));
+    expect(feedback.improvements).toEqual([]);
+    expect(feedback.positives).toEqual([{
+      ruleId: 'athletic-flexion',
+      label: 'Athletic knee flexion',
+      message: 'Knees stay flexed in an athletic range for 100% of the run (avg 40°).',
+      severity: 'high',
+      share: 1,
+      value: 40,
+      timestamps: [0],
+    }]);
+  });
+
+  it('includes the thresholds themselves', () => {
+    const values = [20, 60, 19.9, 60.1, ...repeat(40, 6)];
+    const [item] = items(evaluateFeedback(samples('kneeFlexion', values), [], only('athletic-flexion')));
+    expect(item.share).toBe(0.8);
+  });
+
+  it('checks rules with only a min or only a max', () => {
+    const stiff = evaluateFeedback(samples('kneeFlexion', repeat(10, 10)), [], only('stiff-legs'));
+    expect(stiff.improvements.map((item) => item.ruleId)).toEqual(['stiff-legs']);
+
+    const bent = evaluateFeedback(samples('hipFlexion', repeat(70, 10)), [], only('bent-at-waist'));
+    expect(bent.improvements.map((item) => item.ruleId)).toEqual(['bent-at-waist']);
+    expect(items(evaluateFeedback(samples('hipFlexion', repeat(50, 10)), [], only('bent-at-waist')))).toEqual([]);
+  });
+
+  it('compares magnitudes for abs rules', () => {
+    const tilted = samples('shoulderTilt', [...repeat(-25, 5), ...repeat(25, 5)]);
+    const [item] = items(evaluateFeedback(tilted, [], only('dropped-shoulder')));
+    expect(item.share).toBe(1);
+    expect(item.value).toBe(25);
+
+    const level = samples('shoulderTilt', repeat(-8, 10));
+    expect(evaluateFeedback(level, [], only('level-shoulders')).positives).toHaveLength(1);
+  });
+
+  it('does not fire below the rule minShare', () => {
+    // 5 of 10 frames, athletic-flexion needs 60%
+    const values = [...repeat(40, 5), ...repeat(10, 5)];
+    expect(items(evaluateFeedback(samples('kneeFlexion', values), [], only('athletic-flexion')))).toEqual([]);
+  });
+
+  it('grows the severity with the share', () => {
+    const severity = (hits) => {
+      const values = [...repeat(10, hits), ...repeat(40, 10 - hits)];
+      return items(evaluateFeedback(samples('kneeFlexion', values), [], only('stiff-legs')))[0].severity;
+    };
+    expect(severity(4)).toBe('low');
+    expect(severity(5)).toBe('medium');
+    expect(severity(8)).toBe('high');
+  });
+
+  it('skips frames where the metric is missing', () => {
+    const values = [...repeat(40, 10), ...repeat(undefined, 5), ...repeat(null, 5)];
+    const [item] = items(evaluateFeedback(samples('kneeFlexion', values), [], only('athletic-flexion')));
+    expect(item.share).toBe(1);
+  });
+
+  it('needs enough measured frames or turns to judge', () => {
+    const frames = samples('kneeFlexion', [...repeat(40, FEEDBACK_RULES.minSamples.frames - 1), null, undefined]);
+    expect(items(evaluateFeedback(frames, [], only('athletic-flexion')))).toEqual([]);
+    const otherMetric = samples('stanceWidth', repeat(1.5, 20));
+    expect(items(evaluateFeedback(otherMetric, [], only('athletic-flexion')))).toEqual([]);
+    expect(items(evaluateFeedback(null, null, only('athletic-flexion')))).toEqual([]);
+  });
+
+  it('dates frame evidence at the start of each stretch of matching frames', () => {
+    const values = [10, 10, 40, 10, 40, 40, 10, 10, 10, 40];
+    const [item] = items(evaluateFeedback(samples('kneeFlexion', values), [], only('stiff-legs')));
+    expect(item.timestamps).toEqual([0, 300, 600]);
+    expect(item.value).toBe(10);
+  });
+
+  it('keeps the longest stretches when there are too many', () => {
+    // Twelve one-frame stretches, then two of two frames
+    const values = [...Array.from({ length: 12 }, () => [10, 40]).flat(), 10, 10, 40, 10, 10];
+    const overrides = only('stiff-legs', { minShare: 0.1 });
+    const [item] = items(evaluateFeedback(samples('kneeFlexion', values), [], overrides));
+    expect(item.timestamps).toHaveLength(10);
+    expect(item.timestamps.slice(-2)).toEqual([2400, 2700]);
+    expect(item.timestamps).toEqual([...item.timestamps].sort((a, b) => a - b));
+  });
+
+  it('dates turn evidence at the apex of each matching turn', () => {
+    const turns = [
+      { apexMs: 500, stats: { maxHipAngulation: 20 } },
+      { apexMs: 1500, stats: { maxHipAngulation: 5 } },
+      { apexMs: 2500, stats: { maxHipAngulation: 25 } },
+      { apexMs: 3500, stats: {} },
+    ];
+    const [item] = items(evaluateFeedback([], turns, only('strong-angulation')));
+    expect(item).toMatchObject({ ruleId: 'strong-angulation', share: 0.67, value: 22.5, timestamps: [500, 2500] });
+  });
+
+  it('applies threshold overrides', () => {
+    const frames = samples('kneeFlexion', repeat(18, 10));
+    expect(items(evaluateFeedback(frames, [], only('stiff-legs')))).toEqual([]);
+
+    const [item] = items(evaluateFeedback(frames, [], only('stiff-legs', { max: 20 })));
+    expect(item.message).toContain('(avg 18°)');
+    expect(items(evaluateFeedback(frames, [], only('athletic-flexion', { min: 15 })))).toHaveLength(1);
+  });
+
+  it('applies minShare overrides', () => {
+    const values = [...repeat(40, 5), ...repeat(10, 5)];
+    const overrides = only('athletic-flexion', { minShare: 0.5 });
+    const [item] = items(evaluateFeedback(samples('kneeFlexion', values), [], overrides));
+    expect(item.share).toBe(0.5);
+  });
+
+  it('skips disabled rules', () => {
+    const frames = samples('kneeFlexion', repeat(40, 10));
+    const feedback = evaluateFeedback(frames, [], { 'athletic-flexion': { enabled: false } });
+    expect(items(feedback).map((item) => item.ruleId)).not.toContain('athletic-flexion');
+  });
+
+  it('lists the most severe items first', () => {
+    const frames = Array.from({ length: 10 }, (_, i) => ({
+      timestamp: i * 100,
+      metrics: { kneeFlexion: i < 5 ? 10 : 40, stanceWidth: i < 9 ? 3 : 1.5 },
+    }));
+    const feedback = evaluateFeedback(frames, [], {
+      ...only('stiff-legs'),
+      'wide-stance': {},
+    });
+    expect(feedback.improvements.map((item) => [item.ruleId, item.severity])).toEqual([
+      ['wide-stance', 'high'],
+      ['stiff-legs', 'medium'],
+    ]);
+  });
+});
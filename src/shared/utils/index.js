@@ -1,9 +1,82 @@
 export { cn } from './cn';
-export { generateMockMetrics } from './mockData';
 export {
   deg,
   clamp,
   torsoVector,
   angleBetween,
+  jointAngle,
+  angleBetween3D,
+  jointAngle3D,
+  torsoVector3D,
+  torsoInclination3D,
+  hipFlexion3D,
+  kneeFlexion3D,
+  ankleFlexion3D,
+  upperBodyRotation3D,
+  centerOfMass,
   getPoseConnections
-} from './poseCalculations';
\ No newline at end of file
+} from './poseCalculations';
+export { computeFrameMetrics, summarizeMetrics, SUMMARY_METRICS } from './poseMetrics';
+export { getTrackFrameAt, getTrackSampleAt } from './poseTrack';
+export {
+  createPoseTracker,
+  toPoses,
+  findSkierPose,
+  listSkiers,
+  getSkierColor
+} from './poseTracking';
+
+export {
+  createOneEuroFilter,
+  createEmaFilter,
+  SMOOTHING_FILTERS,
+  resolveSmoothingOptions,
+  createPoseSmoother,
+  createAngleSmoother,
+  smoothTrack
+} from './smoothing';
+export {
+  leanAngle,
+  slopeAngle,
+  kneeFlexion,
+  hipFlexion,
+  ankleDorsiflexion,
+  hipAngulation,
+  kneeAngulation,
+  shoulderTilt,
+  JOINT_ANGLES,
+  computeJointAngles
+} from './jointAngles';
+export {
+  getSlopeAngle,
+  getAspectRatio,
+  slopeVector,
+  slopeAngleFromLine,
+  estimateSlopeFromSkis
+} from './slopeReference';
+export { segmentTurns, summarizeTurns } from './turnSegmentation';
+export { resolveFeedbackRules, evaluateFeedback } from './feedbackEngine';
+export {
+  SCORE_COMPONENTS,
+  computeSubScores,
+  resolveScoreWeights,
+  combineScores
+} from './scoring';
+export { toGrayscale, skierMask, estimateCameraShift } from './cameraMotion';
+export { estimateSpeed } from './speedEstimation';
+export { SYMMETRY_METRICS, computeSymmetry } from './symmetry';
+export { frameQuality, computeTrackingQuality } from './trackingQuality';
+export { posesBounds, mapLandmarksFromRoi, createRoiTracker } from './roiTracking';
+export { OVERLAY_LAYER_OPTIONS, resolveOverlaySettings, drawOverlay } from './overlayRenderer';
+export { computeAngleSeries, nearestSampleIndex, seriesValuesAt } from './angleSeries';
+export { ALIGNMENT_EVENTS, alignmentTime, bodyFrame, normalizePoseOnto } from './poseComparison';
+export {
+  ANNOTATION_TOOLS,
+  createAnnotation,
+  annotationsAt,
+  shapePixels,
+  protractorAngle,
+  arrowHead,
+  drawAnnotations
+} from './annotations';
+export { downloadBlob, exportFilename } from './download';
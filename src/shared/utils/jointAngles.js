@@ -0,0 +1,260 @@
+import {
+  torsoVector,
+  angleBetween,
+  jointAngle,
+  deg,
+  hipFlexion3D,
+  kneeFlexion3D,
+  ankleFlexion3D,
+} from './poseCalculations';
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import { REFERENCE_VECTORS, ANALYSIS_CONFIG } from '../constants/analysis';
+
+/**
+ * Named joint-angle calculators
+ *
+ * Each calculator takes one pose ({ landmarks, worldLandmarks }) and returns
+ * an angle in degrees, or null when any landmark it needs is missing or below
+ * ANALYSIS_CONFIG.MIN_VISIBILITY. Flexion angles use the 3D world landmarks
+ * when they are visible and fall back to the 2D image. Angulation and tilt
+ * are frontal-plane angles measured in the image, so they are meaningful when
+ * the skier is filmed from the front or from behind.
+ *
+ * Normalized landmarks are stretched on non-square frames (x and y are
+ * fractions of different lengths), so 2D angles are measured after scaling x
+ * by the frame's aspect ratio (options.aspectRatio, width / height).
+ */
+
+const {
+  L_SHOULDER, R_SHOULDER, L_HIP, R_HIP, L_KNEE, R_KNEE, L_ANKLE, R_ANKLE,
+  L_FOOT_INDEX, R_FOOT_INDEX,
+} = POSE_LANDMARKS;
+
+const SIDES = {
+  left: { shoulder: L_SHOULDER, hip: L_HIP, knee: L_KNEE, ankle: L_ANKLE, foot: L_FOOT_INDEX },
+  right: { shoulder: R_SHOULDER, hip: R_HIP, knee: R_KNEE, ankle: R_ANKLE, foot: R_FOOT_INDEX },
+};
+
+/**
+ * Check that every given landmark exists and is visible enough to measure
+ */
+function isVisible(landmarks, indices) {
+  return Boolean(landmarks) && indices.every(
+    (i) => landmarks[i] && (landmarks[i].visibility ?? 1) >= ANALYSIS_CONFIG.MIN_VISIBILITY
+  );
+}
+
+/**
+ * A 2D landmark with x scaled so x and y distances compare
+ */
+function framePoint(point, aspectRatio = 1) {
+  return { x: point.x * aspectRatio, y: point.y };
+}
+
+/**
+ * Midpoint of two 2D landmarks, with x scaled like framePoint
+ */
+function midpoint(a, b, aspectRatio = 1) {
+  return { x: ((a.x + b.x) / 2) * aspectRatio, y: (a.y + b.y) / 2 };
+}
+
+/**
+ * Deviation from a straight line at joint b (0 = a, b and c aligned)
+ */
+function bendAt(a, b, c) {
+  const angle = jointAngle(a, b, c);
+  return angle === null ? null : 180 - angle;
+}
+
+/**
+ * Measure a flexion angle in 3D when the world landmarks allow it, in 2D
+ * otherwise. compute2D gets a lookup of landmarks by index, x already scaled.
+ */
+function flexion({ landmarks, worldLandmarks }, indices, compute3D, compute2D, aspectRatio) {
+  if (isVisible(worldLandmarks, indices)) return compute3D(worldLandmarks);
+  if (isVisible(landmarks, indices)) return compute2D((i) => framePoint(landmarks[i], aspectRatio));
+  return null;
+}
+
+/**
+ * Torso direction (hips to shoulders) with x scaled like framePoint
+ */
+function frameTorsoVector(landmarks, aspectRatio = 1) {
+  const torso = torsoVector(landmarks);
+  return { x: torso.x * aspectRatio, y: torso.y };
+}
+
+/**
+ * Torso lean from the image vertical
+ *
+ * @param {Object} pose - { landmarks, worldLandmarks }
+ * @param {Object} [options]
+ * @param {number} [options.aspectRatio] - Frame width / height
+ */
+export function leanAngle({ landmarks }, { aspectRatio } = {}) {
+  if (!isVisible(landmarks, [L_SHOULDER, R_SHOULDER, L_HIP, R_HIP])) return null;
+  return angleBetween(frameTorsoVector(landmarks, aspectRatio), REFERENCE_VECTORS.VERTICAL);
+}
+
+/**
+ * Torso angle from the slope reference line
+ *
+ * Both directions are compared in pixel-proportional space, so a slope
+ * given in normalized coordinates (see slopeVector) needs the same aspect ratio.
+ *
+ * @param {Object} pose - { landmarks, worldLandmarks }
+ * @param {{x: number, y: number}} [slope] - Slope direction in normalized landmark
+ *   coordinates (defaults to REFERENCE_VECTORS.SLOPE)
+ * @param {Object} [options]
+ * @param {number} [options.aspectRatio] - Frame width / height
+ */
+export function slopeAngle({ landmarks }, slope = REFERENCE_VECTORS.SLOPE, { aspectRatio } = {}) {
+  if (!isVisible(landmarks, [L_SHOULDER, R_SHOULDER, L_HIP, R_HIP])) return null;
+  return angleBetween(frameTorsoVector(landmarks, aspectRatio), framePoint(slope, aspectRatio));
+}
+
+/**
+ * Knee flexion for one side (0 = straight leg)
+ *
+ * @param {Object} pose - { landmarks, worldLandmarks }
+ * @param {'left'|'right'} side - Body side
+ * @param {Object} [options]
+ * @param {number} [options.aspectRatio] - Frame width / height, for the 2D fallback
+ */
+export function kneeFlexion(pose, side, { aspectRatio } = {}) {
+  const { hip, knee, ankle } = SIDES[side];
+  return flexion(
+    pose,
+    [hip, knee, ankle],
+    (world) => kneeFlexion3D(world, side),
+    (point) => bendAt(point(hip), point(knee), point(ankle)),
+    aspectRatio
+  );
+}
+
+/**
+ * Hip flexion for one side (0 = torso in line with the thigh)
+ *
+ * @param {Object} pose - { landmarks, worldLandmarks }
+ * @param {'left'|'right'} side - Body side
+ * @param {Object} [options]
+ * @param {number} [options.aspectRatio] - Frame width / height, for the 2D fallback
+ */
+export function hipFlexion(pose, side, { aspectRatio } = {}) {
+  const { shoulder, hip, knee } = SIDES[side];
+  return flexion(
+    pose,
+    [shoulder, hip, knee],
+    (world) => hipFlexion3D(world, side),
+    (point) => bendAt(point(shoulder), point(hip), point(knee)),
+    aspectRatio
+  );
+}
+
+/**
+ * Ankle dorsiflexion proxy for one side: how far the shin leans forward of
+ * perpendicular to the foot. Ski boots hide the real joint, so this is the
+ * knee-ankle-toe angle rather than a true ankle measurement.
+ *
+ * @param {Object} pose - { landmarks, worldLandmarks }
+ * @param {'left'|'right'} side - Body side
+ * @param {Object} [options]
+ * @param {number} [options.aspectRatio] - Frame width / height, for the 2D fallback
+ */
+export function ankleDorsiflexion(pose, side, { aspectRatio } = {}) {
+  const { knee, ankle, foot } = SIDES[side];
+  return flexion(
+    pose,
+    [knee, ankle, foot],
+    (world) => ankleFlexion3D(world, side),
+    (point) => {
+      const angle = jointAngle(point(knee), point(ankle), point(foot));
+      return angle === null ? null : 90 - angle;
+    },
+    aspectRatio
+  );
+}
+
+/**
+ * Hip angulation: lateral bend between the upper body and the legs, at the
+ * hips (0 = shoulders, hips and knees in one line)
+ */
+export function hipAngulation({ landmarks }, { aspectRatio } = {}) {
+  if (!isVisible(landmarks, [L_SHOULDER, R_SHOULDER, L_HIP, R_HIP, L_KNEE, R_KNEE])) return null;
+
+  return bendAt(
+    midpoint(landmarks[L_SHOULDER], landmarks[R_SHOULDER], aspectRatio),
+    midpoint(landmarks[L_HIP], landmarks[R_HIP], aspectRatio),
+    midpoint(landmarks[L_KNEE], landmarks[R_KNEE], aspectRatio)
+  );
+}
+
+/**
+ * Knee angulation: lateral bend between the thighs and the shins, at the
+ * knees (0 = hips, knees and ankles in one line)
+ */
+export function kneeAngulation({ landmarks }, { aspectRatio } = {}) {
+  if (!isVisible(landmarks, [L_HIP, R_HIP, L_KNEE, R_KNEE, L_ANKLE, R_ANKLE])) return null;
+
+  return bendAt(
+    midpoint(landmarks[L_HIP], landmarks[R_HIP], aspectRatio),
+    midpoint(landmarks[L_KNEE], landmarks[R_KNEE], aspectRatio),
+    midpoint(landmarks[L_ANKLE], landmarks[R_ANKLE], aspectRatio)
+  );
+}
+
+/**
+ * Shoulder tilt from the image horizontal, signed: positive when the
+ * skier's left shoulder is lower than the right
+ */
+export function shoulderTilt({ landmarks }, { aspectRatio } = {}) {
+  if (!isVisible(landmarks, [L_SHOULDER, R_SHOULDER])) return null;
+
+  const left = framePoint(landmarks[L_SHOULDER], aspectRatio);
+  const right = framePoint(landmarks[R_SHOULDER], aspectRatio);
+  return deg(Math.atan2(left.y - right.y, Math.abs(left.x - right.x)));
+}
+
+/**
+ * Every named angle, in display order. `compute(pose, options)` returns
+ * degrees or null; options.slope overrides the slope reference and
+ * options.aspectRatio gives the frame's width / height.
+ */
+export const JOINT_ANGLES = [
+  { key: 'lean', label: 'Lean', compute: (pose, options) => leanAngle(pose, options) },
+  { key: 'slope', label: 'Slope', compute: (pose, options) => slopeAngle(pose, options?.slope, options) },
+  { key: 'kneeFlexionLeft', label: 'L Knee Flexion', compute: (pose, options) => kneeFlexion(pose, 'left', options) },
+  { key: 'kneeFlexionRight', label: 'R Knee Flexion', compute: (pose, options) => kneeFlexion(pose, 'right', options) },
+  { key: 'hipFlexionLeft', label: 'L Hip Flexion', compute: (pose, options) => hipFlexion(pose, 'left', options) },
+  { key: 'hipFlexionRight', label: 'R Hip Flexion', compute: (pose, options) => hipFlexion(pose, 'right', options) },
+  {
+    key: 'ankleDorsiflexionLeft',
+    label: 'L Ankle Flex',
+    compute: (pose, options) => ankleDorsiflexion(pose, 'left', options),
+  },
+  {
+    key: 'ankleDorsiflexionRight',
+    label: 'R Ankle Flex',
+    compute: (pose, options) => ankleDorsiflexion(pose, 'right', options),
+  },
+  { key: 'hipAngulation', label: 'Hip Angulation', compute: (pose, options) => hipAngulation(pose, options) },
+  { key: 'kneeAngulation', label: 'Knee Angulation', compute: (pose, options) => kneeAngulation(pose, options) },
+  { key: 'shoulderTilt', label: 'Shoulder Tilt', compute: (pose, options) => shoulderTilt(pose, options) },
+];
+
+/**
+ * Compute every named angle for one pose
+ *
+ * @param {{landmarks: Array, worldLandmarks: Array|null}|null} pose - Pose to measure
+ * @param {Object} [options]
+ * @param {{x: number, y: number}} [options.slope] - Slope direction in the image
+ * @param {number} [options.aspectRatio] - Frame width / height (default 1)
+ * @returns {Object<string, number|null>} Angles in degrees keyed by JOINT_ANGLES key
+ */
+export function computeJointAngles(pose, options) {
+  const angles = {};
+  for (const { key, compute } of JOINT_ANGLES) {
+    angles[key] = pose?.landmarks ? compute(pose, options) : null;
+  }
+  return angles;
+}
@@ -0,0 +1,261 @@
+import { describe, it, expect } from 'vitest';
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import {
+  JOINT_ANGLES,
+  computeJointAngles,
+  leanAngle,
+  slopeAngle,
+  kneeFlexion,
+  hipFlexion,
+  ankleDorsiflexion,
+  hipAngulation,
+  kneeAngulation,
+  shoulderTilt,
+} from './jointAngles';
+import { slopeVector } from './slopeReference';
+
+const {
+  L_SHOULDER, R_SHOULDER, L_HIP, R_HIP, L_KNEE, R_KNEE, L_ANKLE, R_ANKLE,
+  L_FOOT_INDEX, R_FOOT_INDEX,
+} = POSE_LANDMARKS;
+
+const WIDE = 16 / 9;
+
+// Skier standing upright, facing the camera, feet pointing right
+const UPRIGHT = {
+  [L_SHOULDER]: { x: 0.54, y: 0.3 },
+  [R_SHOULDER]: { x: 0.46, y: 0.3 },
+  [L_HIP]: { x: 0.54, y: 0.5 },
+  [R_HIP]: { x: 0.46, y: 0.5 },
+  [L_KNEE]: { x: 0.54, y: 0.7 },
+  [R_KNEE]: { x: 0.46, y: 0.7 },
+  [L_ANKLE]: { x: 0.54, y: 0.9 },
+  [R_ANKLE]: { x: 0.46, y: 0.9 },
+  [L_FOOT_INDEX]: { x: 0.64, y: 0.9 },
+  [R_FOOT_INDEX]: { x: 0.56, y: 0.9 },
+};
+
+/**
+ * 33 landmarks: the given points fully visible, the rest hidden
+ */
+function makeLandmarks(points) {
+  return Array.from({ length: 33 }, (_, i) => (
+    points[i] ? { z: 0, visibility: 1, ...points[i] } : { x: 0, y: 0, z: 0, visibility: 0 }
+  ));
+}
+
+/**
+ * 2D-only pose from UPRIGHT with some points replaced
+ */
+function pose2D(overrides = {}) {
+  return { landmarks: makeLandmarks({ ...UPRIGHT, ...overrides }), worldLandmarks: null };
+}
+
+describe('leanAngle', () => {
+  it('is 0 for an upright torso', () => {
+    expect(leanAngle(pose2D())).toBeCloseTo(0);
+  });
+
+  it('measures a forward lean from vertical', () => {
+    const pose = pose2D({ [L_SHOULDER]: { x: 0.75, y: 0.3 }, [R_SHOULDER]: { x: 0.65, y: 0.3 } });
+    expect(leanAngle(pose)).toBeCloseTo(45);
+  });
+
+  it('measures in pixels on a non-square frame', () => {
+    // 45° on a 16:9 frame: the shoulders move 9/16 as far in x as the torso is tall
+    const pose = pose2D({ [L_SHOULDER]: { x: 0.6625, y: 0.3 }, [R_SHOULDER]: { x: 0.5625, y: 0.3 } });
+    expect(leanAngle(pose, { aspectRatio: WIDE })).toBeCloseTo(45);
+  });
+
+  it('is null when a shoulder is barely visible', () => {
+    expect(leanAngle(pose2D({ [L_SHOULDER]: { ...UPRIGHT[L_SHOULDER], visibility: 0.2 } }))).toBeNull();
+  });
+});
+
+describe('slopeAngle', () => {
+  it('measures an upright torso against the default 25° slope', () => {
+    expect(slopeAngle(pose2D())).toBeCloseTo(115);
+  });
+
+  it('measures in pixels when the slope is given for a non-square frame', () => {
+    const slope = slopeVector(25, WIDE);
+    expect(slopeAngle(pose2D(), slope, { aspectRatio: WIDE })).toBeCloseTo(115);
+  });
+
+  it('is null when a hip is barely visible', () => {
+    expect(slopeAngle(pose2D({ [R_HIP]: { ...UPRIGHT[R_HIP], visibility: 0.2 } }))).toBeNull();
+  });
+});
+
+describe('kneeFlexion', () => {
+  it('is 0 for a straight leg', () => {
+    expect(kneeFlexion(pose2D(), 'left')).toBeCloseTo(0);
+  });
+
+  it('measures a right-angle bend', () => {
+    expect(kneeFlexion(pose2D({ [R_ANKLE]: { x: 0.66, y: 0.7 } }), 'right')).toBeCloseTo(90);
+  });
+
+  it('measures in pixels on a non-square frame', () => {
+    // Shin at 45° in pixels: as far right (in heights) as down
+    const pose = pose2D({ [L_ANKLE]: { x: 0.54 + 0.2 / WIDE, y: 0.9 } });
+    expect(kneeFlexion(pose, 'left', { aspectRatio: WIDE })).toBeCloseTo(45);
+  });
+
+  it('is null when the ankle is barely visible', () => {
+    expect(kneeFlexion(pose2D({ [L_ANKLE]: { ...UPRIGHT[L_ANKLE], visibility: 0.2 } }), 'left')).toBeNull();
+  });
+
+  it('uses the world landmarks when they are visible', () => {
+    // Straight in the image, bent 90° in 3D (shin pointing at the camera)
+    const pose = pose2D();
+    pose.worldLandmarks = makeLandmarks({
+      [L_HIP]: { x: 0.1, y: -0.4, z: 0 },
+      [L_KNEE]: { x: 0.1, y: 0, z: 0 },
+      [L_ANKLE]: { x: 0.1, y: 0, z: -0.4 },
+    });
+    expect(kneeFlexion(pose, 'left')).toBeCloseTo(90);
+  });
+
+  it('falls back to the image when a world landmark is barely visible', () => {
+    const pose = pose2D();
+    pose.worldLandmarks = makeLandmarks({
+      [L_HIP]: { x: 0.1, y: -0.4, z: 0 },
+      [L_KNEE]: { x: 0.1, y: 0, z: 0 },
+      [L_ANKLE]: { x: 0.1, y: 0, z: -0.4, visibility: 0.2 },
+    });
+    expect(kneeFlexion(pose, 'left')).toBeCloseTo(0);
+  });
+});
+
+describe('hipFlexion', () => {
+  it('is 0 with the torso in line with the thigh', () => {
+    expect(hipFlexion(pose2D(), 'left')).toBeCloseTo(0);
+  });
+
+  it('measures a horizontal thigh as 90°', () => {
+    expect(hipFlexion(pose2D({ [R_KNEE]: { x: 0.66, y: 0.5 } }), 'right')).toBeCloseTo(90);
+  });
+
+  it('is null when the knee is barely visible', () => {
+    expect(hipFlexion(pose2D({ [R_KNEE]: { ...UPRIGHT[R_KNEE], visibility: 0.2 } }), 'right')).toBeNull();
+  });
+
+  it('uses the world landmarks when they are visible', () => {
+    const pose = pose2D();
+    pose.worldLandmarks = makeLandmarks({
+      [R_SHOULDER]: { x: -0.2, y: -0.5, z: 0 },
+      [R_HIP]: { x: -0.1, y: 0, z: 0 },
+      [R_KNEE]: { x: -0.1, y: 0, z: -0.4 },
+    });
+    // Torso leans 11.3° sideways, thigh points at the camera
+    expect(hipFlexion(pose, 'right')).toBeCloseTo(90);
+  });
+});
+
+describe('ankleDorsiflexion', () => {
+  it('is 0 with the shin perpendicular to the foot', () => {
+    expect(ankleDorsiflexion(pose2D(), 'left')).toBeCloseTo(0);
+  });
+
+  it('measures the shin leaning over the toes', () => {
+    const lean = (20 * Math.PI) / 180;
+    const pose = pose2D({ [L_KNEE]: { x: 0.54 + Math.sin(lean) * 0.2, y: 0.9 - Math.cos(lean) * 0.2 } });
+    expect(ankleDorsiflexion(pose, 'left')).toBeCloseTo(20);
+  });
+
+  it('is null when the foot is barely visible', () => {
+    const pose = pose2D({ [L_FOOT_INDEX]: { ...UPRIGHT[L_FOOT_INDEX], visibility: 0.2 } });
+    expect(ankleDorsiflexion(pose, 'left')).toBeNull();
+  });
+
+  it('uses the world landmarks when they are visible', () => {
+    const pose = pose2D();
+    pose.worldLandmarks = makeLandmarks({
+      [L_KNEE]: { x: 0.1, y: 0.5, z: -0.1 },
+      [L_ANKLE]: { x: 0.1, y: 0.9, z: 0 },
+      [L_FOOT_INDEX]: { x: 0.1, y: 0.9, z: -0.2 },
+    });
+    expect(ankleDorsiflexion(pose, 'left')).toBeCloseTo(14.04, 1);
+  });
+});
+
+describe('hipAngulation', () => {
+  it('is 0 with the shoulders, hips and knees stacked', () => {
+    expect(hipAngulation(pose2D())).toBeCloseTo(0);
+  });
+
+  it('measures the knees pushed to one side', () => {
+    const pose = pose2D({ [L_KNEE]: { x: 0.74, y: 0.7 }, [R_KNEE]: { x: 0.66, y: 0.7 } });
+    expect(hipAngulation(pose)).toBeCloseTo(45);
+  });
+
+  it('measures in pixels on a non-square frame', () => {
+    const shift = 0.2 / WIDE;
+    const pose = pose2D({ [L_KNEE]: { x: 0.54 + shift, y: 0.7 }, [R_KNEE]: { x: 0.46 + shift, y: 0.7 } });
+    expect(hipAngulation(pose, { aspectRatio: WIDE })).toBeCloseTo(45);
+  });
+
+  it('is null when a knee is barely visible', () => {
+    expect(hipAngulation(pose2D({ [L_KNEE]: { ...UPRIGHT[L_KNEE], visibility: 0.2 } }))).toBeNull();
+  });
+});
+
+describe('kneeAngulation', () => {
+  it('is 0 with the hips, knees and ankles stacked', () => {
+    expect(kneeAngulation(pose2D())).toBeCloseTo(0);
+  });
+
+  it('measures the ankles pushed to one side', () => {
+    const pose = pose2D({ [L_ANKLE]: { x: 0.74, y: 0.9 }, [R_ANKLE]: { x: 0.66, y: 0.9 } });
+    expect(kneeAngulation(pose)).toBeCloseTo(45);
+  });
+
+  it('is null when an ankle is barely visible', () => {
+    expect(kneeAngulation(pose2D({ [R_ANKLE]: { ...UPRIGHT[R_ANKLE], visibility: 0.2 } }))).toBeNull();
+  });
+});
+
+describe('shoulderTilt', () => {
+  it('is 0 for level shoulders', () => {
+    expect(shoulderTilt(pose2D())).toBeCloseTo(0);
+  });
+
+  it('is positive when the left shoulder is lower', () => {
+    const pose = pose2D({ [L_SHOULDER]: { x: 0.56, y: 0.4 } });
+    expect(shoulderTilt(pose)).toBeCloseTo(45);
+  });
+
+  it('is negative when the right shoulder is lower', () => {
+    const pose = pose2D({ [R_SHOULDER]: { x: 0.44, y: 0.4 } });
+    expect(shoulderTilt(pose)).toBeCloseTo(-45);
+  });
+
+  it('measures in pixels on a non-square frame', () => {
+    const pose = pose2D({ [L_SHOULDER]: { x: 0.46 + 0.1 / WIDE, y: 0.4 } });
+    expect(shoulderTilt(pose, { aspectRatio: WIDE })).toBeCloseTo(45);
+  });
+
+  it('is null when a shoulder is barely visible', () => {
+    expect(shoulderTilt(pose2D({ [R_SHOULDER]: { ...UPRIGHT[R_SHOULDER], visibility: 0.2 } }))).toBeNull();
+  });
+});
+
+describe('computeJointAngles', () => {
+  it('returns every named angle', () => {
+    const angles = computeJointAngles(pose2D());
+    expect(Object.keys(angles)).toEqual(JOINT_ANGLES.map(({ key }) => key));
+    expect(angles.lean).toBeCloseTo(0);
+    expect(angles.slope).toBeCloseTo(115);
+  });
+
+  it('passes the slope and aspect ratio to the calculators', () => {
+    const angles = computeJointAngles(pose2D(), { slope: slopeVector(25, WIDE), aspectRatio: WIDE });
+    expect(angles.slope).toBeCloseTo(115);
+  });
+
+  it('returns nulls without a pose', () => {
+    const angles = computeJointAngles(null);
+    expect(Object.values(angles).every((value) => value === null)).toBe(true);
+  });
+});
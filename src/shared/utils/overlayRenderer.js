@@ -0,0 +1,306 @@
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import { OVERLAY_LAYERS, OVERLAY_PRESETS, DEFAULT_OVERLAY_PRESET } from '../constants/overlay';
+import { getPoseConnections, centerOfMass } from './poseCalculations';
+
+/**
+ * Pose overlay renderer
+ *
+ * Draws every skier's pose on a canvas sized to the video, in layers that
+ * can be switched on and off (OVERLAY_LAYERS). The skeleton, joints and face
+ * are drawn for every skier; angle arcs, the torso reference and the centre
+ * of mass only for the followed one. Sizes and colours come from a style
+ * preset (OVERLAY_PRESETS) with the user's own changes on top.
+ */
+
+// Landmarks 0-10 are the face
+const FACE_LANDMARK_COUNT = 11;
+
+const {
+  L_SHOULDER, R_SHOULDER, L_HIP, R_HIP, L_KNEE, R_KNEE, L_ANKLE, R_ANKLE,
+} = POSE_LANDMARKS;
+
+// Flexion arcs: drawn at `joint` between the segments towards `from` and `to`,
+// labelled with the matching joint-angle readout
+const ANGLE_ARCS = [
+  { key: 'kneeFlexionLeft', from: L_HIP, joint: L_KNEE, to: L_ANKLE },
+  { key: 'kneeFlexionRight', from: R_HIP, joint: R_KNEE, to: R_ANKLE },
+  { key: 'hipFlexionLeft', from: L_SHOULDER, joint: L_HIP, to: L_KNEE },
+  { key: 'hipFlexionRight', from: R_SHOULDER, joint: R_HIP, to: R_KNEE },
+];
+
+/**
+ * Layers the user can toggle, in display order
+ */
+export const OVERLAY_LAYER_OPTIONS = [
+  { key: 'skeleton', label: 'Skeleton' },
+  { key: 'joints', label: 'Joints' },
+  { key: 'face', label: 'Face' },
+  { key: 'angleArcs', label: 'Angle arcs' },
+  { key: 'torsoReference', label: 'Torso vs reference' },
+  { key: 'centerOfMass', label: 'Centre of mass' },
+];
+
+/**
+ * Fill in the overlay settings from the defaults
+ *
+ * @param {Object} [overrides] - The user's overlay settings: { preset, layers, style }
+ * @returns {{preset: string, layers: Object<string, boolean>, style: Object}}
+ *   Chosen preset, every layer's state and the full style
+ */
+export function resolveOverlaySettings(overrides = {}) {
+  const preset = OVERLAY_PRESETS[overrides.preset] ? overrides.preset : DEFAULT_OVERLAY_PRESET;
+  return {
+    preset,
+    layers: { ...OVERLAY_LAYERS, ...overrides.layers },
+    style: { ...OVERLAY_PRESETS[preset], ...overrides.style },
+  };
+}
+
+/**
+ * Whether a landmark is confident enough to draw
+ */
+function isShown(point, style) {
+  return Boolean(point) && (point.visibility ?? 1) >= style.minVisibility;
+}
+
+/**
+ * Midpoint of two landmarks, in pixels
+ */
+function midpoint(a, b, width, height) {
+  return { x: ((a.x + b.x) / 2) * width, y: ((a.y + b.y) / 2) * height };
+}
+
+/**
+ * Text with a dark halo so it reads on snow and on shadow
+ */
+function drawLabel(ctx, text, x, y, color, style) {
+  ctx.font = `600 ${style.fontSize}px system-ui, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineWidth = Math.max(2, style.fontSize / 4);
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.75)';
+  ctx.strokeText(text, x, y);
+  ctx.fillStyle = color;
+  ctx.fillText(text, x, y);
+}
+
+/**
+ * Connections between the given landmarks, skipping low-confidence points
+ */
+function drawConnections(ctx, landmarks, connections, { width, height, style, color, lineWidth }) {
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  for (const [a, b] of connections) {
+    const pointA = landmarks[a];
+    const pointB = landmarks[b];
+    if (!isShown(pointA, style) || !isShown(pointB, style)) continue;
+
+    ctx.beginPath();
+    ctx.moveTo(pointA.x * width, pointA.y * height);
+    ctx.lineTo(pointB.x * width, pointB.y * height);
+    ctx.stroke();
+  }
+}
+
+/**
+ * Filled circles with an outline for the given landmark indices
+ */
+function drawPoints(ctx, landmarks, indices, { width, height, style, color, radius }) {
+  ctx.fillStyle = color;
+  ctx.strokeStyle = style.outlineColor;
+  ctx.lineWidth = 2;
+
+  for (const index of indices) {
+    const point = landmarks[index];
+    if (!isShown(point, style)) continue;
+
+    ctx.beginPath();
+    ctx.arc(point.x * width, point.y * height, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+}
+
+/**
+ * Flexion arcs at the knees and hips, labelled with the measured angles
+ */
+function drawAngleArcs(ctx, landmarks, angles, { width, height, style }) {
+  for (const { key, from, joint, to } of ANGLE_ARCS) {
+    const [a, b, c] = [landmarks[from], landmarks[joint], landmarks[to]];
+    if (!isShown(a, style) || !isShown(b, style) || !isShown(c, style)) continue;
+
+    const center = { x: b.x * width, y: b.y * height };
+    const startAngle = Math.atan2(a.y * height - center.y, a.x * width - center.x);
+    const endAngle = Math.atan2(c.y * height - center.y, c.x * width - center.x);
+    // Sweep the smaller way round, through the inside of the joint
+    let sweep = endAngle - startAngle;
+    if (sweep > Math.PI) sweep -= Math.PI * 2;
+    if (sweep < -Math.PI) sweep += Math.PI * 2;
+
+    const radius = style.jointRadius * 4;
+    ctx.strokeStyle = style.accentColor;
+    ctx.lineWidth = Math.max(2, style.lineWidth / 2);
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, radius, startAngle, startAngle + sweep, sweep < 0);
+    ctx.stroke();
+
+    const value = angles?.[key];
+    if (value === null || value === undefined) continue;
+    // Label outside the joint, opposite the arc
+    const labelAngle = startAngle + sweep / 2 + Math.PI;
+    const labelDistance = radius + style.fontSize;
+    drawLabel(
+      ctx,
+      `${Math.round(value)}°`,
+      center.x + Math.cos(labelAngle) * labelDistance,
+      center.y + Math.sin(labelAngle) * labelDistance,
+      style.accentColor,
+      style
+    );
+  }
+}
+
+/**
+ * Torso line from the hips through the shoulders, with the vertical and the
+ * slope reference drawn from the hips at the same length
+ */
+function drawTorsoReference(ctx, landmarks, angles, slope, { width, height, style }) {
+  const points = [L_SHOULDER, R_SHOULDER, L_HIP, R_HIP].map((i) => landmarks[i]);
+  if (!points.every((point) => isShown(point, style))) return;
+
+  const shoulders = midpoint(points[0], points[1], width, height);
+  const hips = midpoint(points[2], points[3], width, height);
+  const length = Math.hypot(shoulders.x - hips.x, shoulders.y - hips.y) * 1.4;
+  if (length === 0) return;
+
+  const line = (direction, color, dashed) => {
+    const norm = Math.hypot(direction.x, direction.y);
+    if (norm === 0) return null;
+    const end = {
+      x: hips.x + (direction.x / norm) * length,
+      y: hips.y + (direction.y / norm) * length,
+    };
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(2, style.lineWidth / 2);
+    ctx.setLineDash(dashed ? [style.lineWidth * 2, style.lineWidth * 2] : []);
+    ctx.beginPath();
+    ctx.moveTo(hips.x, hips.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    return end;
+  };
+
+  const verticalEnd = line({ x: 0, y: -1 }, style.verticalColor, true);
+  // The slope readout is the angle between the torso and this line
+  const slopeEnd = slope ? line({ x: slope.x * width, y: slope.y * height }, style.slopeColor, true) : null;
+  line({ x: shoulders.x - hips.x, y: shoulders.y - hips.y }, style.torsoColor, false);
+
+  if (verticalEnd && angles?.lean !== null && angles?.lean !== undefined) {
+    drawLabel(ctx, `${Math.round(angles.lean)}°`, verticalEnd.x, verticalEnd.y - style.fontSize, style.verticalColor, style);
+  }
+  if (slopeEnd && angles?.slope !== null && angles?.slope !== undefined) {
+    drawLabel(ctx, `${Math.round(angles.slope)}°`, slopeEnd.x, slopeEnd.y - style.fontSize, style.slopeColor, style);
+  }
+}
+
+/**
+ * Centre of mass marker with a plumb line down to the feet, to show it
+ * against the base of support
+ */
+function drawCenterOfMass(ctx, landmarks, { width, height, style }) {
+  const com = centerOfMass(landmarks, style.minVisibility);
+  if (!com) return;
+
+  const x = com.x * width;
+  const y = com.y * height;
+  const feet = [landmarks[L_ANKLE], landmarks[R_ANKLE]].filter((point) => isShown(point, style));
+
+  if (feet.length > 0) {
+    const feetY = Math.max(...feet.map((point) => point.y)) * height;
+    ctx.strokeStyle = style.accentColor;
+    ctx.lineWidth = Math.max(1, style.lineWidth / 3);
+    ctx.setLineDash([style.lineWidth, style.lineWidth * 1.5]);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x, feetY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  const radius = style.jointRadius * 1.5;
+  ctx.fillStyle = style.accentColor;
+  ctx.strokeStyle = style.outlineColor;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+  // Crosshair
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+  ctx.beginPath();
+  ctx.moveTo(x - radius, y);
+  ctx.lineTo(x + radius, y);
+  ctx.moveTo(x, y - radius);
+  ctx.lineTo(x, y + radius);
+  ctx.stroke();
+}
+
+/**
+ * Draw the overlay for one frame
+ *
+ * @param {CanvasRenderingContext2D} ctx - Context of a canvas sized to the video
+ * @param {Array<{id: number, landmarks: Array}>} poses - Every skier in the frame
+ * @param {Object} options
+ * @param {number|null} options.followedId - Skier drawn prominently, with the extra layers
+ * @param {Function} options.colorFor - Skier ID to colour
+ * @param {Object} options.layers - Layer states (see resolveOverlaySettings)
+ * @param {Object} options.style - Full style (see resolveOverlaySettings)
+ * @param {Object<string, number|null>} [options.angles] - The followed skier's
+ *   angle readouts, for the labels
+ * @param {{x: number, y: number}} [options.slope] - Slope direction in
+ *   normalized landmark coordinates
+ * @param {boolean} [options.clear] - Clear the canvas first; false draws on
+ *   top of what is there (e.g. a ghost skeleton over another overlay)
+ */
+export function drawOverlay(ctx, poses, { followedId, colorFor, layers, style, angles, slope, clear = true }) {
+  const { width, height } = ctx.canvas;
+  if (clear) ctx.clearRect(0, 0, width, height);
+
+  const connections = getPoseConnections();
+  const faceConnections = connections.filter(([a, b]) => a < FACE_LANDMARK_COUNT && b < FACE_LANDMARK_COUNT);
+  const bodyConnections = connections.filter(([a, b]) => a >= FACE_LANDMARK_COUNT && b >= FACE_LANDMARK_COUNT);
+
+  for (const pose of poses) {
+    const { landmarks } = pose;
+    if (!landmarks?.length) continue;
+
+    // The followed skier stands out; everyone else is drawn lighter
+    const isFollowed = pose.id === followedId;
+    const color = colorFor(pose.id);
+    const lineWidth = isFollowed ? style.lineWidth : style.otherLineWidth;
+    const radius = isFollowed ? style.jointRadius : style.otherJointRadius;
+    const drawing = { width, height, style, color, lineWidth, radius };
+    const indices = landmarks.map((_, i) => i);
+
+    ctx.globalAlpha = isFollowed ? style.opacity : style.otherOpacity;
+    if (layers.face) {
+      drawConnections(ctx, landmarks, faceConnections, drawing);
+      drawPoints(ctx, landmarks, indices.filter((i) => i < FACE_LANDMARK_COUNT), { ...drawing, radius: radius * 0.6 });
+    }
+    if (layers.skeleton) drawConnections(ctx, landmarks, bodyConnections, drawing);
+    if (layers.joints) drawPoints(ctx, landmarks, indices.filter((i) => i >= FACE_LANDMARK_COUNT), drawing);
+
+    if (isFollowed) {
+      ctx.globalAlpha = 1;
+      if (layers.torsoReference) drawTorsoReference(ctx, landmarks, angles, slope, drawing);
+      if (layers.angleArcs) drawAngleArcs(ctx, landmarks, angles, drawing);
+      if (layers.centerOfMass) drawCenterOfMass(ctx, landmarks, drawing);
+    }
+  }
+
+  ctx.globalAlpha = 1;
+}
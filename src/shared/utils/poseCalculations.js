@@ -1,3 +1,5 @@
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+
 /**
  * Convert radians to degrees
  */
@@ -53,6 +55,226 @@ export function angleBetween(v1, v2) {
   return deg(Math.acos(clamp(cos, -1, 1)));
 }
 
+/**
+ * Calculate the angle at joint b formed by the segments b->a and b->c
+ */
+export function jointAngle(a, b, c) {
+  return angleBetween(
+    { x: a.x - b.x, y: a.y - b.y },
+    { x: c.x - b.x, y: c.y - b.y }
+  );
+}
+
+/**
+ * 3D pose math on MediaPipe world landmarks
+ *
+ * World landmarks are in meters with the origin between the hips. Their axes
+ * follow the camera (x right, y down, z away from the camera), but unlike the
+ * normalized 2D landmarks they are not squashed by perspective, so angles stay
+ * true when the skier is not square to the camera.
+ */
+
+const UP_3D = { x: 0, y: -1, z: 0 };
+
+/**
+ * Midpoint of two 3D points
+ */
+function midpoint3D(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: (a.z + b.z) / 2 };
+}
+
+/**
+ * Vector from a to b
+ */
+function vector3D(a, b) {
+  return { x: b.x - a.x, y: b.y - a.y, z: b.z - a.z };
+}
+
+/**
+ * Check that all the given world landmarks exist
+ */
+function hasPoints(worldLandmarks, indices) {
+  return Boolean(worldLandmarks) && indices.every((i) => worldLandmarks[i]);
+}
+
+/**
+ * Calculate the angle between two 3D vectors, in degrees
+ */
+export function angleBetween3D(v1, v2) {
+  const dot = v1.x * v2.x + v1.y * v2.y + v1.z * v2.z;
+  const mag1 = Math.hypot(v1.x, v1.y, v1.z);
+  const mag2 = Math.hypot(v2.x, v2.y, v2.z);
+
+  if (mag1 === 0 || mag2 === 0) return null;
+
+  const cos = dot / (mag1 * mag2);
+  return deg(Math.acos(clamp(cos, -1, 1)));
+}
+
+/**
+ * Calculate the 3D angle at joint b formed by the segments b->a and b->c
+ */
+export function jointAngle3D(a, b, c) {
+  return angleBetween3D(vector3D(b, a), vector3D(b, c));
+}
+
+/**
+ * Calculate the 3D torso vector (hip midpoint to shoulder midpoint) from world landmarks
+ */
+export function torsoVector3D(worldLandmarks) {
+  const { L_SHOULDER, R_SHOULDER, L_HIP, R_HIP } = POSE_LANDMARKS;
+  if (!hasPoints(worldLandmarks, [L_SHOULDER, R_SHOULDER, L_HIP, R_HIP])) return null;
+
+  return vector3D(
+    midpoint3D(worldLandmarks[L_HIP], worldLandmarks[R_HIP]),
+    midpoint3D(worldLandmarks[L_SHOULDER], worldLandmarks[R_SHOULDER])
+  );
+}
+
+/**
+ * Torso inclination from vertical in degrees (0 = upright), in any direction
+ */
+export function torsoInclination3D(worldLandmarks) {
+  const torso = torsoVector3D(worldLandmarks);
+  return torso ? angleBetween3D(torso, UP_3D) : null;
+}
+
+/**
+ * Landmark indices of one side of the body
+ */
+function sideLandmarks(side) {
+  const prefix = side === 'left' ? 'L' : 'R';
+  return {
+    shoulder: POSE_LANDMARKS[`${prefix}_SHOULDER`],
+    hip: POSE_LANDMARKS[`${prefix}_HIP`],
+    knee: POSE_LANDMARKS[`${prefix}_KNEE`],
+    ankle: POSE_LANDMARKS[`${prefix}_ANKLE`],
+    foot: POSE_LANDMARKS[`${prefix}_FOOT_INDEX`],
+  };
+}
+
+/**
+ * Hip flexion in degrees (0 = torso in line with the thigh) for one side
+ *
+ * @param {Array} worldLandmarks - World landmarks of one pose
+ * @param {'left'|'right'} side - Body side
+ */
+export function hipFlexion3D(worldLandmarks, side) {
+  const { shoulder, hip, knee } = sideLandmarks(side);
+  if (!hasPoints(worldLandmarks, [shoulder, hip, knee])) return null;
+
+  const angle = jointAngle3D(worldLandmarks[shoulder], worldLandmarks[hip], worldLandmarks[knee]);
+  return angle === null ? null : 180 - angle;
+}
+
+/**
+ * Knee flexion in degrees (0 = straight leg) for one side
+ *
+ * @param {Array} worldLandmarks - World landmarks of one pose
+ * @param {'left'|'right'} side - Body side
+ */
+export function kneeFlexion3D(worldLandmarks, side) {
+  const { hip, knee, ankle } = sideLandmarks(side);
+  if (!hasPoints(worldLandmarks, [hip, knee, ankle])) return null;
+
+  const angle = jointAngle3D(worldLandmarks[hip], worldLandmarks[knee], worldLandmarks[ankle]);
+  return angle === null ? null : 180 - angle;
+}
+
+/**
+ * Ankle flexion in degrees for one side: how far the shin leans forward of
+ * perpendicular to the foot (positive = dorsiflexion, shin over the toes)
+ *
+ * @param {Array} worldLandmarks - World landmarks of one pose
+ * @param {'left'|'right'} side - Body side
+ */
+export function ankleFlexion3D(worldLandmarks, side) {
+  const { knee, ankle, foot } = sideLandmarks(side);
+  if (!hasPoints(worldLandmarks, [knee, ankle, foot])) return null;
+
+  const angle = jointAngle3D(worldLandmarks[knee], worldLandmarks[ankle], worldLandmarks[foot]);
+  return angle === null ? null : 90 - angle;
+}
+
+/**
+ * Upper-body rotation in degrees: the twist of the shoulder line relative to
+ * the hip line, seen from above (around the vertical axis)
+ *
+ * Positive when the shoulders are turned towards the skier's right of the
+ * hips, negative towards their left.
+ */
+export function upperBodyRotation3D(worldLandmarks) {
+  const { L_SHOULDER, R_SHOULDER, L_HIP, R_HIP } = POSE_LANDMARKS;
+  if (!hasPoints(worldLandmarks, [L_SHOULDER, R_SHOULDER, L_HIP, R_HIP])) return null;
+
+  // Project both lines onto the horizontal (x-z) plane
+  const shoulders = vector3D(worldLandmarks[R_SHOULDER], worldLandmarks[L_SHOULDER]);
+  const hips = vector3D(worldLandmarks[R_HIP], worldLandmarks[L_HIP]);
+  if (Math.hypot(shoulders.x, shoulders.z) === 0 || Math.hypot(hips.x, hips.z) === 0) return null;
+
+  const cross = hips.x * shoulders.z - hips.z * shoulders.x;
+  const dot = hips.x * shoulders.x + hips.z * shoulders.z;
+  return deg(Math.atan2(cross, dot));
+}
+
+/**
+ * Body segments for the centre of mass: mass share of the whole body and
+ * where along the segment (from the first to the second point) its own
+ * centre lies, after Winter's anthropometric tables. The hands and feet are
+ * folded into the forearms and shanks; the head and neck into the trunk.
+ */
+const BODY_SEGMENTS = [
+  { from: ['L_HIP', 'R_HIP'], to: ['L_SHOULDER', 'R_SHOULDER'], mass: 0.578, at: 0.66 },
+  { from: ['L_SHOULDER'], to: ['L_ELBOW'], mass: 0.028, at: 0.436 },
+  { from: ['R_SHOULDER'], to: ['R_ELBOW'], mass: 0.028, at: 0.436 },
+  { from: ['L_ELBOW'], to: ['L_WRIST'], mass: 0.022, at: 0.682 },
+  { from: ['R_ELBOW'], to: ['R_WRIST'], mass: 0.022, at: 0.682 },
+  { from: ['L_HIP'], to: ['L_KNEE'], mass: 0.1, at: 0.433 },
+  { from: ['R_HIP'], to: ['R_KNEE'], mass: 0.1, at: 0.433 },
+  { from: ['L_KNEE'], to: ['L_ANKLE'], mass: 0.061, at: 0.606 },
+  { from: ['R_KNEE'], to: ['R_ANKLE'], mass: 0.061, at: 0.606 },
+];
+
+/**
+ * Estimate the centre of mass in the image from the body segments
+ *
+ * Segments with a landmark below minVisibility are left out and the rest
+ * reweighted; without the trunk there is no estimate.
+ *
+ * @param {Array} landmarks - Normalized 2D landmarks
+ * @param {number} [minVisibility] - Landmarks below this are treated as missing
+ * @returns {{x: number, y: number}|null} Centre of mass in normalized coordinates
+ */
+export function centerOfMass(landmarks, minVisibility = 0) {
+  if (!landmarks) return null;
+
+  const point = (names) => {
+    const points = names.map((name) => landmarks[POSE_LANDMARKS[name]]);
+    if (points.some((p) => !p || (p.visibility ?? 1) < minVisibility)) return null;
+    return {
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+    };
+  };
+
+  let x = 0;
+  let y = 0;
+  let mass = 0;
+  for (const [index, segment] of BODY_SEGMENTS.entries()) {
+    const from = point(segment.from);
+    const to = point(segment.to);
+    if (!from || !to) {
+      if (index === 0) return null;
+      continue;
+    }
+    x += (from.x + (to.x - from.x) * segment.at) * segment.mass;
+    y += (from.y + (to.y - from.y) * segment.at) * segment.mass;
+    mass += segment.mass;
+  }
+
+  return { x: x / mass, y: y / mass };
+}
+
 /**
  * Get pose connections for drawing skeleton
  * Based on MediaPipe POSE_CONNECTIONS
@@ -0,0 +1,94 @@
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+
+/**
+ * Comparing two runs
+ *
+ * Two clips are synchronised on an event chosen in each (the first turn, a
+ * marker, ...): the reference plays at the student's time minus the
+ * student's event time plus the reference's event time.
+ *
+ * For the ghost overlay, the reference skier's pose is moved onto the
+ * student's: the hip centres coincide and the reference is scaled so its
+ * torso (hip centre to shoulder centre) is as long as the student's, in
+ * pixels, so clips of different sizes and zoom levels line up.
+ */
+
+const { L_SHOULDER, R_SHOULDER, L_HIP, R_HIP } = POSE_LANDMARKS;
+
+/**
+ * Events a run can be aligned on, in display order
+ */
+export const ALIGNMENT_EVENTS = [
+  { key: 'start', label: 'Clip start' },
+  { key: 'firstTurn', label: 'First turn start' },
+  { key: 'firstApex', label: 'First turn apex' },
+  { key: 'marker', label: 'Marker' },
+];
+
+/**
+ * Time of an alignment event in one run
+ *
+ * @param {string} event - ALIGNMENT_EVENTS key
+ * @param {Object} run
+ * @param {Array<import('../types').Turn>} [run.turns] - The followed skier's turns
+ * @param {number|null} [run.markerMs] - Marker set by the user
+ * @returns {number|null} Event time in ms, or null if the run doesn't have it
+ */
+export function alignmentTime(event, { turns, markerMs } = {}) {
+  switch (event) {
+    case 'start':
+      return 0;
+    case 'firstTurn':
+      return turns?.[0]?.startMs ?? null;
+    case 'firstApex':
+      return turns?.[0]?.apexMs ?? null;
+    case 'marker':
+      return markerMs ?? null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Hip centre and torso length of a pose, in pixels
+ *
+ * @returns {{hips: {x: number, y: number}, torso: number}|null} Null when a
+ *   shoulder or hip is missing or below minVisibility
+ */
+export function bodyFrame(landmarks, { width, height }, minVisibility = 0) {
+  const points = [L_SHOULDER, R_SHOULDER, L_HIP, R_HIP].map((i) => landmarks?.[i]);
+  if (points.some((p) => !p || (p.visibility ?? 1) < minVisibility)) return null;
+
+  const mid = (a, b) => ({ x: ((a.x + b.x) / 2) * width, y: ((a.y + b.y) / 2) * height });
+  const shoulders = mid(points[0], points[1]);
+  const hips = mid(points[2], points[3]);
+  const torso = Math.hypot(shoulders.x - hips.x, shoulders.y - hips.y);
+  return torso > 0 ? { hips, torso } : null;
+}
+
+/**
+ * Move a pose onto another skier's hip centre and torso scale
+ *
+ * @param {{landmarks: Array}} pose - Pose to move (the reference skier)
+ * @param {{width: number, height: number}} size - Its video's size in pixels
+ * @param {{landmarks: Array}} target - Pose to move it onto (the student)
+ * @param {{width: number, height: number}} targetSize - The target video's size in pixels
+ * @param {number} [minVisibility] - Shoulders and hips below this can't anchor
+ * @returns {{landmarks: Array}|null} The pose in the target's normalized
+ *   coordinates, or null if either body can't be anchored
+ */
+export function normalizePoseOnto(pose, size, target, targetSize, minVisibility = 0) {
+  const from = bodyFrame(pose?.landmarks, size, minVisibility);
+  const to = bodyFrame(target?.landmarks, targetSize, minVisibility);
+  if (!from || !to) return null;
+
+  const scale = to.torso / from.torso;
+  return {
+    ...pose,
+    landmarks: pose.landmarks.map((point) => ({
+      ...point,
+      x: (to.hips.x + (point.x * size.width - from.hips.x) * scale) / targetSize.width,
+      y: (to.hips.y + (point.y * size.height - from.hips.y) * scale) / targetSize.height,
+    })),
+  };
+}
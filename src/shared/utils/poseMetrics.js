@@ -0,0 +1,147 @@
+import {
+  torsoInclination3D,
+  upperBodyRotation3D,
+} from './poseCalculations';
+import { computeJointAngles } from './jointAngles';
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import { ANALYSIS_CONFIG } from '../constants/analysis';
+
+/**
+ * Check that every given landmark exists and is visible enough to measure
+ */
+function isVisible(landmarks, indices) {
+  return indices.every(
+    (i) => landmarks[i] && (landmarks[i].visibility ?? 1) >= ANALYSIS_CONFIG.MIN_VISIBILITY
+  );
+}
+
+/**
+ * Average of the non-null values, or null if there are none
+ */
+function average(values) {
+  const valid = values.filter((v) => v !== null && v !== undefined);
+  if (valid.length === 0) return null;
+  return valid.reduce((sum, v) => sum + v, 0) / valid.length;
+}
+
+/**
+ * Round to one decimal, keeping null as null
+ */
+function round1(value) {
+  return value === null ? null : Number(value.toFixed(1));
+}
+
+/**
+ * Compute the per-frame measurements for one pose
+ *
+ * Includes every named joint angle (see jointAngles.js) plus stance width,
+ * hand position and the 3D torso inclination and upper-body rotation, which use the world
+ * landmarks so they don't depend on the camera angle.
+ *
+ * @param {Array} landmarks - Normalized 2D landmarks
+ * @param {Array} [worldLandmarks] - World landmarks (meters) of the same pose
+ * @param {Object} [options] - Passed to computeJointAngles (e.g. slope reference)
+ * @param {number} [options.aspectRatio] - Frame width / height; 2D distances are
+ *   measured with x scaled by it so they aren't stretched on non-square frames
+ */
+export function computeFrameMetrics(landmarks, worldLandmarks, options) {
+  if (!landmarks || landmarks.length < 33) return null;
+
+  const {
+    L_SHOULDER, R_SHOULDER, L_HIP, R_HIP, L_ANKLE, R_ANKLE, L_WRIST, R_WRIST,
+  } = POSE_LANDMARKS;
+  const aspectRatio = options?.aspectRatio ?? 1;
+  const distance = (a, b) => Math.hypot((a.x - b.x) * aspectRatio, a.y - b.y);
+
+  const angles = computeJointAngles({ landmarks, worldLandmarks }, options);
+
+  // Stance width as a multiple of hip width, so it doesn't depend on distance to camera
+  let stanceWidth = null;
+  if (isVisible(landmarks, [L_HIP, R_HIP, L_ANKLE, R_ANKLE])) {
+    const hipWidth = distance(landmarks[L_HIP], landmarks[R_HIP]);
+    const ankleWidth = distance(landmarks[L_ANKLE], landmarks[R_ANKLE]);
+    if (hipWidth > 0) {
+      stanceWidth = ankleWidth / hipWidth;
+    }
+  }
+
+  // Hand position relative to the upper body: spread in shoulder widths, height
+  // above the hips in torso lengths (negative = below the hips)
+  let handSpread = null;
+  let handHeight = null;
+  if (isVisible(landmarks, [L_SHOULDER, R_SHOULDER, L_HIP, R_HIP, L_WRIST, R_WRIST])) {
+    const shoulderWidth = distance(landmarks[L_SHOULDER], landmarks[R_SHOULDER]);
+    const torsoLength = Math.hypot(
+      ((landmarks[L_SHOULDER].x + landmarks[R_SHOULDER].x - landmarks[L_HIP].x - landmarks[R_HIP].x) / 2) * aspectRatio,
+      (landmarks[L_SHOULDER].y + landmarks[R_SHOULDER].y - landmarks[L_HIP].y - landmarks[R_HIP].y) / 2
+    );
+    if (shoulderWidth > 0) {
+      handSpread = distance(landmarks[L_WRIST], landmarks[R_WRIST]) / shoulderWidth;
+    }
+    if (torsoLength > 0) {
+      handHeight = ((landmarks[L_HIP].y + landmarks[R_HIP].y) - (landmarks[L_WRIST].y + landmarks[R_WRIST].y))
+        / 2 / torsoLength;
+    }
+  }
+
+  // 3D-only measurements
+  let torsoInclination = null;
+  let upperBodyRotation = null;
+  if (worldLandmarks && isVisible(worldLandmarks, [L_SHOULDER, R_SHOULDER, L_HIP, R_HIP])) {
+    torsoInclination = torsoInclination3D(worldLandmarks);
+    upperBodyRotation = upperBodyRotation3D(worldLandmarks);
+  }
+
+  return {
+    ...angles,
+    kneeFlexion: average([angles.kneeFlexionLeft, angles.kneeFlexionRight]),
+    hipFlexion: average([angles.hipFlexionLeft, angles.hipFlexionRight]),
+    ankleDorsiflexion: average([angles.ankleDorsiflexionLeft, angles.ankleDorsiflexionRight]),
+    stanceWidth,
+    handSpread,
+    handHeight,
+    torsoInclination,
+    upperBodyRotation,
+  };
+}
+
+/**
+ * Averages stored on a video item, and the per-frame measurement each is
+ * taken from. `abs` averages the magnitude, for signed measurements that
+ * alternate sides from turn to turn.
+ */
+export const SUMMARY_METRICS = [
+  { key: 'avgLeanAngle', source: 'lean' },
+  { key: 'avgSlopeAngle', source: 'slope' },
+  { key: 'avgStanceWidth', source: 'stanceWidth' },
+  { key: 'avgKneeFlexion', source: 'kneeFlexion' },
+  { key: 'avgTorsoInclination', source: 'torsoInclination' },
+  { key: 'avgHipFlexion', source: 'hipFlexion' },
+  { key: 'avgHipAngulation', source: 'hipAngulation' },
+  { key: 'avgKneeAngulation', source: 'kneeAngulation' },
+  { key: 'avgUpperBodyRotation', source: 'upperBodyRotation', abs: true },
+];
+
+/**
+ * Summarize per-frame measurements into the metrics stored on a video item
+ *
+ * @param {Array<Object|null>} frameMetrics - Output of computeFrameMetrics for each analyzed frame
+ * @returns {import('../types').Metrics}
+ */
+export function summarizeMetrics(frameMetrics) {
+  const detected = frameMetrics.filter(Boolean);
+  const summary = {};
+
+  for (const { key, source, abs } of SUMMARY_METRICS) {
+    summary[key] = round1(average(detected.map((f) => {
+      const value = f[source];
+      return abs && value !== null && value !== undefined ? Math.abs(value) : value;
+    })));
+  }
+
+  return {
+    ...summary,
+    framesAnalyzed: frameMetrics.length,
+    framesWithPose: detected.length,
+  };
+}
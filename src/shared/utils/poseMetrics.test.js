@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import { computeFrameMetrics } from './poseMetrics';
+
+const {
+  L_SHOULDER, R_SHOULDER, L_HIP, R_HIP, L_ANKLE, R_ANKLE, L_WRIST, R_WRIST,
+} = POSE_LANDMARKS;
+
+const WIDE = 16 / 9;
+
+/**
+ * 33 landmarks: the given points fully visible, the rest hidden
+ */
+function makeLandmarks(points) {
+  return Array.from({ length: 33 }, (_, i) => (
+    points[i] ? { z: 0, visibility: 1, ...points[i] } : { x: 0, y: 0, z: 0, visibility: 0 }
+  ));
+}
+
+// Lengths given in frame heights, placed on a 16:9 frame
+const toWide = (heights) => heights / WIDE;
+
+const POINTS = {
+  [L_SHOULDER]: { x: 0.5 + toWide(0.1), y: 0.3 },
+  [R_SHOULDER]: { x: 0.5 - toWide(0.1), y: 0.3 },
+  [L_HIP]: { x: 0.5 + toWide(0.05), y: 0.5 },
+  [R_HIP]: { x: 0.5 - toWide(0.05), y: 0.5 },
+  // Feet one above the other, a hip width apart
+  [L_ANKLE]: { x: 0.5, y: 0.85 },
+  [R_ANKLE]: { x: 0.5, y: 0.95 },
+  // Hands one above the other, a shoulder width apart, halfway up the torso on average
+  [L_WRIST]: { x: 0.6, y: 0.3 },
+  [R_WRIST]: { x: 0.6, y: 0.5 },
+};
+
+describe('computeFrameMetrics', () => {
+  it('measures stance width and hand spread in pixels on a non-square frame', () => {
+    const metrics = computeFrameMetrics(makeLandmarks(POINTS), null, { aspectRatio: WIDE });
+    expect(metrics.stanceWidth).toBeCloseTo(1);
+    expect(metrics.handSpread).toBeCloseTo(1);
+    expect(metrics.handHeight).toBeCloseTo(0.5);
+  });
+
+  it('skips stance width when an ankle is barely visible', () => {
+    const landmarks = makeLandmarks({ ...POINTS, [L_ANKLE]: { ...POINTS[L_ANKLE], visibility: 0.2 } });
+    const metrics = computeFrameMetrics(landmarks, null, { aspectRatio: WIDE });
+    expect(metrics.stanceWidth).toBeNull();
+    expect(metrics.handSpread).toBeCloseTo(1);
+  });
+
+  it('leaves the 3D measurements empty without world landmarks', () => {
+    const metrics = computeFrameMetrics(makeLandmarks(POINTS), null);
+    expect(metrics.torsoInclination).toBeNull();
+    expect(metrics.upperBodyRotation).toBeNull();
+  });
+
+  it('returns null without a full set of landmarks', () => {
+    expect(computeFrameMetrics([], null)).toBeNull();
+  });
+});
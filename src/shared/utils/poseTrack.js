@@ -0,0 +1,125 @@
+/**
+ * Helpers for reading a stored per-frame landmark track
+ *
+ * A track is an array of { timestamp (ms), poses } sorted by timestamp, as
+ * produced by the analysis pass. Each pose is { id, landmarks, worldLandmarks }
+ * where id is the skier ID assigned by the pose tracker.
+ */
+
+/**
+ * Index of the last frame at or before the given time (-1 if none)
+ */
+function findFrameIndex(track, timeMs) {
+  let low = 0;
+  let high = track.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (track[mid].timestamp <= timeMs) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Linearly interpolate two landmark arrays
+ */
+function lerpLandmarks(a, b, t) {
+  if (!a || !b) return null;
+
+  return a.map((pa, i) => {
+    const pb = b[i];
+    return {
+      x: pa.x + (pb.x - pa.x) * t,
+      y: pa.y + (pb.y - pa.y) * t,
+      z: pa.z + (pb.z - pa.z) * t,
+      visibility: Math.min(pa.visibility ?? 1, pb.visibility ?? 1),
+    };
+  });
+}
+
+/**
+ * Interpolate the poses of two frames, matching skiers by ID
+ *
+ * Skiers present in only one of the frames are taken from the nearer frame.
+ */
+function lerpPoses(before, after, t) {
+  const nearer = t < 0.5 ? before : after;
+
+  return nearer.poses.map((pose) => {
+    const other = (nearer === before ? after : before).poses.find((p) => p.id === pose.id);
+    if (!other) return pose;
+
+    const [a, b] = nearer === before ? [pose, other] : [other, pose];
+    return {
+      id: pose.id,
+      landmarks: lerpLandmarks(a.landmarks, b.landmarks, t),
+      worldLandmarks: lerpLandmarks(a.worldLandmarks, b.worldLandmarks, t),
+    };
+  });
+}
+
+/**
+ * Get the poses at a given time from a stored track
+ *
+ * Landmarks are interpolated between the two surrounding frames so replay
+ * stays smooth even though the track is sampled at a lower rate than playback.
+ * Where a skier is missing from one of the surrounding frames, the nearest
+ * frame is used for them.
+ *
+ * @param {Array} track - Stored frames sorted by timestamp
+ * @param {number} timeMs - Playback time in milliseconds
+ * @returns {{timestamp: number, poses: Array}|null}
+ *   The frame at that time, or null if the time is outside the track
+ */
+export function getTrackFrameAt(track, timeMs) {
+  if (!track?.length) return null;
+
+  const first = track[0];
+  const last = track[track.length - 1];
+  const interval = track.length > 1 ? (last.timestamp - first.timestamp) / (track.length - 1) : 0;
+
+  // Outside the analyzed range (allowing one sample interval of slack)
+  if (timeMs < first.timestamp - interval || timeMs > last.timestamp + interval) {
+    return null;
+  }
+
+  const index = findFrameIndex(track, timeMs);
+  if (index === -1) return first;
+  if (index === track.length - 1) return last;
+
+  const before = track[index];
+  const after = track[index + 1];
+  const t = (timeMs - before.timestamp) / (after.timestamp - before.timestamp);
+
+  return {
+    timestamp: timeMs,
+    poses: lerpPoses(before, after, t),
+  };
+}
+
+/**
+ * Get the stored frame nearest to a given time, without interpolation
+ *
+ * @param {Array} track - Stored frames sorted by timestamp
+ * @param {number} timeMs - Playback time in milliseconds
+ * @param {number} toleranceMs - Largest accepted distance from timeMs
+ * @returns {{timestamp: number, poses: Array}|null}
+ *   The nearest frame, or null if none was sampled within the tolerance
+ */
+export function getTrackSampleAt(track, timeMs, toleranceMs) {
+  if (!track?.length) return null;
+
+  const index = findFrameIndex(track, timeMs);
+  const nearest = [track[index], track[index + 1]]
+    .filter(Boolean)
+    .sort((a, b) => Math.abs(a.timestamp - timeMs) - Math.abs(b.timestamp - timeMs))[0];
+
+  return Math.abs(nearest.timestamp - timeMs) <= toleranceMs ? nearest : null;
+}
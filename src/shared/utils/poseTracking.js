@@ -0,0 +1,212 @@
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import { TRACKING_CONFIG } from '../constants/tracking';
+
+/**
+ * Multi-person tracking: gives each detected pose a stable skier ID across
+ * frames so overlays, readouts and metrics can follow one person.
+ *
+ * MediaPipe returns poses in no particular order, so every frame the new
+ * detections are matched to the existing tracks by the distance between
+ * their torso centres (with a constant-velocity prediction for moving skiers).
+ */
+
+// Distinct colours for skiers, picked for contrast on snow and sky
+const SKIER_COLORS = [
+  'rgb(255, 80, 80)',
+  'rgb(0, 200, 255)',
+  'rgb(255, 200, 0)',
+  'rgb(180, 100, 255)',
+  'rgb(0, 230, 120)',
+  'rgb(255, 120, 200)',
+];
+
+const TORSO_POINTS = [
+  POSE_LANDMARKS.L_SHOULDER,
+  POSE_LANDMARKS.R_SHOULDER,
+  POSE_LANDMARKS.L_HIP,
+  POSE_LANDMARKS.R_HIP,
+];
+
+/**
+ * Centre and size of a pose in normalized image coordinates
+ *
+ * Uses the torso when visible (it is the most stable part of the body), and
+ * the visible landmarks' bounding box otherwise.
+ */
+function poseAnchor(landmarks) {
+  if (!landmarks?.length) return null;
+
+  const torso = TORSO_POINTS.map((i) => landmarks[i]).filter(
+    (p) => p && (p.visibility ?? 1) >= 0.3
+  );
+  const visible = landmarks.filter((p) => (p.visibility ?? 1) >= 0.3);
+  if (visible.length === 0) return null;
+
+  const xs = visible.map((p) => p.x);
+  const ys = visible.map((p) => p.y);
+  const size = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+
+  const points = torso.length >= 2 ? torso : visible;
+  return {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+    size,
+  };
+}
+
+/**
+ * Colour used to draw a skier, stable for a given ID
+ *
+ * @param {number} id - Skier ID assigned by the tracker
+ * @returns {string} CSS colour
+ */
+export function getSkierColor(id) {
+  return SKIER_COLORS[(Math.max(1, id) - 1) % SKIER_COLORS.length];
+}
+
+/**
+ * Create a tracker that assigns stable IDs to poses frame after frame
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance] - Largest centre jump between frames,
+ *   in multiples of the skier's body size, still considered the same person
+ * @param {number} [options.maxMissedFrames] - Frames a skier may go undetected
+ *   before their ID is retired
+ * @returns {{update: Function, reset: Function}}
+ */
+export function createPoseTracker({
+  maxDistance = TRACKING_CONFIG.MAX_DISTANCE,
+  maxMissedFrames = TRACKING_CONFIG.MAX_MISSED_FRAMES,
+} = {}) {
+  let tracks = [];
+  let nextId = 1;
+
+  /**
+   * Match one frame's detections to the existing tracks
+   *
+   * @param {Array<{landmarks: Array, worldLandmarks: Array|null}>} poses - Detected poses
+   * @returns {Array<{id: number, landmarks: Array, worldLandmarks: Array|null}>}
+   *   The same poses with their skier IDs, sorted by ID
+   */
+  const update = (poses) => {
+    const detections = (poses ?? [])
+      .map((pose) => ({ pose, anchor: poseAnchor(pose.landmarks) }))
+      .filter((d) => d.anchor);
+
+    // Every (track, detection) pair close enough to be the same skier
+    const candidates = [];
+    tracks.forEach((track, t) => {
+      const steps = track.missed + 1;
+      const predicted = {
+        x: track.anchor.x + track.velocity.x * steps,
+        y: track.anchor.y + track.velocity.y * steps,
+      };
+      detections.forEach((d, p) => {
+        const scale = Math.max(track.anchor.size, d.anchor.size, 0.05);
+        const distance = Math.hypot(d.anchor.x - predicted.x, d.anchor.y - predicted.y) / scale;
+        if (distance <= maxDistance * steps) {
+          candidates.push({ t, p, distance });
+        }
+      });
+    });
+
+    // Greedy assignment, closest pairs first
+    candidates.sort((a, b) => a.distance - b.distance);
+    const trackUsed = new Set();
+    const detectionIds = new Map();
+    for (const { t, p } of candidates) {
+      if (trackUsed.has(t) || detectionIds.has(p)) continue;
+      trackUsed.add(t);
+      detectionIds.set(p, tracks[t].id);
+
+      const track = tracks[t];
+      const anchor = detections[p].anchor;
+      const steps = track.missed + 1;
+      track.velocity = {
+        x: (anchor.x - track.anchor.x) / steps,
+        y: (anchor.y - track.anchor.y) / steps,
+      };
+      track.anchor = anchor;
+      track.missed = 0;
+    }
+
+    // Age out skiers that were not seen, start tracks for new ones
+    tracks = tracks.filter((track, t) => {
+      if (trackUsed.has(t)) return true;
+      track.missed += 1;
+      return track.missed <= maxMissedFrames;
+    });
+    detections.forEach((d, p) => {
+      if (detectionIds.has(p)) return;
+      const id = nextId++;
+      detectionIds.set(p, id);
+      tracks.push({ id, anchor: d.anchor, velocity: { x: 0, y: 0 }, missed: 0 });
+    });
+
+    return detections
+      .map((d, p) => ({
+        id: detectionIds.get(p),
+        landmarks: d.pose.landmarks,
+        worldLandmarks: d.pose.worldLandmarks ?? null,
+      }))
+      .sort((a, b) => a.id - b.id);
+  };
+
+  const reset = () => {
+    tracks = [];
+    nextId = 1;
+  };
+
+  return { update, reset };
+}
+
+/**
+ * Pair up a PoseLandmarker result's per-person arrays
+ *
+ * @param {{landmarks: Array, worldLandmarks: Array}|null} result - detectForVideo output
+ * @returns {Array<{landmarks: Array, worldLandmarks: Array|null}>}
+ */
+export function toPoses(result) {
+  return (result?.landmarks ?? []).map((landmarks, i) => ({
+    landmarks,
+    worldLandmarks: result.worldLandmarks?.[i] ?? null,
+  }));
+}
+
+/**
+ * Find a skier's pose in a tracked frame
+ *
+ * @param {{poses: Array}|null} frame - Tracked frame
+ * @param {number|null} skierId - Skier to look for
+ * @returns {Object|null} The skier's pose, or null if they are not in the frame
+ */
+export function findSkierPose(frame, skierId) {
+  return frame?.poses?.find((pose) => pose.id === skierId) ?? null;
+}
+
+/**
+ * List the skiers seen in a track, most frequently detected first
+ *
+ * Short-lived IDs (false detections, people crossing the frame) are dropped.
+ *
+ * @param {Array<{poses: Array}>} track - Tracked frames
+ * @returns {Array<{id: number, frames: number}>}
+ */
+export function listSkiers(track) {
+  const counts = new Map();
+  for (const frame of track ?? []) {
+    for (const pose of frame.poses ?? []) {
+      counts.set(pose.id, (counts.get(pose.id) ?? 0) + 1);
+    }
+  }
+
+  const minFrames = Math.max(
+    TRACKING_CONFIG.MIN_SKIER_FRAMES,
+    Math.max(0, ...counts.values()) * TRACKING_CONFIG.MIN_SKIER_SHARE
+  );
+
+  return [...counts.entries()]
+    .filter(([, frames]) => frames >= minFrames)
+    .map(([id, frames]) => ({ id, frames }))
+    .sort((a, b) => b.frames - a.frames);
+}
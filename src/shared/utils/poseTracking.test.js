@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import {
+  createPoseTracker,
+  getSkierColor,
+  toPoses,
+  findSkierPose,
+  listSkiers,
+} from './poseTracking';
+
+const { L_SHOULDER, R_SHOULDER, L_HIP, R_HIP, L_ANKLE, R_ANKLE } = POSE_LANDMARKS;
+
+/**
+ * Skier with the torso centred on (x, y), `size` tall from nose to ankles
+ */
+function pose(x, y, { size = 0.2, tag } = {}) {
+  const landmarks = Array.from({ length: 33 }, () => ({ x, y, z: 0, visibility: 0.9 }));
+  // Nose
+  landmarks[0] = { ...landmarks[0], y: y - size / 2 };
+  landmarks[L_ANKLE] = { ...landmarks[L_ANKLE], y: y + size / 2 };
+  landmarks[R_ANKLE] = { ...landmarks[R_ANKLE], y: y + size / 2 };
+  landmarks[L_SHOULDER] = { ...landmarks[L_SHOULDER], x: x + 0.02, y: y - 0.05 };
+  landmarks[R_SHOULDER] = { ...landmarks[R_SHOULDER], x: x - 0.02, y: y - 0.05 };
+  landmarks[L_HIP] = { ...landmarks[L_HIP], x: x + 0.02, y: y + 0.05 };
+  landmarks[R_HIP] = { ...landmarks[R_HIP], x: x - 0.02, y: y + 0.05 };
+  return { landmarks, worldLandmarks: tag ? [{ tag }] : undefined };
+}
+
+/**
+ * Skier ID given to the pose that carries a tag
+ */
+const idOf = (tracked, tag) => tracked.find((p) => p.worldLandmarks?.[0]?.tag === tag)?.id;
+
+describe('createPoseTracker', () => {
+  it('numbers new skiers from 1', () => {
+    const tracker = createPoseTracker();
+    const tracked = tracker.update([pose(0.7, 0.5, { tag: 'b' }), pose(0.3, 0.5, { tag: 'a' })]);
+    expect(tracked.map((p) => p.id)).toEqual([1, 2]);
+    expect(idOf(tracked, 'b')).toBe(1);
+  });
+
+  it('keeps IDs whatever order the detector returns poses in', () => {
+    const tracker = createPoseTracker();
+    const first = tracker.update([pose(0.3, 0.5, { tag: 'a' }), pose(0.7, 0.5, { tag: 'b' })]);
+    const ids = { a: idOf(first, 'a'), b: idOf(first, 'b') };
+
+    for (let i = 1; i <= 10; i++) {
+      const a = pose(0.3 + i * 0.01, 0.5, { tag: 'a' });
+      const b = pose(0.7 - i * 0.01, 0.5, { tag: 'b' });
+      const tracked = tracker.update(i % 2 ? [b, a] : [a, b]);
+      expect(idOf(tracked, 'a')).toBe(ids.a);
+      expect(idOf(tracked, 'b')).toBe(ids.b);
+    }
+  });
+
+  it('keeps IDs when two skiers cross paths', () => {
+    const tracker = createPoseTracker();
+    const ids = {};
+    for (let i = 0; i <= 12; i++) {
+      // A goes right and B goes left, passing half a body size apart at frame 6
+      const tracked = tracker.update([
+        pose(0.2 + i * 0.05, 0.45, { tag: 'a' }),
+        pose(0.8 - i * 0.05, 0.55, { tag: 'b' }),
+      ]);
+      ids.a ??= idOf(tracked, 'a');
+      ids.b ??= idOf(tracked, 'b');
+      expect(idOf(tracked, 'a')).toBe(ids.a);
+      expect(idOf(tracked, 'b')).toBe(ids.b);
+    }
+  });
+
+  it('picks the closest pairs first', () => {
+    const tracker = createPoseTracker();
+    tracker.update([pose(0.4, 0.5, { tag: 'a' }), pose(0.6, 0.5, { tag: 'b' })]);
+    // Both within reach of either track, each nearer its own
+    const tracked = tracker.update([pose(0.58, 0.5, { tag: 'b' }), pose(0.45, 0.5, { tag: 'a' })]);
+    expect(idOf(tracked, 'a')).toBe(1);
+    expect(idOf(tracked, 'b')).toBe(2);
+  });
+
+  it('finds a moving skier again after a few missed frames', () => {
+    const tracker = createPoseTracker();
+    for (let i = 0; i < 5; i++) {
+      tracker.update([pose(0.1 + i * 0.05, 0.5)]);
+    }
+    for (let i = 5; i < 8; i++) {
+      tracker.update([]);
+    }
+    // Back where it was headed, four frames on
+    expect(tracker.update([pose(0.5, 0.5)]).map((p) => p.id)).toEqual([1]);
+  });
+
+  it('retires a skier missing for longer than maxMissedFrames', () => {
+    const tracker = createPoseTracker({ maxMissedFrames: 2 });
+    tracker.update([pose(0.5, 0.5)]);
+    tracker.update([]);
+    tracker.update([]);
+    expect(tracker.update([pose(0.5, 0.5)]).map((p) => p.id)).toEqual([1]);
+
+    tracker.update([]);
+    tracker.update([]);
+    tracker.update([]);
+    expect(tracker.update([pose(0.5, 0.5)]).map((p) => p.id)).toEqual([2]);
+  });
+
+  it('treats a jump of more than maxDistance body sizes as someone else', () => {
+    const tracker = createPoseTracker();
+    tracker.update([pose(0.2, 0.5)]);
+    // 0.4 away: two body sizes, over TRACKING_CONFIG.MAX_DISTANCE
+    expect(tracker.update([pose(0.6, 0.5)]).map((p) => p.id)).toEqual([2]);
+
+    const lenient = createPoseTracker({ maxDistance: 3 });
+    lenient.update([pose(0.2, 0.5)]);
+    expect(lenient.update([pose(0.6, 0.5)]).map((p) => p.id)).toEqual([1]);
+  });
+
+  it('drops poses without visible landmarks', () => {
+    const tracker = createPoseTracker();
+    const hidden = pose(0.5, 0.5);
+    hidden.landmarks = hidden.landmarks.map((p) => ({ ...p, visibility: 0.1 }));
+    expect(tracker.update([hidden, { landmarks: [] }])).toEqual([]);
+    expect(tracker.update(null)).toEqual([]);
+  });
+
+  it('returns the landmarks with their ID, world landmarks defaulting to null', () => {
+    const detected = pose(0.5, 0.5);
+    const [tracked] = createPoseTracker().update([detected]);
+    expect(tracked).toEqual({ id: 1, landmarks: detected.landmarks, worldLandmarks: null });
+  });
+
+  it('starts numbering again after reset', () => {
+    const tracker = createPoseTracker();
+    tracker.update([pose(0.3, 0.5), pose(0.7, 0.5)]);
+    tracker.reset();
+    expect(tracker.update([pose(0.7, 0.5)]).map((p) => p.id)).toEqual([1]);
+  });
+});
+
+describe('toPoses', () => {
+  it('pairs each person\'s landmarks with their world landmarks', () => {
+    const result = { landmarks: [['a'], ['b']], worldLandmarks: [['wa']] };
+    expect(toPoses(result)).toEqual([
+      { landmarks: ['a'], worldLandmarks: ['wa'] },
+      { landmarks: ['b'], worldLandmarks: null },
+    ]);
+    expect(toPoses(null)).toEqual([]);
+  });
+});
+
+describe('findSkierPose', () => {
+  it('finds a skier by ID', () => {
+    const frame = { poses: [{ id: 1 }, { id: 3 }] };
+    expect(findSkierPose(frame, 3)).toEqual({ id: 3 });
+    expect(findSkierPose(frame, 2)).toBeNull();
+    expect(findSkierPose(null, 1)).toBeNull();
+  });
+});
+
+describe('listSkiers', () => {
+  it('lists skiers most seen first, dropping short-lived IDs', () => {
+    const frames = Array.from({ length: 40 }, (_, i) => ({
+      poses: [
+        { id: 1 },
+        ...(i < 20 ? [{ id: 2 }] : []),
+        // Seen in 3 frames: enough on its own, but under MIN_SKIER_SHARE of the main skier
+        ...(i < 3 ? [{ id: 3 }] : []),
+        ...(i < 2 ? [{ id: 4 }] : []),
+      ],
+    }));
+    expect(listSkiers(frames)).toEqual([{ id: 1, frames: 40 }, { id: 2, frames: 20 }]);
+    expect(listSkiers(frames.slice(0, 5)).map(({ id }) => id)).toEqual([1, 2, 3]);
+    expect(listSkiers(null)).toEqual([]);
+  });
+});
+
+describe('getSkierColor', () => {
+  it('gives each ID a stable colour, cycling through the palette', () => {
+    expect(getSkierColor(1)).toBe(getSkierColor(1));
+    expect(getSkierColor(1)).not.toBe(getSkierColor(2));
+    expect(getSkierColor(7)).toBe(getSkierColor(1));
+  });
+});
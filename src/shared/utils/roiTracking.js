@@ -0,0 +1,101 @@
+import { ROI_CONFIG } from '../constants/tracking';
+
+/**
+ * Region-of-interest tracking for small, distant skiers
+ *
+ * A skier a few dozen pixels tall (filmed from a chairlift, say) is too small
+ * for the pose detector at full-frame resolution. Once they have been found,
+ * the next frame is cropped to a square around where they were and upsampled
+ * before detection, and the landmarks are mapped back to full-frame
+ * coordinates. A miss inside the crop, or every FULL_FRAME_INTERVAL frames,
+ * goes back to a full-frame pass to pick skiers up again.
+ *
+ * Regions are in normalized frame coordinates: { x, y, width, height }.
+ */
+
+/**
+ * Bounding box of the visible landmarks of every pose
+ *
+ * @param {Array<{landmarks: Array}>} poses - Poses in normalized frame coordinates
+ * @returns {{x: number, y: number, width: number, height: number}|null}
+ */
+export function posesBounds(poses) {
+  const points = (poses ?? []).flatMap((pose) => pose.landmarks ?? [])
+    .filter((p) => (p.visibility ?? 1) >= ROI_CONFIG.MIN_VISIBILITY);
+  if (points.length === 0) return null;
+
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Map landmarks detected in a crop back to full-frame coordinates
+ *
+ * @param {Array} landmarks - Normalized landmarks relative to the crop
+ * @param {{x: number, y: number, width: number, height: number}} roi - The crop
+ * @returns {Array} Landmarks relative to the full frame
+ */
+export function mapLandmarksFromRoi(landmarks, roi) {
+  return landmarks.map((point) => ({
+    ...point,
+    x: roi.x + point.x * roi.width,
+    y: roi.y + point.y * roi.height,
+    // z shares the x scale
+    z: point.z * roi.width,
+  }));
+}
+
+/**
+ * Create a tracker choosing the region to detect in for each frame
+ *
+ * @returns {{next: Function, update: Function, reset: Function}}
+ *   next(frameWidth, frameHeight) returns the crop for the coming frame, or
+ *   null for full-frame detection; update(poses, roi) takes that frame's
+ *   full-frame poses and the crop it used
+ */
+export function createRoiTracker() {
+  let bounds = null;
+  let croppedFrames = 0;
+
+  const next = (frameWidth, frameHeight) => {
+    if (!bounds || !frameWidth || !frameHeight || croppedFrames >= ROI_CONFIG.FULL_FRAME_INTERVAL) {
+      return null;
+    }
+
+    // Work in pixels so the crop is square on screen
+    const subject = Math.max(bounds.width * frameWidth, bounds.height * frameHeight);
+    const shortSide = Math.min(frameWidth, frameHeight);
+    if (subject > ROI_CONFIG.MAX_SUBJECT_SIZE * Math.max(frameWidth, frameHeight)) return null;
+
+    const side = Math.min(
+      shortSide,
+      Math.max(subject * (1 + 2 * ROI_CONFIG.PADDING), ROI_CONFIG.MIN_CROP * shortSide)
+    );
+    const centerX = (bounds.x + bounds.width / 2) * frameWidth;
+    const centerY = (bounds.y + bounds.height / 2) * frameHeight;
+    const left = Math.min(Math.max(0, centerX - side / 2), frameWidth - side);
+    const top = Math.min(Math.max(0, centerY - side / 2), frameHeight - side);
+
+    return {
+      x: left / frameWidth,
+      y: top / frameHeight,
+      width: side / frameWidth,
+      height: side / frameHeight,
+    };
+  };
+
+  const update = (poses, roi) => {
+    croppedFrames = roi ? croppedFrames + 1 : 0;
+    bounds = posesBounds(poses);
+  };
+
+  const reset = () => {
+    bounds = null;
+    croppedFrames = 0;
+  };
+
+  return { next, update, reset };
+}
@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import { ROI_CONFIG } from '../constants/tracking';
+import { posesBounds, mapLandmarksFromRoi, createRoiTracker } from './roiTracking';
+
+const WIDTH = 1920;
+const HEIGHT = 1080;
+
+/**
+ * Pose spanning a box in pixels, with one hidden landmark far outside it
+ */
+function poseInBox(left, top, width, height) {
+  return {
+    landmarks: [
+      { x: left / WIDTH, y: top / HEIGHT, z: 0, visibility: 0.9 },
+      { x: (left + width) / WIDTH, y: (top + height) / HEIGHT, z: 0, visibility: 0.9 },
+      { x: 0, y: 0, z: 0, visibility: 0.1 },
+    ],
+  };
+}
+
+/**
+ * Crop in pixels, for readable expectations
+ */
+function toPixels(roi) {
+  return {
+    left: roi.x * WIDTH,
+    top: roi.y * HEIGHT,
+    width: roi.width * WIDTH,
+    height: roi.height * HEIGHT,
+  };
+}
+
+/**
+ * Tracker that has just seen the given poses full-frame
+ */
+function trackerAfter(poses) {
+  const tracker = createRoiTracker();
+  tracker.update(poses, null);
+  return tracker;
+}
+
+describe('posesBounds', () => {
+  it('boxes the visible landmarks of every pose', () => {
+    const bounds = posesBounds([poseInBox(960, 432, 38.4, 108), poseInBox(1152, 540, 19.2, 54)]);
+    expect(bounds.x).toBeCloseTo(0.5);
+    expect(bounds.y).toBeCloseTo(0.4);
+    expect(bounds.width).toBeCloseTo(0.11);
+    expect(bounds.height).toBeCloseTo(0.15);
+  });
+
+  it('is null without visible landmarks', () => {
+    expect(posesBounds([])).toBeNull();
+    expect(posesBounds(null)).toBeNull();
+    expect(posesBounds([{ landmarks: [{ x: 0.5, y: 0.5, visibility: 0.1 }] }])).toBeNull();
+  });
+});
+
+describe('createRoiTracker', () => {
+  it('detects full-frame until a skier has been seen', () => {
+    const tracker = createRoiTracker();
+    expect(tracker.next(WIDTH, HEIGHT)).toBeNull();
+    tracker.update([], null);
+    expect(tracker.next(WIDTH, HEIGHT)).toBeNull();
+  });
+
+  it('crops a padded square around the skier', () => {
+    // 108 px tall skier, padded by its size on each side: 324 px square
+    const roi = toPixels(trackerAfter([poseInBox(960, 432, 38.4, 108)]).next(WIDTH, HEIGHT));
+    expect(roi.width).toBeCloseTo(324);
+    expect(roi.height).toBeCloseTo(324);
+    // Centred on the skier
+    expect(roi.left + roi.width / 2).toBeCloseTo(979.2);
+    expect(roi.top + roi.height / 2).toBeCloseTo(486);
+  });
+
+  it('crops at least MIN_CROP of the short side', () => {
+    const roi = toPixels(trackerAfter([poseInBox(960, 540, 5, 10)]).next(WIDTH, HEIGHT));
+    expect(roi.width).toBeCloseTo(ROI_CONFIG.MIN_CROP * HEIGHT);
+    expect(roi.height).toBeCloseTo(ROI_CONFIG.MIN_CROP * HEIGHT);
+  });
+
+  it('keeps the crop inside the frame', () => {
+    const roi = toPixels(trackerAfter([poseInBox(1900, 1000, 10, 60)]).next(WIDTH, HEIGHT));
+    expect(roi.left + roi.width).toBeCloseTo(WIDTH);
+    expect(roi.top + roi.height).toBeCloseTo(HEIGHT);
+  });
+
+  it('detects large skiers full-frame', () => {
+    const height = ROI_CONFIG.MAX_SUBJECT_SIZE * WIDTH + 10;
+    expect(trackerAfter([poseInBox(800, 0, 100, height)]).next(WIDTH, HEIGHT)).toBeNull();
+  });
+
+  it('goes back to full frame every FULL_FRAME_INTERVAL frames', () => {
+    const poses = [poseInBox(960, 432, 38.4, 108)];
+    const tracker = trackerAfter(poses);
+    for (let i = 0; i < ROI_CONFIG.FULL_FRAME_INTERVAL; i++) {
+      const roi = tracker.next(WIDTH, HEIGHT);
+      expect(roi).not.toBeNull();
+      tracker.update(poses, roi);
+    }
+    expect(tracker.next(WIDTH, HEIGHT)).toBeNull();
+
+    tracker.update(poses, null);
+    expect(tracker.next(WIDTH, HEIGHT)).not.toBeNull();
+  });
+
+  it('goes back to full frame after a miss in the crop', () => {
+    const tracker = trackerAfter([poseInBox(960, 432, 38.4, 108)]);
+    tracker.update([], tracker.next(WIDTH, HEIGHT));
+    expect(tracker.next(WIDTH, HEIGHT)).toBeNull();
+  });
+
+  it('forgets the skier on reset or without a frame size', () => {
+    const tracker = trackerAfter([poseInBox(960, 432, 38.4, 108)]);
+    expect(tracker.next(0, 0)).toBeNull();
+    tracker.reset();
+    expect(tracker.next(WIDTH, HEIGHT)).toBeNull();
+  });
+});
+
+describe('mapLandmarksFromRoi', () => {
+  const roi = { x: 0.425625, y: 0.3, width: 0.16875, height: 0.3 };
+
+  it('maps crop coordinates to the full frame', () => {
+    const [corner, center, far] = mapLandmarksFromRoi([
+      { x: 0, y: 0, z: 0 },
+      { x: 0.5, y: 0.5, z: 0 },
+      { x: 1, y: 1, z: 0 },
+    ], roi);
+    expect(corner).toMatchObject({ x: 0.425625, y: 0.3 });
+    expect(center.x).toBeCloseTo(0.51);
+    expect(center.y).toBeCloseTo(0.45);
+    expect(far.x).toBeCloseTo(0.594375);
+    expect(far.y).toBeCloseTo(0.6);
+  });
+
+  it('undoes the crop the tracker chose', () => {
+    const skier = poseInBox(960, 432, 38.4, 108);
+    const crop = trackerAfter([skier]).next(WIDTH, HEIGHT);
+    // What the detector would report inside the crop
+    const inCrop = skier.landmarks.slice(0, 2).map((p) => ({
+      ...p,
+      x: (p.x - crop.x) / crop.width,
+      y: (p.y - crop.y) / crop.height,
+    }));
+    const mapped = mapLandmarksFromRoi(inCrop, crop);
+    mapped.forEach((point, i) => {
+      expect(point.x).toBeCloseTo(skier.landmarks[i].x);
+      expect(point.y).toBeCloseTo(skier.landmarks[i].y);
+    });
+  });
+
+  it('scales depth like x and keeps the other fields', () => {
+    const [point] = mapLandmarksFromRoi([{ x: 0.5, y: 0.5, z: -0.4, visibility: 0.8, presence: 0.9 }], roi);
+    expect(point.z).toBeCloseTo(-0.4 * roi.width);
+    expect(point).toMatchObject({ visibility: 0.8, presence: 0.9 });
+  });
+});
@@ -0,0 +1,207 @@
+import { SCORING_CONFIG } from '../constants/analysis';
+import { computeSymmetry } from './symmetry';
+
+/**
+ * Scoring model
+ *
+ * Five sub-scores, each 0-100, measured from one skier's frames and turns:
+ *
+ * - balance: centred over the skis. Per frame, shins forward of the boot
+ *   (ankle dorsiflexion 10-30°) and a moderate fold at the hips (hip flexion
+ *   20-60°).
+ * - angulation: edging with the body. Per turn, peak hip angulation of 15-40°
+ *   and peak knee angulation of 5-25°.
+ * - symmetry: left and right alike. The left/right turn symmetry index (see
+ *   symmetry.js), left vs right turn duration, and left vs right knee flexion
+ *   in each frame (within 5°).
+ * - rhythm: even turn lengths. Coefficient of variation of turn durations,
+ *   full marks up to 10%, zero at 50%.
+ * - stance: an athletic base. Per frame, feet 1-2 hip widths apart and knees
+ *   flexed 20-60°.
+ *
+ * Inside its target range a measurement scores 100, and it drops linearly to
+ * 0 over a falloff distance outside it. Per-frame and per-turn scores are
+ * averaged. A sub-score without enough data is null.
+ *
+ * The overall score is the weighted average of the sub-scores that could be
+ * measured (SCORING_CONFIG.WEIGHTS, overridable from the settings); the
+ * technical score is the same over balance, angulation and stance only.
+ * Sub-scores are stored with the metrics and the totals are combined at
+ * display time, so changing the weights needs no re-analysis.
+ */
+
+/**
+ * Score a value against a target range: 100 inside, linear falloff outside
+ */
+function band(value, min, max, falloff) {
+  if (value === null || value === undefined) return null;
+  const distance = value < min ? min - value : value > max ? value - max : 0;
+  return Math.max(0, 100 * (1 - distance / falloff));
+}
+
+/**
+ * Similarity of two magnitudes: 100 when equal, 0 when one is zero
+ */
+function similarity(a, b) {
+  if (a === null || b === null) return null;
+  const larger = Math.max(Math.abs(a), Math.abs(b));
+  return larger === 0 ? 100 : 100 * (1 - Math.abs(a - b) / larger);
+}
+
+/**
+ * Average of the non-null values, or null if there are none
+ */
+function average(values) {
+  const valid = values.filter((v) => v !== null && v !== undefined);
+  if (valid.length === 0) return null;
+  return valid.reduce((sum, v) => sum + v, 0) / valid.length;
+}
+
+/**
+ * Average a per-item score over the items where it could be computed
+ *
+ * @returns {{score: number|null, samples: number}}
+ */
+function scoreEach(items, scoreItem, minSamples) {
+  const scores = items.map(scoreItem).filter((v) => v !== null);
+  return {
+    score: scores.length >= minSamples ? Math.round(average(scores)) : null,
+    samples: scores.length,
+  };
+}
+
+/**
+ * Left vs right turn similarity for one turn stat
+ */
+function turnSideSimilarity(turns, key) {
+  const side = (direction) => average(
+    turns.filter((turn) => turn.direction === direction).map((turn) => turn.stats?.[key])
+  );
+  return similarity(side('left'), side('right'));
+}
+
+/**
+ * Sub-scores, in display order. `compute(frames, turns)` takes the measured
+ * frames (computeFrameMetrics output, nulls dropped) and the skier's turns.
+ */
+export const SCORE_COMPONENTS = [
+  {
+    key: 'balance',
+    label: 'Balance',
+    description: 'Shins forward 10–30° and hips flexed 20–60°',
+    compute: (frames) => scoreEach(frames, (f) => average([
+      band(f.ankleDorsiflexion, 10, 30, 15),
+      band(f.hipFlexion, 20, 60, 30),
+    ]), SCORING_CONFIG.MIN_FRAMES),
+  },
+  {
+    key: 'angulation',
+    label: 'Angulation',
+    description: 'Peak hip angulation 15–40° and knee angulation 5–25° per turn',
+    compute: (frames, turns) => scoreEach(turns, (turn) => average([
+      band(turn.stats?.maxHipAngulation, 15, 40, 15),
+      band(turn.stats?.maxKneeAngulation, 5, 25, 10),
+    ]), 1),
+  },
+  {
+    key: 'symmetry',
+    label: 'Symmetry',
+    description: 'Left/right turn symmetry index and durations, knees flexed within 5° of each other',
+    compute: (frames, turns) => {
+      const knees = scoreEach(frames, (f) => (
+        f.kneeFlexionLeft === null || f.kneeFlexionRight === null
+          ? null
+          : band(Math.abs(f.kneeFlexionLeft - f.kneeFlexionRight), 0, 5, 20)
+      ), SCORING_CONFIG.MIN_FRAMES);
+      const score = average([
+        knees.score,
+        computeSymmetry(turns)?.index,
+        turnSideSimilarity(turns, 'durationMs'),
+      ]);
+      return { score: score === null ? null : Math.round(score), samples: knees.samples + turns.length };
+    },
+  },
+  {
+    key: 'rhythm',
+    label: 'Rhythm',
+    description: 'Even turn durations (variation under 10% scores full marks)',
+    compute: (frames, turns) => {
+      const durations = turns.map((turn) => turn.stats.durationMs);
+      if (durations.length < SCORING_CONFIG.MIN_TURNS) return { score: null, samples: durations.length };
+
+      const mean = average(durations);
+      const variance = average(durations.map((d) => (d - mean) ** 2));
+      const variation = Math.sqrt(variance) / mean;
+      return { score: Math.round(band(variation, 0, 0.1, 0.4)), samples: durations.length };
+    },
+  },
+  {
+    key: 'stance',
+    label: 'Stance',
+    description: 'Feet 1–2 hip widths apart and knees flexed 20–60°',
+    compute: (frames) => scoreEach(frames, (f) => average([
+      band(f.stanceWidth, 1, 2, 1),
+      band(f.kneeFlexion, 20, 60, 20),
+    ]), SCORING_CONFIG.MIN_FRAMES),
+  },
+];
+
+/**
+ * Compute every sub-score for one skier
+ *
+ * @param {Array<{metrics: Object|null}>} samples - One entry per analyzed frame
+ *   with computeFrameMetrics output (null when not detected)
+ * @param {Array<import('../types').Turn>} turns - Output of segmentTurns
+ * @returns {import('../types').SubScores} Sub-scores keyed by SCORE_COMPONENTS key
+ */
+export function computeSubScores(samples, turns = []) {
+  const frames = (samples ?? []).map((sample) => sample.metrics).filter(Boolean);
+  const scores = {};
+  for (const { key, compute } of SCORE_COMPONENTS) {
+    scores[key] = compute(frames, turns ?? []);
+  }
+  return scores;
+}
+
+/**
+ * Fill in the sub-score weights from SCORING_CONFIG
+ *
+ * @param {Object<string, number>} [overrides] - Weights to change (typically from user settings)
+ * @returns {Object<string, number>} Weight of every sub-score
+ */
+export function resolveScoreWeights(overrides = {}) {
+  return { ...SCORING_CONFIG.WEIGHTS, ...overrides };
+}
+
+/**
+ * Weighted average of the measured sub-scores among the given keys
+ */
+function weightedScore(subScores, weights, keys) {
+  let total = 0;
+  let weightSum = 0;
+  for (const key of keys) {
+    const score = subScores?.[key]?.score;
+    const weight = weights[key] ?? 0;
+    if (score === null || score === undefined || weight <= 0) continue;
+    total += score * weight;
+    weightSum += weight;
+  }
+  return weightSum > 0 ? Math.round(total / weightSum) : null;
+}
+
+/**
+ * Combine sub-scores into the overall and technical scores
+ *
+ * @param {import('../types').SubScores} subScores - Output of computeSubScores
+ * @param {Object<string, number>} [weightOverrides] - Weights to change (see resolveScoreWeights)
+ * @returns {{overall: number|null, technical: number|null, weights: Object<string, number>}}
+ *   Totals (null when nothing could be scored) and the weights used
+ */
+export function combineScores(subScores, weightOverrides) {
+  const weights = resolveScoreWeights(weightOverrides);
+  return {
+    overall: weightedScore(subScores, weights, SCORE_COMPONENTS.map(({ key }) => key)),
+    technical: weightedScore(subScores, weights, SCORING_CONFIG.TECHNICAL),
+    weights,
+  };
+}
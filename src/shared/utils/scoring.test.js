@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import { SCORING_CONFIG } from '../constants/analysis';
+import {
+  SCORE_COMPONENTS,
+  computeSubScores,
+  resolveScoreWeights,
+  combineScores,
+} from './scoring';
+
+// Every frame-based measurement inside its target range
+const GOOD_FRAME = {
+  ankleDorsiflexion: 20,
+  hipFlexion: 40,
+  stanceWidth: 1.5,
+  kneeFlexion: 40,
+  kneeFlexionLeft: 40,
+  kneeFlexionRight: 40,
+};
+
+/**
+ * One analyzed sample per entry, with the given frame metrics (null = not detected)
+ */
+function samples(count, metrics = GOOD_FRAME) {
+  return Array.from({ length: count }, () => ({ metrics: metrics && { ...metrics } }));
+}
+
+function turn(direction, stats = {}) {
+  return { direction, stats: { durationMs: 1000, maxHipAngulation: 30, maxKneeAngulation: 15, ...stats } };
+}
+
+const GOOD_TURNS = [turn('left'), turn('right'), turn('left'), turn('right')];
+
+describe('computeSubScores', () => {
+  it('scores every component, keyed like SCORE_COMPONENTS', () => {
+    const scores = computeSubScores(samples(SCORING_CONFIG.MIN_FRAMES), GOOD_TURNS);
+    expect(Object.keys(scores)).toEqual(SCORE_COMPONENTS.map(({ key }) => key));
+  });
+
+  it('gives full marks inside every target range', () => {
+    const scores = computeSubScores(samples(SCORING_CONFIG.MIN_FRAMES), GOOD_TURNS);
+    for (const { score } of Object.values(scores)) {
+      expect(score).toBe(100);
+    }
+  });
+
+  it('drops linearly over the falloff outside a range', () => {
+    // Shins 7.5° past the 30° limit, half of the 15° falloff; hips in range
+    const shins = { ...GOOD_FRAME, ankleDorsiflexion: 37.5 };
+    expect(computeSubScores(samples(SCORING_CONFIG.MIN_FRAMES, shins)).balance.score).toBe(75);
+
+    // Feet half a hip width too wide (falloff 1), knees 25° past 60° (falloff 20)
+    const wide = { ...GOOD_FRAME, stanceWidth: 2.5, kneeFlexion: 85 };
+    expect(computeSubScores(samples(SCORING_CONFIG.MIN_FRAMES, wide)).stance.score).toBe(25);
+  });
+
+  it('scores angulation per turn', () => {
+    // Hip angulation 10° past 40° (falloff 15), knee angulation in range
+    const scores = computeSubScores([], [turn('left', { maxHipAngulation: 50 })]);
+    expect(scores.angulation).toEqual({ score: 67, samples: 1 });
+  });
+
+  it('scores rhythm from the variation of turn durations', () => {
+    const turns = [1000, 1000, 2000].map((durationMs) => turn('left', { durationMs }));
+    // Coefficient of variation 0.354: 0.254 past 10% over a 0.4 falloff
+    expect(computeSubScores([], turns).rhythm).toEqual({ score: 37, samples: 3 });
+  });
+
+  it('scores symmetry from the knees and both turn sides', () => {
+    // Knees 12.5° apart: 7.5° past 5° over a 20° falloff
+    const frames = samples(SCORING_CONFIG.MIN_FRAMES, { ...GOOD_FRAME, kneeFlexionRight: 52.5 });
+    const scores = computeSubScores(frames, GOOD_TURNS);
+    // Average of the knees (62.5 → 63), the symmetry index (100) and turn durations (100)
+    expect(scores.symmetry).toEqual({ score: 88, samples: SCORING_CONFIG.MIN_FRAMES + GOOD_TURNS.length });
+  });
+
+  it('scores a frame on the measurements it has', () => {
+    const frames = samples(SCORING_CONFIG.MIN_FRAMES, { ...GOOD_FRAME, ankleDorsiflexion: null, hipFlexion: 70 });
+    // Hips 10° past 60° over a 30° falloff, shins not measured
+    expect(computeSubScores(frames).balance.score).toBe(67);
+  });
+
+  it('leaves a sub-score unscored without enough data', () => {
+    const frames = [
+      ...samples(SCORING_CONFIG.MIN_FRAMES - 1),
+      ...samples(5, null),
+      ...samples(5, { ...GOOD_FRAME, ankleDorsiflexion: null, hipFlexion: null }),
+    ];
+    const scores = computeSubScores(frames, [turn('left'), turn('left')]);
+    expect(scores.balance).toEqual({ score: null, samples: SCORING_CONFIG.MIN_FRAMES - 1 });
+    expect(scores.rhythm).toEqual({ score: null, samples: 2 });
+  });
+
+  it('leaves everything unscored without samples or turns', () => {
+    const scores = computeSubScores(null, null);
+    for (const { score } of Object.values(scores)) {
+      expect(score).toBeNull();
+    }
+  });
+
+  it('gives the same scores for the same input', () => {
+    const frames = samples(SCORING_CONFIG.MIN_FRAMES, { ...GOOD_FRAME, stanceWidth: 2.2, kneeFlexionLeft: 30 });
+    const turns = [turn('left', { durationMs: 900 }), turn('right', { durationMs: 1300 }), turn('left')];
+    expect(computeSubScores(frames, turns)).toEqual(computeSubScores(frames, turns));
+    expect(combineScores(computeSubScores(frames, turns))).toEqual(combineScores(computeSubScores(frames, turns)));
+  });
+});
+
+describe('resolveScoreWeights', () => {
+  it('fills in the default weights', () => {
+    expect(resolveScoreWeights()).toEqual(SCORING_CONFIG.WEIGHTS);
+    expect(resolveScoreWeights({ rhythm: 0 })).toEqual({ ...SCORING_CONFIG.WEIGHTS, rhythm: 0 });
+  });
+});
+
+describe('combineScores', () => {
+  const subScores = {
+    balance: { score: 80 },
+    angulation: { score: 60 },
+    symmetry: { score: 100 },
+    rhythm: { score: 40 },
+    stance: { score: 70 },
+  };
+
+  it('takes the weighted average of the sub-scores', () => {
+    // (80·25 + 60·25 + 100·15 + 40·15 + 70·20) / 100
+    expect(combineScores(subScores).overall).toBe(70);
+    // (80·25 + 60·25 + 70·20) / 70
+    expect(combineScores(subScores).technical).toBe(70);
+  });
+
+  it('normalises the weights', () => {
+    const doubled = Object.fromEntries(Object.entries(SCORING_CONFIG.WEIGHTS).map(([key, w]) => [key, w * 2]));
+    expect(combineScores(subScores, doubled).overall).toBe(combineScores(subScores).overall);
+
+    const equal = { balance: 1, angulation: 1, symmetry: 1, rhythm: 1, stance: 1 };
+    expect(combineScores(subScores, equal).overall).toBe(70);
+    expect(combineScores(subScores, { ...equal, rhythm: 3 }).overall).toBe(61);
+  });
+
+  it('leaves out sub-scores weighted zero', () => {
+    expect(combineScores(subScores, { symmetry: 0, rhythm: 0 }).overall).toBe(70);
+    expect(combineScores(subScores, { angulation: 0, symmetry: 0, rhythm: 0, stance: 0 }).overall).toBe(80);
+  });
+
+  it('leaves out missing sub-scores', () => {
+    const partial = { balance: { score: 80 }, rhythm: { score: null }, stance: { score: 60 } };
+    // (80·25 + 60·20) / 45
+    expect(combineScores(partial).overall).toBe(71);
+    expect(combineScores(partial).technical).toBe(71);
+  });
+
+  it('is null when nothing could be scored', () => {
+    expect(combineScores({ rhythm: { score: 50 } }).technical).toBeNull();
+    expect(combineScores(null)).toEqual({ overall: null, technical: null, weights: SCORING_CONFIG.WEIGHTS });
+  });
+
+  it('returns the weights it used', () => {
+    expect(combineScores(subScores, { balance: 50 }).weights).toEqual({ ...SCORING_CONFIG.WEIGHTS, balance: 50 });
+  });
+});
@@ -0,0 +1,105 @@
+import { deg } from './poseCalculations';
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import { DEFAULT_SLOPE_ANGLE, ANALYSIS_CONFIG } from '../constants/analysis';
+
+/**
+ * Per-video slope reference
+ *
+ * A slope reference is { angle, source }: the slope line's angle in degrees
+ * below the image horizontal (positive when it descends to the right, as
+ * seen on screen) and how it was set ('manual', 'drawn' or 'auto').
+ *
+ * Landmarks are normalized to the frame's width and height, which stretches
+ * directions on non-square frames. Angles here are true on-screen angles;
+ * pass the frame's aspect ratio (width / height) to convert between the two.
+ */
+
+/**
+ * Slope angle to use for a video, falling back to DEFAULT_SLOPE_ANGLE
+ *
+ * @param {{slopeReference?: {angle: number}}} video - Video item
+ * @returns {number} Degrees below the image horizontal
+ */
+export function getSlopeAngle(video) {
+  return video?.slopeReference?.angle ?? DEFAULT_SLOPE_ANGLE;
+}
+
+/**
+ * Aspect ratio (width / height) of a video item, or 1 when unknown
+ */
+export function getAspectRatio(video) {
+  return video?.width && video?.height ? video.width / video.height : 1;
+}
+
+/**
+ * Direction of the slope line in normalized landmark coordinates
+ *
+ * @param {number} angle - On-screen slope angle in degrees
+ * @param {number} [aspectRatio] - Frame width / height
+ * @returns {{x: number, y: number}} Vector for drawing over normalized landmarks; measure
+ *   angles against it with x scaled by the aspect ratio (see slopeAngle)
+ */
+export function slopeVector(angle, aspectRatio = 1) {
+  const rad = (angle * Math.PI) / 180;
+  return { x: Math.cos(rad), y: Math.sin(rad) * aspectRatio };
+}
+
+/**
+ * On-screen angle of a line between two points in normalized coordinates
+ *
+ * The line is read left to right, so the result is between -90° and 90°.
+ *
+ * @param {{x: number, y: number}} start - First point (0-1 coordinates)
+ * @param {{x: number, y: number}} end - Second point (0-1 coordinates)
+ * @param {number} [aspectRatio] - Frame width / height
+ * @returns {number|null} Degrees below the horizontal, or null for a zero-length line
+ */
+export function slopeAngleFromLine(start, end, aspectRatio = 1) {
+  let dx = (end.x - start.x) * aspectRatio;
+  let dy = end.y - start.y;
+  if (dx === 0 && dy === 0) return null;
+
+  if (dx < 0) {
+    dx = -dx;
+    dy = -dy;
+  }
+  return deg(Math.atan2(dy, dx));
+}
+
+/**
+ * Estimate the slope from the skis: the heel-to-toe line of each visible
+ * foot follows the snow surface, so the median of those angles over the
+ * whole track approximates the slope as filmed.
+ *
+ * Works best when the skier is filmed from the side.
+ *
+ * @param {Array<{poses: Array}>} track - Tracked frames
+ * @param {number} [aspectRatio] - Frame width / height
+ * @returns {number|null} Estimated on-screen slope angle, or null without enough visible feet
+ */
+export function estimateSlopeFromSkis(track, aspectRatio = 1) {
+  const { L_HEEL, R_HEEL, L_FOOT_INDEX, R_FOOT_INDEX } = POSE_LANDMARKS;
+  const feet = [[L_HEEL, L_FOOT_INDEX], [R_HEEL, R_FOOT_INDEX]];
+  const angles = [];
+
+  for (const frame of track ?? []) {
+    for (const { landmarks } of frame.poses ?? []) {
+      for (const [heel, toe] of feet) {
+        const a = landmarks?.[heel];
+        const b = landmarks?.[toe];
+        if (!a || !b) continue;
+        if ((a.visibility ?? 1) < ANALYSIS_CONFIG.MIN_VISIBILITY) continue;
+        if ((b.visibility ?? 1) < ANALYSIS_CONFIG.MIN_VISIBILITY) continue;
+
+        const angle = slopeAngleFromLine(a, b, aspectRatio);
+        if (angle !== null) angles.push(angle);
+      }
+    }
+  }
+
+  if (angles.length < 3) return null;
+
+  angles.sort((a, b) => a - b);
+  const mid = angles.length >> 1;
+  return angles.length % 2 ? angles[mid] : (angles[mid - 1] + angles[mid]) / 2;
+}
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import { DEFAULT_SLOPE_ANGLE } from '../constants/analysis';
+import {
+  getSlopeAngle,
+  getAspectRatio,
+  slopeVector,
+  slopeAngleFromLine,
+  estimateSlopeFromSkis,
+} from './slopeReference';
+
+const { L_HEEL, R_HEEL, L_FOOT_INDEX, R_FOOT_INDEX } = POSE_LANDMARKS;
+
+const WIDE = 16 / 9;
+
+/**
+ * Point `length` frame heights from `from` in an on-screen direction, on a
+ * frame with the given aspect ratio
+ */
+function towards(from, angle, length, aspectRatio = 1) {
+  const rad = (angle * Math.PI) / 180;
+  return { x: from.x + (Math.cos(rad) * length) / aspectRatio, y: from.y + Math.sin(rad) * length };
+}
+
+/**
+ * Frame with one skier whose feet point at the given on-screen angles
+ * (null hides that foot)
+ */
+function frameWithFeet(leftAngle, rightAngle, aspectRatio = 1) {
+  const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, z: 0, visibility: 0.1 }));
+  const place = (heel, toe, angle, at) => {
+    if (angle === null) return;
+    landmarks[heel] = { ...at, z: 0, visibility: 0.9 };
+    landmarks[toe] = { ...towards(at, angle, 0.05, aspectRatio), z: 0, visibility: 0.9 };
+  };
+  place(L_HEEL, L_FOOT_INDEX, leftAngle, { x: 0.5, y: 0.8 });
+  place(R_HEEL, R_FOOT_INDEX, rightAngle, { x: 0.45, y: 0.82 });
+  return { poses: [{ id: 1, landmarks }] };
+}
+
+describe('getSlopeAngle', () => {
+  it('uses the video reference, or the default', () => {
+    expect(getSlopeAngle({ slopeReference: { angle: 18, source: 'drawn' } })).toBe(18);
+    expect(getSlopeAngle({ slopeReference: { angle: 0, source: 'manual' } })).toBe(0);
+    expect(getSlopeAngle({})).toBe(DEFAULT_SLOPE_ANGLE);
+    expect(getSlopeAngle(null)).toBe(DEFAULT_SLOPE_ANGLE);
+  });
+});
+
+describe('getAspectRatio', () => {
+  it('divides width by height, or is 1 when unknown', () => {
+    expect(getAspectRatio({ width: 1920, height: 1080 })).toBeCloseTo(WIDE);
+    expect(getAspectRatio({ width: 1920 })).toBe(1);
+    expect(getAspectRatio(null)).toBe(1);
+  });
+});
+
+describe('slopeVector', () => {
+  it('points along the slope on a square frame', () => {
+    const vector = slopeVector(30);
+    expect(vector.x).toBeCloseTo(Math.sqrt(3) / 2);
+    expect(vector.y).toBeCloseTo(0.5);
+  });
+
+  it('keeps the on-screen angle once x is scaled back by the aspect ratio', () => {
+    const vector = slopeVector(30, WIDE);
+    expect((Math.atan2(vector.y, vector.x * WIDE) * 180) / Math.PI).toBeCloseTo(30);
+  });
+});
+
+describe('slopeAngleFromLine', () => {
+  it('measures degrees below the horizontal', () => {
+    expect(slopeAngleFromLine({ x: 0.2, y: 0.2 }, { x: 0.4, y: 0.4 })).toBeCloseTo(45);
+    expect(slopeAngleFromLine({ x: 0.2, y: 0.4 }, { x: 0.4, y: 0.2 })).toBeCloseTo(-45);
+    expect(slopeAngleFromLine({ x: 0.2, y: 0.3 }, { x: 0.6, y: 0.3 })).toBeCloseTo(0);
+  });
+
+  it('reads the line left to right whichever end comes first', () => {
+    expect(slopeAngleFromLine({ x: 0.4, y: 0.4 }, { x: 0.2, y: 0.2 })).toBeCloseTo(45);
+    expect(slopeAngleFromLine({ x: 0.5, y: 0.2 }, { x: 0.5, y: 0.6 })).toBeCloseTo(90);
+  });
+
+  it('measures in pixels on a non-square frame', () => {
+    const start = { x: 0.2, y: 0.3 };
+    expect(slopeAngleFromLine(start, towards(start, 20, 0.3, WIDE), WIDE)).toBeCloseTo(20);
+  });
+
+  it('is null for a zero-length line', () => {
+    expect(slopeAngleFromLine({ x: 0.3, y: 0.3 }, { x: 0.3, y: 0.3 })).toBeNull();
+  });
+});
+
+describe('estimateSlopeFromSkis', () => {
+  it('takes the median heel-to-toe angle over the track', () => {
+    const track = [
+      frameWithFeet(20, 22),
+      frameWithFeet(21, 60), // A foot lifted off the snow
+      frameWithFeet(19, 23),
+    ];
+    expect(estimateSlopeFromSkis(track)).toBeCloseTo(21.5);
+  });
+
+  it('measures in pixels on a non-square frame', () => {
+    const track = [frameWithFeet(15, 15, WIDE), frameWithFeet(15, 15, WIDE)];
+    expect(estimateSlopeFromSkis(track, WIDE)).toBeCloseTo(15);
+  });
+
+  it('skips hidden feet and needs at least three measurements', () => {
+    expect(estimateSlopeFromSkis([frameWithFeet(20, null), frameWithFeet(null, 22)])).toBeNull();
+    expect(estimateSlopeFromSkis([frameWithFeet(20, null), frameWithFeet(null, 22), frameWithFeet(24, null)]))
+      .toBeCloseTo(22);
+    expect(estimateSlopeFromSkis([{ poses: [] }, { poses: [{ id: 1, landmarks: null }] }])).toBeNull();
+    expect(estimateSlopeFromSkis(null)).toBeNull();
+  });
+});
@@ -0,0 +1,269 @@
+import { SMOOTHING_CONFIG } from '../constants/tracking';
+
+/**
+ * Temporal smoothing for landmark streams and the angles derived from them
+ *
+ * Raw detections jitter from frame to frame, which makes angle readouts jump.
+ * Every stream (one coordinate of one landmark, or one named angle) gets its
+ * own scalar filter. Filters are pluggable through SMOOTHING_FILTERS; all of
+ * them take (value, timestampMs) and restart after a time jump (seek, gap).
+ */
+
+/**
+ * Smoothing factor for a first-order low-pass filter with the given cutoff
+ */
+function lowPassAlpha(cutoff, dtSeconds) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dtSeconds);
+}
+
+/**
+ * One-Euro filter: little smoothing when the value moves fast (low lag),
+ * strong smoothing when it is nearly still (low jitter)
+ *
+ * @param {Object} params
+ * @param {number} params.minCutoff - Cutoff frequency (Hz) when still; lower = smoother
+ * @param {number} params.beta - How quickly the cutoff rises with speed; higher = less lag
+ * @param {number} params.dCutoff - Cutoff frequency (Hz) for the speed estimate
+ * @returns {Function} filter(value, timestampMs) => smoothed value
+ */
+export function createOneEuroFilter({ minCutoff, beta, dCutoff }) {
+  let previous = null;
+  let previousSpeed = 0;
+  let previousTime = null;
+
+  return (value, timestamp) => {
+    if (previous === null) {
+      previous = value;
+      previousTime = timestamp;
+      return value;
+    }
+
+    const dt = (timestamp - previousTime) / 1000;
+    if (dt <= 0) return previous;
+
+    const speed = (value - previous) / dt;
+    const smoothedSpeed = previousSpeed + lowPassAlpha(dCutoff, dt) * (speed - previousSpeed);
+    const cutoff = minCutoff + beta * Math.abs(smoothedSpeed);
+
+    previous = previous + lowPassAlpha(cutoff, dt) * (value - previous);
+    previousSpeed = smoothedSpeed;
+    previousTime = timestamp;
+    return previous;
+  };
+}
+
+/**
+ * Exponential moving average
+ *
+ * @param {Object} params
+ * @param {number} params.alpha - Weight of the newest sample (0-1); lower = smoother
+ * @returns {Function} filter(value, timestampMs) => smoothed value
+ */
+export function createEmaFilter({ alpha }) {
+  let previous = null;
+
+  return (value) => {
+    previous = previous === null ? value : previous + alpha * (value - previous);
+    return previous;
+  };
+}
+
+/**
+ * Available filters, by the name stored in settings
+ */
+export const SMOOTHING_FILTERS = {
+  none: () => (value) => value,
+  ema: createEmaFilter,
+  oneEuro: createOneEuroFilter,
+};
+
+/**
+ * Create a scalar filter that restarts after time jumps
+ */
+function createStreamFilter(filter, params, resetMs) {
+  const createFilter = SMOOTHING_FILTERS[filter] ?? SMOOTHING_FILTERS.none;
+  let apply = createFilter(params);
+  let lastTime = null;
+
+  return (value, timestamp) => {
+    if (lastTime !== null && (timestamp < lastTime || timestamp - lastTime > resetMs)) {
+      apply = createFilter(params);
+    }
+    lastTime = timestamp;
+    return apply(value, timestamp);
+  };
+}
+
+/**
+ * Smoother for one skier's landmark stream (2D or world landmarks)
+ *
+ * Landmarks whose visibility drops below the threshold are held at their last
+ * smoothed position while their visibility decays to zero over holdMs, so the
+ * skeleton fades out instead of snapping to a bad detection.
+ */
+function createLandmarkSmoother({ filter, params, holdMs, minVisibility }) {
+  let states = [];
+
+  return (landmarks, timestamp) => {
+    if (!landmarks) return null;
+
+    return landmarks.map((point, i) => {
+      if (!states[i]) {
+        states[i] = {
+          x: createStreamFilter(filter, params, holdMs),
+          y: createStreamFilter(filter, params, holdMs),
+          z: createStreamFilter(filter, params, holdMs),
+          last: null,
+          lastSeen: null,
+        };
+      }
+      const state = states[i];
+      const visible = (point.visibility ?? 1) >= minVisibility;
+
+      if (visible) {
+        state.last = {
+          x: state.x(point.x, timestamp),
+          y: state.y(point.y, timestamp),
+          z: state.z(point.z, timestamp),
+          visibility: point.visibility,
+        };
+        state.lastSeen = timestamp;
+        return state.last;
+      }
+
+      const elapsed = state.last ? timestamp - state.lastSeen : Infinity;
+      if (elapsed >= 0 && elapsed <= holdMs) {
+        return {
+          ...state.last,
+          visibility: state.last.visibility * (1 - elapsed / holdMs),
+        };
+      }
+
+      // Lost for too long: pass the raw point through and start fresh next time
+      states[i] = null;
+      return point;
+    });
+  };
+}
+
+/**
+ * Resolve smoothing options, filling in defaults from SMOOTHING_CONFIG
+ *
+ * @param {Object} [options] - Partial options (typically from user settings)
+ * @returns {{filter: string, holdMs: number, landmarks: Object, angles: Object}}
+ */
+export function resolveSmoothingOptions(options = {}) {
+  return {
+    filter: options.filter ?? SMOOTHING_CONFIG.FILTER,
+    holdMs: options.holdMs ?? SMOOTHING_CONFIG.HOLD_MS,
+    landmarks: { ...SMOOTHING_CONFIG.LANDMARKS, ...options.landmarks },
+    angles: { ...SMOOTHING_CONFIG.ANGLES, ...options.angles },
+  };
+}
+
+/**
+ * Create a smoother for tracked poses, keeping separate state per skier
+ *
+ * @param {Object} [options] - Smoothing options (see resolveSmoothingOptions)
+ * @returns {{smooth: Function, reset: Function}} smooth(poses, timestampMs)
+ *   returns the poses with smoothed landmarks and worldLandmarks
+ */
+export function createPoseSmoother(options) {
+  const { filter, holdMs, landmarks: params } = resolveSmoothingOptions(options);
+  const minVisibility = SMOOTHING_CONFIG.MIN_VISIBILITY;
+  let skiers = new Map();
+
+  const smooth = (poses, timestamp) => {
+    // Forget skiers that have been gone longer than the hold time
+    for (const [id, state] of skiers) {
+      if (timestamp < state.lastSeen || timestamp - state.lastSeen > holdMs) {
+        skiers.delete(id);
+      }
+    }
+
+    return poses.map((pose) => {
+      if (!skiers.has(pose.id)) {
+        skiers.set(pose.id, {
+          landmarks: createLandmarkSmoother({ filter, params, holdMs, minVisibility }),
+          worldLandmarks: createLandmarkSmoother({ filter, params, holdMs, minVisibility }),
+          lastSeen: timestamp,
+        });
+      }
+      const state = skiers.get(pose.id);
+      state.lastSeen = timestamp;
+
+      return {
+        ...pose,
+        landmarks: state.landmarks(pose.landmarks, timestamp),
+        worldLandmarks: state.worldLandmarks(pose.worldLandmarks, timestamp),
+      };
+    });
+  };
+
+  const reset = () => {
+    skiers = new Map();
+  };
+
+  return { smooth, reset };
+}
+
+/**
+ * Create a smoother for a set of named angles (or any scalar measurements)
+ *
+ * A measurement that becomes null keeps its last smoothed value for up to
+ * holdMs, then goes null too.
+ *
+ * @param {Object} [options] - Smoothing options (see resolveSmoothingOptions)
+ * @returns {{smooth: Function, reset: Function}} smooth(values, timestampMs)
+ *   returns an object with the same keys and smoothed values
+ */
+export function createAngleSmoother(options) {
+  const { filter, holdMs, angles: params } = resolveSmoothingOptions(options);
+  let streams = new Map();
+
+  const smooth = (values, timestamp) => {
+    if (!values) return values;
+
+    const smoothed = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (!streams.has(key)) {
+        streams.set(key, { apply: createStreamFilter(filter, params, holdMs), last: null, lastSeen: null });
+      }
+      const stream = streams.get(key);
+
+      if (value !== null && value !== undefined) {
+        stream.last = stream.apply(value, timestamp);
+        stream.lastSeen = timestamp;
+        smoothed[key] = stream.last;
+      } else if (stream.last !== null && timestamp >= stream.lastSeen && timestamp - stream.lastSeen <= holdMs) {
+        smoothed[key] = stream.last;
+      } else {
+        stream.last = null;
+        smoothed[key] = value ?? null;
+      }
+    }
+    return smoothed;
+  };
+
+  const reset = () => {
+    streams = new Map();
+  };
+
+  return { smooth, reset };
+}
+
+/**
+ * Smooth a whole stored track, as the offline analysis does before measuring
+ *
+ * @param {Array<{timestamp: number, poses: Array}>} track - Tracked frames
+ * @param {Object} [options] - Smoothing options (see resolveSmoothingOptions)
+ * @returns {Array<{timestamp: number, poses: Array}>} New frames with smoothed poses
+ */
+export function smoothTrack(track, options) {
+  const smoother = createPoseSmoother(options);
+  return track.map((frame) => ({
+    ...frame,
+    poses: smoother.smooth(frame.poses, frame.timestamp),
+  }));
+}
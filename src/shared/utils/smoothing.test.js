@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest';
+import { SMOOTHING_CONFIG } from '../constants/tracking';
+import {
+  createOneEuroFilter,
+  createEmaFilter,
+  resolveSmoothingOptions,
+  createPoseSmoother,
+  createAngleSmoother,
+  smoothTrack,
+} from './smoothing';
+
+const FRAME_MS = 100;
+
+/**
+ * Weight of the newest sample in a low-pass filter with the given cutoff
+ */
+const alphaFor = (cutoff, dtSeconds) => 1 / (1 + 1 / (2 * Math.PI * cutoff * dtSeconds));
+
+/**
+ * Run a filter over values sampled every FRAME_MS
+ */
+const run = (filter, values) => values.map((value, i) => filter(value, i * FRAME_MS));
+
+/**
+ * Pose with every landmark at (x, y) and the given visibility
+ */
+function pose(id, x, y = 0.5, visibility = 0.9) {
+  return {
+    id,
+    landmarks: Array.from({ length: 33 }, () => ({ x, y, z: 0, visibility })),
+    worldLandmarks: null,
+  };
+}
+
+describe('createEmaFilter', () => {
+  it('moves the given fraction of the way to each new value', () => {
+    expect(run(createEmaFilter({ alpha: 0.5 }), [0, 10, 10])).toEqual([0, 5, 7.5]);
+  });
+});
+
+describe('createOneEuroFilter', () => {
+  it('passes the first value through and holds a still value', () => {
+    expect(run(createOneEuroFilter({ minCutoff: 1, beta: 0, dCutoff: 1 }), [3, 3, 3])).toEqual([3, 3, 3]);
+  });
+
+  it('low-passes at minCutoff without the speed term', () => {
+    const [, smoothed] = run(createOneEuroFilter({ minCutoff: 1, beta: 0, dCutoff: 1 }), [0, 10]);
+    expect(smoothed).toBeCloseTo(10 * alphaFor(1, FRAME_MS / 1000));
+  });
+
+  it('damps jitter around a still value', () => {
+    // ±1° of detector noise on an angle
+    const noisy = Array.from({ length: 30 }, (_, i) => (i % 2 ? 1 : -1));
+    const smoothed = run(createOneEuroFilter(SMOOTHING_CONFIG.ANGLES), noisy);
+    expect(Math.max(...smoothed.slice(10).map(Math.abs))).toBeLessThan(0.5);
+  });
+
+  it('lags less on fast movements as beta grows', () => {
+    const ramp = Array.from({ length: 10 }, (_, i) => i * 10);
+    const lag = (beta) => ramp[9] - run(createOneEuroFilter({ minCutoff: 1, beta, dCutoff: 1 }), ramp)[9];
+    expect(lag(0.5)).toBeLessThan(lag(0));
+    expect(lag(0.5)).toBeGreaterThan(0);
+  });
+
+  it('ignores samples that are not newer', () => {
+    const filter = createOneEuroFilter({ minCutoff: 1, beta: 0, dCutoff: 1 });
+    filter(0, 0);
+    const smoothed = filter(10, 100);
+    expect(filter(50, 100)).toBe(smoothed);
+  });
+});
+
+describe('resolveSmoothingOptions', () => {
+  it('fills in the defaults and merges partial parameters', () => {
+    expect(resolveSmoothingOptions()).toEqual({
+      filter: SMOOTHING_CONFIG.FILTER,
+      holdMs: SMOOTHING_CONFIG.HOLD_MS,
+      landmarks: SMOOTHING_CONFIG.LANDMARKS,
+      angles: SMOOTHING_CONFIG.ANGLES,
+    });
+    expect(resolveSmoothingOptions({ filter: 'ema', angles: { alpha: 0.9 } }).angles)
+      .toEqual({ ...SMOOTHING_CONFIG.ANGLES, alpha: 0.9 });
+  });
+});
+
+describe('createAngleSmoother', () => {
+  const ema = { filter: 'ema', holdMs: 300, angles: { alpha: 0.5 } };
+
+  it('smooths each angle on its own', () => {
+    const smoother = createAngleSmoother(ema);
+    smoother.smooth({ knee: 0, hip: 100 }, 0);
+    expect(smoother.smooth({ knee: 10, hip: 100 }, 100)).toEqual({ knee: 5, hip: 100 });
+  });
+
+  it('holds a lost angle for holdMs, then drops it', () => {
+    const smoother = createAngleSmoother(ema);
+    smoother.smooth({ knee: 40 }, 0);
+    expect(smoother.smooth({ knee: null }, 300)).toEqual({ knee: 40 });
+    expect(smoother.smooth({ knee: null }, 400)).toEqual({ knee: null });
+  });
+
+  it('restarts after a seek or a long gap', () => {
+    const smoother = createAngleSmoother(ema);
+    smoother.smooth({ knee: 0 }, 1000);
+    expect(smoother.smooth({ knee: 10 }, 2000)).toEqual({ knee: 10 });
+    expect(smoother.smooth({ knee: 20 }, 500)).toEqual({ knee: 20 });
+  });
+
+  it('passes values through unchanged with the none filter', () => {
+    const smoother = createAngleSmoother({ filter: 'none' });
+    smoother.smooth({ knee: 0 }, 0);
+    expect(smoother.smooth({ knee: 10 }, 100)).toEqual({ knee: 10 });
+  });
+});
+
+describe('createPoseSmoother', () => {
+  const ema = { filter: 'ema', holdMs: 300, landmarks: { alpha: 0.5 } };
+
+  it('smooths each skier separately', () => {
+    const smoother = createPoseSmoother(ema);
+    smoother.smooth([pose(1, 0.2), pose(2, 0.8)], 0);
+    const [first, second] = smoother.smooth([pose(1, 0.4), pose(2, 0.8)], 100);
+    expect(first.landmarks[0].x).toBeCloseTo(0.3);
+    expect(second.landmarks[0].x).toBeCloseTo(0.8);
+    expect(first.id).toBe(1);
+  });
+
+  it('holds a hidden landmark while its visibility fades out', () => {
+    const smoother = createPoseSmoother(ema);
+    smoother.smooth([pose(1, 0.2)], 0);
+
+    const [held] = smoother.smooth([pose(1, 0.9, 0.9, 0.1)], 150);
+    expect(held.landmarks[0]).toMatchObject({ x: 0.2, y: 0.5 });
+    expect(held.landmarks[0].visibility).toBeCloseTo(0.45);
+
+    const [lost] = smoother.smooth([pose(1, 0.9, 0.9, 0.1)], 400);
+    expect(lost.landmarks[0]).toEqual({ x: 0.9, y: 0.9, z: 0, visibility: 0.1 });
+  });
+
+  it('starts afresh when a skier comes back after holdMs', () => {
+    const smoother = createPoseSmoother(ema);
+    smoother.smooth([pose(1, 0.2)], 0);
+    smoother.smooth([], 400);
+    const [back] = smoother.smooth([pose(1, 0.6)], 500);
+    expect(back.landmarks[0].x).toBe(0.6);
+  });
+
+  it('starts over after reset', () => {
+    const smoother = createPoseSmoother(ema);
+    smoother.smooth([pose(1, 0.2)], 0);
+    smoother.reset();
+    expect(smoother.smooth([pose(1, 0.6)], 100)[0].landmarks[0].x).toBe(0.6);
+  });
+});
+
+describe('smoothTrack', () => {
+  it('returns new smoothed frames and leaves the track as it was', () => {
+    const track = [0.2, 0.4, 0.4].map((x, i) => ({ timestamp: i * FRAME_MS, poses: [pose(1, x)] }));
+    const smoothed = smoothTrack(track, { filter: 'ema', landmarks: { alpha: 0.5 } });
+    const xs = smoothed.map((frame) => frame.poses[0].landmarks[0].x);
+    [0.2, 0.3, 0.35].forEach((x, i) => expect(xs[i]).toBeCloseTo(x));
+    expect(track[1].poses[0].landmarks[0].x).toBe(0.4);
+    expect(smoothed.map((frame) => frame.timestamp)).toEqual([0, 100, 200]);
+  });
+});
@@ -0,0 +1,153 @@
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import { ANALYSIS_CONFIG, SPEED_CONFIG } from '../constants/analysis';
+import { findSkierPose } from './poseTracking';
+
+/**
+ * Skier speed from the video
+ *
+ * - Scale: the skier's own body is the ruler. Shin + thigh + torso length in
+ *   pixels is a known fraction of standing height (SPEED_CONFIG), so with the
+ *   user's height (or a default) each frame gets its own metres-per-pixel,
+ *   which follows the skier as they get nearer or further.
+ * - Motion: the hip midpoint's movement between consecutive samples, minus
+ *   the background shift measured during analysis (camera pan). Without pan
+ *   measurements the camera must look fixed, otherwise the pair is skipped.
+ * - Result: the median frame-to-frame speed, with a 95% interval from the
+ *   spread of the samples widened by the height uncertainty. Movement towards
+ *   or away from the camera isn't seen, so the estimate leans low.
+ *
+ * Too few usable samples, or too wide an interval, gives an unknown speed
+ * instead of a number.
+ */
+
+const {
+  L_SHOULDER, R_SHOULDER, L_HIP, R_HIP, L_KNEE, R_KNEE, L_ANKLE, R_ANKLE,
+} = POSE_LANDMARKS;
+
+/**
+ * Check that every given landmark exists and is visible enough to measure
+ */
+function isVisible(landmarks, indices) {
+  return Boolean(landmarks) && indices.every(
+    (i) => landmarks[i] && (landmarks[i].visibility ?? 1) >= ANALYSIS_CONFIG.MIN_VISIBILITY
+  );
+}
+
+/**
+ * A normalized landmark (or midpoint of two) in pixels
+ */
+function toPixels(landmarks, indices, size) {
+  const points = indices.map((i) => landmarks[i]);
+  return {
+    x: (points.reduce((sum, p) => sum + p.x, 0) / points.length) * size.width,
+    y: (points.reduce((sum, p) => sum + p.y, 0) / points.length) * size.height,
+  };
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Shin + thigh + torso length in pixels, or null if not measurable
+ */
+function bodyLength(landmarks, size) {
+  if (!isVisible(landmarks, [L_SHOULDER, R_SHOULDER, L_HIP, R_HIP])) return null;
+
+  const legs = [[L_HIP, L_KNEE, L_ANKLE], [R_HIP, R_KNEE, R_ANKLE]]
+    .filter((leg) => isVisible(landmarks, leg))
+    .map(([hip, knee, ankle]) => {
+      const k = toPixels(landmarks, [knee], size);
+      return distance(toPixels(landmarks, [hip], size), k) + distance(k, toPixels(landmarks, [ankle], size));
+    });
+  if (legs.length === 0) return null;
+
+  const torso = distance(
+    toPixels(landmarks, [L_SHOULDER, R_SHOULDER], size),
+    toPixels(landmarks, [L_HIP, R_HIP], size)
+  );
+  return legs.reduce((sum, v) => sum + v, 0) / legs.length + torso;
+}
+
+/**
+ * Median of a sorted array
+ */
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Estimate one skier's typical speed over the run
+ *
+ * @param {Array<{timestamp: number, poses: Array, camera: {dx: number, dy: number}|null}>} frames -
+ *   Tracked (ideally smoothed) frames, with the camera pan measured during analysis
+ * @param {number} skierId - Skier to measure
+ * @param {Object} options
+ * @param {number} options.width - Video frame width in pixels
+ * @param {number} options.height - Video frame height in pixels
+ * @param {number|null} [options.heightCm] - Skier's height; null uses SPEED_CONFIG.DEFAULT_HEIGHT_CM
+ * @returns {import('../types').SpeedEstimate}
+ */
+export function estimateSpeed(frames, skierId, { width, height, heightCm = null }) {
+  const unknown = (reason, samples = 0) => ({ kmh: null, low: null, high: null, samples, panCompensated: false, reason });
+  if (!width || !height) return unknown('Video size unknown');
+
+  const size = { width, height };
+  const statureM = (heightCm ?? SPEED_CONFIG.DEFAULT_HEIGHT_CM) / 100;
+  const uncertainty = heightCm ? SPEED_CONFIG.HEIGHT_UNCERTAINTY.user : SPEED_CONFIG.HEIGHT_UNCERTAINTY.default;
+
+  // Without pan measurements, only a fixed camera lets image motion stand for skier motion
+  const shifts = frames.filter((f) => f.camera).map((f) => Math.hypot(f.camera.dx, f.camera.dy));
+  const fixedCamera = shifts.length === 0
+    || median(shifts.sort((a, b) => a - b)) < SPEED_CONFIG.STATIC_CAMERA_SHIFT;
+
+  const speeds = [];
+  let panCompensated = false;
+  for (let i = 1; i < frames.length; i++) {
+    const dt = frames[i].timestamp - frames[i - 1].timestamp;
+    if (dt <= 0 || dt > SPEED_CONFIG.MAX_GAP_MS) continue;
+
+    const before = findSkierPose(frames[i - 1], skierId)?.landmarks;
+    const after = findSkierPose(frames[i], skierId)?.landmarks;
+    if (!isVisible(before, [L_HIP, R_HIP]) || !isVisible(after, [L_HIP, R_HIP])) continue;
+
+    const lengthBefore = bodyLength(before, size);
+    const lengthAfter = bodyLength(after, size);
+    if (!lengthBefore || !lengthAfter) continue;
+
+    const camera = frames[i].camera;
+    if (!camera && !fixedCamera) continue;
+    const pan = camera ? { x: camera.dx * width, y: camera.dy * height } : { x: 0, y: 0 };
+    if (camera) panCompensated = true;
+
+    const start = toPixels(before, [L_HIP, R_HIP], size);
+    const end = toPixels(after, [L_HIP, R_HIP], size);
+    const pixels = Math.hypot(end.x - start.x - pan.x, end.y - start.y - pan.y);
+    const metresPerPixel = (statureM * SPEED_CONFIG.BODY_SEGMENT_RATIO) / ((lengthBefore + lengthAfter) / 2);
+    const kmh = ((pixels * metresPerPixel) / (dt / 1000)) * 3.6;
+
+    if (kmh <= SPEED_CONFIG.MAX_KMH) speeds.push(kmh);
+  }
+
+  const n = speeds.length;
+  if (n < SPEED_CONFIG.MIN_PAIRS) return unknown('Too few frames to measure', n);
+
+  // Distribution-free 95% interval for the median, from the sample ranks
+  speeds.sort((a, b) => a - b);
+  const k = Math.max(0, Math.floor((n - 1.96 * Math.sqrt(n)) / 2));
+  const kmh = median(speeds);
+  const low = speeds[k] * (1 - uncertainty);
+  const high = speeds[n - 1 - k] * (1 + uncertainty);
+
+  if (kmh <= 0 || (high - low) / kmh > SPEED_CONFIG.MAX_RELATIVE_SPREAD) {
+    return unknown('Measurements too inconsistent', n);
+  }
+
+  return {
+    kmh: Math.round(kmh),
+    low: Math.round(low),
+    high: Math.round(high),
+    samples: n,
+    panCompensated,
+    reason: null,
+  };
+}
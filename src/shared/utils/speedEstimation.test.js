@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import { SPEED_CONFIG } from '../constants/analysis';
+import { estimateSpeed } from './speedEstimation';
+
+const {
+  L_SHOULDER, R_SHOULDER, L_HIP, R_HIP, L_KNEE, R_KNEE, L_ANKLE, R_ANKLE,
+} = POSE_LANDMARKS;
+
+const WIDTH = 1920;
+const HEIGHT = 1080;
+const FRAME_MS = 100;
+
+// A 180 cm skier measures 180 · BODY_SEGMENT_RATIO = 140.4 cm shin + thigh +
+// torso; drawn 351 px long, that is 250 px per metre
+const HEIGHT_CM = 180;
+const SEGMENT_PX = 117;
+const PX_PER_METRE = (3 * SEGMENT_PX) / ((HEIGHT_CM / 100) * SPEED_CONFIG.BODY_SEGMENT_RATIO);
+
+// 125 px per 100 ms = 5 m/s = 18 km/h
+const STEP_PX = 125;
+
+/**
+ * 33 landmarks: the given points fully visible, the rest hidden
+ */
+function makeLandmarks(points) {
+  return Array.from({ length: 33 }, (_, i) => (
+    points[i] ? { z: 0, visibility: 1, ...points[i] } : { x: 0, y: 0, z: 0, visibility: 0 }
+  ));
+}
+
+/**
+ * Upright skier with the hips at (x, y) pixels; segments are `segment` px long
+ */
+function skier(x, y = 400, segment = SEGMENT_PX) {
+  const at = (dx, dy) => ({ x: (x + dx) / WIDTH, y: (y + dy) / HEIGHT });
+  return makeLandmarks({
+    [L_SHOULDER]: at(20, -segment),
+    [R_SHOULDER]: at(-20, -segment),
+    [L_HIP]: at(20, 0),
+    [R_HIP]: at(-20, 0),
+    [L_KNEE]: at(20, segment),
+    [R_KNEE]: at(-20, segment),
+    [L_ANKLE]: at(20, 2 * segment),
+    [R_ANKLE]: at(-20, 2 * segment),
+  });
+}
+
+/**
+ * Frames FRAME_MS apart with skier 1 at `positionAt(i)` pixels and the
+ * background shift `cameraAt(i)` (pixels, or null when not measured)
+ */
+function frames(count, positionAt, cameraAt = () => null) {
+  return Array.from({ length: count }, (_, i) => {
+    const camera = cameraAt(i);
+    return {
+      timestamp: i * FRAME_MS,
+      poses: [{ id: 1, landmarks: positionAt(i) }],
+      camera: camera && { dx: camera.x / WIDTH, dy: camera.y / HEIGHT },
+    };
+  });
+}
+
+const size = { width: WIDTH, height: HEIGHT };
+
+describe('estimateSpeed', () => {
+  it('converts the pixel displacement to km/h using the body as a ruler', () => {
+    expect(PX_PER_METRE).toBeCloseTo(250);
+    const speed = estimateSpeed(frames(12, (i) => skier(200 + i * STEP_PX)), 1, { ...size, heightCm: HEIGHT_CM });
+    expect(speed).toEqual({ kmh: 18, low: 17, high: 19, samples: 11, panCompensated: false, reason: null });
+  });
+
+  it('scales with the skier height', () => {
+    const track = frames(12, (i) => skier(200 + i * STEP_PX));
+    expect(estimateSpeed(track, 1, { ...size, heightCm: HEIGHT_CM / 2 }).kmh).toBe(9);
+  });
+
+  it('widens the interval with the default height', () => {
+    const speed = estimateSpeed(frames(12, (i) => skier(200 + i * STEP_PX)), 1, size);
+    // 175 cm default: 17.5 km/h, ±10%
+    expect(speed).toMatchObject({ kmh: 18, low: 16, high: 19 });
+  });
+
+  it('follows the scale as the skier gets nearer', () => {
+    // Twice as big and twice as far per frame: the same speed
+    const track = frames(12, (i) => skier(200 + i * 2 * STEP_PX, 300, 2 * SEGMENT_PX));
+    expect(estimateSpeed(track, 1, { ...size, heightCm: HEIGHT_CM }).kmh).toBe(18);
+  });
+
+  it('adds the camera pan back to the motion in the image', () => {
+    // Camera follows the skier: they stand still in the image while the background slides back
+    const followed = frames(12, () => skier(900), () => ({ x: -STEP_PX, y: 0 }));
+    expect(estimateSpeed(followed, 1, { ...size, heightCm: HEIGHT_CM }))
+      .toMatchObject({ kmh: 18, samples: 11, panCompensated: true });
+
+    // Camera pans at half the skier's speed
+    const half = STEP_PX / 2;
+    const partial = frames(12, (i) => skier(200 + i * half), () => ({ x: -half, y: 0 }));
+    expect(estimateSpeed(partial, 1, { ...size, heightCm: HEIGHT_CM }).kmh).toBe(18);
+  });
+
+  it('treats a camera with negligible measured pan as fixed', () => {
+    const track = frames(12, (i) => skier(200 + i * STEP_PX), (i) => (i % 2 ? { x: 1, y: 0 } : null));
+    expect(estimateSpeed(track, 1, { ...size, heightCm: HEIGHT_CM })).toMatchObject({ kmh: 18, samples: 11 });
+  });
+
+  it('skips frames without a pan measurement when the camera moves', () => {
+    const track = frames(12, () => skier(900), (i) => (i % 2 ? { x: -STEP_PX, y: 0 } : null));
+    expect(estimateSpeed(track, 1, { ...size, heightCm: HEIGHT_CM }))
+      .toMatchObject({ kmh: null, samples: 6, reason: 'Too few frames to measure' });
+  });
+
+  it('drops tracking glitches faster than MAX_KMH', () => {
+    // Frame 6 jumps 1500 px away and back
+    const track = frames(12, (i) => skier(200 + i * STEP_PX + (i === 6 ? 1500 : 0)));
+    expect(estimateSpeed(track, 1, { ...size, heightCm: HEIGHT_CM })).toMatchObject({ kmh: 18, samples: 9 });
+  });
+
+  it('keeps the median through occasional outliers', () => {
+    const extra = [0, 0, 0, 60, 0, 0, 0, 0, -40, 0, 0, 0];
+    const track = frames(12, (i) => skier(200 + i * STEP_PX + extra[i]));
+    expect(estimateSpeed(track, 1, { ...size, heightCm: HEIGHT_CM })).toMatchObject({ kmh: 18, samples: 11 });
+  });
+
+  it('gives up on inconsistent measurements', () => {
+    const steps = [20, 300, 10, 250, 40, 280, 15, 320, 30, 260, 25];
+    const positions = steps.reduce((list, step) => [...list, list[list.length - 1] + step], [200]);
+    const speed = estimateSpeed(frames(12, (i) => skier(positions[i])), 1, { ...size, heightCm: HEIGHT_CM });
+    expect(speed).toMatchObject({ kmh: null, samples: 11, reason: 'Measurements too inconsistent' });
+  });
+
+  it('skips pairs too far apart in time or without a visible skier', () => {
+    const track = frames(16, (i) => skier(200 + i * STEP_PX));
+    track[3].poses = [];
+    track[8].poses[0].landmarks[L_HIP].visibility = 0.1;
+    for (const frame of track.slice(10)) {
+      frame.timestamp += SPEED_CONFIG.MAX_GAP_MS;
+    }
+    // Pairs 2-3, 3-4, 7-8, 8-9 and 9-10 are skipped
+    expect(estimateSpeed(track, 1, { ...size, heightCm: HEIGHT_CM })).toMatchObject({ kmh: 18, samples: 10 });
+  });
+
+  it('needs the video size', () => {
+    const speed = estimateSpeed(frames(12, (i) => skier(200 + i * STEP_PX)), 1, { width: 0, height: HEIGHT });
+    expect(speed).toMatchObject({ kmh: null, low: null, high: null, samples: 0, reason: 'Video size unknown' });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Left/right symmetry of a skier's turns
+ *
+ * Averages each turn stat separately over left and right turns and compares
+ * the two sides. Each comparison scores 100 when both sides match and drops
+ * with their difference relative to the larger side (or to the metric's
+ * scale, for values near zero). The symmetry index is the average of those
+ * scores, 0-100.
+ */
+
+/**
+ * Compared measurements, in display order. `scale` is the smallest
+ * difference treated as fully asymmetric, so small values don't exaggerate it.
+ */
+export const SYMMETRY_METRICS = [
+  { key: 'maxHipAngulation', label: 'Hip angulation', unit: '°', scale: 10 },
+  { key: 'maxKneeAngulation', label: 'Knee angulation', unit: '°', scale: 10 },
+  { key: 'avgKneeFlexion', label: 'Knee flexion', unit: '°', scale: 10 },
+  { key: 'avgHandSpread', label: 'Hand spread', unit: '× shoulders', scale: 1 },
+  { key: 'avgHandHeight', label: 'Hand height', unit: '× torso', scale: 0.5 },
+  { key: 'avgLean', label: 'Lean', unit: '°', scale: 10 },
+];
+
+/**
+ * Average of one stat over the turns of one side, or null if never measured
+ */
+function sideAverage(turns, key) {
+  const values = turns.map((turn) => turn.stats?.[key]).filter((v) => v !== null && v !== undefined);
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Round to the precision a metric is shown at, keeping null as null
+ */
+function roundFor(metric, value) {
+  return value === null ? null : Number(value.toFixed(metric.scale < 5 ? 2 : 1));
+}
+
+/**
+ * Compare left and right turns
+ *
+ * @param {Array<import('../types').Turn>} turns - Output of segmentTurns
+ * @returns {import('../types').SymmetryReport|null} Report, or null without
+ *   at least one turn each way
+ */
+export function computeSymmetry(turns) {
+  const left = (turns ?? []).filter((turn) => turn.direction === 'left');
+  const right = (turns ?? []).filter((turn) => turn.direction === 'right');
+  if (left.length === 0 || right.length === 0) return null;
+
+  const metrics = SYMMETRY_METRICS.map((metric) => {
+    const l = sideAverage(left, metric.key);
+    const r = sideAverage(right, metric.key);
+    const comparison = { key: metric.key, left: roundFor(metric, l), right: roundFor(metric, r), score: null };
+    if (l === null || r === null) return comparison;
+
+    const reference = Math.max(Math.abs(l), Math.abs(r), metric.scale);
+    comparison.score = Math.round(Math.max(0, 100 * (1 - Math.abs(l - r) / reference)));
+    return comparison;
+  });
+
+  const scored = metrics.filter((metric) => metric.score !== null);
+  return {
+    index: scored.length
+      ? Math.round(scored.reduce((sum, metric) => sum + metric.score, 0) / scored.length)
+      : null,
+    leftTurns: left.length,
+    rightTurns: right.length,
+    metrics,
+  };
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { SYMMETRY_METRICS, computeSymmetry } from './symmetry';
+
+// Every compared stat, equal on both sides
+const STATS = {
+  maxHipAngulation: 30,
+  maxKneeAngulation: 15,
+  avgKneeFlexion: 40,
+  avgHandSpread: 1.5,
+  avgHandHeight: 0.4,
+  avgLean: 12,
+};
+
+function turn(direction, stats = {}) {
+  return { direction, stats: { ...STATS, ...stats } };
+}
+
+const scoreOf = (report, key) => report.metrics.find((metric) => metric.key === key).score;
+
+describe('computeSymmetry', () => {
+  it('scores identical sides 100', () => {
+    const report = computeSymmetry([turn('left'), turn('right'), turn('left'), turn('right')]);
+    expect(report.index).toBe(100);
+    expect(report.leftTurns).toBe(2);
+    expect(report.rightTurns).toBe(2);
+    expect(report.metrics.map((metric) => metric.key)).toEqual(SYMMETRY_METRICS.map(({ key }) => key));
+    expect(report.metrics.every((metric) => metric.score === 100)).toBe(true);
+  });
+
+  it('averages each side before comparing', () => {
+    const report = computeSymmetry([
+      turn('left', { maxHipAngulation: 20 }),
+      turn('left', { maxHipAngulation: 40 }),
+      turn('right', { maxHipAngulation: 30 }),
+    ]);
+    expect(report.metrics[0]).toEqual({ key: 'maxHipAngulation', left: 30, right: 30, score: 100 });
+  });
+
+  it('drops with the difference relative to the larger side', () => {
+    // 30° vs 20°: a third of the larger side apart
+    const report = computeSymmetry([
+      turn('left', { maxHipAngulation: 30 }),
+      turn('right', { maxHipAngulation: 20 }),
+    ]);
+    expect(scoreOf(report, 'maxHipAngulation')).toBe(67);
+    // Average of 67 and five 100s
+    expect(report.index).toBe(95);
+  });
+
+  it('compares small values against the metric scale', () => {
+    // 2° vs 6° knee angulation is 4° apart on a 10° scale, not two thirds of 6°
+    const report = computeSymmetry([
+      turn('left', { maxKneeAngulation: 2 }),
+      turn('right', { maxKneeAngulation: 6 }),
+    ]);
+    expect(scoreOf(report, 'maxKneeAngulation')).toBe(60);
+  });
+
+  it('tells values of opposite sign apart', () => {
+    const report = computeSymmetry([turn('left', { avgLean: 10 }), turn('right', { avgLean: -10 })]);
+    expect(scoreOf(report, 'avgLean')).toBe(0);
+  });
+
+  it('rounds the side averages to the shown precision', () => {
+    const report = computeSymmetry([
+      turn('left', { avgHandHeight: 0.4, avgKneeFlexion: 40 }),
+      turn('left', { avgHandHeight: 0.45, avgKneeFlexion: 41 }),
+      turn('right', { avgHandHeight: 0.333, avgKneeFlexion: 40.04 }),
+    ]);
+    const metric = (key) => report.metrics.find((m) => m.key === key);
+    expect(metric('avgHandHeight')).toMatchObject({ left: 0.43, right: 0.33 });
+    expect(metric('avgKneeFlexion')).toMatchObject({ left: 40.5, right: 40 });
+  });
+
+  it('leaves out stats missing on either side', () => {
+    const report = computeSymmetry([
+      turn('left', { avgHandSpread: null, maxHipAngulation: 30 }),
+      turn('right', { avgHandSpread: 1.2, maxHipAngulation: 20 }),
+    ]);
+    expect(report.metrics.find((m) => m.key === 'avgHandSpread')).toEqual({
+      key: 'avgHandSpread', left: null, right: 1.2, score: null,
+    });
+    // Average of 67 and four 100s
+    expect(report.index).toBe(93);
+  });
+
+  it('has no index when nothing is measured on both sides', () => {
+    const empty = Object.fromEntries(Object.keys(STATS).map((key) => [key, null]));
+    const report = computeSymmetry([turn('left', empty), turn('right')]);
+    expect(report.index).toBeNull();
+  });
+
+  it('needs a turn each way', () => {
+    expect(computeSymmetry([turn('left'), turn('left')])).toBeNull();
+    expect(computeSymmetry([])).toBeNull();
+    expect(computeSymmetry(null)).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import { ANALYSIS_CONFIG, QUALITY_CONFIG } from '../constants/analysis';
+import { findSkierPose } from './poseTracking';
+import { SUMMARY_METRICS } from './poseMetrics';
+
+/**
+ * Detection quality of one skier's track
+ *
+ * Every analyzed frame is classed as:
+ * - missing: the skier wasn't detected
+ * - low: detected, but too few key joints visible to measure reliably
+ * - good: usable for measurements
+ *
+ * Consecutive frames with the same class form the quality timeline. The
+ * report also lists the joints most often hidden (occluded by the body, snow
+ * spray or the frame edge) and which averages rest on too few frames.
+ */
+
+const KEY_JOINTS = [
+  'L_SHOULDER', 'R_SHOULDER', 'L_WRIST', 'R_WRIST', 'L_HIP', 'R_HIP',
+  'L_KNEE', 'R_KNEE', 'L_ANKLE', 'R_ANKLE',
+];
+
+/**
+ * Whether a landmark is visible enough to measure
+ */
+function isVisible(point) {
+  return Boolean(point) && (point.visibility ?? 1) >= ANALYSIS_CONFIG.MIN_VISIBILITY;
+}
+
+/**
+ * Class of one frame for one skier
+ *
+ * @param {Object|null} pose - The skier's pose in the frame
+ * @returns {'missing'|'low'|'good'}
+ */
+export function frameQuality(pose) {
+  if (!pose?.landmarks) return 'missing';
+  const visible = KEY_JOINTS.filter((joint) => isVisible(pose.landmarks[POSE_LANDMARKS[joint]])).length;
+  return visible / KEY_JOINTS.length >= QUALITY_CONFIG.MIN_JOINT_SHARE ? 'good' : 'low';
+}
+
+/**
+ * Assess the detection quality of one skier over a track
+ *
+ * @param {Array<{timestamp: number, poses: Array}>} frames - Raw tracked frames
+ *   (before smoothing, which would hide short dropouts)
+ * @param {number} skierId - Skier to assess
+ * @param {Array<{metrics: Object|null}>} [samples] - Per-frame measurements,
+ *   to count the frames behind each average
+ * @returns {import('../types').TrackingQuality}
+ */
+export function computeTrackingQuality(frames, skierId, samples = []) {
+  const poses = frames.map((frame) => findSkierPose(frame, skierId));
+  const classes = poses.map(frameQuality);
+  const count = (quality) => classes.filter((c) => c === quality).length;
+
+  // Runs of frames with the same class; each lasts until the next run starts
+  const step = frames.length > 1 ? frames[1].timestamp - frames[0].timestamp : 0;
+  const timeline = [];
+  classes.forEach((quality, i) => {
+    const endMs = i + 1 < frames.length ? frames[i + 1].timestamp : frames[i].timestamp + step;
+    const last = timeline[timeline.length - 1];
+    if (last?.quality === quality) {
+      last.endMs = endMs;
+    } else {
+      timeline.push({ quality, startMs: frames[i].timestamp, endMs });
+    }
+  });
+
+  // Joints hidden in many of the frames where the skier was detected
+  const detected = poses.filter((pose) => pose?.landmarks);
+  const hiddenJoints = KEY_JOINTS
+    .map((joint) => ({
+      joint,
+      share: detected.length
+        ? Number((detected.filter((pose) => !isVisible(pose.landmarks[POSE_LANDMARKS[joint]])).length
+          / detected.length).toFixed(2))
+        : 1,
+    }))
+    .filter(({ share }) => share >= QUALITY_CONFIG.LOW_JOINT_SHARE)
+    .sort((a, b) => b.share - a.share);
+
+  // Averages measured on too few frames
+  const lowDataMetrics = SUMMARY_METRICS
+    .filter(({ source }) => samples.filter(
+      (sample) => sample.metrics?.[source] !== null && sample.metrics?.[source] !== undefined
+    ).length < QUALITY_CONFIG.MIN_METRIC_FRAMES)
+    .map(({ key }) => key);
+
+  const usableFrames = count('good');
+  const usableShare = frames.length ? usableFrames / frames.length : 0;
+
+  return {
+    usableShare: Number(usableShare.toFixed(2)),
+    usableFrames,
+    lowConfidenceFrames: count('low'),
+    missingFrames: count('missing'),
+    hiddenJoints,
+    lowDataMetrics,
+    isLowData: usableShare < QUALITY_CONFIG.MIN_USABLE_SHARE || usableFrames < QUALITY_CONFIG.MIN_METRIC_FRAMES,
+    timeline,
+  };
+}
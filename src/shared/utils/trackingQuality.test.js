@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import { QUALITY_CONFIG } from '../constants/analysis';
+import { SUMMARY_METRICS } from './poseMetrics';
+import { frameQuality, computeTrackingQuality } from './trackingQuality';
+
+const { L_WRIST, R_WRIST, L_ANKLE, R_ANKLE, L_KNEE } = POSE_LANDMARKS;
+
+/**
+ * 33 visible landmarks, except the given indices which are hidden
+ */
+function makeLandmarks(hidden = []) {
+  return Array.from({ length: 33 }, (_, i) => ({
+    x: 0.5, y: 0.5, z: 0, visibility: hidden.includes(i) ? 0.1 : 0.9,
+  }));
+}
+
+/**
+ * Frames 100 ms apart; each entry is the skier's hidden landmarks in that
+ * frame, or null when the skier wasn't detected
+ */
+function frames(entries) {
+  return entries.map((hidden, i) => ({
+    timestamp: i * 100,
+    poses: hidden ? [{ id: 1, landmarks: makeLandmarks(hidden) }, { id: 2, landmarks: makeLandmarks() }] : [],
+  }));
+}
+
+const GOOD = [];
+// Three of the ten key joints hidden: 70% visible, under MIN_JOINT_SHARE
+const LOW = [L_WRIST, R_WRIST, L_ANKLE];
+
+describe('frameQuality', () => {
+  it('classes a frame by the share of visible key joints', () => {
+    expect(frameQuality({ landmarks: makeLandmarks() })).toBe('good');
+    // Two of ten hidden: 80% visible
+    expect(frameQuality({ landmarks: makeLandmarks([L_WRIST, R_WRIST]) })).toBe('good');
+    expect(frameQuality({ landmarks: makeLandmarks(LOW) })).toBe('low');
+  });
+
+  it('ignores landmarks that are not key joints', () => {
+    expect(frameQuality({ landmarks: makeLandmarks([0, 1, 2, 3, 4, 5, 6, 7, 8]) })).toBe('good');
+  });
+
+  it('is missing without a pose', () => {
+    expect(frameQuality(null)).toBe('missing');
+    expect(frameQuality({ landmarks: null })).toBe('missing');
+  });
+});
+
+describe('computeTrackingQuality', () => {
+  it('counts each class of frame', () => {
+    const quality = computeTrackingQuality(frames([GOOD, GOOD, LOW, null, GOOD]), 1);
+    expect(quality).toMatchObject({ usableShare: 0.6, usableFrames: 3, lowConfidenceFrames: 1, missingFrames: 1 });
+  });
+
+  it('only looks at the given skier', () => {
+    const track = frames([LOW, LOW]);
+    expect(computeTrackingQuality(track, 2).usableFrames).toBe(2);
+    expect(computeTrackingQuality(track, 3).missingFrames).toBe(2);
+  });
+
+  it('merges runs of the same class into a timeline', () => {
+    const { timeline } = computeTrackingQuality(frames([GOOD, GOOD, LOW, null, null, GOOD]), 1);
+    expect(timeline).toEqual([
+      { quality: 'good', startMs: 0, endMs: 200 },
+      { quality: 'low', startMs: 200, endMs: 300 },
+      { quality: 'missing', startMs: 300, endMs: 500 },
+      // The last frame lasts one frame interval
+      { quality: 'good', startMs: 500, endMs: 600 },
+    ]);
+  });
+
+  it('reports the joints hidden in many detected frames, most hidden first', () => {
+    // Missing frames don't count towards the share
+    const track = frames([[L_KNEE, R_ANKLE], [L_KNEE], [L_KNEE], [], null, null]);
+    expect(computeTrackingQuality(track, 1).hiddenJoints).toEqual([
+      { joint: 'L_KNEE', share: 0.75 },
+      { joint: 'R_ANKLE', share: 0.25 },
+    ]);
+  });
+
+  it('reports every key joint hidden when the skier was never detected', () => {
+    const quality = computeTrackingQuality(frames([null, null]), 1);
+    expect(quality.hiddenJoints).toHaveLength(10);
+    expect(quality.hiddenJoints.every(({ share }) => share === 1)).toBe(true);
+  });
+
+  it('lists the averages measured on too few frames', () => {
+    const samples = Array.from({ length: QUALITY_CONFIG.MIN_METRIC_FRAMES }, (_, i) => ({
+      metrics: { lean: 10, stanceWidth: i % 2 ? 1.5 : null, kneeFlexion: 30 },
+    }));
+    const { lowDataMetrics } = computeTrackingQuality(frames([GOOD]), 1, samples);
+    expect(lowDataMetrics).not.toContain('avgLeanAngle');
+    expect(lowDataMetrics).not.toContain('avgKneeFlexion');
+    expect(lowDataMetrics).toContain('avgStanceWidth');
+    expect(lowDataMetrics).toHaveLength(SUMMARY_METRICS.length - 2);
+  });
+
+  it('flags a track with too few usable frames', () => {
+    const enough = Array(QUALITY_CONFIG.MIN_METRIC_FRAMES).fill(GOOD);
+    expect(computeTrackingQuality(frames(enough), 1).isLowData).toBe(false);
+
+    // Usable share under MIN_USABLE_SHARE
+    const mostlyMissing = [...enough, ...Array(QUALITY_CONFIG.MIN_METRIC_FRAMES + 1).fill(null)];
+    expect(computeTrackingQuality(frames(mostlyMissing), 1).isLowData).toBe(true);
+
+    // Too few usable frames overall
+    expect(computeTrackingQuality(frames(enough.slice(1)), 1).isLowData).toBe(true);
+  });
+
+  it('handles an empty track', () => {
+    expect(computeTrackingQuality([], 1)).toMatchObject({
+      usableShare: 0, usableFrames: 0, missingFrames: 0, timeline: [], isLowData: true,
+    });
+  });
+});
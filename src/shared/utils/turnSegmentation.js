@@ -0,0 +1,234 @@
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import { ANALYSIS_CONFIG, TURN_CONFIG } from '../constants/analysis';
+
+/**
+ * Turn segmentation from the pose timeline
+ *
+ * In a carved or skidded turn the hips (and knees) move to the inside of the
+ * turn relative to the feet, then cross back over them during the edge
+ * change. The segmenter follows that lateral hip/knee offset over time:
+ *
+ * - offset: hip and knee midpoints relative to the ankle midpoint, projected
+ *   on the skier's own left-right axis (so it works filmed from the front or
+ *   from behind) and divided by torso length (so distance doesn't matter).
+ *   Positive = body to the skier's left of the feet = turning left.
+ * - transition: where the offset crosses zero between two turns (edge change)
+ * - apex: where the offset peaks within a turn
+ */
+
+const {
+  L_SHOULDER, R_SHOULDER, L_HIP, R_HIP, L_KNEE, R_KNEE, L_ANKLE, R_ANKLE,
+} = POSE_LANDMARKS;
+
+/**
+ * Midpoint of two 2D points, stretched to true on-screen proportions
+ */
+function midpoint(a, b, aspectRatio) {
+  return { x: ((a.x + b.x) / 2) * aspectRatio, y: (a.y + b.y) / 2 };
+}
+
+/**
+ * Lateral offset of the body over the feet for one pose, or null if the
+ * needed landmarks aren't visible or the skier is side-on to the camera
+ */
+function lateralOffset(landmarks, aspectRatio) {
+  const indices = [L_SHOULDER, R_SHOULDER, L_HIP, R_HIP, L_KNEE, R_KNEE, L_ANKLE, R_ANKLE];
+  if (!landmarks || !indices.every(
+    (i) => landmarks[i] && (landmarks[i].visibility ?? 1) >= ANALYSIS_CONFIG.MIN_VISIBILITY
+  )) {
+    return null;
+  }
+
+  const shoulders = midpoint(landmarks[L_SHOULDER], landmarks[R_SHOULDER], aspectRatio);
+  const hips = midpoint(landmarks[L_HIP], landmarks[R_HIP], aspectRatio);
+  const knees = midpoint(landmarks[L_KNEE], landmarks[R_KNEE], aspectRatio);
+  const ankles = midpoint(landmarks[L_ANKLE], landmarks[R_ANKLE], aspectRatio);
+
+  const torsoLength = Math.hypot(shoulders.x - hips.x, shoulders.y - hips.y);
+  if (torsoLength === 0) return null;
+
+  // Skier's left direction, from the right hip to the left hip
+  const left = {
+    x: (landmarks[L_HIP].x - landmarks[R_HIP].x) * aspectRatio,
+    y: landmarks[L_HIP].y - landmarks[R_HIP].y,
+  };
+  const hipWidth = Math.hypot(left.x, left.y);
+  if (hipWidth < torsoLength * TURN_CONFIG.MIN_HIP_WIDTH_RATIO) return null;
+
+  const project = (point) =>
+    ((point.x - ankles.x) * left.x + (point.y - ankles.y) * left.y) / hipWidth;
+
+  return (project(hips) + project(knees)) / 2 / torsoLength;
+}
+
+/**
+ * Centered moving average over the valid neighbours of each sample
+ */
+function movingAverage(values, window) {
+  const half = Math.floor(window / 2);
+  return values.map((value, i) => {
+    if (value === null) return null;
+    let sum = 0;
+    let count = 0;
+    for (let j = Math.max(0, i - half); j <= Math.min(values.length - 1, i + half); j++) {
+      if (values[j] !== null) {
+        sum += values[j];
+        count += 1;
+      }
+    }
+    return sum / count;
+  });
+}
+
+/**
+ * Average and maximum of the non-null values of one measurement over a turn
+ */
+function statsOf(samples, key) {
+  const values = samples.map((s) => s.metrics?.[key]).filter((v) => v !== null && v !== undefined);
+  if (values.length === 0) return { avg: null, max: null };
+  return {
+    avg: values.reduce((sum, v) => sum + v, 0) / values.length,
+    max: Math.max(...values),
+  };
+}
+
+/**
+ * Round to one decimal, keeping null as null
+ */
+function round1(value) {
+  return value === null ? null : Number(value.toFixed(1));
+}
+
+/**
+ * Round to two decimals, keeping null as null
+ */
+function round2(value) {
+  return value === null ? null : Number(value.toFixed(2));
+}
+
+/**
+ * Build the output record of one turn
+ */
+function buildTurn(samples, offsets, startIndex, endIndex, startMs, endMs, direction) {
+  const sign = direction === 'left' ? 1 : -1;
+  let apexIndex = startIndex;
+  let peak = -Infinity;
+  for (let i = startIndex; i <= endIndex; i++) {
+    if (offsets[i] !== null && offsets[i] * sign > peak) {
+      peak = offsets[i] * sign;
+      apexIndex = i;
+    }
+  }
+
+  const turnSamples = samples.slice(startIndex, endIndex + 1);
+  const hipAngulation = statsOf(turnSamples, 'hipAngulation');
+  const kneeAngulation = statsOf(turnSamples, 'kneeAngulation');
+
+  return {
+    direction,
+    startMs: Math.round(startMs),
+    apexMs: samples[apexIndex].timestamp,
+    endMs: Math.round(endMs),
+    stats: {
+      durationMs: Math.round(endMs - startMs),
+      peakOffset: Number(Math.max(peak, 0).toFixed(2)),
+      maxHipAngulation: round1(hipAngulation.max),
+      maxKneeAngulation: round1(kneeAngulation.max),
+      avgKneeFlexion: round1(statsOf(turnSamples, 'kneeFlexion').avg),
+      avgLean: round1(statsOf(turnSamples, 'lean').avg),
+      avgHandSpread: round2(statsOf(turnSamples, 'handSpread').avg),
+      avgHandHeight: round2(statsOf(turnSamples, 'handHeight').avg),
+    },
+  };
+}
+
+/**
+ * Time where the offset crosses zero between samples i and j (linear interpolation)
+ */
+function crossingTime(samples, offsets, i, j) {
+  const a = offsets[i];
+  const b = offsets[j];
+  if (a === b) return samples[j].timestamp;
+  const t = a / (a - b);
+  return samples[i].timestamp + t * (samples[j].timestamp - samples[i].timestamp);
+}
+
+/**
+ * Split one skier's timeline into turns
+ *
+ * @param {Array<{timestamp: number, landmarks: Array|null, metrics: Object|null}>} samples -
+ *   One entry per analyzed frame, in time order, with the skier's (smoothed)
+ *   landmarks and computeFrameMetrics output (null when not detected)
+ * @param {Object} [options]
+ * @param {number} [options.aspectRatio] - Frame width / height
+ * @returns {Array<import('../types').Turn>} Turns in time order
+ */
+export function segmentTurns(samples, { aspectRatio = 1 } = {}) {
+  if (!samples?.length) return [];
+
+  const offsets = movingAverage(
+    samples.map((s) => lateralOffset(s.landmarks, aspectRatio)),
+    TURN_CONFIG.SMOOTHING_WINDOW
+  );
+
+  const turns = [];
+  let direction = null; // Side of the current turn
+  let startIndex = 0;
+  let startMs = samples[0].timestamp;
+  let lastCrossing = { index: 0, time: samples[0].timestamp };
+  let lastValid = null;
+
+  const closeTurn = (endIndex, endMs) => {
+    if (direction && endMs - startMs >= TURN_CONFIG.MIN_TURN_MS) {
+      turns.push(buildTurn(samples, offsets, startIndex, endIndex, startMs, endMs, direction));
+    }
+  };
+
+  for (let i = 0; i < samples.length; i++) {
+    const offset = offsets[i];
+    if (offset === null) continue;
+
+    // Lost the skier for too long: end the turn where they were last seen
+    if (lastValid !== null && samples[i].timestamp - samples[lastValid].timestamp > TURN_CONFIG.MAX_GAP_MS) {
+      closeTurn(lastValid, samples[lastValid].timestamp);
+      direction = null;
+      lastCrossing = { index: i, time: samples[i].timestamp };
+    } else if (lastValid !== null && Math.sign(offset) !== Math.sign(offsets[lastValid]) && offset !== 0) {
+      lastCrossing = { index: i, time: crossingTime(samples, offsets, lastValid, i) };
+    }
+    lastValid = i;
+
+    // Hysteresis: a new turn only counts once the offset clearly commits to the other side
+    const side = offset >= TURN_CONFIG.MIN_OFFSET ? 'left' : offset <= -TURN_CONFIG.MIN_OFFSET ? 'right' : null;
+    if (side && side !== direction) {
+      closeTurn(Math.max(startIndex, lastCrossing.index - 1), lastCrossing.time);
+      direction = side;
+      startIndex = lastCrossing.index;
+      startMs = lastCrossing.time;
+    }
+  }
+
+  if (lastValid !== null) {
+    closeTurn(lastValid, samples[lastValid].timestamp);
+  }
+
+  return turns.map((turn, index) => ({ index, ...turn }));
+}
+
+/**
+ * Summarize a list of turns
+ *
+ * @param {Array<import('../types').Turn>} turns - Output of segmentTurns
+ * @returns {{turnCount: number, leftTurns: number, rightTurns: number, avgTurnDurationMs: number|null}}
+ */
+export function summarizeTurns(turns) {
+  const leftTurns = turns.filter((turn) => turn.direction === 'left').length;
+  return {
+    turnCount: turns.length,
+    leftTurns,
+    rightTurns: turns.length - leftTurns,
+    avgTurnDurationMs: turns.length
+      ? Math.round(turns.reduce((sum, turn) => sum + turn.stats.durationMs, 0) / turns.length)
+      : null,
+  };
+}
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { POSE_LANDMARKS } from '../constants/mediapipe';
+import { TURN_CONFIG } from '../constants/analysis';
+import { segmentTurns, summarizeTurns } from './turnSegmentation';
+
+const {
+  L_SHOULDER, R_SHOULDER, L_HIP, R_HIP, L_KNEE, R_KNEE, L_ANKLE, R_ANKLE,
+} = POSE_LANDMARKS;
+
+const FRAME_MS = 100;
+const TURN_MS = 2000;
+
+/**
+ * 33 landmarks: the given points fully visible, the rest hidden
+ */
+function makeLandmarks(points) {
+  return Array.from({ length: 33 }, (_, i) => (
+    points[i] ? { z: 0, visibility: 1, ...points[i] } : { x: 0, y: 0, z: 0, visibility: 0 }
+  ));
+}
+
+/**
+ * Skier facing the camera with the body shifted sideways over the feet.
+ * The torso is 0.2 tall, so a shift of 0.02 is an offset of 0.1 torso lengths;
+ * positive shifts go to the skier's left.
+ */
+function lateral(shift) {
+  return makeLandmarks({
+    [L_SHOULDER]: { x: 0.55 + shift, y: 0.3 },
+    [R_SHOULDER]: { x: 0.45 + shift, y: 0.3 },
+    [L_HIP]: { x: 0.55 + shift, y: 0.5 },
+    [R_HIP]: { x: 0.45 + shift, y: 0.5 },
+    [L_KNEE]: { x: 0.55 + shift, y: 0.7 },
+    [R_KNEE]: { x: 0.45 + shift, y: 0.7 },
+    [L_ANKLE]: { x: 0.55, y: 0.9 },
+    [R_ANKLE]: { x: 0.45, y: 0.9 },
+  });
+}
+
+/**
+ * Samples every FRAME_MS over `durationMs`, shifted by `shiftAt(timestamp)`;
+ * `missing(timestamp)` drops the skier from a frame
+ */
+function track(durationMs, shiftAt, missing = () => false) {
+  return Array.from({ length: durationMs / FRAME_MS }, (_, i) => {
+    const timestamp = i * FRAME_MS;
+    return missing(timestamp)
+      ? { timestamp, landmarks: null, metrics: null }
+      : { timestamp, landmarks: lateral(shiftAt(timestamp)), metrics: { hipAngulation: 10 + i % 5 } };
+  });
+}
+
+// Left turn, then right turn, and so on: offset ±0.3 torso lengths
+const alternating = (timestamp) => 0.06 * Math.sin((Math.PI * timestamp) / TURN_MS);
+
+describe('segmentTurns', () => {
+  it('splits a clean alternation into left and right turns at the edge changes', () => {
+    const turns = segmentTurns(track(4 * TURN_MS, alternating));
+
+    expect(turns.map((turn) => turn.direction)).toEqual(['left', 'right', 'left', 'right']);
+    expect(turns.map((turn) => turn.index)).toEqual([0, 1, 2, 3]);
+    expect(turns.map((turn) => turn.startMs)).toEqual([0, 2000, 4000, 6000]);
+    expect(turns.map((turn) => turn.endMs)).toEqual([2000, 4000, 6000, 7900]);
+    expect(turns.map((turn) => turn.apexMs)).toEqual([1000, 3000, 5000, 7000]);
+  });
+
+  it('measures each turn', () => {
+    const [first] = segmentTurns(track(4 * TURN_MS, alternating));
+    expect(first.stats.durationMs).toBe(TURN_MS);
+    expect(first.stats.peakOffset).toBeCloseTo(0.3, 1);
+    expect(first.stats.maxHipAngulation).toBe(14);
+    expect(first.stats.avgKneeFlexion).toBeNull();
+  });
+
+  it('finds the same turns on a non-square frame', () => {
+    const wide = 16 / 9;
+    const samples = track(4 * TURN_MS, alternating).map((sample) => ({
+      ...sample,
+      landmarks: sample.landmarks.map((point) => ({ ...point, x: 0.5 + (point.x - 0.5) / wide })),
+    }));
+    const turns = segmentTurns(samples, { aspectRatio: wide });
+    expect(turns.map((turn) => [turn.direction, turn.startMs])).toEqual([
+      ['left', 0], ['right', 2000], ['left', 4000], ['right', 6000],
+    ]);
+  });
+
+  it('finds no turns in a straight run', () => {
+    expect(segmentTurns(track(4 * TURN_MS, () => 0))).toEqual([]);
+  });
+
+  it('ignores sway that never commits to a side', () => {
+    // Offset ±0.1, under MIN_OFFSET
+    const sway = (timestamp) => 0.02 * Math.sin((Math.PI * timestamp) / TURN_MS);
+    expect(0.1).toBeLessThan(TURN_CONFIG.MIN_OFFSET);
+    expect(segmentTurns(track(4 * TURN_MS, sway))).toEqual([]);
+  });
+
+  it('drops swings shorter than MIN_TURN_MS', () => {
+    const quick = (timestamp) => (timestamp < 1000 ? 0 : timestamp < 1200 ? 0.06 : -0.06);
+    const turns = segmentTurns(track(4 * TURN_MS, quick));
+    expect(turns.map((turn) => turn.direction)).toEqual(['right']);
+  });
+
+  it('bridges gaps shorter than MAX_GAP_MS', () => {
+    const missing = (timestamp) => timestamp >= 2500 && timestamp < 3000;
+    const turns = segmentTurns(track(4 * TURN_MS, alternating, missing));
+    expect(turns.map((turn) => [turn.direction, turn.startMs, turn.endMs])).toEqual([
+      ['left', 0, 2000], ['right', 2000, 4000], ['left', 4000, 6000], ['right', 6000, 7900],
+    ]);
+  });
+
+  it('ends the turn where the skier was last seen across a longer gap', () => {
+    const missing = (timestamp) => timestamp >= 2800 && timestamp < 4400;
+    const turns = segmentTurns(track(4 * TURN_MS, alternating, missing));
+    expect(turns.map((turn) => [turn.direction, turn.startMs, turn.endMs])).toEqual([
+      ['left', 0, 2000], ['right', 2000, 2700], ['left', 4400, 6000], ['right', 6000, 7900],
+    ]);
+  });
+
+  it('finds no turns without a visible skier', () => {
+    expect(segmentTurns(track(TURN_MS, alternating, () => true))).toEqual([]);
+    expect(segmentTurns([])).toEqual([]);
+  });
+});
+
+describe('summarizeTurns', () => {
+  it('counts the turns each way and averages their duration', () => {
+    const turns = segmentTurns(track(4 * TURN_MS, alternating));
+    expect(summarizeTurns(turns)).toEqual({ turnCount: 4, leftTurns: 2, rightTurns: 2, avgTurnDurationMs: 1975 });
+  });
+
+  it('has no average without turns', () => {
+    expect(summarizeTurns([]).avgTurnDurationMs).toBeNull();
+  });
+});
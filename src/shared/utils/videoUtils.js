@@ -24,6 +24,32 @@ export const getOptimalVideoQuality = (viewportWidth, viewportHeight) => {
   return 'low'; // Mobile - 480p or lower
 };
 
+/**
+ * Pick the default pose model variant for this device
+ *
+ * Uses the screen size (via getOptimalVideoQuality), CPU cores and device
+ * memory as capability hints; browsers that hide a hint are treated as mid-range.
+ *
+ * @returns {string} Model variant: 'lite', 'full' or 'heavy'
+ */
+export const getDefaultModelVariant = () => {
+  const pixelRatio = window.devicePixelRatio || 1;
+  const quality = getOptimalVideoQuality(
+    window.screen.width * pixelRatio,
+    window.screen.height * pixelRatio
+  );
+  const cores = navigator.hardwareConcurrency || 4;
+  const memoryGb = navigator.deviceMemory || 4;
+
+  if (quality === 'low' || cores <= 2 || memoryGb <= 2) {
+    return 'lite'; // Phones and low-end devices
+  }
+  if (quality === 'high' && cores >= 8 && memoryGb >= 8) {
+    return 'heavy'; // Powerful desktops
+  }
+  return 'full';
+};
+
 /**
  * Calculate video container dimensions maintaining aspect ratio
  *